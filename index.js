@@ -8,6 +8,12 @@ const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const cloudinary = require("cloudinary").v2;
 const multer = require("multer");
+const { parse: parseCsv } = require("csv-parse/sync");
+const QRCode = require("qrcode");
+const Cursor = require("pg-cursor");
+const ExcelJS = require("exceljs");
+const archiver = require("archiver");
+const { PDFDocument } = require("pdf-lib");
 const puppeteer = require("puppeteer");
 const handlebars = require("handlebars");
 handlebars.registerHelper("ifCond", function (v1, operator, v2, options) {
@@ -38,6 +44,8 @@ handlebars.registerHelper("ifCond", function (v1, operator, v2, options) {
 });
 const fs = require("fs").promises;
 const path = require("path");
+const crypto = require("crypto");
+const { once } = require("events");
 
 // 2. CONFIGURACIÓN INICIAL
 // -----------------------------------------------------------------------------
@@ -57,8 +65,149 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false },
 });
 
+// Duración del access token (JWT) y de la sesión que lo respalda.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DIAS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DIAS || "30",
+  10
+);
+// Política de contraseñas, configurable por entorno.
+const PASSWORD_POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || "8", 10),
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+};
+// Rutas habilitadas mientras el usuario tenga pendiente el cambio de contraseña.
+const PASSWORD_CHANGE_ALLOWED_PATHS = ["/api/change-password", "/api/logout"];
+// Protección contra fuerza bruta en /api/login.
+const LOGIN_MAX_FAILED = parseInt(process.env.LOGIN_MAX_FAILED || "5", 10);
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES || "15", 10);
+const LOGIN_IP_MAX_FAILED = parseInt(
+  process.env.LOGIN_IP_MAX_FAILED || "20",
+  10
+);
+const LOGIN_WINDOW_MINUTES = parseInt(
+  process.env.LOGIN_WINDOW_MINUTES || "15",
+  10
+);
+const LOGIN_DELAY_BASE_MS = 500;
+const LOGIN_DELAY_MAX_MS = 8000;
+// Fichas que ya no cuentan como activas para la detección de duplicados.
+const AFFILIATION_INACTIVE_STATUSES = ["Rechazado", "Anulado", "Baja"];
+// Una ficha no puede presentarse si comparte una persona con otra ficha en
+// alguno de estos estados; con las demás fichas activas sólo se advierte.
+const DUPLICATE_BLOCKING_STATUSES = ["Presentado", "Observado", "Aprobado"];
+// Exportación de fichas: columnas fijas disponibles (además de cualquier
+// campo de form_data o de integrantesList) y columnas por defecto.
+const AFFILIATION_EXPORT_BASE_COLUMNS = {
+  id: "a.id",
+  status: "a.status",
+  fecha_creacion: "a.fecha_creacion",
+  status_change_timestamp: "a.status_change_timestamp",
+  titular_nombre: "a.titular_nombre",
+  titular_dni: "a.titular_dni",
+  plan: "a.plan",
+  vendedor_nombre: "u.full_name",
+  vendedor_codigo: "u.codigo",
+};
+const AFFILIATION_EXPORT_DEFAULT_COLUMNS = [
+  "id",
+  "status",
+  "fecha_creacion",
+  "vendedor_codigo",
+  "vendedor_nombre",
+  "plan",
+  "titular_nombre",
+  "titular_dni",
+  "cuilTitular",
+  "fechaNacimientoTitular",
+  "domicilioTitular",
+  "localidadTitular",
+  "telefonoTitular",
+  "medioPago",
+  "empresa",
+  "cbu",
+  "total",
+];
+const AFFILIATION_EXPORT_BATCH_SIZE = 500;
+const AFFILIATION_SYNC_MAX_ITEMS = 50;
+// Generación de PDF: un Chromium compartido, con un máximo de PDF en
+// generación a la vez y una cola acotada para el resto.
+const PDF_MAX_CONCURRENCY = parseInt(
+  process.env.PDF_MAX_CONCURRENCY || "2",
+  10
+);
+const PDF_QUEUE_MAX = parseInt(process.env.PDF_QUEUE_MAX || "20", 10);
+const PDF_QUEUE_TIMEOUT_MS = 30 * 1000;
+const PDF_RENDER_TIMEOUT_MS = 30 * 1000;
+// Chromium se recicla cada tantos PDF y se cierra tras un rato sin uso.
+const PDF_BROWSER_MAX_RENDERS = 200;
+const PDF_BROWSER_IDLE_MS = 5 * 60 * 1000;
+const PDF_BATCH_MAX_ITEMS = 200;
+// Un lote en proceso marca un latido por cada ficha; si pasa este tiempo sin
+// latido se da por abandonado (el proceso que lo tomaba murió) y vuelve a la
+// cola. Los lotes pendientes se revisan además cada tanto.
+const PDF_BATCH_STALE_MS = 15 * 60 * 1000;
+const PDF_BATCH_POLL_MS = 60 * 1000;
+// Mientras se genera un lote, la subida a Cloudinary queda abierta esperando
+// el ZIP; se corta si pasa este tiempo sin recibir datos.
+const PDF_BATCH_UPLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+// Tamaño máximo de la imagen de una firma manuscrita.
+const SIGNATURE_MAX_BYTES = 512 * 1024;
+// URL base que se codifica en el QR de verificación de los PDF, seguida del
+// código; en producción debería apuntar a la página pública de verificación.
+const PDF_VERIFY_URL =
+  process.env.PDF_VERIFY_URL || `http://localhost:${PORT}/api/verify`;
+// Clave del HMAC de los códigos de verificación. Sin ella los PDF se generan
+// sin código de verificación y /api/verify responde 503.
+const PDF_VERIFICATION_SECRET = process.env.PDF_VERIFICATION_SECRET || null;
+// Protección contra la enumeración de códigos en /api/verify: como en el
+// login, se limitan por IP las consultas de códigos inexistentes.
+const VERIFY_IP_MAX_FAILED = parseInt(
+  process.env.VERIFY_IP_MAX_FAILED || "20",
+  10
+);
+const VERIFY_WINDOW_MINUTES = parseInt(
+  process.env.VERIFY_WINDOW_MINUTES || "15",
+  10
+);
+// Los permisos de cada rol se cachean en memoria por un minuto; los cambios
+// hechos desde /api/roles invalidan la caché al instante.
+const PERMISSIONS_CACHE_TTL_MS = 60 * 1000;
+// Segundo factor (TOTP, RFC 6238).
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Ficha Digital";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_RECOVERY_CODES = 10;
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+// Rutas habilitadas mientras el usuario deba dar de alta el segundo factor.
+const TWO_FACTOR_SETUP_ALLOWED_PATHS = [
+  "/api/2fa/setup",
+  "/api/2fa/enable",
+  "/api/2fa/status",
+  "/api/change-password",
+  "/api/logout",
+];
+// Las API keys se reconocen por su prefijo fijo dentro del header Authorization.
+const API_KEY_PREFIX = "fdk_";
+// Importación masiva de usuarios por CSV.
+const USER_IMPORT_MAX_ROWS = 500;
+const USER_IMPORT_COLUMNS = ["full_name", "email", "codigo", "role"];
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_REGEX =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 // 3. MIDDLEWARES
 // -----------------------------------------------------------------------------
+// Detrás de un proxy, req.ip tiene que salir de X-Forwarded-For para que el
+// control de intentos por IP no agrupe a todos los clientes.
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
 app.use(
   cors({
     origin: "*",
@@ -73,21 +222,94 @@ app.use(express.json({ limit: "5mb" }));
 
 // 4. LÓGICA DE AUTENTICACIÓN Y AUTORIZACIÓN
 // -----------------------------------------------------------------------------
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
   if (token == null) return res.sendStatus(401);
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) return res.sendStatus(403);
-    req.user = user;
-    next();
-  });
+  if (token.startsWith(API_KEY_PREFIX)) {
+    return autenticarApiKey(token, req, res, next);
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return res.status(401).json({ message: "La sesión expiró." });
+    }
+    return res.sendStatus(403);
+  }
+
+  try {
+    // El rol se lee siempre de la base: un cambio de rol o una revocación
+    // tienen efecto inmediato, sin esperar a que venza el token.
+    const result = await pool.query(
+      `SELECT u.id, u.full_name, u.email, u.codigo, u.role, u.must_change_password,
+              u.totp_enabled_at, r.require_2fa
+       FROM sesiones_usuario s
+       JOIN users u ON s.user_id = u.id
+       LEFT JOIN roles r ON r.name = u.role
+       WHERE s.id = $1 AND s.user_id = $2
+         AND s.revocada_en IS NULL AND s.expira_en > NOW() AND u.active`,
+      [payload.sid, payload.userId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ message: "La sesión ya no es válida." });
+    }
+    const user = result.rows[0];
+    if (
+      user.must_change_password &&
+      !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)
+    ) {
+      return res.status(403).json({
+        message: "Debes cambiar tu contraseña antes de continuar.",
+        code: "PASSWORD_CHANGE_REQUIRED",
+      });
+    }
+    if (
+      user.require_2fa &&
+      !user.totp_enabled_at &&
+      !TWO_FACTOR_SETUP_ALLOWED_PATHS.includes(req.path)
+    ) {
+      return res.status(403).json({
+        message:
+          "Tu rol requiere segundo factor de autenticación. Debes configurarlo antes de continuar.",
+        code: "TWO_FACTOR_SETUP_REQUIRED",
+      });
+    }
+    req.user = {
+      userId: user.id,
+      name: user.full_name,
+      email: user.email,
+      codigo: user.codigo,
+      role: user.role,
+      sessionId: payload.sid,
+      permissions: await obtenerPermisosRol(user.role),
+    };
+  } catch (error) {
+    console.error("Error al validar la sesión:", error);
+    return res.status(500).json({ message: "Error interno del servidor." });
+  }
+  next();
+};
+
+// Las integraciones con API key no tienen usuario: sólo leen y operan con los
+// permisos de la clave. Las rutas que actúan en nombre de una persona
+// (sesión, firmas, cargas de fichas) la exigen con este middleware.
+const requireUser = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({
+      message: "Esta operación requiere iniciar sesión con un usuario.",
+    });
+  }
+  next();
 };
 
-const authorize = (allowedRoles) => {
+// Recibe una o más acciones; alcanza con que el rol tenga alguna de ellas.
+const authorize = (...requiredPermissions) => {
   return (req, res, next) => {
-    const userRole = req.user.role;
-    if (allowedRoles.includes(userRole)) {
+    const { permissions } = req.user;
+    if (requiredPermissions.some((permission) => permissions.has(permission))) {
       next();
     } else {
       res.status(403).json({
@@ -102,7 +324,79 @@ const authorize = (allowedRoles) => {
 
 // --- Salud ---
 app.get("/api/health", (req, res) => {
-  res.status(200).json({ status: "ok" });
+  res.status(200).json({ status: "ok", pdf: estadoPdf() });
+});
+
+app.get("/api/password-policy", (req, res) => {
+  res.json(PASSWORD_POLICY);
+});
+
+// --- Verificación pública de PDF ---
+// Sin autenticación: con el código impreso en el PDF informa si el documento
+// existe, el estado actual de la ficha y si su contenido coincide con el que
+// se imprimió. No devuelve datos personales.
+app.get("/api/verify/:codigo", async (req, res) => {
+  if (!PDF_VERIFICATION_SECRET) {
+    return res.status(503).json({
+      message: "La verificación de documentos no está disponible.",
+    });
+  }
+  const codigo = normalizarCodigoVerificacion(req.params.codigo);
+  try {
+    const fallos = await pool.query(
+      `SELECT COUNT(*) AS total FROM intentos_verificacion
+       WHERE ip = $1 AND fecha > NOW() - make_interval(mins => $2)`,
+      [req.ip, VERIFY_WINDOW_MINUTES]
+    );
+    if (parseInt(fallos.rows[0].total, 10) >= VERIFY_IP_MAX_FAILED) {
+      res.setHeader("Retry-After", VERIFY_WINDOW_MINUTES * 60);
+      return res.status(429).json({
+        message: "Demasiadas consultas. Intenta nuevamente más tarde.",
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT v.afiliacion_id, v.status, v.digest, v.emitido_en,
+              a.status as status_actual, a.form_data
+       FROM pdf_verificaciones v
+       JOIN affiliations a ON a.id = v.afiliacion_id
+       WHERE v.codigo = $1`,
+      [codigo]
+    );
+    if (result.rows.length === 0) {
+      await pool.query("INSERT INTO intentos_verificacion (ip) VALUES ($1)", [
+        req.ip,
+      ]);
+      return res.status(404).json({
+        valido: false,
+        message: "El código no corresponde a ningún documento emitido.",
+      });
+    }
+
+    const verificacion = result.rows[0];
+    const contenidoCoincide = digestsIguales(
+      verificacion.digest,
+      digestVerificacionPdf(
+        verificacion.afiliacion_id,
+        verificacion.status,
+        verificacion.form_data
+      )
+    );
+    res.json({
+      valido: true,
+      codigo: formatearCodigoVerificacion(codigo),
+      emitidoEn: verificacion.emitido_en,
+      estadoAlEmitir: verificacion.status,
+      estadoActual: verificacion.status_actual,
+      contenidoCoincide,
+      // El documento refleja la ficha tal como está hoy.
+      vigente:
+        contenidoCoincide && verificacion.status === verificacion.status_actual,
+    });
+  } catch (error) {
+    console.error("Error al verificar el documento:", error);
+    res.status(500).json({ message: "Error interno del servidor." });
+  }
 });
 
 // --- Autenticación ---
@@ -113,845 +407,1143 @@ app.post("/api/login", async (req, res) => {
       .status(400)
       .json({ message: "El correo y la contraseña son obligatorios." });
   }
+  const normalizedEmail = email.toLowerCase();
+  const intento = { email: normalizedEmail, req };
   try {
+    const fallos = await pool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE ip = $1) AS por_ip,
+         COUNT(*) FILTER (WHERE email = $2) AS por_email
+       FROM intentos_login
+       WHERE exito = FALSE AND fecha > NOW() - make_interval(mins => $3)
+         AND (ip = $1 OR email = $2)`,
+      [req.ip, normalizedEmail, LOGIN_WINDOW_MINUTES]
+    );
+    const fallosPorIp = parseInt(fallos.rows[0].por_ip, 10);
+    const fallosPorEmail = parseInt(fallos.rows[0].por_email, 10);
+
+    if (fallosPorIp >= LOGIN_IP_MAX_FAILED) {
+      await registrarIntentoLogin({ ...intento, motivo: "IP_LIMITADA" });
+      res.setHeader("Retry-After", LOGIN_WINDOW_MINUTES * 60);
+      return res.status(429).json({
+        message: "Demasiados intentos fallidos. Intenta nuevamente más tarde.",
+      });
+    }
+
+    // Demora progresiva: cada fallo reciente duplica la espera.
+    const fallosPrevios = Math.max(fallosPorIp, fallosPorEmail);
+    if (fallosPrevios > 0) {
+      await esperar(
+        Math.min(
+          LOGIN_DELAY_BASE_MS * 2 ** (fallosPrevios - 1),
+          LOGIN_DELAY_MAX_MS
+        )
+      );
+    }
+
     const result = await pool.query("SELECT * FROM users WHERE email = $1", [
-      email.toLowerCase(),
+      normalizedEmail,
     ]);
     const user = result.rows[0];
     if (!user) {
+      await registrarIntentoLogin({
+        ...intento,
+        motivo: "USUARIO_INEXISTENTE",
+      });
       return res.status(401).json({ message: "Credenciales inválidas." });
     }
+    intento.userId = user.id;
+
+    if (user.locked_until && user.locked_until > new Date()) {
+      await registrarIntentoLogin({ ...intento, motivo: "CUENTA_BLOQUEADA" });
+      return res.status(423).json({
+        message:
+          "La cuenta está bloqueada temporalmente por intentos fallidos. Intenta más tarde o contacta a un administrador.",
+        lockedUntil: user.locked_until,
+      });
+    }
+
     const isPasswordValid = await bcrypt.compare(password, user.password_hash);
     if (!isPasswordValid) {
+      await registrarFalloLogin(user.id);
+      await registrarIntentoLogin({
+        ...intento,
+        motivo: "PASSWORD_INCORRECTO",
+      });
       return res.status(401).json({ message: "Credenciales inválidas." });
     }
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        name: user.full_name,
-        email: user.email,
-        codigo: user.codigo,
-        role: user.role,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "8h" }
+
+    if (!user.active) {
+      await registrarIntentoLogin({ ...intento, motivo: "USUARIO_INACTIVO" });
+      return res.status(403).json({ message: "Tu usuario está desactivado." });
+    }
+
+    // Con segundo factor activo la contraseña sólo habilita el segundo paso;
+    // el contador de fallos se mantiene hasta completar el login.
+    if (user.totp_enabled_at) {
+      const challengeToken = jwt.sign(
+        { userId: user.id, purpose: "2fa" },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+      return res.json({ requires2fa: true, challengeToken });
+    }
+
+    await pool.query(
+      "UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1",
+      [user.id]
+    );
+    await registrarIntentoLogin({ ...intento, exito: true });
+    res.json(await crearRespuestaLogin(user, req));
+  } catch (error) {
+    console.error("Error en el login:", error);
+    res.status(500).json({ message: "Error interno del servidor." });
+  }
+});
+
+app.post("/api/login/2fa", async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({
+      message: "El desafío y el código de verificación son obligatorios.",
+    });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({
+      message: "El desafío expiró. Vuelve a ingresar tu contraseña.",
+    });
+  }
+  if (payload.purpose !== "2fa") {
+    return res.status(401).json({ message: "Desafío inválido." });
+  }
+
+  try {
+    const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+      payload.userId,
+    ]);
+    const user = result.rows[0];
+    if (!user || !user.active || !user.totp_enabled_at) {
+      return res.status(401).json({ message: "Desafío inválido." });
+    }
+    const intento = { email: user.email, userId: user.id, req };
+
+    if (user.locked_until && user.locked_until > new Date()) {
+      await registrarIntentoLogin({ ...intento, motivo: "CUENTA_BLOQUEADA" });
+      return res.status(423).json({
+        message:
+          "La cuenta está bloqueada temporalmente por intentos fallidos. Intenta más tarde o contacta a un administrador.",
+        lockedUntil: user.locked_until,
+      });
+    }
+
+    const valido = code
+      ? await consumirCodigoTotp(user, code)
+      : await consumirCodigoRecuperacion(user.id, recoveryCode);
+    if (!valido) {
+      await registrarFalloLogin(user.id);
+      await registrarIntentoLogin({
+        ...intento,
+        motivo: code
+          ? "CODIGO_2FA_INCORRECTO"
+          : "CODIGO_RECUPERACION_INCORRECTO",
+      });
+      return res
+        .status(401)
+        .json({ message: "El código de verificación es incorrecto." });
+    }
+
+    await pool.query(
+      "UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1",
+      [user.id]
+    );
+    await registrarIntentoLogin({
+      ...intento,
+      exito: true,
+      motivo: code ? null : "CODIGO_RECUPERACION",
+    });
+    res.json(await crearRespuestaLogin(user, req));
+  } catch (error) {
+    console.error("Error en el segundo paso del login:", error);
+    res.status(500).json({ message: "Error interno del servidor." });
+  }
+});
+
+app.post("/api/token/refresh", async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res
+      .status(400)
+      .json({ message: "El refresh token es obligatorio." });
+  }
+  const sessionId = String(refreshToken).split(".")[0];
+  if (!UUID_REGEX.test(sessionId)) {
+    return res.status(401).json({ message: "La sesión ya no es válida." });
+  }
+  try {
+    const result = await pool.query(
+      `SELECT s.refresh_token_hash, s.revocada_en, s.expira_en,
+              u.id, u.full_name, u.email, u.codigo, u.role, u.must_change_password, u.active
+       FROM sesiones_usuario s
+       JOIN users u ON s.user_id = u.id
+       WHERE s.id = $1`,
+      [sessionId]
+    );
+    const session = result.rows[0];
+    if (
+      !session ||
+      !session.active ||
+      session.revocada_en ||
+      session.expira_en <= new Date()
+    ) {
+      return res.status(401).json({ message: "La sesión ya no es válida." });
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const newRefreshToken = generarRefreshToken(sessionId);
+    // La rotación sólo se aplica si el token presentado es el vigente; si
+    // no, alguien está reutilizando un token viejo y cerramos la sesión.
+    const rotated = await pool.query(
+      `UPDATE sesiones_usuario
+       SET refresh_token_hash = $1, ultimo_uso_en = NOW(),
+           expira_en = NOW() + make_interval(days => $2)
+       WHERE id = $3 AND refresh_token_hash = $4 AND revocada_en IS NULL
+       RETURNING id`,
+      [
+        hashToken(newRefreshToken),
+        REFRESH_TOKEN_TTL_DIAS,
+        sessionId,
+        presentedHash,
+      ]
     );
+    if (rotated.rows.length === 0) {
+      await pool.query(
+        "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE id = $1 AND revocada_en IS NULL",
+        [sessionId]
+      );
+      return res.status(401).json({ message: "La sesión ya no es válida." });
+    }
+
     res.json({
-      token,
+      token: firmarAccessToken(session, sessionId),
+      refreshToken: newRefreshToken,
       user: {
-        name: user.full_name,
-        email: user.email,
-        codigo: user.codigo,
-        role: user.role,
+        name: session.full_name,
+        email: session.email,
+        codigo: session.codigo,
+        role: session.role,
+        mustChangePassword: session.must_change_password,
       },
     });
   } catch (error) {
-    console.error("Error en el login:", error);
+    console.error("Error al renovar la sesión:", error);
     res.status(500).json({ message: "Error interno del servidor." });
   }
 });
 
-// --- ABM de Circulares ---
-app.get(
-  "/api/circulares",
-  authenticateToken,
-  authorize(["SUPERVISOR", "ADMINISTRADOR"]),
-  async (req, res) => {
-    try {
-      const result = await pool.query(
-        "SELECT c.*, u.full_name as creado_por_nombre FROM circulares c JOIN users u ON c.creado_por_id = u.id ORDER BY c.fecha_creacion DESC"
-      );
-      res.json(result.rows);
-    } catch (error) {
-      res.status(500).json({ message: "Error al obtener circulares." });
-    }
+app.post("/api/logout", authenticateToken, requireUser, async (req, res) => {
+  try {
+    await pool.query(
+      "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE id = $1 AND revocada_en IS NULL",
+      [req.user.sessionId]
+    );
+    res.status(204).send();
+  } catch (error) {
+    console.error("Error al cerrar la sesión:", error);
+    res.status(500).json({ message: "Error al cerrar la sesión." });
   }
-);
+});
 
 app.post(
-  "/api/circulares",
+  "/api/change-password",
   authenticateToken,
-  authorize(["SUPERVISOR", "ADMINISTRADOR"]),
+  requireUser,
   async (req, res) => {
-    const { titulo, contenido } = req.body;
-    const userId = req.user.userId;
-    if (!titulo || !contenido)
+    const { currentPassword, newPassword } = req.body;
+    const { userId, sessionId } = req.user;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        message: "La contraseña actual y la nueva son obligatorias.",
+      });
+    }
+    const errores = validarPassword(newPassword);
+    if (errores.length > 0) {
       return res
         .status(400)
-        .json({ message: "El título y el contenido son obligatorios." });
+        .json({ message: "La nueva contraseña no es válida.", errores });
+    }
     try {
-      const newCircular = await pool.query(
-        "INSERT INTO circulares (titulo, contenido, creado_por_id) VALUES ($1, $2, $3) RETURNING *",
-        [titulo, contenido, userId]
+      const result = await pool.query(
+        "SELECT password_hash FROM users WHERE id = $1",
+        [userId]
       );
-      res.status(201).json(newCircular.rows[0]);
-    } catch (error) {
-      res.status(500).json({ message: "Error al crear la circular." });
-    }
-  }
-);
+      const isPasswordValid = await bcrypt.compare(
+        currentPassword,
+        result.rows[0].password_hash
+      );
+      if (!isPasswordValid) {
+        return res
+          .status(401)
+          .json({ message: "La contraseña actual es incorrecta." });
+      }
+      if (await bcrypt.compare(newPassword, result.rows[0].password_hash)) {
+        return res.status(400).json({
+          message: "La nueva contraseña debe ser distinta de la actual.",
+        });
+      }
 
-app.put(
-  "/api/circulares/:id",
-  authenticateToken,
-  authorize(["SUPERVISOR", "ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    const { titulo, contenido, activa } = req.body;
-    try {
-      const updatedCircular = await pool.query(
-        "UPDATE circulares SET titulo = $1, contenido = $2, activa = $3 WHERE id = $4 RETURNING *",
-        [titulo, contenido, activa, id]
+      const salt = await bcrypt.genSalt(10);
+      const password_hash = await bcrypt.hash(newPassword, salt);
+      await pool.query(
+        `UPDATE users
+       SET password_hash = $1, must_change_password = FALSE, password_changed_at = NOW()
+       WHERE id = $2`,
+        [password_hash, userId]
       );
-      res.json(updatedCircular.rows[0]);
+      // Se cierran las demás sesiones; la actual sigue activa.
+      await pool.query(
+        "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE user_id = $1 AND id <> $2 AND revocada_en IS NULL",
+        [userId, sessionId]
+      );
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: userId,
+        accion: "cambiar_password",
+      });
+      res.json({ message: "Contraseña actualizada con éxito." });
     } catch (error) {
-      res.status(500).json({ message: "Error al actualizar la circular." });
+      console.error("Error al cambiar la contraseña:", error);
+      res.status(500).json({ message: "Error al cambiar la contraseña." });
     }
   }
 );
 
-// --- Lógica para Vendedores ---
-app.get("/api/mis-circulares", authenticateToken, async (req, res) => {
-  const userId = req.user.userId;
+// --- Segundo factor (TOTP) ---
+app.get("/api/2fa/status", authenticateToken, requireUser, async (req, res) => {
   try {
     const result = await pool.query(
-      `
-            SELECT c.*, u.full_name as creado_por_nombre, cf.fecha_firma 
-            FROM circulares c
-            JOIN users u ON c.creado_por_id = u.id
-            LEFT JOIN circulares_firmas cf ON c.id = cf.circular_id AND cf.usuario_id = $1
-            WHERE c.activa = TRUE
-            ORDER BY c.fecha_creacion DESC
-        `,
-      [userId]
+      `SELECT u.totp_enabled_at, r.require_2fa,
+              (SELECT COUNT(*) FROM user_recovery_codes rc
+               WHERE rc.user_id = u.id AND rc.used_at IS NULL)::int as recovery_codes
+       FROM users u
+       LEFT JOIN roles r ON r.name = u.role
+       WHERE u.id = $1`,
+      [req.user.userId]
     );
-    res.json(result.rows);
+    const row = result.rows[0];
+    res.json({
+      enabled: Boolean(row.totp_enabled_at),
+      enabledAt: row.totp_enabled_at,
+      required: Boolean(row.require_2fa),
+      recoveryCodesRemaining: row.recovery_codes,
+    });
   } catch (error) {
-    res.status(500).json({ message: "Error al obtener tus circulares." });
+    res
+      .status(500)
+      .json({ message: "Error al obtener el estado del segundo factor." });
   }
 });
 
-app.post("/api/circulares/:id/firmar", authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const userId = req.user.userId;
+app.post("/api/2fa/setup", authenticateToken, requireUser, async (req, res) => {
+  const { userId, email } = req.user;
   try {
+    const current = await pool.query(
+      "SELECT totp_enabled_at FROM users WHERE id = $1",
+      [userId]
+    );
+    if (current.rows[0].totp_enabled_at) {
+      return res
+        .status(409)
+        .json({ message: "El segundo factor ya está activado." });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
     await pool.query(
-      "INSERT INTO circulares_firmas (circular_id, usuario_id) VALUES ($1, $2)",
-      [id, userId]
+      "UPDATE users SET totp_pending_secret = $1 WHERE id = $2",
+      [cifrarSecreto(secret), userId]
     );
-    res.status(201).json({ message: "Circular firmada con éxito." });
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(
+      TOTP_ISSUER
+    )}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    res.json({ secret, otpauthUrl, qrCode });
   } catch (error) {
-    if (error.code === "23505") {
-      return res.status(409).json({ message: "Ya has firmado esta circular." });
-    }
-    res.status(500).json({ message: "Error al firmar la circular." });
+    console.error("Error al iniciar el alta del segundo factor:", error);
+    res
+      .status(500)
+      .json({ message: "Error al iniciar el alta del segundo factor." });
   }
 });
 
-// --- Lógica para Supervisores/Admins ---
-app.get(
-  "/api/circulares/:id/firmas",
+app.post(
+  "/api/2fa/enable",
   authenticateToken,
-  authorize(["SUPERVISOR", "ADMINISTRADOR"]),
+  requireUser,
   async (req, res) => {
-    const { id } = req.params;
+    const { code } = req.body;
+    const { userId } = req.user;
+    if (!code) {
+      return res
+        .status(400)
+        .json({ message: "El código de verificación es obligatorio." });
+    }
     try {
-      const quienesFirmaron = await pool.query(
-        `
-            SELECT u.full_name, u.codigo, cf.fecha_firma
-            FROM circulares_firmas cf
-            JOIN users u ON cf.usuario_id = u.id
-            WHERE cf.circular_id = $1
-            ORDER BY cf.fecha_firma
-        `,
-        [id]
+      const result = await pool.query(
+        "SELECT totp_pending_secret, totp_enabled_at FROM users WHERE id = $1",
+        [userId]
       );
+      const user = result.rows[0];
+      if (user.totp_enabled_at) {
+        return res
+          .status(409)
+          .json({ message: "El segundo factor ya está activado." });
+      }
+      if (!user.totp_pending_secret) {
+        return res.status(400).json({
+          message: "Primero debes iniciar el alta del segundo factor.",
+        });
+      }
 
-      const todosLosVendedores = await pool.query(
-        "SELECT id, full_name, codigo FROM users WHERE role = 'VENDEDOR'"
+      const step = verificarCodigoTotp(
+        descifrarSecreto(user.totp_pending_secret),
+        code
       );
+      if (step === null) {
+        return res
+          .status(400)
+          .json({ message: "El código de verificación es incorrecto." });
+      }
 
-      const firmaronIds = quienesFirmaron.rows.map((u) => u.id);
-      const faltanFirmar = todosLosVendedores.rows.filter(
-        (vendedor) => !firmaronIds.includes(vendedor.id)
+      await pool.query(
+        `UPDATE users
+       SET totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+           totp_enabled_at = NOW(), totp_last_step = $1
+       WHERE id = $2`,
+        [step, userId]
       );
-
-      res.json({
-        firmaron: quienesFirmaron.rows,
-        faltan: faltanFirmar,
+      const recoveryCodes = await generarCodigosRecuperacion(userId);
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: userId,
+        accion: "activar_2fa",
       });
+      res.json({ recoveryCodes });
     } catch (error) {
-      res
-        .status(500)
-        .json({ message: "Error al obtener el estado de las firmas." });
+      console.error("Error al activar el segundo factor:", error);
+      res.status(500).json({ message: "Error al activar el segundo factor." });
     }
   }
 );
 
-// --- GESTIÓN DE USUARIOS ---
-app.get(
-  "/api/users",
+app.post(
+  "/api/2fa/disable",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  requireUser,
   async (req, res) => {
+    const { password, code } = req.body;
+    const { userId } = req.user;
+    if (!password || !code) {
+      return res.status(400).json({
+        message: "La contraseña y el código de verificación son obligatorios.",
+      });
+    }
     try {
       const result = await pool.query(
-        "SELECT id, full_name, email, codigo, role FROM users ORDER BY full_name"
+        `SELECT u.*, r.require_2fa FROM users u
+       LEFT JOIN roles r ON r.name = u.role
+       WHERE u.id = $1`,
+        [userId]
       );
-      res.json(result.rows);
+      const user = result.rows[0];
+      if (!user.totp_enabled_at) {
+        return res
+          .status(409)
+          .json({ message: "El segundo factor no está activado." });
+      }
+      if (user.require_2fa) {
+        return res.status(409).json({
+          message: "Tu rol requiere segundo factor; no puedes desactivarlo.",
+        });
+      }
+      const isPasswordValid = await bcrypt.compare(
+        password,
+        user.password_hash
+      );
+      if (!isPasswordValid || !(await consumirCodigoTotp(user, code))) {
+        return res
+          .status(401)
+          .json({ message: "La contraseña o el código son incorrectos." });
+      }
+
+      await quitarSegundoFactor(userId);
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: userId,
+        accion: "desactivar_2fa",
+      });
+      res.status(204).send();
     } catch (error) {
-      res.status(500).json({ message: "Error al obtener usuarios." });
+      console.error("Error al desactivar el segundo factor:", error);
+      res
+        .status(500)
+        .json({ message: "Error al desactivar el segundo factor." });
     }
   }
 );
 
 app.post(
-  "/api/users",
+  "/api/2fa/recovery-codes",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  requireUser,
   async (req, res) => {
-    const { full_name, email, password, codigo, role } = req.body;
-    if (!full_name || !email || !password || !role) {
+    const { code } = req.body;
+    const { userId } = req.user;
+    if (!code) {
       return res
         .status(400)
-        .json({ message: "Todos los campos son obligatorios." });
+        .json({ message: "El código de verificación es obligatorio." });
     }
     try {
-      const salt = await bcrypt.genSalt(10);
-      const password_hash = await bcrypt.hash(password, salt);
-      const newUser = await pool.query(
-        "INSERT INTO users (full_name, email, password_hash, codigo, role) VALUES ($1, $2, $3, $4, $5) RETURNING id, full_name, email, codigo, role",
-        [full_name, email.toLowerCase(), password_hash, codigo, role]
-      );
-      res.status(201).json(newUser.rows[0]);
-    } catch (error) {
-      if (error.code === "23505") {
+      const result = await pool.query("SELECT * FROM users WHERE id = $1", [
+        userId,
+      ]);
+      const user = result.rows[0];
+      if (!user.totp_enabled_at) {
         return res
           .status(409)
-          .json({ message: "El correo electrónico o el código ya existen." });
+          .json({ message: "El segundo factor no está activado." });
       }
-      res.status(500).json({ message: "Error al crear el usuario." });
-    }
-  }
-);
-
-app.put(
-  "/api/users/:id",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    const { full_name, email, codigo, role } = req.body;
-    try {
-      const updatedUser = await pool.query(
-        "UPDATE users SET full_name = $1, email = $2, codigo = $3, role = $4 WHERE id = $5 RETURNING id, full_name, email, codigo, role",
-        [full_name, email.toLowerCase(), codigo, role, id]
-      );
-      if (updatedUser.rows.length === 0) {
-        return res.status(404).json({ message: "Usuario no encontrado." });
+      if (!(await consumirCodigoTotp(user, code))) {
+        return res
+          .status(401)
+          .json({ message: "El código de verificación es incorrecto." });
       }
-      res.json(updatedUser.rows[0]);
-    } catch (error) {
-      res.status(500).json({ message: "Error al actualizar el usuario." });
-    }
-  }
-);
-
-app.delete(
-  "/api/users/:id",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    try {
-      await pool.query("DELETE FROM users WHERE id = $1", [id]);
-      res.status(204).send();
+      const recoveryCodes = await generarCodigosRecuperacion(userId);
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: userId,
+        accion: "regenerar_codigos_2fa",
+      });
+      res.json({ recoveryCodes });
     } catch (error) {
-      res.status(500).json({ message: "Error al eliminar el usuario." });
+      console.error("Error al regenerar los códigos de recuperación:", error);
+      res
+        .status(500)
+        .json({ message: "Error al regenerar los códigos de recuperación." });
     }
   }
 );
 
-// Endpoint para selector de usuarios
+// Fichas con comentarios sin leer, para los avisos del frontend.
 app.get(
-  "/api/vendedores",
+  "/api/me/comments/unread",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "SUPERVISOR", "AUDITOR"]),
+  requireUser,
+  authorize("affiliation.read"),
   async (req, res) => {
+    const { userId, permissions } = req.user;
     try {
+      const equipoIds = permissions.has("affiliation.read_all")
+        ? await obtenerIdsEquipo(req.user)
+        : [userId];
       const result = await pool.query(
-        "SELECT id, full_name, codigo FROM users WHERE role = 'VENDEDOR' ORDER BY full_name"
+        `SELECT c.affiliation_id, a.titular_nombre, a.status,
+                COUNT(*)::int as no_leidos, MAX(c.creado_en) as ultimo_comentario
+         FROM afiliacion_comentarios c
+         JOIN affiliations a ON c.affiliation_id = a.id
+         LEFT JOIN afiliacion_comentarios_lecturas l
+           ON l.affiliation_id = c.affiliation_id AND l.user_id = $1
+         WHERE c.user_id IS DISTINCT FROM $1
+           AND c.id > COALESCE(l.ultimo_leido_id, 0)
+           AND ($2::int[] IS NULL OR a.user_id = ANY($2::int[]))
+         GROUP BY c.affiliation_id, a.titular_nombre, a.status
+         ORDER BY ultimo_comentario DESC`,
+        [userId, equipoIds]
       );
       res.json(result.rows);
     } catch (error) {
+      console.error("Error al obtener comentarios sin leer:", error);
       res
         .status(500)
-        .json({ message: "Error al obtener la lista de vendedores." });
+        .json({ message: "Error al obtener comentarios sin leer." });
     }
   }
 );
 
-// --- API para PERÍODOS ---
+app.get("/api/me/permissions", authenticateToken, (req, res) => {
+  res.json({
+    role: req.user.role,
+    apiKeyId: req.user.apiKeyId || null,
+    permissions: [...req.user.permissions].sort(),
+  });
+});
+
+// --- ABM de Circulares ---
 app.get(
-  "/api/periodos",
+  "/api/circulares",
   authenticateToken,
-  authorize(["VENDEDOR", "SUPERVISOR", "GERENTE", "ADMINISTRADOR"]),
+  authorize("circular.read"),
   async (req, res) => {
     try {
       const result = await pool.query(
-        "SELECT * FROM periodos ORDER BY fecha_inicio DESC"
+        "SELECT c.*, u.full_name as creado_por_nombre FROM circulares c JOIN users u ON c.creado_por_id = u.id ORDER BY c.fecha_creacion DESC"
       );
       res.json(result.rows);
     } catch (error) {
-      res.status(500).json({ message: "Error al obtener períodos." });
+      res.status(500).json({ message: "Error al obtener circulares." });
     }
   }
 );
 
 app.post(
-  "/api/periodos",
+  "/api/circulares",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  requireUser,
+  authorize("circular.write"),
   async (req, res) => {
-    const { nombre, fecha_inicio, fecha_fin, dias_habiles } = req.body;
+    const { titulo, contenido } = req.body;
+    const userId = req.user.userId;
+    if (!titulo || !contenido)
+      return res
+        .status(400)
+        .json({ message: "El título y el contenido son obligatorios." });
     try {
-      const result = await pool.query(
-        "INSERT INTO periodos (nombre, fecha_inicio, fecha_fin, dias_habiles) VALUES ($1, $2, $3, $4) RETURNING *",
-        [nombre, fecha_inicio, fecha_fin, dias_habiles]
+      const newCircular = await pool.query(
+        "INSERT INTO circulares (titulo, contenido, creado_por_id) VALUES ($1, $2, $3) RETURNING *",
+        [titulo, contenido, userId]
       );
-      res.status(201).json(result.rows[0]);
+      await registrarAuditoria(req, {
+        entidad: "circular",
+        entidadId: newCircular.rows[0].id,
+        accion: "crear",
+        despues: newCircular.rows[0],
+      });
+      res.status(201).json(newCircular.rows[0]);
     } catch (error) {
-      res.status(500).json({ message: "Error al crear el período." });
+      res.status(500).json({ message: "Error al crear la circular." });
     }
   }
 );
 
-// --- API para OBJETIVOS ---
-app.get(
-  "/api/objetivos",
+app.put(
+  "/api/circulares/:id",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  authorize("circular.write"),
   async (req, res) => {
-    const { periodo_id } = req.query;
-    if (!periodo_id)
-      return res.status(400).json({ message: "Se requiere un ID de período." });
+    const { id } = req.params;
+    const { titulo, contenido, activa } = req.body;
     try {
-      const result = await pool.query(
-        `SELECT 
-        u.id as vendedor_id, 
-        u.full_name, 
-        u.codigo, 
-        o.objetivo_monto 
-       FROM users u
-       LEFT JOIN objetivos_vendedores o ON u.id = o.vendedor_id AND o.periodo_id = $1
-       WHERE u.role = 'VENDEDOR' ORDER BY u.full_name`,
-        [periodo_id]
+      const antes = await obtenerFila("circulares", id);
+      const updatedCircular = await pool.query(
+        "UPDATE circulares SET titulo = $1, contenido = $2, activa = $3 WHERE id = $4 RETURNING *",
+        [titulo, contenido, activa, id]
       );
-      res.json(result.rows);
+      await registrarAuditoria(req, {
+        entidad: "circular",
+        entidadId: id,
+        accion: "editar",
+        antes: antes,
+        despues: updatedCircular.rows[0],
+      });
+      res.json(updatedCircular.rows[0]);
     } catch (error) {
-      res.status(500).json({ message: "Error al obtener objetivos." });
+      res.status(500).json({ message: "Error al actualizar la circular." });
     }
   }
 );
 
-app.post(
-  "/api/objetivos",
+// --- Lógica para Vendedores ---
+app.get(
+  "/api/mis-circulares",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  requireUser,
+  authorize("circular.sign"),
   async (req, res) => {
-    const { periodo_id, vendedor_id, objetivo_monto } = req.body;
+    const userId = req.user.userId;
     try {
       const result = await pool.query(
-        `INSERT INTO objetivos_vendedores (periodo_id, vendedor_id, objetivo_monto)
-       VALUES ($1, $2, $3)
-       ON CONFLICT (periodo_id, vendedor_id) 
-       DO UPDATE SET objetivo_monto = EXCLUDED.objetivo_monto
-       RETURNING *`,
-        [periodo_id, vendedor_id, objetivo_monto]
+        `
+            SELECT c.*, u.full_name as creado_por_nombre, cf.fecha_firma 
+            FROM circulares c
+            JOIN users u ON c.creado_por_id = u.id
+            LEFT JOIN circulares_firmas cf ON c.id = cf.circular_id AND cf.usuario_id = $1
+            WHERE c.activa = TRUE
+            ORDER BY c.fecha_creacion DESC
+        `,
+        [userId]
       );
-      res.status(201).json(result.rows[0]);
+      res.json(result.rows);
     } catch (error) {
-      res.status(500).json({ message: "Error al guardar el objetivo." });
+      res.status(500).json({ message: "Error al obtener tus circulares." });
     }
   }
 );
 
-// ==========================================================
-// ===== GESTIÓN DE CUENTAS CORRIENTES DE EMPRESAS =====
-// ==========================================================
-
-// --- 1. API PARA EL ABM DE ACUERDOS (Solo Admins) ---
-app.get(
-  "/api/acuerdos",
+app.post(
+  "/api/circulares/:id/firmar",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  requireUser,
+  authorize("circular.sign"),
   async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.userId;
     try {
-      const result = await pool.query(
-        "SELECT * FROM acuerdos_empresa ORDER BY nombre_empresa"
+      const firma = await pool.query(
+        "INSERT INTO circulares_firmas (circular_id, usuario_id) VALUES ($1, $2) RETURNING *",
+        [id, userId]
       );
-      res.json(result.rows);
+      await registrarAuditoria(req, {
+        entidad: "circular",
+        entidadId: id,
+        accion: "firmar",
+        despues: firma.rows[0],
+      });
+      res.status(201).json({ message: "Circular firmada con éxito." });
     } catch (error) {
-      res.status(500).json({ message: "Error al obtener acuerdos." });
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ message: "Ya has firmado esta circular." });
+      }
+      res.status(500).json({ message: "Error al firmar la circular." });
     }
   }
 );
 
-app.post(
-  "/api/acuerdos",
+// --- Lógica para Supervisores/Admins ---
+app.get(
+  "/api/circulares/:id/firmas",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  authorize("circular.read"),
   async (req, res) => {
-    const { nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago } =
-      req.body;
+    const { id } = req.params;
     try {
-      const result = await pool.query(
-        "INSERT INTO acuerdos_empresa (nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago) VALUES ($1, $2, $3, $4) RETURNING *",
-        [nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago]
+      const equipoIds = await obtenerIdsEquipo(req.user);
+      const quienesFirmaron = await pool.query(
+        `
+            SELECT u.id, u.full_name, u.codigo, cf.fecha_firma
+            FROM circulares_firmas cf
+            JOIN users u ON cf.usuario_id = u.id
+            WHERE cf.circular_id = $1
+              AND ($2::int[] IS NULL OR u.id = ANY($2::int[]))
+            ORDER BY cf.fecha_firma
+        `,
+        [id, equipoIds]
       );
-      res.status(201).json(result.rows[0]);
+
+      const todosLosVendedores = await pool.query(
+        `SELECT id, full_name, codigo FROM users
+         WHERE role = 'VENDEDOR' AND active
+           AND ($1::int[] IS NULL OR id = ANY($1::int[]))`,
+        [equipoIds]
+      );
+
+      const firmaronIds = quienesFirmaron.rows.map((u) => u.id);
+      const faltanFirmar = todosLosVendedores.rows.filter(
+        (vendedor) => !firmaronIds.includes(vendedor.id)
+      );
+
+      res.json({
+        firmaron: quienesFirmaron.rows,
+        faltan: faltanFirmar,
+      });
     } catch (error) {
-      res.status(500).json({ message: "Error al crear el acuerdo." });
+      res
+        .status(500)
+        .json({ message: "Error al obtener el estado de las firmas." });
     }
   }
 );
 
-app.put(
-  "/api/acuerdos/:id",
+// --- GESTIÓN DE USUARIOS ---
+app.get(
+  "/api/users",
   authenticateToken,
-  authorize(["ADMINISTRADOR"]),
+  authorize("user.read"),
   async (req, res) => {
-    const { id } = req.params;
-    const { nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago } =
-      req.body;
     try {
       const result = await pool.query(
-        `UPDATE acuerdos_empresa 
-       SET nombre_empresa = $1, valor_cuota_mensual = $2, dia_pago = $3, modalidad_pago = $4 
-       WHERE id = $5 RETURNING *`,
-        [nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago, id]
+        `SELECT u.id, u.full_name, u.email, u.codigo, u.role, u.must_change_password,
+                u.locked_until, u.active, u.deactivated_at,
+                u.manager_id, m.full_name as manager_name
+         FROM users u
+         LEFT JOIN users m ON u.manager_id = m.id
+         ORDER BY u.full_name`
       );
-      if (result.rows.length === 0) {
-        return res.status(404).json({ message: "Acuerdo no encontrado." });
-      }
-      res.json(result.rows[0]);
+      res.json(result.rows);
     } catch (error) {
-      res.status(500).json({ message: "Error al actualizar el acuerdo." });
+      res.status(500).json({ message: "Error al obtener usuarios." });
     }
   }
 );
 
-// --- 2. API PARA REGISTRAR PAGOS ---
 app.post(
-  "/api/pagos-acuerdos",
+  "/api/users",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "SUPERVISOR"]),
+  authorize("user.write"),
   async (req, res) => {
     const {
-      acuerdo_id,
-      periodo_mes,
-      periodo_anio,
-      fecha_pago_efectivo,
-      monto_abonado,
-      observaciones,
+      full_name,
+      email,
+      password,
+      codigo,
+      role,
+      must_change_password = true,
+      manager_id = null,
     } = req.body;
+    if (!full_name || !email || !password || !role) {
+      return res
+        .status(400)
+        .json({ message: "Todos los campos son obligatorios." });
+    }
+    const errores = validarPassword(password);
+    if (errores.length > 0) {
+      return res
+        .status(400)
+        .json({ message: "La contraseña no es válida.", errores });
+    }
     try {
-      const result = await pool.query(
-        `INSERT INTO pagos_acuerdos (acuerdo_id, periodo_mes, periodo_anio, fecha_pago_efectivo, monto_abonado, observaciones)
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      const managerError = await validarManager(role, manager_id);
+      if (managerError) {
+        return res.status(400).json({ message: managerError });
+      }
+      const salt = await bcrypt.genSalt(10);
+      const password_hash = await bcrypt.hash(password, salt);
+      const newUser = await pool.query(
+        `INSERT INTO users (full_name, email, password_hash, codigo, role, must_change_password, password_changed_at, manager_id)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7)
+         RETURNING id, full_name, email, codigo, role, must_change_password, active, manager_id`,
         [
-          acuerdo_id,
-          periodo_mes,
-          periodo_anio,
-          fecha_pago_efectivo,
-          monto_abonado,
-          observaciones,
+          full_name,
+          email.toLowerCase(),
+          password_hash,
+          codigo,
+          role,
+          must_change_password,
+          manager_id,
         ]
       );
-      res.status(201).json(result.rows[0]);
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: newUser.rows[0].id,
+        accion: "crear",
+        despues: newUser.rows[0],
+      });
+      res.status(201).json(newUser.rows[0]);
     } catch (error) {
       if (error.code === "23505") {
-        // Error de clave única duplicada
-        return res.status(409).json({
-          message:
-            "Ya existe un pago registrado para este acuerdo en este período.",
-        });
+        return res
+          .status(409)
+          .json({ message: "El correo electrónico o el código ya existen." });
       }
-      res.status(500).json({ message: "Error al registrar el pago." });
+      if (error.code === "23503") {
+        return res.status(400).json({ message: "El rol indicado no existe." });
+      }
+      res.status(500).json({ message: "Error al crear el usuario." });
     }
   }
 );
 
-// --- 3. ENDPOINT PRINCIPAL PARA EL CALENDARIO DE PAGOS ---
-app.get(
-  "/api/estado-cuentas-corrientes",
+app.put(
+  "/api/users/:id",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "SUPERVISOR"]),
+  authorize("user.write"),
   async (req, res) => {
+    const { id } = req.params;
+    const { full_name, email, codigo, role, must_change_password, manager_id } =
+      req.body;
+    // Si no se envía manager_id se conserva el responsable actual.
+    const updateManager = manager_id !== undefined;
     try {
-      // Consulta 1: Obtener todos los acuerdos activos
-      const acuerdosResult = await pool.query(
-        "SELECT * FROM acuerdos_empresa WHERE activo = true ORDER BY nombre_empresa"
-      );
-      const acuerdos = acuerdosResult.rows;
-
-      // Consulta 2: Obtener todos los pagos registrados
-      const pagosResult = await pool.query("SELECT * FROM pagos_acuerdos");
-      const pagos = pagosResult.rows;
-
-      const hoy = new Date();
-      const mesesPasados = 24;
-      const mesesFuturos = 3;
-      const meses = [];
-
-      // Generar los meses pasados y el actual
-      for (let i = mesesPasados; i >= 0; i--) {
-        const fecha = new Date(hoy.getFullYear(), hoy.getMonth() - i, 1);
-        meses.push({
-          label: fecha
-            .toLocaleString("es-AR", { month: "short", year: "2-digit" })
-            .toUpperCase(),
-          mes: fecha.getMonth() + 1,
-          anio: fecha.getFullYear(),
-        });
+      const antes = await obtenerFila("users", id);
+      if (!antes) {
+        return res.status(404).json({ message: "Usuario no encontrado." });
       }
-
-      // Generar los meses futuros
-      for (let i = 1; i <= mesesFuturos; i++) {
-        const fecha = new Date(hoy.getFullYear(), hoy.getMonth() + i, 1);
-        meses.push({
-          label: fecha
-            .toLocaleString("es-AR", { month: "short", year: "2-digit" })
-            .toUpperCase(),
-          mes: fecha.getMonth() + 1,
-          anio: fecha.getFullYear(),
-        });
+      if (updateManager) {
+        if (
+          manager_id !== null &&
+          parseInt(manager_id, 10) === parseInt(id, 10)
+        ) {
+          return res.status(400).json({
+            message: "Un usuario no puede ser su propio responsable.",
+          });
+        }
+        const managerError = await validarManager(role, manager_id);
+        if (managerError) {
+          return res.status(400).json({ message: managerError });
+        }
       }
-      // Procesar los datos en Node.js
-      const acuerdosData = acuerdos.map((acuerdo) => {
-        const mesesData = meses.map((mesInfo) => {
-          const pago = pagos.find(
-            (p) =>
-              p.acuerdo_id === acuerdo.id &&
-              p.periodo_mes === mesInfo.mes &&
-              p.periodo_anio === mesInfo.anio
-          );
-
-          if (pago) {
-            return {
-              ...mesInfo,
-              estado: "Pagado",
-              monto: pago.monto_abonado,
-              fecha_pago: pago.fecha_pago_efectivo,
-            };
-          }
-
-          // Calcular fecha de vencimiento si no hay pago
-          let fechaVencimiento;
-          if (acuerdo.modalidad_pago === "Mes Vencido") {
-            fechaVencimiento = new Date(
-              mesInfo.anio,
-              mesInfo.mes,
-              acuerdo.dia_pago
-            ); // mes es 1-12, new Date() es 0-11
-          } else {
-            // Mes en Curso
-            fechaVencimiento = new Date(
-              mesInfo.anio,
-              mesInfo.mes - 1,
-              acuerdo.dia_pago
-            );
-          }
-
-          let estado = "Vigente";
-          if (hoy > fechaVencimiento) {
-            estado = "Vencido";
+      if (role !== antes.role) {
+        if (!(await obtenerRol(role))) {
+          return res
+            .status(400)
+            .json({ message: "El rol indicado no existe." });
+        }
+        // El responsable actual tiene que servir también para el rol nuevo.
+        if (!updateManager) {
+          const managerError = await validarManager(role, antes.manager_id);
+          if (managerError) {
+            return res.status(400).json({
+              message: `${managerError} Indica un nuevo responsable o quítalo.`,
+            });
           }
-
-          return {
-            ...mesInfo,
-            estado: estado,
-            monto: acuerdo.valor_cuota_mensual,
-          };
-        });
-        return { ...acuerdo, meses: mesesData };
-      });
-
-      // Calcular totales de deuda por mes
-      const totalesDeuda = meses.map((mesInfo) => {
-        const total = acuerdosData.reduce((sum, acuerdo) => {
-          const mesData = acuerdo.meses.find(
-            (m) => m.mes === mesInfo.mes && m.anio === mesInfo.anio
-          );
-          return (
-            sum + (mesData.estado === "Vencido" ? parseFloat(mesData.monto) : 0)
-          );
-        }, 0);
-        return { ...mesInfo, total };
-      });
-
-      res.json({
-        acuerdos: acuerdosData,
-        totales_deuda: totalesDeuda,
-        meses_header: meses.map((m) => m.label), // Enviamos solo los labels para la cabecera
+        }
+        const subordinados = await subordinadosIncompatibles(id, role);
+        if (subordinados.length > 0) {
+          return res.status(409).json({
+            message: `El usuario tiene usuarios a cargo que no pueden depender de un ${role}. Reasígnalos antes de cambiarle el rol.`,
+            subordinados,
+          });
+        }
+      }
+      const updatedUser = await pool.query(
+        `UPDATE users
+         SET full_name = $1, email = $2, codigo = $3, role = $4,
+             must_change_password = COALESCE($5, must_change_password),
+             manager_id = CASE WHEN $6 THEN $7::int ELSE manager_id END
+         WHERE id = $8
+         RETURNING id, full_name, email, codigo, role, must_change_password, active, manager_id`,
+        [
+          full_name,
+          email.toLowerCase(),
+          codigo,
+          role,
+          must_change_password,
+          updateManager,
+          manager_id,
+          id,
+        ]
+      );
+      if (updatedUser.rows.length === 0) {
+        return res.status(404).json({ message: "Usuario no encontrado." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "editar",
+        antes: antes,
+        despues: updatedUser.rows[0],
       });
+      res.json(updatedUser.rows[0]);
     } catch (error) {
-      console.error("Error al obtener estado de cuentas corrientes:", error);
-      res
-        .status(500)
-        .json({ message: "Error al obtener estado de cuentas corrientes." });
+      if (error.code === "23503") {
+        return res.status(400).json({ message: "El rol indicado no existe." });
+      }
+      res.status(500).json({ message: "Error al actualizar el usuario." });
     }
   }
 );
 
-// ==========================================================
-// ===== GESTIÓN DE REINTEGROS =====
-// ==========================================================
-
-// --- 1. CREAR UNA NUEVA SOLICITUD DE REINTEGRO ---
-app.post(
-  "/api/reintegros",
+app.delete(
+  "/api/users/:id",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "AUDITOR"]),
+  authorize("user.deactivate"),
   async (req, res) => {
-    const {
-      solicitud_id,
-      tipo_solicitud,
-      certificado_nro,
-      codigo_afiliado,
-      monto_realizado,
-      monto_correcto,
-      observacion,
-      vendedor_nombre,
-    } = req.body;
-
-    const solicitado_por_id = req.user.userId;
-
-    // Validación básica
-    if (
-      !solicitud_id ||
-      !tipo_solicitud ||
-      monto_realizado == null ||
-      monto_correcto == null
-    ) {
-      return res.status(400).json({ message: "Faltan campos obligatorios." });
+    const { id } = req.params;
+    if (parseInt(id, 10) === req.user.userId) {
+      return res
+        .status(400)
+        .json({ message: "No puedes desactivar tu propio usuario." });
     }
-
-    // Cálculo del reintegro
-    const monto_reintegro =
-      parseFloat(monto_correcto) - parseFloat(monto_realizado);
-
     try {
+      // Baja lógica: las fichas, firmas y la performance del usuario
+      // siguen referenciándolo y deben seguir siendo reportables.
       const result = await pool.query(
-        `INSERT INTO reintegros (solicitud_id, tipo_solicitud, certificado_nro, codigo_afiliado, monto_realizado, monto_correcto, monto_reintegro, solicitado_por_id, observacion, vendedor_nombre)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
-        [
-          solicitud_id,
-          tipo_solicitud,
-          certificado_nro,
-          codigo_afiliado,
-          monto_realizado,
-          monto_correcto,
-          monto_reintegro,
-          solicitado_por_id,
-          observacion,
-          vendedor_nombre,
-        ]
+        "UPDATE users SET active = FALSE, deactivated_at = NOW() WHERE id = $1 AND active RETURNING id, active, deactivated_at",
+        [id]
       );
-      res.status(201).json(result.rows[0]);
+      if (result.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ message: "Usuario no encontrado o ya desactivado." });
+      }
+      await pool.query(
+        "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE user_id = $1 AND revocada_en IS NULL",
+        [id]
+      );
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "desactivar",
+        despues: result.rows[0],
+      });
+      res.status(204).send();
     } catch (error) {
-      console.error("Error al crear la solicitud de reintegro:", error);
-      res
-        .status(500)
-        .json({ message: "Error al crear la solicitud de reintegro." });
+      res.status(500).json({ message: "Error al desactivar el usuario." });
     }
   }
 );
 
-// --- 2. LISTAR TODAS LAS SOLICITUDES DE REINTEGRO ---
-app.get(
-  "/api/reintegros",
+app.post(
+  "/api/users/:id/reactivate",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "AUDITOR", "TESORERIA"]),
+  authorize("user.deactivate"),
   async (req, res) => {
+    const { id } = req.params;
     try {
-      const result = await pool.query(`
-        SELECT 
-          r.id,
-          r.tipo_solicitud,
-          r.certificado_nro,
-          r.codigo_afiliado,
-          r.monto_realizado,
-          r.monto_correcto,
-          r.monto_reintegro,
-          r.estado,
-          solicitante.full_name as solicitado_por_nombre,
-          auditor.full_name as auditado_por_nombre,
-          tesorero.full_name as abonado_por_nombre
-        FROM reintegros r
-        LEFT JOIN users solicitante ON r.solicitado_por_id = solicitante.id
-        LEFT JOIN users auditor ON r.auditado_por_id = auditor.id
-        LEFT JOIN users tesorero ON r.abonado_por_id = tesorero.id
-        ORDER BY r.solicitado_en DESC
-      `);
-      res.json(result.rows);
+      const result = await pool.query(
+        `UPDATE users SET active = TRUE, deactivated_at = NULL
+         WHERE id = $1
+         RETURNING id, full_name, email, codigo, role, must_change_password, active, manager_id`,
+        [id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Usuario no encontrado." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "reactivar",
+        despues: result.rows[0],
+      });
+      res.json(result.rows[0]);
     } catch (error) {
-      console.error("Error al obtener las solicitudes de reintegro:", error);
-      res
-        .status(500)
-        .json({ message: "Error al obtener las solicitudes de reintegro." });
+      res.status(500).json({ message: "Error al reactivar el usuario." });
     }
   }
 );
 
-// --- 3. VER EL DETALLE DE UNA SOLICITUD ---
-app.get(
-  "/api/reintegros/:id",
+app.post(
+  "/api/users/:id/reset-password",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "AUDITOR", "TESORERIA"]),
+  authorize("user.reset_password"),
   async (req, res) => {
     const { id } = req.params;
+    const temporaryPassword = generarPasswordTemporal();
     try {
+      const salt = await bcrypt.genSalt(10);
+      const password_hash = await bcrypt.hash(temporaryPassword, salt);
       const result = await pool.query(
-        `
-        SELECT 
-          r.*,
-          solicitante.full_name as solicitado_por_nombre,
-          auditor.full_name as auditado_por_nombre,
-          tesorero.full_name as abonado_por_nombre
-        FROM reintegros r
-        LEFT JOIN users solicitante ON r.solicitado_por_id = solicitante.id
-        LEFT JOIN users auditor ON r.auditado_por_id = auditor.id
-        LEFT JOIN users tesorero ON r.abonado_por_id = tesorero.id
-        WHERE r.id = $1
-      `,
-        [id]
+        `UPDATE users
+         SET password_hash = $1, must_change_password = TRUE, password_changed_at = NOW(),
+             failed_login_count = 0, locked_until = NULL
+         WHERE id = $2 RETURNING id`,
+        [password_hash, id]
       );
-
       if (result.rows.length === 0) {
-        return res.status(404).json({ message: "Solicitud no encontrada." });
+        return res.status(404).json({ message: "Usuario no encontrado." });
       }
-      const fotosResult = await pool.query(
-        "SELECT id, public_id, descripcion, fecha_subida FROM reintegro_fotos WHERE reintegro_id = $1 ORDER BY fecha_subida DESC",
+      await pool.query(
+        "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE user_id = $1 AND revocada_en IS NULL",
         [id]
       );
-
-      const fotosConUrlSegura = fotosResult.rows.map((foto) => {
-        const urlFirmada = cloudinary.url(foto.public_id, {
-          type: "authenticated",
-          sign_url: true,
-          expires_at: Math.floor(Date.now() / 1000) + 3600,
-        });
-        return { ...foto, url_segura: urlFirmada };
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "blanquear_password",
       });
-      const reintegroDetails = {
-        ...result.rows[0],
-        fotos: fotosConUrlSegura,
-      };
-      res.json(reintegroDetails);
+      res.json({ temporaryPassword });
     } catch (error) {
-      console.error("Error al obtener el detalle del reintegro:", error);
-      res
-        .status(500)
-        .json({ message: "Error al obtener el detalle del reintegro." });
+      console.error("Error al blanquear la contraseña:", error);
+      res.status(500).json({ message: "Error al blanquear la contraseña." });
     }
   }
 );
 
-// --- 4. AUDITAR UNA SOLICITUD (Autorizar/Rechazar) ---
-app.put(
-  "/api/reintegros/:id/auditar",
+app.post(
+  "/api/users/:id/unlock",
   authenticateToken,
-  authorize(["AUDITOR"]),
+  authorize("user.unlock"),
   async (req, res) => {
     const { id } = req.params;
-    const { nuevo_estado, motivo_rechazo } = req.body;
-    const auditado_por_id = req.user.userId;
-
-    if (!["Autorizado", "Rechazado"].includes(nuevo_estado)) {
-      return res
-        .status(400)
-        .json({ message: "Estado de auditoría no válido." });
-    }
-    if (nuevo_estado === "Rechazado" && !motivo_rechazo) {
-      return res
-        .status(400)
-        .json({ message: "El motivo del rechazo es obligatorio." });
-    }
-
     try {
-      const current = await pool.query(
-        "SELECT estado FROM reintegros WHERE id = $1",
+      const result = await pool.query(
+        "UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1 RETURNING id, full_name, email, locked_until",
         [id]
       );
-      if (current.rows[0].estado !== "Solicitado") {
-        return res
-          .status(409)
-          .json({ message: "Esta solicitud ya ha sido auditada." });
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Usuario no encontrado." });
       }
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "desbloquear",
+        despues: result.rows[0],
+      });
+      res.json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al desbloquear el usuario." });
+    }
+  }
+);
 
+app.post(
+  "/api/users/:id/revoke-sessions",
+  authenticateToken,
+  authorize("user.revoke_sessions"),
+  async (req, res) => {
+    const id = parsearIdRuta(req.params.id);
+    if (id === null) {
+      return res
+        .status(400)
+        .json({ message: "El identificador del usuario no es válido." });
+    }
+    try {
       const result = await pool.query(
-        `UPDATE reintegros SET 
-          estado = $1, 
-          auditado_por_id = $2, 
-          auditado_en = NOW(), 
-          motivo_rechazo = $3
-         WHERE id = $4 RETURNING *`,
-        [nuevo_estado, auditado_por_id, motivo_rechazo, id]
+        "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE user_id = $1 AND revocada_en IS NULL",
+        [id]
       );
-      res.json(result.rows[0]);
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "revocar_sesiones",
+        despues: { sesionesRevocadas: result.rowCount },
+      });
+      res.json({ sesionesRevocadas: result.rowCount });
     } catch (error) {
-      console.error("Error al auditar la solicitud:", error);
-      res.status(500).json({ message: "Error al auditar la solicitud." });
+      res.status(500).json({ message: "Error al revocar las sesiones." });
     }
   }
 );
 
-// --- 5. MARCAR UNA SOLICITUD COMO ABONADA ---
-app.put(
-  "/api/reintegros/:id/abonar",
+app.delete(
+  "/api/users/:id/2fa",
   authenticateToken,
-  authorize(["TESORERIA"]),
+  authorize("user.reset_2fa"),
   async (req, res) => {
     const { id } = req.params;
-    const abonado_por_id = req.user.userId;
-
     try {
-      const current = await pool.query(
-        "SELECT estado FROM reintegros WHERE id = $1",
+      const result = await pool.query(
+        "SELECT id, totp_enabled_at FROM users WHERE id = $1",
         [id]
       );
-      if (current.rows[0].estado !== "Autorizado") {
-        return res.status(409).json({
-          message: "Esta solicitud no está autorizada para ser abonada.",
-        });
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Usuario no encontrado." });
       }
-
-      const result = await pool.query(
-        `UPDATE reintegros SET 
-          estado = 'Abonado', 
-          abonado_por_id = $1, 
-          abonado_en = NOW()
-         WHERE id = $2 RETURNING *`,
-        [abonado_por_id, id]
+      await quitarSegundoFactor(id);
+      await pool.query(
+        "UPDATE sesiones_usuario SET revocada_en = NOW() WHERE user_id = $1 AND revocada_en IS NULL",
+        [id]
       );
-      res.json(result.rows[0]);
+      await registrarAuditoria(req, {
+        entidad: "usuario",
+        entidadId: id,
+        accion: "quitar_2fa",
+        antes: { totp_enabled_at: result.rows[0].totp_enabled_at },
+      });
+      res.status(204).send();
     } catch (error) {
-      console.error("Error al abonar la solicitud:", error);
-      res.status(500).json({ message: "Error al abonar la solicitud." });
+      console.error("Error al quitar el segundo factor:", error);
+      res.status(500).json({ message: "Error al quitar el segundo factor." });
     }
   }
 );
 
-// --- ENDPOINT PARA SUBIR FOTOS A UNA SOLICITUD DE REINTEGRO ---
+// Importación y exportación de usuarios por CSV
 app.post(
-  "/api/reintegros/:id/fotos",
+  "/api/users/import",
   authenticateToken,
-  authorize(["ADMINISTRADOR", "GERENTE", "AUDITOR"]), // Roles que pueden crear reintegros
-  upload.single("foto"),
+  authorize("user.write"),
+  upload.single("archivo"),
   async (req, res) => {
-    const { id } = req.params;
-    const { descripcion } = req.body;
+    // Por defecto sólo se valida; hay que pedir dryRun=false para crear.
+    const dryRun = req.query.dryRun !== "false";
 
     if (!req.file) {
       return res
@@ -959,1159 +1551,7066 @@ app.post(
         .json({ message: "No se ha subido ningún archivo." });
     }
 
+    let registros;
     try {
-      // Subida a Cloudinary
-      const uploadResult = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: `reintegros/${id}`, // Carpeta específica para reintegros
-            public_id: `${Date.now()}`,
-            type: "authenticated", // Mantenemos la seguridad
-          },
-          (error, result) => {
-            if (error) return reject(error);
-            resolve(result);
-          }
-        );
-        uploadStream.end(req.file.buffer);
+      registros = parseCsv(req.file.buffer, {
+        bom: true,
+        columns: (header) => header.map((col) => col.trim().toLowerCase()),
+        skip_empty_lines: true,
+        trim: true,
+      });
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ message: `El archivo CSV no es válido: ${error.message}` });
+    }
+
+    if (registros.length === 0) {
+      return res.status(400).json({ message: "El archivo no tiene filas." });
+    }
+    if (registros.length > USER_IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        message: `El archivo supera el máximo de ${USER_IMPORT_MAX_ROWS} filas.`,
       });
+    }
+    const faltantes = USER_IMPORT_COLUMNS.filter(
+      (col) => !(col in registros[0])
+    );
+    if (faltantes.length > 0) {
+      return res.status(400).json({
+        message: `Faltan columnas en el archivo: ${faltantes.join(", ")}.`,
+      });
+    }
 
-      const { public_id } = uploadResult;
+    try {
+      const filas = await validarFilasImportacion(registros);
+      const validas = filas.filter((f) => f.errores.length === 0);
+      const resumen = {
+        dryRun,
+        total: filas.length,
+        validas: validas.length,
+        conErrores: filas.length - validas.length,
+      };
 
-      // Guardar en la nueva tabla 'reintegro_fotos'
-      const newFoto = await pool.query(
-        "INSERT INTO reintegro_fotos (reintegro_id, public_id, descripcion) VALUES ($1, $2, $3) RETURNING *",
-        [id, public_id, descripcion]
-      );
+      if (dryRun) {
+        return res.json({ ...resumen, filas });
+      }
+      if (validas.length === 0) {
+        return res.status(400).json({
+          message: "No hay filas válidas para importar.",
+          ...resumen,
+          filas,
+        });
+      }
 
-      res.status(201).json(newFoto.rows[0]);
+      const client = await pool.connect();
+      const creados = [];
+      try {
+        await client.query("BEGIN");
+        for (const fila of validas) {
+          const temporaryPassword = generarPasswordTemporal();
+          const salt = await bcrypt.genSalt(10);
+          const password_hash = await bcrypt.hash(temporaryPassword, salt);
+          const result = await client.query(
+            `INSERT INTO users (full_name, email, password_hash, codigo, role, must_change_password, password_changed_at)
+             VALUES ($1, $2, $3, $4, $5, TRUE, NOW())
+             RETURNING id, full_name, email, codigo, role`,
+            [fila.full_name, fila.email, password_hash, fila.codigo, fila.role]
+          );
+          creados.push({ ...result.rows[0], temporaryPassword });
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        if (error.code === "23505") {
+          return res.status(409).json({
+            message:
+              "Otro usuario con el mismo correo o código se creó durante la importación. No se importó ninguna fila.",
+          });
+        }
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      for (const creado of creados) {
+        const { temporaryPassword, ...usuario } = creado;
+        await registrarAuditoria(req, {
+          entidad: "usuario",
+          entidadId: usuario.id,
+          accion: "importar",
+          despues: usuario,
+        });
+      }
+
+      res.status(201).json({
+        ...resumen,
+        creados,
+        errores: filas.filter((f) => f.errores.length > 0),
+      });
     } catch (error) {
-      console.error("Error al subir la foto del reintegro:", error);
-      res.status(500).json({ message: "Error interno al subir la foto." });
+      console.error("Error al importar usuarios:", error);
+      res.status(500).json({ message: "Error al importar usuarios." });
     }
   }
 );
 
-// ==========================================================
-
-// --- GESTIÓN DE AFILIACIONES ---
-
-app.post(
-  "/api/submit-ficha",
+app.get(
+  "/api/users/export",
   authenticateToken,
-  authorize(["VENDEDOR", "SUPERVISOR", "ADMINISTRADOR"]),
+  authorize("user.read"),
   async (req, res) => {
-    const { formData, latitud, longitud, accion } = req.body;
-
-    const status = accion === "finalizar" ? "Presentado" : "Abierto";
-
-    const { latitudDomicilio, longitudDomicilio } = formData;
-    const userId = req.user.userId;
-    const titular_nombre = `${formData.apellidoTitular || ""}, ${
-      formData.nombreTitular || ""
-    }`;
-
     try {
       const result = await pool.query(
-        `INSERT INTO affiliations (
-            user_id, form_data, titular_nombre, titular_dni, plan, 
-            latitud, longitud, 
-            domicilio_latitud, domicilio_longitud,
-            status 
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
-        [
-          userId,
-          formData,
-          titular_nombre,
-          formData.dniTitular,
-          formData.plan,
-          latitud,
-          longitud,
-          latitudDomicilio,
-          longitudDomicilio,
-          status,
-        ]
+        `SELECT u.id, u.full_name, u.email, u.codigo, u.role, u.active,
+                m.codigo as manager_codigo, m.full_name as manager_name
+         FROM users u
+         LEFT JOIN users m ON u.manager_id = m.id
+         ORDER BY u.full_name`
       );
-
-      res.status(201).json(result.rows[0]);
+      const columnas = [
+        "id",
+        "full_name",
+        "email",
+        "codigo",
+        "role",
+        "active",
+        "manager_codigo",
+        "manager_name",
+      ];
+      const lineas = [
+        filaCsv(columnas),
+        ...result.rows.map((row) => filaCsv(columnas.map((col) => row[col]))),
+      ];
+
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", "attachment; filename=usuarios.csv");
+      // El BOM hace que Excel abra el archivo como UTF-8.
+      res.send("\uFEFF" + lineas.join("\r\n") + "\r\n");
     } catch (error) {
-      console.error("Error al guardar la ficha:", error);
-      res.status(500).json({ message: "Error al guardar la ficha." });
+      console.error("Error al exportar usuarios:", error);
+      res.status(500).json({ message: "Error al exportar usuarios." });
     }
   }
 );
 
-// ENDPOINT PARA EDITAR FICHAS
-app.put(
-  "/api/affiliations/:id",
+// Historial de intentos de login
+app.get(
+  "/api/login-attempts",
   authenticateToken,
-  authorize(["VENDEDOR", "SUPERVISOR", "ADMINISTRADOR"]),
+  authorize("login_attempt.read"),
   async (req, res) => {
-    const { id } = req.params;
-    const { formData, accion } = req.body;
-    const { userId } = req.user;
-
-    const titular_nombre = `${formData.apellidoTitular || ""}, ${
-      formData.nombreTitular || ""
-    }`;
-    const titular_dni = formData.dniTitular || null;
-    const plan = formData.plan || null;
+    const {
+      page = 1,
+      rowsPerPage = 50,
+      email,
+      userId,
+      ip,
+      exito,
+      desde,
+      hasta,
+    } = req.query;
 
     try {
-      const currentResult = await pool.query(
-        "SELECT status, user_id FROM affiliations WHERE id = $1",
-        [id]
-      );
+      const whereClauses = [];
+      const params = [];
+      let paramCounter = 1;
 
-      if (currentResult.rows.length === 0) {
-        return res.status(404).json({ message: "Afiliación no encontrada." });
+      if (email) {
+        whereClauses.push(`il.email ILIKE $${paramCounter++}`);
+        params.push(`%${email}%`);
       }
-
-      const currentAffiliation = currentResult.rows[0];
-
-      if (!["Abierto", "Observado"].includes(currentAffiliation.status)) {
-        return res.status(409).json({
-          message: "Esta ficha ya fue presentada y no puede ser modificada.",
-        });
+      if (userId) {
+        whereClauses.push(`il.user_id = $${paramCounter++}`);
+        params.push(userId);
       }
-
-      if (currentAffiliation.user_id !== userId) {
-        return res.status(403).json({
-          message: "Acceso denegado: No tienes permiso para editar esta ficha.",
-        });
+      if (ip) {
+        whereClauses.push(`il.ip = $${paramCounter++}`);
+        params.push(ip);
       }
-
-      let newStatus;
-      if (accion === "finalizar") {
-        newStatus = "Presentado";
-      } else if (accion === "guardar") {
-        newStatus =
-          currentAffiliation.status === "Observado" ? "Observado" : "Abierto";
-      } else {
-        newStatus = currentAffiliation.status;
+      if (exito === "true" || exito === "false") {
+        whereClauses.push(`il.exito = $${paramCounter++}`);
+        params.push(exito === "true");
+      }
+      if (desde) {
+        whereClauses.push(`il.fecha >= $${paramCounter++}`);
+        params.push(desde);
       }
+      if (hasta) {
+        const finalEndDate = new Date(hasta);
+        finalEndDate.setDate(finalEndDate.getDate() + 1);
+        whereClauses.push(`il.fecha < $${paramCounter++}`);
+        params.push(finalEndDate);
+      }
+
+      const whereCondition =
+        whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
 
-      const updatedAffiliation = await pool.query(
-        `UPDATE affiliations 
-         SET form_data = $1, status = $2, titular_nombre = $3, titular_dni = $4, plan = $5 
-         WHERE id = $6 RETURNING *`,
-        [formData, newStatus, titular_nombre, titular_dni, plan, id]
+      const totalResult = await pool.query(
+        `SELECT COUNT(*) FROM intentos_login il ${whereCondition}`,
+        params
       );
 
-      res.json(updatedAffiliation.rows[0]);
+      const result = await pool.query(
+        `SELECT il.*, u.full_name
+         FROM intentos_login il
+         LEFT JOIN users u ON il.user_id = u.id
+         ${whereCondition}
+         ORDER BY il.fecha DESC
+         LIMIT $${paramCounter++} OFFSET $${paramCounter++}`,
+        [...params, rowsPerPage, (page - 1) * rowsPerPage]
+      );
+
+      res.json({
+        rows: result.rows,
+        totalRows: parseInt(totalResult.rows[0].count, 10),
+      });
     } catch (error) {
-      console.error("Error al actualizar la ficha:", error);
-      res.status(500).json({ message: "Error al actualizar la ficha." });
+      console.error("Error al obtener intentos de login:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener los intentos de login." });
     }
   }
 );
 
-app.get("/api/affiliations", authenticateToken, async (req, res) => {
-  const { userId, role } = req.user;
-
-  const { page = 1, rowsPerPage = 20, filter, sortBy, descending } = req.query;
-
-  try {
-    let whereClauses = [];
-    const params = [];
-    let paramCounter = 1;
-
-    if (role === "VENDEDOR") {
-      whereClauses.push(`a.user_id = $${paramCounter++}`);
-      params.push(userId);
+// Endpoint para selector de usuarios
+app.get(
+  "/api/vendedores",
+  authenticateToken,
+  authorize("vendedor.list"),
+  async (req, res) => {
+    try {
+      const equipoIds = await obtenerIdsEquipo(req.user);
+      const result = await pool.query(
+        `SELECT id, full_name, codigo FROM users
+         WHERE role = 'VENDEDOR' AND active
+           AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+         ORDER BY full_name`,
+        [equipoIds]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error al obtener la lista de vendedores." });
     }
+  }
+);
 
-    if (filter) {
-      whereClauses.push(
-        `(a.titular_nombre ILIKE $${paramCounter} OR a.titular_dni ILIKE $${paramCounter} OR a.plan ILIKE $${paramCounter} OR u.full_name ILIKE $${paramCounter})`
+// --- ROLES Y PERMISOS ---
+app.get(
+  "/api/permissions",
+  authenticateToken,
+  authorize("role.manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT action, description FROM permissions ORDER BY action"
       );
-      params.push(`%${filter}%`);
-      paramCounter++;
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error al obtener permisos." });
     }
+  }
+);
 
-    const whereCondition =
-      whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
-
-    const totalResult = await pool.query(
-      `SELECT COUNT(*) FROM affiliations a JOIN users u ON a.user_id = u.id ${whereCondition}`,
-      params
-    );
-    const totalRows = parseInt(totalResult.rows[0].count, 10);
-
-    const offset = (page - 1) * rowsPerPage;
-    const limit = rowsPerPage === "0" ? null : rowsPerPage;
-
-    const orderByMap = {
-      titular_nombre: "a.titular_nombre",
-      plan: "a.plan",
-      total: "CAST(a.form_data ->> 'total' AS NUMERIC)",
-      status: "a.status",
-      vendor_name: "u.full_name",
-      fecha_creacion: "a.fecha_creacion",
-    };
-    const orderByColumn = orderByMap[sortBy] || "a.fecha_creacion";
-    const orderDirection = descending === "true" ? "DESC" : "ASC";
-
-    const finalParams = [...params];
-    if (limit !== null) {
-      finalParams.push(limit);
+app.get(
+  "/api/roles",
+  authenticateToken,
+  authorize("role.manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT r.name, r.description, r.is_system, r.require_2fa,
+                r.team_scoped, r.manager_role,
+                COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+                  FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions,
+                (SELECT COUNT(*) FROM users u WHERE u.role = r.name)::int as user_count
+         FROM roles r
+         LEFT JOIN role_permissions rp ON rp.role = r.name
+         GROUP BY r.name
+         ORDER BY r.name`
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error al obtener roles." });
     }
-    finalParams.push(offset);
+  }
+);
 
-    const query = `
-      SELECT
-        a.id, a.titular_nombre, a.titular_dni, a.plan, a.status, a.fecha_creacion,
-        a.observacion_motivo,
-        a.form_data ->> 'total' as total,
-        u.full_name as vendor_name
-      FROM affiliations a
-      JOIN users u ON a.user_id = u.id
-      ${whereCondition}
-      ORDER BY ${orderByColumn} ${orderDirection}
-      ${limit !== null ? `LIMIT $${paramCounter++}` : ""}
-      OFFSET $${paramCounter++}
-    `;
-
-    const result = await pool.query(query, finalParams);
-
-    res.json({
-      rows: result.rows,
-      totalRows: totalRows,
-    });
-  } catch (error) {
-    console.error("Error al obtener afiliaciones:", error);
-    res.status(500).json({ message: "Error al obtener afiliaciones." });
-  }
-});
-
-app.get("/api/affiliations/:id", authenticateToken, async (req, res) => {
-  const { id } = req.params;
-  const { userId, role } = req.user;
-
-  try {
-    let query = `
-          SELECT 
-              a.*, 
-              a.observacion_motivo,
-              creator.full_name as creator_user_name,
-              creator.codigo as creator_user_codigo,
-              status_changer.full_name as status_change_user_name 
-          FROM affiliations a
-          JOIN users creator ON a.user_id = creator.id
-          LEFT JOIN users status_changer ON a.status_change_user_id = status_changer.id
-          WHERE a.id = $1
-      `;
-    const params = [id];
-
-    if (role === "VENDEDOR") {
-      query += " AND a.user_id = $2";
-      params.push(userId);
+app.post(
+  "/api/roles",
+  authenticateToken,
+  authorize("role.manage"),
+  async (req, res) => {
+    const {
+      name,
+      description,
+      permissions = [],
+      require_2fa = false,
+      team_scoped = false,
+      manager_role = null,
+    } = req.body;
+    if (!name || !Array.isArray(permissions)) {
+      return res.status(400).json({
+        message: "El nombre del rol y la lista de permisos son obligatorios.",
+      });
     }
-
-    const result = await pool.query(query, params);
-
-    if (result.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ message: "Afiliación no encontrada o sin permiso." });
+    const roleName = name.trim().toUpperCase();
+    const managerRoleError = await validarRolResponsable(manager_role);
+    if (managerRoleError) {
+      return res.status(400).json({ message: managerRoleError });
     }
-
-    const dbRow = result.rows[0];
-
-    const fotosResult = await pool.query(
-      "SELECT id, public_id, descripcion, fecha_subida FROM afiliacion_fotos WHERE afiliacion_id = $1 ORDER BY fecha_subida DESC",
-      [id]
-    );
-
-    const fotosConUrlSegura = fotosResult.rows.map((foto) => {
-      const urlFirmada = cloudinary.url(foto.public_id, {
-        type: "authenticated",
-        sign_url: true,
-        expires_at: Math.floor(Date.now() / 1000) + 3600,
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      await client.query(
+        `INSERT INTO roles (name, description, require_2fa, team_scoped, manager_role)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [roleName, description, require_2fa, team_scoped, manager_role]
+      );
+      await guardarPermisosRol(client, roleName, permissions);
+      await client.query("COMMIT");
+      invalidarCachePermisos();
+      await registrarAuditoria(req, {
+        entidad: "rol",
+        entidadId: roleName,
+        accion: "crear",
+        despues: {
+          name: roleName,
+          description,
+          team_scoped,
+          manager_role,
+          permissions,
+        },
       });
-      return {
-        ...foto,
-        url_segura: urlFirmada,
-      };
-    });
 
-    let planDetails = { titulo: null };
-    if (dbRow.form_data && dbRow.form_data.plan) {
-      const planValue = dbRow.form_data.plan;
-      const planResult = await pool.query(
-        "SELECT titulo FROM planes WHERE value = $1",
-        [planValue]
-      );
-      if (planResult.rows.length > 0) {
-        planDetails = planResult.rows[0];
+      res.status(201).json({
+        name: roleName,
+        description,
+        require_2fa,
+        team_scoped,
+        manager_role,
+        permissions,
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.code === "23505") {
+        return res.status(409).json({ message: "El rol ya existe." });
       }
+      if (error.code === "23503") {
+        return res
+          .status(400)
+          .json({ message: "Alguno de los permisos indicados no existe." });
+      }
+      console.error("Error al crear el rol:", error);
+      res.status(500).json({ message: "Error al crear el rol." });
+    } finally {
+      client.release();
     }
-
-    const affiliationDetails = {
-      ...dbRow.form_data,
-
-      id: dbRow.id,
-      latitud: dbRow.latitud,
-      longitud: dbRow.longitud,
-      domicilio_latitud: dbRow.domicilio_latitud,
-      domicilio_longitud: dbRow.domicilio_longitud,
-      status: dbRow.status,
-      statusChangeTimestamp: dbRow.status_change_timestamp,
-      statusChangeUserName: dbRow.status_change_user_name,
-      rechazoMotivo: dbRow.rechazo_motivo,
-      observacionMotivo: dbRow.observacion_motivo,
-      creatorUserName: dbRow.creator_user_name,
-      creatorUserCodigo: dbRow.creator_user_codigo,
-
-      fotos: fotosConUrlSegura,
-      titulo: planDetails.titulo,
-    };
-
-    res.json(affiliationDetails);
-  } catch (error) {
-    console.error("Error al obtener detalle de la afiliación:", error);
-    res.status(500).json({ message: "Error interno del servidor." });
   }
-});
+);
 
 app.put(
-  "/api/affiliations/:id/status",
+  "/api/roles/:name",
   authenticateToken,
-  authorize(["SUPERVISOR", "ADMINISTRADOR"]),
+  authorize("role.manage"),
   async (req, res) => {
-    const { id } = req.params;
-    const { newStatus, motivo } = req.body;
-    const changingUserId = req.user.userId;
-
-    if (!["Aprobado", "Rechazado", "Observado"].includes(newStatus)) {
-      return res.status(400).json({ message: "Estado no válido." });
-    }
-    if (
-      (newStatus === "Rechazado" || newStatus === "Observado") &&
-      (!motivo || motivo.trim() === "")
-    ) {
+    const { name } = req.params;
+    const { description, permissions, require_2fa, team_scoped, manager_role } =
+      req.body;
+    if (!Array.isArray(permissions)) {
       return res
         .status(400)
-        .json({ message: "El motivo es obligatorio para esta acción." });
+        .json({ message: "La lista de permisos es obligatoria." });
+    }
+    // Evita que un administrador se quite a sí mismo la gestión de roles.
+    if (name === req.user.role && !permissions.includes("role.manage")) {
+      return res.status(400).json({
+        message: "No puedes quitar la gestión de roles a tu propio rol.",
+      });
+    }
+    const managerRoleError = await validarRolResponsable(manager_role);
+    if (managerRoleError) {
+      return res.status(400).json({ message: managerRoleError });
     }
+    const antes = await obtenerRol(name);
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      // manager_role sólo cambia si viene en el body; null lo quita.
+      const result = await client.query(
+        `UPDATE roles
+         SET description = $1, require_2fa = COALESCE($2, require_2fa),
+             team_scoped = COALESCE($3, team_scoped),
+             manager_role = CASE WHEN $4 THEN $5 ELSE manager_role END
+         WHERE name = $6
+         RETURNING name, description, is_system, require_2fa, team_scoped, manager_role`,
+        [
+          description,
+          require_2fa,
+          team_scoped,
+          manager_role !== undefined,
+          manager_role,
+          name,
+        ]
+      );
+      if (result.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Rol no encontrado." });
+      }
+      await guardarPermisosRol(client, name, permissions);
+      await client.query("COMMIT");
+      invalidarCachePermisos();
+      await registrarAuditoria(req, {
+        entidad: "rol",
+        entidadId: name,
+        accion: "editar",
+        antes: antes,
+        despues: { ...result.rows[0], permissions },
+      });
 
-    const finalDbStatus = newStatus;
+      res.json({ ...result.rows[0], permissions });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.code === "23503") {
+        return res
+          .status(400)
+          .json({ message: "Alguno de los permisos indicados no existe." });
+      }
+      console.error("Error al actualizar el rol:", error);
+      res.status(500).json({ message: "Error al actualizar el rol." });
+    } finally {
+      client.release();
+    }
+  }
+);
 
+app.delete(
+  "/api/roles/:name",
+  authenticateToken,
+  authorize("role.manage"),
+  async (req, res) => {
+    const { name } = req.params;
     try {
       const current = await pool.query(
-        "SELECT status FROM affiliations WHERE id = $1",
-        [id]
+        "SELECT is_system FROM roles WHERE name = $1",
+        [name]
       );
-
       if (current.rows.length === 0) {
-        return res.status(404).json({ message: "Afiliación no encontrada." });
+        return res.status(404).json({ message: "Rol no encontrado." });
       }
+      if (current.rows[0].is_system) {
+        return res
+          .status(409)
+          .json({ message: "Los roles del sistema no se pueden eliminar." });
+      }
+      const antes = await obtenerRol(name);
+      await pool.query("DELETE FROM roles WHERE name = $1", [name]);
+      invalidarCachePermisos();
+      await registrarAuditoria(req, {
+        entidad: "rol",
+        entidadId: name,
+        accion: "eliminar",
+        antes: antes,
+      });
 
-      if (current.rows[0].status !== "Presentado") {
+      res.status(204).send();
+    } catch (error) {
+      if (error.code === "23503") {
         return res.status(409).json({
-          message: `Esta afiliación ya está en estado '${current.rows[0].status}' y no se puede cambiar.`,
+          message:
+            "No se puede eliminar el rol porque hay usuarios que lo tienen asignado.",
         });
       }
+      res.status(500).json({ message: "Error al eliminar el rol." });
+    }
+  }
+);
 
+// --- API KEYS ---
+app.get(
+  "/api/api-keys",
+  authenticateToken,
+  authorize("apikey.manage"),
+  async (req, res) => {
+    try {
       const result = await pool.query(
-        `UPDATE affiliations 
-         SET 
-            status = $1, 
-            status_change_user_id = $2, 
-            status_change_timestamp = NOW(), 
-            rechazo_motivo = CASE WHEN $4 = 'Rechazado' THEN $5 ELSE rechazo_motivo END,
-            observacion_motivo = CASE WHEN $4 = 'Observado' THEN $5 ELSE observacion_motivo END
-         WHERE id = $3 
-         RETURNING status, status_change_timestamp, rechazo_motivo, observacion_motivo`,
-        [finalDbStatus, changingUserId, id, newStatus, motivo]
+        `SELECT k.id, k.name, k.key_prefix, k.created_at, k.expires_at, k.revoked_at,
+                k.last_used_at, k.last_used_ip, u.full_name as created_by_name,
+                COALESCE(array_agg(kp.permission ORDER BY kp.permission)
+                  FILTER (WHERE kp.permission IS NOT NULL), '{}') as permissions
+         FROM api_keys k
+         LEFT JOIN users u ON k.created_by = u.id
+         LEFT JOIN api_key_permissions kp ON kp.api_key_id = k.id
+         GROUP BY k.id, u.full_name
+         ORDER BY k.created_at DESC`
       );
-
-      res.json({
-        newStatus: result.rows[0].status,
-        timestamp: result.rows[0].status_change_timestamp,
-        rechazoMotivo: result.rows[0].rechazo_motivo,
-        observacionMotivo: result.rows[0].observacion_motivo,
-      });
+      res.json(result.rows);
     } catch (error) {
-      console.error("Error al actualizar estado:", error);
-      res.status(500).json({ message: "Error interno del servidor." });
+      res.status(500).json({ message: "Error al obtener las API keys." });
     }
   }
 );
 
-// --- ENDPOINT PARA SUBIR FOTOS A UNA AFILIACIÓN ---
+// La clave sólo se devuelve en claro en esta respuesta.
 app.post(
-  "/api/affiliations/:id/fotos",
+  "/api/api-keys",
   authenticateToken,
-  authorize(["VENDEDOR", "SUPERVISOR", "ADMINISTRADOR"]),
-  upload.single("foto"),
+  requireUser,
+  authorize("apikey.manage"),
   async (req, res) => {
-    const { id } = req.params;
-    const { descripcion } = req.body;
-
-    if (!req.file) {
+    const { name, permissions, expires_at } = req.body;
+    if (!name || !Array.isArray(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        message: "El nombre y al menos un permiso son obligatorios.",
+      });
+    }
+    if (expires_at && isNaN(new Date(expires_at).getTime())) {
       return res
         .status(400)
-        .json({ message: "No se ha subido ningún archivo." });
+        .json({ message: "La fecha de vencimiento no es válida." });
+    }
+    // Una API key no puede tener permisos que su creador no tiene.
+    const ajenos = permissions.filter((p) => !req.user.permissions.has(p));
+    if (ajenos.length > 0) {
+      return res.status(403).json({
+        message: `No puedes otorgar permisos que no tienes: ${ajenos.join(
+          ", "
+        )}.`,
+      });
     }
 
+    const secreto = crypto.randomBytes(32).toString("base64url");
+    const key = `${API_KEY_PREFIX}${secreto}`;
+    const keyPrefix = key.slice(0, API_KEY_PREFIX.length + 6);
+    const client = await pool.connect();
     try {
-      const uploadResult = await new Promise((resolve, reject) => {
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: `afiliaciones/${id}`,
-            public_id: `${Date.now()}`,
-            type: "authenticated",
-          },
-          (error, result) => {
-            if (error) {
-              return reject(error);
-            }
-            resolve(result);
-          }
-        );
-
-        uploadStream.end(req.file.buffer);
+      await client.query("BEGIN");
+      const result = await client.query(
+        `INSERT INTO api_keys (name, key_prefix, key_hash, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id, name, key_prefix, created_at, expires_at`,
+        [name, keyPrefix, hashToken(key), req.user.userId, expires_at || null]
+      );
+      const apiKey = result.rows[0];
+      await client.query(
+        `INSERT INTO api_key_permissions (api_key_id, permission)
+         SELECT $1, unnest($2::text[])
+         ON CONFLICT DO NOTHING`,
+        [apiKey.id, permissions]
+      );
+      await client.query("COMMIT");
+      await registrarAuditoria(req, {
+        entidad: "api_key",
+        entidadId: apiKey.id,
+        accion: "crear",
+        despues: { ...apiKey, permissions },
       });
 
-      const { public_id } = uploadResult;
+      res.status(201).json({ ...apiKey, permissions, key });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.code === "23503") {
+        return res
+          .status(400)
+          .json({ message: "Alguno de los permisos indicados no existe." });
+      }
+      console.error("Error al crear la API key:", error);
+      res.status(500).json({ message: "Error al crear la API key." });
+    } finally {
+      client.release();
+    }
+  }
+);
 
-      const newFoto = await pool.query(
-        "INSERT INTO afiliacion_fotos (afiliacion_id, public_id, descripcion) VALUES ($1, $2, $3) RETURNING *",
-        [id, public_id, descripcion]
+app.delete(
+  "/api/api-keys/:id",
+  authenticateToken,
+  authorize("apikey.manage"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const result = await pool.query(
+        `UPDATE api_keys SET revoked_at = NOW()
+         WHERE id = $1 AND revoked_at IS NULL
+         RETURNING id, name, key_prefix, revoked_at`,
+        [id]
       );
-
-      res.status(201).json(newFoto.rows[0]);
+      if (result.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ message: "API key no encontrada o ya revocada." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "api_key",
+        entidadId: id,
+        accion: "revocar",
+        despues: result.rows[0],
+      });
+      res.status(204).send();
     } catch (error) {
-      console.error(
-        "Error al subir la foto a la afiliación con ID:",
-        id,
-        error
-      );
-      res
-        .status(500)
-        .json({ message: "Error interno del servidor al procesar la foto." });
+      console.error("Error al revocar la API key:", error);
+      res.status(500).json({ message: "Error al revocar la API key." });
     }
   }
 );
 
-// --- ENDPOINT PARA GENERAR PDF DE UNA AFILIACIÓN ---
-app.get("/api/affiliations/:id/pdf", authenticateToken, async (req, res) => {
-  let browser = null;
-  try {
-    const { id } = req.params;
+// --- AUDITORÍA ---
+app.get(
+  "/api/audit",
+  authenticateToken,
+  authorize("audit.read"),
+  async (req, res) => {
+    const {
+      page = 1,
+      rowsPerPage = 50,
+      entity,
+      entityId,
+      action,
+      actorId,
+      apiKeyId,
+      desde,
+      hasta,
+    } = req.query;
 
-    const result = await pool.query(
-      `SELECT 
-        a.*, 
-        p.titulo,
-        p.tipo, 
-        u.full_name as creatorUserName,
-        u.codigo as creatorUserCodigo
-       FROM affiliations a 
-       LEFT JOIN planes p ON a.form_data->>'plan' = p.value
-       LEFT JOIN users u ON a.user_id = u.id
-       WHERE a.id = $1`,
-      [id]
-    );
+    try {
+      const whereClauses = [];
+      const params = [];
+      let paramCounter = 1;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: "Afiliación no encontrada." });
-    }
+      if (entity) {
+        whereClauses.push(`al.entity = $${paramCounter++}`);
+        params.push(entity);
+      }
+      if (entityId) {
+        whereClauses.push(`al.entity_id = $${paramCounter++}`);
+        params.push(String(entityId));
+      }
+      if (action) {
+        whereClauses.push(`al.action = $${paramCounter++}`);
+        params.push(action);
+      }
+      if (actorId) {
+        whereClauses.push(`al.actor_user_id = $${paramCounter++}`);
+        params.push(actorId);
+      }
+      if (apiKeyId) {
+        whereClauses.push(`al.actor_api_key_id = $${paramCounter++}`);
+        params.push(apiKeyId);
+      }
+      if (desde) {
+        whereClauses.push(`al.fecha >= $${paramCounter++}`);
+        params.push(desde);
+      }
+      if (hasta) {
+        const finalEndDate = new Date(hasta);
+        finalEndDate.setDate(finalEndDate.getDate() + 1);
+        whereClauses.push(`al.fecha < $${paramCounter++}`);
+        params.push(finalEndDate);
+      }
 
-    let affiliationData = { ...result.rows[0].form_data, ...result.rows[0] };
+      const whereCondition =
+        whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
 
-    affiliationData = convertObjectStringsToUppercase(affiliationData);
+      const totalResult = await pool.query(
+        `SELECT COUNT(*) FROM audit_log al ${whereCondition}`,
+        params
+      );
+
+      const result = await pool.query(
+        `SELECT al.*, COALESCE(u.full_name, k.name) as actor_name
+         FROM audit_log al
+         LEFT JOIN users u ON al.actor_user_id = u.id
+         LEFT JOIN api_keys k ON al.actor_api_key_id = k.id
+         ${whereCondition}
+         ORDER BY al.fecha DESC, al.id DESC
+         LIMIT $${paramCounter++} OFFSET $${paramCounter++}`,
+        [...params, rowsPerPage, (page - 1) * rowsPerPage]
+      );
 
-    affiliationData.operacion = (affiliationData.operacion || "").toUpperCase();
-    if (affiliationData.integrantesList) {
-      affiliationData.integrantesList.forEach((p) => {
-        p.cuotaMensual = parseInt(p.cuotaMensual || 0);
+      res.json({
+        rows: result.rows,
+        totalRows: parseInt(totalResult.rows[0].count, 10),
       });
+    } catch (error) {
+      console.error("Error al obtener el registro de auditoría:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener el registro de auditoría." });
     }
-    affiliationData.total = parseInt(affiliationData.total || 0);
-    affiliationData.fechaGeneracion = new Date().toLocaleDateString("es-AR");
-
-    const templateHtmlPath = path.join(
-      __dirname,
-      "templates",
-      "afiliacion.hbs"
-    );
-    const stylesCssPath = path.join(__dirname, "templates", "styles.css");
-    const templateHtml = await fs.readFile(templateHtmlPath, "utf8");
-    const cssContent = await fs.readFile(stylesCssPath, "utf8");
-
-    const template = handlebars.compile(templateHtml);
-    const finalHtml = template({ ...affiliationData, cssContent: cssContent });
-
-    browser = await puppeteer.launch({
-      headless: "new",
-      args: [
-        "--no-sandbox",
-        "--disable-setuid-sandbox",
-        "--disable-dev-shm-usage",
-        "--disable-gpu",
-      ],
-    });
-    const page = await browser.newPage();
-
-    await page.setContent(finalHtml, { waitUntil: "networkidle0" });
-
-    const pdfBuffer = await page.pdf({
-      format: "A4",
-      printBackground: true,
-      margin: { top: "1mm", right: "1mm", bottom: "1mm", left: "1mm" },
-    });
+  }
+);
 
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename=solicitud-${affiliationData.solicitud || id}.pdf`
-    );
-    res.send(pdfBuffer);
-  } catch (error) {
-    console.error("Error al generar el PDF:", error);
-    res.status(500).json({ message: "No se pudo generar el PDF." });
-  } finally {
-    if (browser) {
-      await browser.close();
+// --- API para PERÍODOS ---
+app.get(
+  "/api/periodos",
+  authenticateToken,
+  authorize("periodo.read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM periodos ORDER BY fecha_inicio DESC"
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error al obtener períodos." });
     }
   }
-});
+);
 
-// --- ENDPOINT PARA LOS DATOS DEL DASHBOARD ---
 app.post(
-  "/api/dashboard",
+  "/api/periodos",
   authenticateToken,
-  authorize(["SUPERVISOR", "GERENTE", "ADMINISTRADOR"]),
+  authorize("periodo.write"),
+  async (req, res) => {
+    const { nombre, fecha_inicio, fecha_fin, dias_habiles } = req.body;
+    try {
+      const result = await pool.query(
+        "INSERT INTO periodos (nombre, fecha_inicio, fecha_fin, dias_habiles) VALUES ($1, $2, $3, $4) RETURNING *",
+        [nombre, fecha_inicio, fecha_fin, dias_habiles]
+      );
+      await registrarAuditoria(req, {
+        entidad: "periodo",
+        entidadId: result.rows[0].id,
+        accion: "crear",
+        despues: result.rows[0],
+      });
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al crear el período." });
+    }
+  }
+);
+
+// --- API para OBJETIVOS ---
+app.get(
+  "/api/objetivos",
+  authenticateToken,
+  authorize("objetivo.read"),
+  async (req, res) => {
+    const { periodo_id } = req.query;
+    if (!periodo_id)
+      return res.status(400).json({ message: "Se requiere un ID de período." });
+    try {
+      const result = await pool.query(
+        `SELECT 
+        u.id as vendedor_id, 
+        u.full_name, 
+        u.codigo, 
+        o.objetivo_monto 
+       FROM users u
+       LEFT JOIN objetivos_vendedores o ON u.id = o.vendedor_id AND o.periodo_id = $1
+       WHERE u.role = 'VENDEDOR' AND u.active ORDER BY u.full_name`,
+        [periodo_id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error al obtener objetivos." });
+    }
+  }
+);
+
+app.post(
+  "/api/objetivos",
+  authenticateToken,
+  authorize("objetivo.write"),
+  async (req, res) => {
+    const { periodo_id, vendedor_id, objetivo_monto } = req.body;
+    try {
+      const previo = await pool.query(
+        "SELECT * FROM objetivos_vendedores WHERE periodo_id = $1 AND vendedor_id = $2",
+        [periodo_id, vendedor_id]
+      );
+      const result = await pool.query(
+        `INSERT INTO objetivos_vendedores (periodo_id, vendedor_id, objetivo_monto)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (periodo_id, vendedor_id) 
+       DO UPDATE SET objetivo_monto = EXCLUDED.objetivo_monto
+       RETURNING *`,
+        [periodo_id, vendedor_id, objetivo_monto]
+      );
+      await registrarAuditoria(req, {
+        entidad: "objetivo",
+        entidadId: `${periodo_id}:${vendedor_id}`,
+        accion: previo.rows[0] ? "editar" : "crear",
+        antes: previo.rows[0] || null,
+        despues: result.rows[0],
+      });
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al guardar el objetivo." });
+    }
+  }
+);
+
+// ==========================================================
+// ===== GESTIÓN DE CUENTAS CORRIENTES DE EMPRESAS =====
+// ==========================================================
+
+// --- 1. API PARA EL ABM DE ACUERDOS (Solo Admins) ---
+app.get(
+  "/api/acuerdos",
+  authenticateToken,
+  authorize("acuerdo.read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM acuerdos_empresa ORDER BY nombre_empresa"
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error al obtener acuerdos." });
+    }
+  }
+);
+
+app.post(
+  "/api/acuerdos",
+  authenticateToken,
+  authorize("acuerdo.write"),
+  async (req, res) => {
+    const { nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago } =
+      req.body;
+    try {
+      const result = await pool.query(
+        "INSERT INTO acuerdos_empresa (nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago) VALUES ($1, $2, $3, $4) RETURNING *",
+        [nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago]
+      );
+      await registrarAuditoria(req, {
+        entidad: "acuerdo",
+        entidadId: result.rows[0].id,
+        accion: "crear",
+        despues: result.rows[0],
+      });
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al crear el acuerdo." });
+    }
+  }
+);
+
+app.put(
+  "/api/acuerdos/:id",
+  authenticateToken,
+  authorize("acuerdo.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago } =
+      req.body;
+    try {
+      const antes = await obtenerFila("acuerdos_empresa", id);
+      const result = await pool.query(
+        `UPDATE acuerdos_empresa 
+       SET nombre_empresa = $1, valor_cuota_mensual = $2, dia_pago = $3, modalidad_pago = $4 
+       WHERE id = $5 RETURNING *`,
+        [nombre_empresa, valor_cuota_mensual, dia_pago, modalidad_pago, id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Acuerdo no encontrado." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "acuerdo",
+        entidadId: id,
+        accion: "editar",
+        antes: antes,
+        despues: result.rows[0],
+      });
+      res.json(result.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al actualizar el acuerdo." });
+    }
+  }
+);
+
+// --- 2. API PARA REGISTRAR PAGOS ---
+app.post(
+  "/api/pagos-acuerdos",
+  authenticateToken,
+  authorize("pago_acuerdo.create"),
   async (req, res) => {
     const {
-      startDate,
-      endDate,
-      selectedVendor,
-      selectedPlan,
-      selectedMedioPago,
-      selectedEmpresa,
+      acuerdo_id,
+      periodo_mes,
+      periodo_anio,
+      fecha_pago_efectivo,
+      monto_abonado,
+      observaciones,
     } = req.body;
+    try {
+      const result = await pool.query(
+        `INSERT INTO pagos_acuerdos (acuerdo_id, periodo_mes, periodo_anio, fecha_pago_efectivo, monto_abonado, observaciones)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [
+          acuerdo_id,
+          periodo_mes,
+          periodo_anio,
+          fecha_pago_efectivo,
+          monto_abonado,
+          observaciones,
+        ]
+      );
+      await registrarAuditoria(req, {
+        entidad: "pago_acuerdo",
+        entidadId: result.rows[0].id,
+        accion: "crear",
+        despues: result.rows[0],
+      });
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        // Error de clave única duplicada
+        return res.status(409).json({
+          message:
+            "Ya existe un pago registrado para este acuerdo en este período.",
+        });
+      }
+      res.status(500).json({ message: "Error al registrar el pago." });
+    }
+  }
+);
+
+// --- 3. ENDPOINT PRINCIPAL PARA EL CALENDARIO DE PAGOS ---
+app.get(
+  "/api/estado-cuentas-corrientes",
+  authenticateToken,
+  authorize("cuenta_corriente.read"),
+  async (req, res) => {
+    try {
+      // Consulta 1: Obtener todos los acuerdos activos
+      const acuerdosResult = await pool.query(
+        "SELECT * FROM acuerdos_empresa WHERE activo = true ORDER BY nombre_empresa"
+      );
+      const acuerdos = acuerdosResult.rows;
+
+      // Consulta 2: Obtener todos los pagos registrados
+      const pagosResult = await pool.query("SELECT * FROM pagos_acuerdos");
+      const pagos = pagosResult.rows;
+
+      const hoy = new Date();
+      const mesesPasados = 24;
+      const mesesFuturos = 3;
+      const meses = [];
+
+      // Generar los meses pasados y el actual
+      for (let i = mesesPasados; i >= 0; i--) {
+        const fecha = new Date(hoy.getFullYear(), hoy.getMonth() - i, 1);
+        meses.push({
+          label: fecha
+            .toLocaleString("es-AR", { month: "short", year: "2-digit" })
+            .toUpperCase(),
+          mes: fecha.getMonth() + 1,
+          anio: fecha.getFullYear(),
+        });
+      }
+
+      // Generar los meses futuros
+      for (let i = 1; i <= mesesFuturos; i++) {
+        const fecha = new Date(hoy.getFullYear(), hoy.getMonth() + i, 1);
+        meses.push({
+          label: fecha
+            .toLocaleString("es-AR", { month: "short", year: "2-digit" })
+            .toUpperCase(),
+          mes: fecha.getMonth() + 1,
+          anio: fecha.getFullYear(),
+        });
+      }
+      // Procesar los datos en Node.js
+      const acuerdosData = acuerdos.map((acuerdo) => {
+        const mesesData = meses.map((mesInfo) => {
+          const pago = pagos.find(
+            (p) =>
+              p.acuerdo_id === acuerdo.id &&
+              p.periodo_mes === mesInfo.mes &&
+              p.periodo_anio === mesInfo.anio
+          );
+
+          if (pago) {
+            return {
+              ...mesInfo,
+              estado: "Pagado",
+              monto: pago.monto_abonado,
+              fecha_pago: pago.fecha_pago_efectivo,
+            };
+          }
+
+          // Calcular fecha de vencimiento si no hay pago
+          let fechaVencimiento;
+          if (acuerdo.modalidad_pago === "Mes Vencido") {
+            fechaVencimiento = new Date(
+              mesInfo.anio,
+              mesInfo.mes,
+              acuerdo.dia_pago
+            ); // mes es 1-12, new Date() es 0-11
+          } else {
+            // Mes en Curso
+            fechaVencimiento = new Date(
+              mesInfo.anio,
+              mesInfo.mes - 1,
+              acuerdo.dia_pago
+            );
+          }
+
+          let estado = "Vigente";
+          if (hoy > fechaVencimiento) {
+            estado = "Vencido";
+          }
+
+          return {
+            ...mesInfo,
+            estado: estado,
+            monto: acuerdo.valor_cuota_mensual,
+          };
+        });
+        return { ...acuerdo, meses: mesesData };
+      });
+
+      // Calcular totales de deuda por mes
+      const totalesDeuda = meses.map((mesInfo) => {
+        const total = acuerdosData.reduce((sum, acuerdo) => {
+          const mesData = acuerdo.meses.find(
+            (m) => m.mes === mesInfo.mes && m.anio === mesInfo.anio
+          );
+          return (
+            sum + (mesData.estado === "Vencido" ? parseFloat(mesData.monto) : 0)
+          );
+        }, 0);
+        return { ...mesInfo, total };
+      });
+
+      res.json({
+        acuerdos: acuerdosData,
+        totales_deuda: totalesDeuda,
+        meses_header: meses.map((m) => m.label), // Enviamos solo los labels para la cabecera
+      });
+    } catch (error) {
+      console.error("Error al obtener estado de cuentas corrientes:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener estado de cuentas corrientes." });
+    }
+  }
+);
+
+// ==========================================================
+// ===== GESTIÓN DE REINTEGROS =====
+// ==========================================================
+
+// --- 1. CREAR UNA NUEVA SOLICITUD DE REINTEGRO ---
+app.post(
+  "/api/reintegros",
+  authenticateToken,
+  requireUser,
+  authorize("reintegro.create"),
+  async (req, res) => {
+    const {
+      solicitud_id,
+      tipo_solicitud,
+      certificado_nro,
+      codigo_afiliado,
+      monto_realizado,
+      monto_correcto,
+      observacion,
+      vendedor_nombre,
+    } = req.body;
+
+    const solicitado_por_id = req.user.userId;
+
+    // Validación básica
+    if (
+      !solicitud_id ||
+      !tipo_solicitud ||
+      monto_realizado == null ||
+      monto_correcto == null
+    ) {
+      return res.status(400).json({ message: "Faltan campos obligatorios." });
+    }
+
+    // Cálculo del reintegro
+    const monto_reintegro =
+      parseFloat(monto_correcto) - parseFloat(monto_realizado);
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO reintegros (solicitud_id, tipo_solicitud, certificado_nro, codigo_afiliado, monto_realizado, monto_correcto, monto_reintegro, solicitado_por_id, observacion, vendedor_nombre)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [
+          solicitud_id,
+          tipo_solicitud,
+          certificado_nro,
+          codigo_afiliado,
+          monto_realizado,
+          monto_correcto,
+          monto_reintegro,
+          solicitado_por_id,
+          observacion,
+          vendedor_nombre,
+        ]
+      );
+      await registrarAuditoria(req, {
+        entidad: "reintegro",
+        entidadId: result.rows[0].id,
+        accion: "crear",
+        despues: result.rows[0],
+      });
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error("Error al crear la solicitud de reintegro:", error);
+      res
+        .status(500)
+        .json({ message: "Error al crear la solicitud de reintegro." });
+    }
+  }
+);
+
+// --- 2. LISTAR TODAS LAS SOLICITUDES DE REINTEGRO ---
+app.get(
+  "/api/reintegros",
+  authenticateToken,
+  authorize("reintegro.read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT 
+          r.id,
+          r.tipo_solicitud,
+          r.certificado_nro,
+          r.codigo_afiliado,
+          r.monto_realizado,
+          r.monto_correcto,
+          r.monto_reintegro,
+          r.estado,
+          solicitante.full_name as solicitado_por_nombre,
+          auditor.full_name as auditado_por_nombre,
+          tesorero.full_name as abonado_por_nombre
+        FROM reintegros r
+        LEFT JOIN users solicitante ON r.solicitado_por_id = solicitante.id
+        LEFT JOIN users auditor ON r.auditado_por_id = auditor.id
+        LEFT JOIN users tesorero ON r.abonado_por_id = tesorero.id
+        ORDER BY r.solicitado_en DESC
+      `);
+      res.json(result.rows);
+    } catch (error) {
+      console.error("Error al obtener las solicitudes de reintegro:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener las solicitudes de reintegro." });
+    }
+  }
+);
+
+// --- 3. VER EL DETALLE DE UNA SOLICITUD ---
+app.get(
+  "/api/reintegros/:id",
+  authenticateToken,
+  authorize("reintegro.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const result = await pool.query(
+        `
+        SELECT 
+          r.*,
+          solicitante.full_name as solicitado_por_nombre,
+          auditor.full_name as auditado_por_nombre,
+          tesorero.full_name as abonado_por_nombre
+        FROM reintegros r
+        LEFT JOIN users solicitante ON r.solicitado_por_id = solicitante.id
+        LEFT JOIN users auditor ON r.auditado_por_id = auditor.id
+        LEFT JOIN users tesorero ON r.abonado_por_id = tesorero.id
+        WHERE r.id = $1
+      `,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Solicitud no encontrada." });
+      }
+      const fotosResult = await pool.query(
+        "SELECT id, public_id, descripcion, fecha_subida FROM reintegro_fotos WHERE reintegro_id = $1 ORDER BY fecha_subida DESC",
+        [id]
+      );
+
+      const fotosConUrlSegura = fotosResult.rows.map((foto) => {
+        const urlFirmada = cloudinary.url(foto.public_id, {
+          type: "authenticated",
+          sign_url: true,
+          expires_at: Math.floor(Date.now() / 1000) + 3600,
+        });
+        return { ...foto, url_segura: urlFirmada };
+      });
+      const reintegroDetails = {
+        ...result.rows[0],
+        fotos: fotosConUrlSegura,
+      };
+      res.json(reintegroDetails);
+    } catch (error) {
+      console.error("Error al obtener el detalle del reintegro:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener el detalle del reintegro." });
+    }
+  }
+);
+
+// --- 4. AUDITAR UNA SOLICITUD (Autorizar/Rechazar) ---
+app.put(
+  "/api/reintegros/:id/auditar",
+  authenticateToken,
+  requireUser,
+  authorize("reintegro.audit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { nuevo_estado, motivo_rechazo } = req.body;
+    const auditado_por_id = req.user.userId;
+
+    if (!["Autorizado", "Rechazado"].includes(nuevo_estado)) {
+      return res
+        .status(400)
+        .json({ message: "Estado de auditoría no válido." });
+    }
+    if (nuevo_estado === "Rechazado" && !motivo_rechazo) {
+      return res
+        .status(400)
+        .json({ message: "El motivo del rechazo es obligatorio." });
+    }
+
+    try {
+      const current = await pool.query(
+        "SELECT * FROM reintegros WHERE id = $1",
+        [id]
+      );
+      if (current.rows[0].estado !== "Solicitado") {
+        return res
+          .status(409)
+          .json({ message: "Esta solicitud ya ha sido auditada." });
+      }
+
+      const result = await pool.query(
+        `UPDATE reintegros SET 
+          estado = $1, 
+          auditado_por_id = $2, 
+          auditado_en = NOW(), 
+          motivo_rechazo = $3
+         WHERE id = $4 RETURNING *`,
+        [nuevo_estado, auditado_por_id, motivo_rechazo, id]
+      );
+      await registrarAuditoria(req, {
+        entidad: "reintegro",
+        entidadId: id,
+        accion: "auditar",
+        antes: current.rows[0],
+        despues: result.rows[0],
+      });
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error("Error al auditar la solicitud:", error);
+      res.status(500).json({ message: "Error al auditar la solicitud." });
+    }
+  }
+);
+
+// --- 5. MARCAR UNA SOLICITUD COMO ABONADA ---
+app.put(
+  "/api/reintegros/:id/abonar",
+  authenticateToken,
+  requireUser,
+  authorize("reintegro.pay"),
+  async (req, res) => {
+    const { id } = req.params;
+    const abonado_por_id = req.user.userId;
+
+    try {
+      const current = await pool.query(
+        "SELECT * FROM reintegros WHERE id = $1",
+        [id]
+      );
+      if (current.rows[0].estado !== "Autorizado") {
+        return res.status(409).json({
+          message: "Esta solicitud no está autorizada para ser abonada.",
+        });
+      }
+
+      const result = await pool.query(
+        `UPDATE reintegros SET 
+          estado = 'Abonado', 
+          abonado_por_id = $1, 
+          abonado_en = NOW()
+         WHERE id = $2 RETURNING *`,
+        [abonado_por_id, id]
+      );
+      await registrarAuditoria(req, {
+        entidad: "reintegro",
+        entidadId: id,
+        accion: "abonar",
+        antes: current.rows[0],
+        despues: result.rows[0],
+      });
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error("Error al abonar la solicitud:", error);
+      res.status(500).json({ message: "Error al abonar la solicitud." });
+    }
+  }
+);
+
+// --- ENDPOINT PARA SUBIR FOTOS A UNA SOLICITUD DE REINTEGRO ---
+app.post(
+  "/api/reintegros/:id/fotos",
+  authenticateToken,
+  authorize("reintegro.create"),
+  upload.single("foto"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { descripcion } = req.body;
+
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: "No se ha subido ningún archivo." });
+    }
+
+    try {
+      // Subida a Cloudinary
+      const uploadResult = await new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          {
+            folder: `reintegros/${id}`, // Carpeta específica para reintegros
+            public_id: `${Date.now()}`,
+            type: "authenticated", // Mantenemos la seguridad
+          },
+          (error, result) => {
+            if (error) return reject(error);
+            resolve(result);
+          }
+        );
+        uploadStream.end(req.file.buffer);
+      });
+
+      const { public_id } = uploadResult;
+
+      // Guardar en la nueva tabla 'reintegro_fotos'
+      const newFoto = await pool.query(
+        "INSERT INTO reintegro_fotos (reintegro_id, public_id, descripcion) VALUES ($1, $2, $3) RETURNING *",
+        [id, public_id, descripcion]
+      );
+      await registrarAuditoria(req, {
+        entidad: "reintegro",
+        entidadId: id,
+        accion: "subir_foto",
+        despues: newFoto.rows[0],
+      });
+
+      res.status(201).json(newFoto.rows[0]);
+    } catch (error) {
+      console.error("Error al subir la foto del reintegro:", error);
+      res.status(500).json({ message: "Error interno al subir la foto." });
+    }
+  }
+);
+
+// ==========================================================
+
+// --- GESTIÓN DE AFILIACIONES ---
+
+app.post(
+  "/api/submit-ficha",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.create"),
+  async (req, res) => {
+    const { formData, latitud, longitud, accion, clientUuid } = req.body;
+
+    if (clientUuid && !UUID_REGEX.test(clientUuid)) {
+      return res
+        .status(400)
+        .json({ message: "El identificador de la ficha no es válido." });
+    }
+
+    try {
+      // Un reintento con el mismo clientUuid devuelve la ficha ya creada.
+      if (clientUuid) {
+        const existente = await obtenerFichaPorClientUuid(clientUuid);
+        if (existente) {
+          if (existente.user_id !== req.user.userId) {
+            return res.status(409).json({
+              message: "El identificador de la ficha ya está en uso.",
+            });
+          }
+          return res.json(existente);
+        }
+      }
+
+      const { httpStatus, body } = await crearFicha(req, {
+        formData,
+        latitud,
+        longitud,
+        accion,
+        clientUuid,
+      });
+      res.status(httpStatus).json(body);
+    } catch (error) {
+      console.error("Error al guardar la ficha:", error);
+      res.status(500).json({ message: "Error al guardar la ficha." });
+    }
+  }
+);
+
+// Sincronización de fichas cargadas sin conexión. Recibe
+// { fichas: [{ clientUuid, formData, accion, latitud, longitud,
+// clientUpdatedAt, baseUpdatedAt }] } y devuelve un resultado por ficha, en
+// el mismo orden. baseUpdatedAt es el updatedAt del servidor que el
+// dispositivo vio por última vez; si la ficha cambió después (por ejemplo,
+// la observó un supervisor) se informa un conflicto en lugar de pisarla.
+app.post(
+  "/api/affiliations/sync",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.create", "affiliation.edit"),
+  async (req, res) => {
+    const { fichas } = req.body;
+    if (!Array.isArray(fichas) || fichas.length === 0) {
+      return res
+        .status(400)
+        .json({ message: "Debes enviar al menos una ficha." });
+    }
+    if (fichas.length > AFFILIATION_SYNC_MAX_ITEMS) {
+      return res.status(400).json({
+        message: `Se pueden sincronizar hasta ${AFFILIATION_SYNC_MAX_ITEMS} fichas por vez.`,
+      });
+    }
+
+    const resultados = [];
+    for (const item of fichas) {
+      resultados.push(await sincronizarFicha(req, item || {}));
+    }
+    res.json({ resultados });
+  }
+);
+
+// ENDPOINT PARA EDITAR FICHAS
+app.put(
+  "/api/affiliations/:id",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.edit"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { formData, accion } = req.body;
+
+    try {
+      const currentResult = await pool.query(
+        "SELECT * FROM affiliations WHERE id = $1",
+        [id]
+      );
+
+      if (currentResult.rows.length === 0) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const { httpStatus, body } = await editarFicha(
+        req,
+        currentResult.rows[0],
+        { formData, accion }
+      );
+      res.status(httpStatus).json(body);
+    } catch (error) {
+      console.error("Error al actualizar la ficha:", error);
+      res.status(500).json({ message: "Error al actualizar la ficha." });
+    }
+  }
+);
+
+// Exportación en CSV o XLSX con los mismos filtros que el listado. Las filas
+// se leen con un cursor y se escriben a medida que llegan.
+// - format: "csv" (por defecto) o "xlsx".
+// - columns: lista de columnas; además de las fijas acepta cualquier campo
+//   de form_data y "integrante.<campo>" para los de integrantesList.
+// - integrantes=true: una fila por integrante (también se activa al pedir
+//   alguna columna "integrante.").
+app.get(
+  "/api/affiliations/export",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const format = req.query.format === "xlsx" ? "xlsx" : "csv";
+    const columnas = listaDeQuery(req.query.columns);
+    const columnasExport =
+      columnas.length > 0 ? columnas : AFFILIATION_EXPORT_DEFAULT_COLUMNS;
+    const invalidas = columnasExport.filter(
+      (col) => !/^(integrante\.)?[A-Za-z0-9_]+$/.test(col)
+    );
+    if (invalidas.length > 0) {
+      return res
+        .status(400)
+        .json({ message: `Columnas no válidas: ${invalidas.join(", ")}.` });
+    }
+    const fechasError = validarFechasFiltro(req.query);
+    if (fechasError) {
+      return res.status(400).json({ message: fechasError });
+    }
+    const porIntegrante =
+      req.query.integrantes === "true" ||
+      columnasExport.some((col) => col.startsWith("integrante."));
+
+    let client;
+    let cursor;
+    try {
+      const { whereClauses, params } = await construirFiltrosAfiliaciones(
+        req.query,
+        req.user
+      );
+      const whereCondition =
+        whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
+      const selectBase = Object.entries(AFFILIATION_EXPORT_BASE_COLUMNS)
+        .map(([alias, columna]) => `${columna} as ${alias}`)
+        .join(", ");
+
+      client = await pool.connect();
+      cursor = client.query(
+        new Cursor(
+          `SELECT ${selectBase}, a.form_data
+           FROM affiliations a
+           JOIN users u ON a.user_id = u.id
+           ${whereCondition}
+           ORDER BY a.id`,
+          params
+        )
+      );
+
+      const fecha = new Date().toISOString().slice(0, 10);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=fichas-${fecha}.${format}`
+      );
+      let escribirFila;
+      let finalizar;
+      if (format === "xlsx") {
+        res.setHeader(
+          "Content-Type",
+          "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+        );
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+          stream: res,
+        });
+        const worksheet = workbook.addWorksheet("Fichas");
+        worksheet.addRow(columnasExport).commit();
+        escribirFila = (valores) => worksheet.addRow(valores).commit();
+        finalizar = async () => {
+          worksheet.commit();
+          await workbook.commit();
+        };
+      } else {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        // El BOM hace que Excel abra el archivo como UTF-8.
+        res.write("\uFEFF" + filaCsv(columnasExport) + "\r\n");
+        escribirFila = (valores) => res.write(filaCsv(valores) + "\r\n");
+        finalizar = async () => res.end();
+      }
+
+      let cancelado = false;
+      req.on("close", () => {
+        cancelado = true;
+      });
+
+      let rows = await cursor.read(AFFILIATION_EXPORT_BATCH_SIZE);
+      while (rows.length > 0 && !cancelado) {
+        for (const row of rows) {
+          for (const valores of filasExportFicha(
+            row,
+            columnasExport,
+            porIntegrante
+          )) {
+            escribirFila(valores);
+          }
+        }
+        await esperarDrenado(res);
+        rows = await cursor.read(AFFILIATION_EXPORT_BATCH_SIZE);
+      }
+      await finalizar();
+    } catch (error) {
+      console.error("Error al exportar fichas:", error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else {
+        res.status(500).json({ message: "Error al exportar fichas." });
+      }
+    } finally {
+      if (cursor) await cursor.close().catch(() => {});
+      if (client) client.release();
+    }
+  }
+);
+
+// Lotes de PDF. Recibe ids (lista de fichas) o filters (los mismos filtros
+// que el listado) y format ("zip" o "pdf"). Las fichas se resuelven al crear
+// el lote, con el alcance del usuario; el PDF se genera en segundo plano y
+// se consulta el avance en GET /api/affiliations/pdf-batches/:id.
+app.post(
+  "/api/affiliations/pdf-batches",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { ids, filters, format = "zip" } = req.body;
+
+    if (!["zip", "pdf"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: 'El formato debe ser "zip" o "pdf".' });
+    }
+    if (!Array.isArray(ids) && (!filters || typeof filters !== "object")) {
+      return res
+        .status(400)
+        .json({ message: "Debes indicar las fichas o los filtros." });
+    }
+    const fechasError = validarFechasFiltro(filters || {});
+    if (fechasError) {
+      return res.status(400).json({ message: fechasError });
+    }
+
+    try {
+      const { whereClauses, params } = await construirFiltrosAfiliaciones(
+        filters || {},
+        req.user
+      );
+      if (Array.isArray(ids)) {
+        params.push(
+          ids.map((id) => parseInt(id, 10)).filter((id) => !isNaN(id))
+        );
+        whereClauses.push(`a.id = ANY($${params.length}::int[])`);
+      }
+      const whereCondition =
+        whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
+
+      // Se pide una fila de más para saber si se superó el máximo.
+      const result = await pool.query(
+        `SELECT a.id FROM affiliations a
+         JOIN users u ON a.user_id = u.id
+         ${whereCondition}
+         ORDER BY a.id
+         LIMIT ${PDF_BATCH_MAX_ITEMS + 1}`,
+        params
+      );
+      if (result.rows.length === 0) {
+        return res
+          .status(400)
+          .json({ message: "No hay fichas para imprimir con esos criterios." });
+      }
+      if (result.rows.length > PDF_BATCH_MAX_ITEMS) {
+        return res.status(400).json({
+          message: `Se pueden imprimir hasta ${PDF_BATCH_MAX_ITEMS} fichas por lote.`,
+        });
+      }
+
+      const lote = await pool.query(
+        `INSERT INTO affiliation_pdf_batches (user_id, format, affiliation_ids)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [req.user.userId, format, result.rows.map((row) => row.id)]
+      );
+      procesarLotesPdf();
+
+      res.status(202).json(resumenLotePdf(lote.rows[0]));
+    } catch (error) {
+      console.error("Error al crear el lote de PDF:", error);
+      res.status(500).json({ message: "Error al crear el lote de PDF." });
+    }
+  }
+);
+
+app.get(
+  "/api/affiliations/pdf-batches",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM affiliation_pdf_batches
+         WHERE user_id = $1
+         ORDER BY created_at DESC
+         LIMIT 20`,
+        [req.user.userId]
+      );
+      res.json(result.rows.map(resumenLotePdf));
+    } catch (error) {
+      console.error("Error al obtener los lotes de PDF:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.get(
+  "/api/affiliations/pdf-batches/:id",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    try {
+      const lote = await obtenerLotePdf(req.params.id, req.user.userId);
+      if (!lote) {
+        return res.status(404).json({ message: "Lote no encontrado." });
+      }
+      res.json(resumenLotePdf(lote));
+    } catch (error) {
+      console.error("Error al obtener el lote de PDF:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// Redirige a una URL firmada de Cloudinary válida por una hora.
+app.get(
+  "/api/affiliations/pdf-batches/:id/download",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    try {
+      const lote = await obtenerLotePdf(req.params.id, req.user.userId);
+      if (!lote) {
+        return res.status(404).json({ message: "Lote no encontrado." });
+      }
+      if (lote.status !== "completado") {
+        return res
+          .status(409)
+          .json({ message: "El lote todavía no está listo para descargar." });
+      }
+      const urlFirmada = cloudinary.url(lote.public_id, {
+        resource_type: "raw",
+        type: "authenticated",
+        sign_url: true,
+        expires_at: Math.floor(Date.now() / 1000) + 3600,
+      });
+      res.redirect(urlFirmada);
+    } catch (error) {
+      console.error("Error al descargar el lote de PDF:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// Reporte de DNIs que aparecen en más de una ficha activa.
+app.get(
+  "/api/affiliations/duplicates",
+  authenticateToken,
+  authorize("affiliation.read_all"),
+  async (req, res) => {
+    const { page = 1, rowsPerPage = 20, dni } = req.query;
+    try {
+      const equipoIds = await obtenerIdsEquipo(req.user);
+      const params = [AFFILIATION_INACTIVE_STATUSES, equipoIds];
+      let dniCondition = "";
+      if (dni) {
+        params.push(String(dni).replace(/\D/g, "").replace(/^0+/, ""));
+        dniCondition = `AND d.dni = $${params.length}`;
+      }
+
+      // Se muestran los duplicados donde al menos una ficha es del equipo.
+      const duplicadosQuery = `
+        SELECT d.dni,
+               COUNT(DISTINCT a.id)::int as cantidad,
+               json_agg(json_build_object(
+                 'id', a.id,
+                 'status', a.status,
+                 'titular_nombre', a.titular_nombre,
+                 'titular_dni', a.titular_dni,
+                 'vendedor_id', a.user_id,
+                 'vendedor_nombre', u.full_name,
+                 'fecha_creacion', a.fecha_creacion
+               ) ORDER BY a.fecha_creacion) as fichas
+        FROM affiliations a
+        CROSS JOIN LATERAL unnest(ficha_dnis(a.form_data)) as d(dni)
+        JOIN users u ON a.user_id = u.id
+        WHERE a.status <> ALL($1::text[]) ${dniCondition}
+        GROUP BY d.dni
+        HAVING COUNT(DISTINCT a.id) > 1
+           AND bool_or($2::int[] IS NULL OR a.user_id = ANY($2::int[]))`;
+
+      const totalResult = await pool.query(
+        `SELECT COUNT(*) FROM (${duplicadosQuery}) dup`,
+        params
+      );
+      const result = await pool.query(
+        `${duplicadosQuery}
+         ORDER BY cantidad DESC, d.dni
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, rowsPerPage, (page - 1) * rowsPerPage]
+      );
+
+      res.json({
+        rows: result.rows,
+        totalRows: parseInt(totalResult.rows[0].count, 10),
+      });
+    } catch (error) {
+      console.error("Error al obtener fichas duplicadas:", error);
+      res.status(500).json({ message: "Error al obtener fichas duplicadas." });
+    }
+  }
+);
+
+// Historial de versiones de una ficha.
+app.get(
+  "/api/affiliations/:id/versions",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const afiliacion = await pool.query(
+        "SELECT user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (
+        afiliacion.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))
+      ) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const result = await pool.query(
+        `SELECT v.version, v.status, v.creada_en, v.user_id,
+                u.full_name as autor_nombre
+         FROM affiliation_versions v
+         LEFT JOIN users u ON v.user_id = u.id
+         WHERE v.affiliation_id = $1
+         ORDER BY v.version DESC`,
+        [id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("Error al obtener las versiones de la ficha:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener las versiones de la ficha." });
+    }
+  }
+);
+
+// Diferencias campo a campo entre dos versiones. Sin parámetros compara la
+// última versión contra la anterior.
+app.get(
+  "/api/affiliations/:id/versions/diff",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    if (
+      (from && isNaN(parseInt(from, 10))) ||
+      (to && isNaN(parseInt(to, 10)))
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Las versiones deben ser números." });
+    }
+    try {
+      const afiliacion = await pool.query(
+        "SELECT user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (
+        afiliacion.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))
+      ) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const ultima = await pool.query(
+        "SELECT MAX(version) as version FROM affiliation_versions WHERE affiliation_id = $1",
+        [id]
+      );
+      const versionHasta = to ? parseInt(to, 10) : ultima.rows[0].version;
+      const versionDesde = from ? parseInt(from, 10) : versionHasta - 1;
+
+      const result = await pool.query(
+        `SELECT v.version, v.form_data, v.status, v.creada_en,
+                u.full_name as autor_nombre
+         FROM affiliation_versions v
+         LEFT JOIN users u ON v.user_id = u.id
+         WHERE v.affiliation_id = $1 AND v.version = ANY($2::int[])`,
+        [id, [versionDesde, versionHasta]]
+      );
+      const desde = result.rows.find((v) => v.version === versionDesde);
+      const hasta = result.rows.find((v) => v.version === versionHasta);
+      if (!desde || !hasta) {
+        return res
+          .status(404)
+          .json({ message: "Alguna de las versiones indicadas no existe." });
+      }
+
+      const { form_data: formDesde, ...metaDesde } = desde;
+      const { form_data: formHasta, ...metaHasta } = hasta;
+      res.json({
+        from: metaDesde,
+        to: metaHasta,
+        cambios: diferenciasFormData(formDesde, formHasta),
+      });
+    } catch (error) {
+      console.error("Error al comparar versiones de la ficha:", error);
+      res
+        .status(500)
+        .json({ message: "Error al comparar versiones de la ficha." });
+    }
+  }
+);
+
+app.get(
+  "/api/affiliations",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { userId, permissions } = req.user;
+
+    const { page = 1, rowsPerPage = 20, sortBy, descending } = req.query;
+    const fechasError = validarFechasFiltro(req.query);
+    if (fechasError) {
+      return res.status(400).json({ message: fechasError });
+    }
+
+    try {
+      const { whereClauses, params } = await construirFiltrosAfiliaciones(
+        req.query,
+        req.user
+      );
+      let paramCounter = params.length + 1;
+
+      const whereCondition =
+        whereClauses.length > 0 ? `WHERE ${whereClauses.join(" AND ")}` : "";
+
+      const totalResult = await pool.query(
+        `SELECT COUNT(*) FROM affiliations a JOIN users u ON a.user_id = u.id ${whereCondition}`,
+        params
+      );
+      const totalRows = parseInt(totalResult.rows[0].count, 10);
+
+      // El conteo por estado ignora el filtro de estado, para que el frontend
+      // pueda mostrar cuántas fichas hay en cada uno.
+      const facetas = await construirFiltrosAfiliaciones(req.query, req.user, {
+        omitirEstado: true,
+      });
+      const facetResult = await pool.query(
+        `SELECT a.status, COUNT(*)::int as count
+         FROM affiliations a JOIN users u ON a.user_id = u.id
+         ${
+           facetas.whereClauses.length > 0
+             ? `WHERE ${facetas.whereClauses.join(" AND ")}`
+             : ""
+         }
+         GROUP BY a.status`,
+        facetas.params
+      );
+
+      const offset = (page - 1) * rowsPerPage;
+      const limit = rowsPerPage === "0" ? null : rowsPerPage;
+
+      const orderByMap = {
+        titular_nombre: "a.titular_nombre",
+        plan: "a.plan",
+        total: "CAST(a.form_data ->> 'total' AS NUMERIC)",
+        status: "a.status",
+        vendor_name: "u.full_name",
+        fecha_creacion: "a.fecha_creacion",
+        status_change_timestamp: "a.status_change_timestamp",
+      };
+      const orderByColumn = orderByMap[sortBy] || "a.fecha_creacion";
+      const orderDirection = descending === "true" ? "DESC" : "ASC";
+
+      const finalParams = [...params];
+      if (limit !== null) {
+        finalParams.push(limit);
+      }
+      finalParams.push(offset);
+
+      const query = `
+      SELECT
+        a.id, a.titular_nombre, a.titular_dni, a.plan, a.status, a.fecha_creacion,
+        a.observacion_motivo, a.rechazo_motivo, a.status_change_timestamp,
+        a.form_data ->> 'total' as total,
+        u.full_name as vendor_name
+      FROM affiliations a
+      JOIN users u ON a.user_id = u.id
+      ${whereCondition}
+      ORDER BY ${orderByColumn} ${orderDirection}
+      ${limit !== null ? `LIMIT $${paramCounter++}` : ""}
+      OFFSET $${paramCounter++}
+    `;
+
+      const result = await pool.query(query, finalParams);
+
+      res.json({
+        rows: result.rows,
+        totalRows: totalRows,
+        facets: {
+          status: Object.fromEntries(
+            facetResult.rows.map((row) => [row.status, row.count])
+          ),
+        },
+      });
+    } catch (error) {
+      console.error("Error al obtener afiliaciones:", error);
+      res.status(500).json({ message: "Error al obtener afiliaciones." });
+    }
+  }
+);
+
+app.get(
+  "/api/affiliations/:id",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { userId, permissions } = req.user;
+
+    try {
+      let query = `
+          SELECT 
+              a.*, 
+              a.observacion_motivo,
+              creator.full_name as creator_user_name,
+              creator.codigo as creator_user_codigo,
+              status_changer.full_name as status_change_user_name 
+          FROM affiliations a
+          JOIN users creator ON a.user_id = creator.id
+          LEFT JOIN users status_changer ON a.status_change_user_id = status_changer.id
+          WHERE a.id = $1
+      `;
+      const params = [id];
+
+      if (!permissions.has("affiliation.read_all")) {
+        query += " AND a.user_id = $2";
+        params.push(userId);
+      } else {
+        const equipoIds = await obtenerIdsEquipo(req.user);
+        if (equipoIds) {
+          query += " AND a.user_id = ANY($2::int[])";
+          params.push(equipoIds);
+        }
+      }
+
+      const result = await pool.query(query, params);
+
+      if (result.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ message: "Afiliación no encontrada o sin permiso." });
+      }
+
+      const dbRow = result.rows[0];
+
+      const fotosResult = await pool.query(
+        "SELECT id, public_id, descripcion, tipo_documento, fecha_subida FROM afiliacion_fotos WHERE afiliacion_id = $1 ORDER BY fecha_subida DESC",
+        [id]
+      );
+
+      const fotosConUrlSegura = fotosResult.rows.map((foto) => {
+        const urlFirmada = cloudinary.url(foto.public_id, {
+          type: "authenticated",
+          sign_url: true,
+          expires_at: Math.floor(Date.now() / 1000) + 3600,
+        });
+        return {
+          ...foto,
+          url_segura: urlFirmada,
+        };
+      });
+
+      const checklist = await checklistDocumentos(
+        dbRow.id,
+        dbRow.form_data || {}
+      );
+
+      let planDetails = { titulo: null };
+      if (dbRow.form_data && dbRow.form_data.plan) {
+        const planValue = dbRow.form_data.plan;
+        const planResult = await pool.query(
+          "SELECT titulo FROM planes WHERE value = $1",
+          [planValue]
+        );
+        if (planResult.rows.length > 0) {
+          planDetails = planResult.rows[0];
+        }
+      }
+
+      const affiliationDetails = {
+        ...dbRow.form_data,
+
+        id: dbRow.id,
+        latitud: dbRow.latitud,
+        longitud: dbRow.longitud,
+        domicilio_latitud: dbRow.domicilio_latitud,
+        domicilio_longitud: dbRow.domicilio_longitud,
+        status: dbRow.status,
+        statusChangeTimestamp: dbRow.status_change_timestamp,
+        statusChangeUserName: dbRow.status_change_user_name,
+        rechazoMotivo: dbRow.rechazo_motivo,
+        observacionMotivo: dbRow.observacion_motivo,
+        creatorUserName: dbRow.creator_user_name,
+        creatorUserCodigo: dbRow.creator_user_codigo,
+
+        fotos: fotosConUrlSegura,
+        titulo: planDetails.titulo,
+        pricing: dbRow.pricing,
+        documentos: checklist.documentos,
+        documentosFaltantes: checklist.faltantes,
+      };
+
+      res.json(affiliationDetails);
+    } catch (error) {
+      console.error("Error al obtener detalle de la afiliación:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.put(
+  "/api/affiliations/:id/status",
+  authenticateToken,
+  requireUser,
+  authorize(
+    "affiliation.approve",
+    "affiliation.observe",
+    "affiliation.reject",
+    "affiliation.cancel",
+    "affiliation.terminate"
+  ),
+  async (req, res) => {
+    const { id } = req.params;
+    const { newStatus, motivo, campo } = req.body;
+    const changingUserId = req.user.userId;
+
+    if (!newStatus) {
+      return res.status(400).json({ message: "Estado no válido." });
+    }
+    // La presentación pasa por la edición de la ficha, que valida form_data.
+    if (newStatus === "Presentado") {
+      return res.status(400).json({
+        message: "Para presentar una ficha debes finalizarla desde su edición.",
+      });
+    }
+
+    try {
+      const current = await pool.query(
+        `SELECT a.status, a.user_id, a.form_data ->> 'empresa' as empresa, p.tipo as plan_tipo
+         FROM affiliations a
+         LEFT JOIN planes p ON p.value = a.form_data ->> 'plan'
+         WHERE a.id = $1`,
+        [id]
+      );
+
+      if (current.rows.length === 0) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      if (!(await puedeVerAfiliacion(req.user, current.rows[0].user_id))) {
+        return res.status(403).json({
+          message: "Acceso denegado: la ficha no pertenece a tu equipo.",
+        });
+      }
+
+      const estadoActual = current.rows[0].status;
+      const transicion = await obtenerTransicion(estadoActual, newStatus);
+      if (!transicion) {
+        return res.status(409).json({
+          message: `Una ficha en estado '${estadoActual}' no puede pasar a '${newStatus}'.`,
+        });
+      }
+      if (!req.user.permissions.has(transicion.permission)) {
+        return res.status(403).json({
+          message: "Acceso denegado: no tienes los permisos necesarios.",
+        });
+      }
+      if (transicion.requires_motivo && (!motivo || motivo.trim() === "")) {
+        return res
+          .status(400)
+          .json({ message: "El motivo es obligatorio para esta acción." });
+      }
+
+      const client = await pool.connect();
+      let result;
+      try {
+        await client.query("BEGIN");
+        // Al aprobar se fija la versión de la plantilla del PDF vigente.
+        const plantillaVersionId =
+          newStatus === "Aprobado"
+            ? await seleccionarVersionPlantillaPdf(
+                current.rows[0].plan_tipo,
+                current.rows[0].empresa,
+                client
+              )
+            : null;
+        // El filtro por estado evita pisar un cambio concurrente.
+        result = await client.query(
+          `UPDATE affiliations 
+           SET 
+              status = $1, 
+              status_change_user_id = $2, 
+              status_change_timestamp = NOW(), 
+              rechazo_motivo = CASE WHEN $1 = 'Rechazado' THEN $4 ELSE rechazo_motivo END,
+              observacion_motivo = CASE WHEN $1 = 'Observado' THEN $4 ELSE observacion_motivo END,
+              pdf_plantilla_version_id = CASE WHEN $1 = 'Aprobado' THEN $6 ELSE pdf_plantilla_version_id END
+           WHERE id = $3 AND status = $5
+           RETURNING status, status_change_timestamp, rechazo_motivo, observacion_motivo, pdf_plantilla_version_id`,
+          [
+            newStatus,
+            changingUserId,
+            id,
+            motivo,
+            estadoActual,
+            plantillaVersionId,
+          ]
+        );
+        if (result.rows.length > 0) {
+          await registrarTransicion(client, {
+            afiliacionId: id,
+            desde: estadoActual,
+            hacia: newStatus,
+            userId: changingUserId,
+            motivo,
+          });
+          // La observación abre un hilo que el vendedor debe resolver antes
+          // de volver a presentar la ficha.
+          if (newStatus === "Observado") {
+            await client.query(
+              `INSERT INTO afiliacion_comentarios (affiliation_id, user_id, campo, texto)
+               VALUES ($1, $2, $3, $4)`,
+              [id, changingUserId, campoComentario(campo), motivo]
+            );
+          }
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+      if (result.rows.length === 0) {
+        return res.status(409).json({
+          message:
+            "La ficha cambió de estado mientras tanto. Vuelve a cargarla.",
+        });
+      }
+      await registrarAuditoria(req, {
+        entidad: "afiliacion",
+        entidadId: id,
+        accion: "cambiar_estado",
+        antes: { status: estadoActual },
+        despues: { ...result.rows[0], motivo },
+      });
+
+      res.json({
+        newStatus: result.rows[0].status,
+        timestamp: result.rows[0].status_change_timestamp,
+        rechazoMotivo: result.rows[0].rechazo_motivo,
+        observacionMotivo: result.rows[0].observacion_motivo,
+      });
+    } catch (error) {
+      console.error("Error al actualizar estado:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// --- COMENTARIOS DE FICHAS ---
+// Devuelve los hilos de la ficha con sus respuestas y marca todo como leído
+// para el usuario. noLeidos indica cuántos comentarios eran nuevos para él.
+app.get(
+  "/api/affiliations/:id/comments",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { userId } = req.user;
+    try {
+      const afiliacion = await pool.query(
+        "SELECT user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (
+        afiliacion.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))
+      ) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const result = await pool.query(
+        `SELECT c.id, c.parent_id, c.campo, c.texto, c.creado_en, c.user_id,
+                u.full_name as user_name, c.resuelto_en, c.resuelto_por_id,
+                r.full_name as resuelto_por_nombre,
+                (c.user_id IS DISTINCT FROM $2 AND c.id > COALESCE(l.ultimo_leido_id, 0)) as no_leido
+         FROM afiliacion_comentarios c
+         LEFT JOIN users u ON c.user_id = u.id
+         LEFT JOIN users r ON c.resuelto_por_id = r.id
+         LEFT JOIN afiliacion_comentarios_lecturas l
+           ON l.affiliation_id = c.affiliation_id AND l.user_id = $2
+         WHERE c.affiliation_id = $1
+         ORDER BY c.id`,
+        [id, userId]
+      );
+
+      const hilos = [];
+      const porId = new Map();
+      for (const comentario of result.rows) {
+        if (comentario.parent_id === null) {
+          const hilo = { ...comentario, respuestas: [] };
+          porId.set(comentario.id, hilo);
+          hilos.push(hilo);
+        } else if (porId.has(comentario.parent_id)) {
+          porId.get(comentario.parent_id).respuestas.push(comentario);
+        }
+      }
+
+      if (result.rows.length > 0) {
+        await pool.query(
+          `INSERT INTO afiliacion_comentarios_lecturas (affiliation_id, user_id, ultimo_leido_id)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (affiliation_id, user_id)
+           DO UPDATE SET ultimo_leido_id = GREATEST(afiliacion_comentarios_lecturas.ultimo_leido_id, EXCLUDED.ultimo_leido_id),
+                         leido_en = NOW()`,
+          [id, userId, result.rows[result.rows.length - 1].id]
+        );
+      }
+
+      res.json({
+        rows: hilos,
+        noLeidos: result.rows.filter((c) => c.no_leido).length,
+        pendientes: hilos.filter((h) => !h.resuelto_en).length,
+      });
+    } catch (error) {
+      console.error("Error al obtener los comentarios de la ficha:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener los comentarios de la ficha." });
+    }
+  }
+);
+
+// Sin parentId abre un hilo nuevo; con parentId responde en ese hilo (y lo
+// reabre si estaba resuelto).
+app.post(
+  "/api/affiliations/:id/comments",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { texto, campo, parentId } = req.body;
+    const { userId } = req.user;
+
+    if (!texto || texto.trim() === "") {
+      return res
+        .status(400)
+        .json({ message: "El texto del comentario es obligatorio." });
+    }
+    if (campo && !campoComentario(campo)) {
+      return res
+        .status(400)
+        .json({ message: "El campo indicado no es válido." });
+    }
+
+    try {
+      const afiliacion = await pool.query(
+        "SELECT user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (
+        afiliacion.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))
+      ) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      if (parentId) {
+        const padre = await pool.query(
+          "SELECT id FROM afiliacion_comentarios WHERE id = $1 AND affiliation_id = $2 AND parent_id IS NULL",
+          [parentId, id]
+        );
+        if (padre.rows.length === 0) {
+          return res
+            .status(404)
+            .json({ message: "El hilo de comentarios no existe." });
+        }
+      }
+
+      const client = await pool.connect();
+      let result;
+      try {
+        await client.query("BEGIN");
+        result = await client.query(
+          `INSERT INTO afiliacion_comentarios (affiliation_id, parent_id, user_id, campo, texto)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING *`,
+          [
+            id,
+            parentId || null,
+            userId,
+            parentId ? null : campoComentario(campo),
+            texto.trim(),
+          ]
+        );
+        if (parentId) {
+          await client.query(
+            "UPDATE afiliacion_comentarios SET resuelto_en = NULL, resuelto_por_id = NULL WHERE id = $1",
+            [parentId]
+          );
+        }
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+      await registrarAuditoria(req, {
+        entidad: "comentario",
+        entidadId: result.rows[0].id,
+        accion: "crear",
+        despues: result.rows[0],
+      });
+
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      console.error("Error al crear el comentario:", error);
+      res.status(500).json({ message: "Error al crear el comentario." });
+    }
+  }
+);
+
+// Resuelve (o reabre con { resuelto: false }) un hilo. Pueden hacerlo quien
+// abrió el hilo, el dueño de la ficha o quien puede observar fichas.
+app.put(
+  "/api/affiliations/:id/comments/:commentId/resolve",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id, commentId } = req.params;
+    const resolver =
+      req.body.resuelto !== false && req.body.resuelto !== "false";
+    const { userId, permissions } = req.user;
+    try {
+      const result = await pool.query(
+        `SELECT c.*, a.user_id as afiliacion_user_id
+         FROM afiliacion_comentarios c
+         JOIN affiliations a ON c.affiliation_id = a.id
+         WHERE c.id = $1 AND c.affiliation_id = $2 AND c.parent_id IS NULL`,
+        [commentId, id]
+      );
+      if (
+        result.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, result.rows[0].afiliacion_user_id))
+      ) {
+        return res
+          .status(404)
+          .json({ message: "El hilo de comentarios no existe." });
+      }
+      const hilo = result.rows[0];
+      if (
+        hilo.user_id !== userId &&
+        hilo.afiliacion_user_id !== userId &&
+        !permissions.has("affiliation.observe")
+      ) {
+        return res.status(403).json({
+          message: "Acceso denegado: no puedes resolver este hilo.",
+        });
+      }
+
+      const updated = await pool.query(
+        `UPDATE afiliacion_comentarios
+         SET resuelto_en = CASE WHEN $2 THEN NOW() ELSE NULL END,
+             resuelto_por_id = CASE WHEN $2 THEN $3::int ELSE NULL END
+         WHERE id = $1
+         RETURNING *`,
+        [commentId, resolver, userId]
+      );
+      await registrarAuditoria(req, {
+        entidad: "comentario",
+        entidadId: commentId,
+        accion: resolver ? "resolver" : "reabrir",
+        antes: hilo,
+        despues: updated.rows[0],
+      });
+      res.json(updated.rows[0]);
+    } catch (error) {
+      console.error("Error al resolver el hilo de comentarios:", error);
+      res
+        .status(500)
+        .json({ message: "Error al resolver el hilo de comentarios." });
+    }
+  }
+);
+
+// Historial de cambios de estado de una ficha, del más antiguo al más nuevo.
+app.get(
+  "/api/affiliations/:id/history",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const afiliacion = await pool.query(
+        "SELECT user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (
+        afiliacion.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))
+      ) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const result = await pool.query(
+        `SELECT h.id, h.from_status, h.to_status, h.motivo, h.fecha, h.user_id,
+                u.full_name as user_name
+         FROM affiliation_status_history h
+         LEFT JOIN users u ON h.user_id = u.id
+         WHERE h.affiliation_id = $1
+         ORDER BY h.fecha, h.id`,
+        [id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("Error al obtener el historial de la ficha:", error);
+      res
+        .status(500)
+        .json({ message: "Error al obtener el historial de la ficha." });
+    }
+  }
+);
+
+// --- ENDPOINT PARA SUBIR FOTOS A UNA AFILIACIÓN ---
+// tipoDocumento etiqueta la foto con un tipo de tipos_documento ("otro" si no
+// se indica); es lo que se usa para el checklist de documentos requeridos.
+app.post(
+  "/api/affiliations/:id/fotos",
+  authenticateToken,
+  authorize("affiliation.upload_photo"),
+  upload.single("foto"),
+  async (req, res) => {
+    const { descripcion, tipoDocumento = "otro" } = req.body;
+
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: "No se ha subido ningún archivo." });
+    }
+
+    // La ficha puede indicarse por id o por el clientUuid del dispositivo.
+    let id = req.params.id;
+    try {
+      const porClientUuid = UUID_REGEX.test(id);
+      const afiliacion = await pool.query(
+        porClientUuid
+          ? "SELECT id, user_id FROM affiliations WHERE client_uuid = $1"
+          : "SELECT id, user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (afiliacion.rows.length === 0) {
+        // Una foto que llegó antes que su ficha: el dispositivo debe
+        // reintentarla después de sincronizar.
+        return porClientUuid
+          ? res.status(409).json({
+              message:
+                "La ficha todavía no se sincronizó. Reintenta después de sincronizarla.",
+            })
+          : res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+      if (!(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+      id = afiliacion.rows[0].id;
+    } catch (error) {
+      console.error("Error al buscar la afiliación:", error);
+      return res.status(500).json({ message: "Error interno del servidor." });
+    }
+
+    let public_id;
+    try {
+      public_id = await subirArchivoAfiliacion(id, req.file.buffer);
+
+      const newFoto = await pool.query(
+        "INSERT INTO afiliacion_fotos (afiliacion_id, public_id, descripcion, tipo_documento) VALUES ($1, $2, $3, $4) RETURNING *",
+        [id, public_id, descripcion, tipoDocumento]
+      );
+      await registrarAuditoria(req, {
+        entidad: "afiliacion",
+        entidadId: id,
+        accion: "subir_foto",
+        despues: newFoto.rows[0],
+      });
+
+      res.status(201).json(newFoto.rows[0]);
+    } catch (error) {
+      if (public_id) await eliminarArchivoCloudinary(public_id);
+      if (error.code === "23503") {
+        return res
+          .status(400)
+          .json({ message: "El tipo de documento no existe." });
+      }
+      console.error(
+        "Error al subir la foto a la afiliación con ID:",
+        id,
+        error
+      );
+      res
+        .status(500)
+        .json({ message: "Error interno del servidor al procesar la foto." });
+    }
+  }
+);
+
+// Reemplaza el archivo de una foto, su etiqueta o ambos; tipoDocumento y
+// descripcion son opcionales y, si no se envían, se conservan. Sin archivo
+// sirve para etiquetar fotos ya cargadas (por ejemplo, las que la migración
+// dejó como "otro").
+app.put(
+  "/api/affiliations/:id/fotos/:fotoId",
+  authenticateToken,
+  authorize("affiliation.upload_photo"),
+  upload.single("foto"),
+  async (req, res) => {
+    const { id, fotoId } = req.params;
+    const { descripcion, tipoDocumento } = req.body || {};
+
+    if (!req.file && descripcion === undefined && !tipoDocumento) {
+      return res.status(400).json({
+        message:
+          "Debes enviar un archivo, el tipo de documento o la descripción.",
+      });
+    }
+
+    let public_id;
+    try {
+      const busqueda = await buscarFotoEditable(req.user, id, fotoId);
+      if (!busqueda.foto) {
+        return res.status(busqueda.httpStatus).json(busqueda.body);
+      }
+      const antes = busqueda.foto;
+
+      if (req.file) {
+        public_id = await subirArchivoAfiliacion(id, req.file.buffer);
+      }
+      const updatedFoto = await pool.query(
+        `UPDATE afiliacion_fotos
+         SET public_id = COALESCE($1, public_id),
+             descripcion = COALESCE($2, descripcion),
+             tipo_documento = COALESCE($3, tipo_documento),
+             fecha_subida = CASE WHEN $1::text IS NULL THEN fecha_subida ELSE NOW() END
+         WHERE id = $4 RETURNING *`,
+        [public_id || null, descripcion ?? null, tipoDocumento || null, fotoId]
+      );
+      await registrarAuditoria(req, {
+        entidad: "afiliacion",
+        entidadId: id,
+        accion: req.file ? "reemplazar_foto" : "editar_foto",
+        antes,
+        despues: updatedFoto.rows[0],
+      });
+      if (public_id) {
+        await eliminarArchivoCloudinary(antes.public_id);
+      }
+
+      res.json(updatedFoto.rows[0]);
+    } catch (error) {
+      if (public_id) await eliminarArchivoCloudinary(public_id);
+      if (error.code === "23503") {
+        return res
+          .status(400)
+          .json({ message: "El tipo de documento no existe." });
+      }
+      console.error("Error al reemplazar la foto:", fotoId, error);
+      res
+        .status(500)
+        .json({ message: "Error interno del servidor al procesar la foto." });
+    }
+  }
+);
+
+app.delete(
+  "/api/affiliations/:id/fotos/:fotoId",
+  authenticateToken,
+  authorize("affiliation.upload_photo"),
+  async (req, res) => {
+    const { id, fotoId } = req.params;
+    try {
+      const busqueda = await buscarFotoEditable(req.user, id, fotoId);
+      if (!busqueda.foto) {
+        return res.status(busqueda.httpStatus).json(busqueda.body);
+      }
+
+      await pool.query("DELETE FROM afiliacion_fotos WHERE id = $1", [fotoId]);
+      await registrarAuditoria(req, {
+        entidad: "afiliacion",
+        entidadId: id,
+        accion: "eliminar_foto",
+        antes: busqueda.foto,
+      });
+      await eliminarArchivoCloudinary(busqueda.foto.public_id);
+
+      res.status(204).send();
+    } catch (error) {
+      console.error("Error al eliminar la foto:", fotoId, error);
+      res.status(500).json({ message: "Error al eliminar la foto." });
+    }
+  }
+);
+
+// --- FIRMAS DE FICHAS ---
+// Firma manuscrita del titular o del responsable de pago (firmante). La
+// imagen llega como archivo "firma" o como data URL en "imagen" (el
+// toDataURL del canvas), en PNG o SVG. Una firma nueva reemplaza a la vigente
+// del mismo firmante.
+app.post(
+  "/api/affiliations/:id/signatures",
+  authenticateToken,
+  requireUser,
+  authorize("affiliation.edit"),
+  upload.single("firma"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { firmante, imagen, latitud, longitud } = req.body;
+    const { userId } = req.user;
+
+    if (!["titular", "responsablePago"].includes(firmante)) {
+      return res.status(400).json({
+        message: 'El firmante debe ser "titular" o "responsablePago".',
+      });
+    }
+    const firma = leerImagenFirma(req.file, imagen);
+    if (firma.error) {
+      return res.status(400).json({ message: firma.error });
+    }
+
+    try {
+      const current = await pool.query(
+        "SELECT id, user_id, status, form_data, latitud, longitud FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (current.rows.length === 0) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+      const afiliacion = current.rows[0];
+      if (afiliacion.user_id !== userId) {
+        return res.status(403).json({
+          message: "Acceso denegado: No tienes permiso para editar esta ficha.",
+        });
+      }
+      if (!["Abierto", "Observado"].includes(afiliacion.status)) {
+        return res.status(409).json({
+          message: "Esta ficha ya fue presentada y no puede ser firmada.",
+        });
+      }
+      if (
+        firmante === "responsablePago" &&
+        !tieneValor(afiliacion.form_data.dniResponsablePago)
+      ) {
+        return res
+          .status(400)
+          .json({ message: "La ficha no tiene un responsable de pago." });
+      }
+
+      const client = await pool.connect();
+      let nueva;
+      try {
+        await client.query("BEGIN");
+        await client.query(
+          `UPDATE afiliacion_firmas SET invalidada_en = NOW()
+           WHERE afiliacion_id = $1 AND firmante = $2 AND invalidada_en IS NULL`,
+          [id, firmante]
+        );
+        nueva = await client.query(
+          `INSERT INTO afiliacion_firmas
+             (afiliacion_id, firmante, imagen, mime_type, form_data_hash, latitud, longitud, user_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+           RETURNING id, afiliacion_id, firmante, mime_type, form_data_hash, latitud, longitud, user_id, firmado_en, invalidada_en`,
+          [
+            id,
+            firmante,
+            firma.buffer,
+            firma.mimeType,
+            hashFormData(afiliacion.form_data),
+            latitud ?? afiliacion.latitud,
+            longitud ?? afiliacion.longitud,
+            userId,
+          ]
+        );
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+      await registrarAuditoria(req, {
+        entidad: "afiliacion",
+        entidadId: id,
+        accion: "firmar",
+        despues: nueva.rows[0],
+      });
+
+      res.status(201).json(nueva.rows[0]);
+    } catch (error) {
+      console.error("Error al guardar la firma:", error);
+      res.status(500).json({ message: "Error al guardar la firma." });
+    }
+  }
+);
+
+app.get(
+  "/api/affiliations/:id/signatures",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const afiliacion = await pool.query(
+        "SELECT user_id FROM affiliations WHERE id = $1",
+        [id]
+      );
+      if (
+        afiliacion.rows.length === 0 ||
+        !(await puedeVerAfiliacion(req.user, afiliacion.rows[0].user_id))
+      ) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const result = await pool.query(
+        `SELECT f.id, f.firmante, f.mime_type, f.form_data_hash, f.latitud, f.longitud,
+                f.firmado_en, f.invalidada_en, u.full_name as capturada_por
+         FROM afiliacion_firmas f
+         LEFT JOIN users u ON u.id = f.user_id
+         WHERE f.afiliacion_id = $1
+         ORDER BY f.firmado_en DESC`,
+        [id]
+      );
+      res.json(
+        result.rows.map((firma) => ({
+          ...firma,
+          vigente: firma.invalidada_en === null,
+        }))
+      );
+    } catch (error) {
+      console.error("Error al obtener las firmas:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// --- ENDPOINT PARA GENERAR PDF DE UNA AFILIACIÓN ---
+app.get(
+  "/api/affiliations/:id/pdf",
+  authenticateToken,
+  authorize("affiliation.read"),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const ficha = await obtenerFichaPdf(id);
+      if (!ficha || !(await puedeVerAfiliacion(req.user, ficha.user_id))) {
+        return res.status(404).json({ message: "Afiliación no encontrada." });
+      }
+
+      const { html, nombreArchivo } = await prepararPdfFicha(ficha);
+      const pdfBuffer = await generarPdf(html);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=${nombreArchivo}`
+      );
+      res.send(pdfBuffer);
+    } catch (error) {
+      if (error.code === "PDF_OCUPADO") {
+        res.setHeader("Retry-After", "10");
+        return res.status(503).json({ message: error.message });
+      }
+      console.error("Error al generar el PDF:", error);
+      res.status(500).json({ message: "No se pudo generar el PDF." });
+    }
+  }
+);
+
+// --- PLANTILLAS DE PDF ---
+// Cada plantilla aplica a un tipo de plan y/o a una empresa; al imprimir se
+// usa la más específica (plan y empresa, sólo empresa, sólo tipo de plan,
+// general) y, dentro de ella, la última versión ya vigente.
+app.get(
+  "/api/pdf-templates",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT p.*,
+                COUNT(v.id)::int as versiones,
+                MAX(v.version) as ultima_version
+         FROM pdf_plantillas p
+         LEFT JOIN pdf_plantilla_versiones v ON v.plantilla_id = p.id
+         GROUP BY p.id
+         ORDER BY p.nombre`
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("Error al obtener las plantillas de PDF:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.post(
+  "/api/pdf-templates",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    const { nombre, planTipo, empresa } = req.body;
+    if (!nombre) {
+      return res
+        .status(400)
+        .json({ message: "El nombre de la plantilla es obligatorio." });
+    }
+    try {
+      const nueva = await pool.query(
+        `INSERT INTO pdf_plantillas (nombre, plan_tipo, empresa)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [nombre, planTipo || null, empresa || null]
+      );
+      await registrarAuditoria(req, {
+        entidad: "plantilla_pdf",
+        entidadId: nueva.rows[0].id,
+        accion: "crear",
+        despues: nueva.rows[0],
+      });
+      res.status(201).json(nueva.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({
+          message: "Ya existe una plantilla para ese tipo de plan y empresa.",
+        });
+      }
+      console.error("Error al crear la plantilla de PDF:", error);
+      res.status(500).json({ message: "Error al crear la plantilla." });
+    }
+  }
+);
+
+app.put(
+  "/api/pdf-templates/:id",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { nombre, planTipo, empresa } = req.body;
+    if (!nombre) {
+      return res
+        .status(400)
+        .json({ message: "El nombre de la plantilla es obligatorio." });
+    }
+    try {
+      const antes = await obtenerFila("pdf_plantillas", id);
+      if (antes && esPlantillaPdfGeneral(antes) && (planTipo || empresa)) {
+        return res.status(409).json({
+          message:
+            "La plantilla general no puede limitarse a un plan o empresa.",
+        });
+      }
+      const updated = await pool.query(
+        `UPDATE pdf_plantillas SET nombre = $1, plan_tipo = $2, empresa = $3
+         WHERE id = $4 RETURNING *`,
+        [nombre, planTipo || null, empresa || null, id]
+      );
+      if (updated.rows.length === 0) {
+        return res.status(404).json({ message: "Plantilla no encontrada." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "plantilla_pdf",
+        entidadId: id,
+        accion: "editar",
+        antes,
+        despues: updated.rows[0],
+      });
+      res.json(updated.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        return res.status(409).json({
+          message: "Ya existe una plantilla para ese tipo de plan y empresa.",
+        });
+      }
+      console.error("Error al actualizar la plantilla de PDF:", error);
+      res.status(500).json({ message: "Error al actualizar la plantilla." });
+    }
+  }
+);
+
+app.delete(
+  "/api/pdf-templates/:id",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const antes = await obtenerFila("pdf_plantillas", id);
+      if (!antes) {
+        return res.status(404).json({ message: "Plantilla no encontrada." });
+      }
+      if (esPlantillaPdfGeneral(antes)) {
+        return res
+          .status(409)
+          .json({ message: "La plantilla general no se puede eliminar." });
+      }
+      await pool.query("DELETE FROM pdf_plantillas WHERE id = $1", [id]);
+      await registrarAuditoria(req, {
+        entidad: "plantilla_pdf",
+        entidadId: id,
+        accion: "eliminar",
+        antes,
+      });
+      res.status(204).send();
+    } catch (error) {
+      if (error.code === "23503") {
+        return res.status(409).json({
+          message:
+            "No se puede eliminar la plantilla porque hay fichas aprobadas con alguna de sus versiones.",
+        });
+      }
+      console.error("Error al eliminar la plantilla de PDF:", error);
+      res.status(500).json({ message: "Error al eliminar la plantilla." });
+    }
+  }
+);
+
+app.get(
+  "/api/pdf-templates/:id/versions",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT v.id, v.version, v.vigente_desde, v.created_at,
+                u.full_name as created_by_name
+         FROM pdf_plantilla_versiones v
+         LEFT JOIN users u ON u.id = v.created_by
+         WHERE v.plantilla_id = $1
+         ORDER BY v.version DESC`,
+        [req.params.id]
+      );
+      res.json(result.rows);
+    } catch (error) {
+      console.error("Error al obtener las versiones de la plantilla:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.get(
+  "/api/pdf-templates/:id/versions/:versionId",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM pdf_plantilla_versiones WHERE id = $1 AND plantilla_id = $2",
+        [req.params.versionId, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ message: "Versión no encontrada." });
+      }
+      res.json(result.rows[0]);
+    } catch (error) {
+      console.error("Error al obtener la versión de la plantilla:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// Las versiones no se editan: cada cambio crea una versión nueva, que rige
+// desde vigenteDesde (por defecto, ahora).
+app.post(
+  "/api/pdf-templates/:id/versions",
+  authenticateToken,
+  requireUser,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { html, css = "", vigenteDesde } = req.body;
+
+    if (!html) {
+      return res
+        .status(400)
+        .json({ message: "El HTML de la plantilla es obligatorio." });
+    }
+    const errorPlantilla = validarPlantillaPdf(html);
+    if (errorPlantilla) {
+      return res.status(400).json({
+        message: `La plantilla tiene errores: ${errorPlantilla}`,
+      });
+    }
+    const vigente = vigenteDesde ? new Date(vigenteDesde) : new Date();
+    if (isNaN(vigente.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "La fecha de vigencia no es válida." });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const plantilla = await client.query(
+        "SELECT id FROM pdf_plantillas WHERE id = $1 FOR UPDATE",
+        [id]
+      );
+      if (plantilla.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ message: "Plantilla no encontrada." });
+      }
+      const nueva = await client.query(
+        `INSERT INTO pdf_plantilla_versiones
+           (plantilla_id, version, html, css, vigente_desde, created_by)
+         VALUES (
+           $1,
+           (SELECT COALESCE(MAX(version), 0) + 1 FROM pdf_plantilla_versiones WHERE plantilla_id = $1),
+           $2, $3, $4, $5
+         ) RETURNING *`,
+        [id, html, css, vigente, req.user.userId]
+      );
+      await client.query("COMMIT");
+
+      const { html: _html, css: _css, ...resumen } = nueva.rows[0];
+      await registrarAuditoria(req, {
+        entidad: "plantilla_pdf",
+        entidadId: id,
+        accion: "crear_version",
+        despues: resumen,
+      });
+      res.status(201).json(nueva.rows[0]);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error al crear la versión de la plantilla:", error);
+      res.status(500).json({ message: "Error al crear la versión." });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Vista previa en PDF. La plantilla es una versión guardada (versionId) o un
+// HTML/CSS sin guardar; los datos, los de una ficha real (affiliationId) o
+// los de PDF_TEMPLATE_SAMPLE.
+app.post(
+  "/api/pdf-templates/preview",
+  authenticateToken,
+  authorize("plantilla.manage"),
+  async (req, res) => {
+    const { versionId, html, css = "", affiliationId } = req.body;
+
+    if (!versionId && !html) {
+      return res
+        .status(400)
+        .json({ message: "Debes indicar una versión o el HTML a probar." });
+    }
+
+    try {
+      let plantilla;
+      if (versionId) {
+        plantilla = await compilarVersionPlantillaPdf(versionId);
+        if (!plantilla) {
+          return res.status(404).json({ message: "Versión no encontrada." });
+        }
+      } else {
+        const errorPlantilla = validarPlantillaPdf(html);
+        if (errorPlantilla) {
+          return res.status(400).json({
+            message: `La plantilla tiene errores: ${errorPlantilla}`,
+          });
+        }
+        plantilla = { template: handlebars.compile(html), cssContent: css };
+      }
+
+      let ficha = PDF_TEMPLATE_SAMPLE;
+      if (affiliationId) {
+        ficha = await obtenerFichaPdf(affiliationId);
+        if (!ficha || !(await puedeVerAfiliacion(req.user, ficha.user_id))) {
+          return res.status(404).json({ message: "Afiliación no encontrada." });
+        }
+      }
+
+      const { html: finalHtml } = await prepararPdfFicha(ficha, {
+        plantilla,
+        vistaPrevia: true,
+      });
+      const pdfBuffer = await generarPdf(finalHtml);
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", "inline; filename=vista-previa.pdf");
+      res.send(pdfBuffer);
+    } catch (error) {
+      if (error.code === "PDF_OCUPADO") {
+        res.setHeader("Retry-After", "10");
+        return res.status(503).json({ message: error.message });
+      }
+      console.error("Error al generar la vista previa:", error);
+      res.status(500).json({ message: "No se pudo generar la vista previa." });
+    }
+  }
+);
+
+// --- ENDPOINT PARA LOS DATOS DEL DASHBOARD ---
+app.post(
+  "/api/dashboard",
+  authenticateToken,
+  authorize("dashboard.read"),
+  async (req, res) => {
+    const {
+      startDate,
+      endDate,
+      selectedVendor,
+      selectedPlan,
+      selectedMedioPago,
+      selectedEmpresa,
+    } = req.body;
+
+    if (!startDate || !endDate) {
+      return res
+        .status(400)
+        .json({ message: "Se requiere un rango de fechas." });
+    }
+
+    try {
+      const finalEndDate = new Date(endDate);
+      finalEndDate.setDate(finalEndDate.getDate() + 1);
+
+      let params = [startDate, finalEndDate];
+      let paramCounter = 3;
+      let whereClauses = [];
+
+      const equipoIds = await obtenerIdsEquipo(req.user);
+      if (equipoIds) {
+        whereClauses.push(`a.user_id = ANY($${paramCounter++}::int[])`);
+        params.push(equipoIds);
+      }
+
+      if (selectedVendor) {
+        whereClauses.push(`u.full_name = $${paramCounter++}`);
+        params.push(selectedVendor);
+      }
+      if (selectedPlan) {
+        whereClauses.push(`a.plan = $${paramCounter++}`);
+        params.push(selectedPlan);
+      }
+      if (selectedMedioPago) {
+        whereClauses.push(`a.form_data ->> 'medioPago' = $${paramCounter++}`);
+        params.push(selectedMedioPago);
+      }
+      if (selectedEmpresa) {
+        whereClauses.push(`a.form_data ->> 'empresa' = $${paramCounter++}`);
+        params.push(selectedEmpresa);
+      }
+
+      const affiliationsQuery = `
+            SELECT 
+                a.id, a.status, a.latitud, a.longitud, a.domicilio_latitud, a.domicilio_longitud, a.fecha_creacion, a.plan,
+                a.form_data ->> 'total' as total,
+                u.full_name as vendor_name
+            FROM affiliations a
+            JOIN users u ON a.user_id = u.id
+            WHERE a.fecha_creacion >= $1 AND a.fecha_creacion < $2
+            ${
+              whereClauses.length > 0 ? "AND " + whereClauses.join(" AND ") : ""
+            }
+        `;
+
+      const affiliationsResult = await pool.query(affiliationsQuery, params);
+      const affiliations = affiliationsResult.rows;
+
+      const totalFichas = affiliations.length;
+      const fichasAprobadas = affiliations.filter(
+        (f) => f.status === "Aprobado"
+      ).length;
+      const fichasRechazadas = affiliations.filter(
+        (f) => f.status === "Rechazado"
+      ).length;
+      const fichasPendientes = affiliations.filter(
+        (f) => f.status === "Presentado"
+      ).length;
+
+      const ventasTotales = affiliations
+        .filter((f) => f.status === "Aprobado" && f.total)
+        .reduce((sum, f) => sum + parseFloat(f.total), 0);
+
+      const ventasPorVendedor = affiliations.reduce((acc, f) => {
+        if (f.status === "Aprobado" && f.vendor_name && f.total) {
+          if (!acc[f.vendor_name]) {
+            acc[f.vendor_name] = { totalAmount: 0, totalFichas: 0 };
+          }
+          acc[f.vendor_name].totalAmount += parseFloat(f.total);
+          acc[f.vendor_name].totalFichas += 1;
+        }
+        return acc;
+      }, {});
+
+      const topVendedores = Object.entries(ventasPorVendedor)
+        .sort(([, a], [, b]) => b.totalAmount - a.totalAmount)
+        .slice(0, 3)
+        .map(([name, data]) => ({
+          name: name,
+          totalAmount: Math.round(data.totalAmount),
+          totalFichas: data.totalFichas,
+        }));
+
+      const planesVendidos = affiliations.reduce((acc, f) => {
+        if (f.status === "Aprobado" && f.plan) {
+          acc[f.plan] = (acc[f.plan] || 0) + 1;
+        }
+        return acc;
+      }, {});
+
+      const topPlanes = Object.entries(planesVendidos)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 3)
+        .map(([name, ventas]) => ({ name, ventas }));
+      const ventasPorDia = affiliations.reduce((acc, f) => {
+        if (f.status === "Aprobado") {
+          const dia = new Date(f.fecha_creacion).toISOString().split("T")[0];
+          acc[dia] = (acc[dia] || 0) + 1;
+        }
+        return acc;
+      }, {});
+
+      const locations = affiliations
+        .map((f) => ({
+          id: f.id,
+          status: f.status,
+          venta: {
+            lat: f.latitud ? parseFloat(f.latitud) : null,
+            lng: f.longitud ? parseFloat(f.longitud) : null,
+          },
+          domicilio: {
+            lat: f.domicilio_latitud ? parseFloat(f.domicilio_latitud) : null,
+            lng: f.domicilio_longitud ? parseFloat(f.domicilio_longitud) : null,
+          },
+        }))
+        .filter(
+          (f) =>
+            (f.venta.lat && f.venta.lng) || (f.domicilio.lat && f.domicilio.lng)
+        );
+
+      const dashboardData = {
+        kpis: {
+          totalFichas,
+          fichasAprobadas,
+          fichasRechazadas,
+          fichasPendientes,
+          tasaAprobacion:
+            totalFichas > 0
+              ? ((fichasAprobadas / totalFichas) * 100).toFixed(1) + "%"
+              : "0%",
+          ventasTotales: ventasTotales,
+          ticketPromedio:
+            fichasAprobadas > 0 ? ventasTotales / fichasAprobadas : 0,
+
+          topVendedores: topVendedores,
+          topPlanes: topPlanes,
+
+          ventasPorDia,
+        },
+        locations,
+      };
+
+      res.json(dashboardData);
+    } catch (error) {
+      console.error("Error al obtener datos del dashboard:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// ENDPOINT PARA PERFORMANCE DE VENDEDORES
+app.post(
+  "/api/performance",
+  authenticateToken,
+  authorize("performance.read"),
+  async (req, res) => {
+    const { periodo_id } = req.body;
+    const { userId, permissions } = req.user;
+
+    if (!periodo_id) {
+      return res.status(400).json({ message: "Se requiere un período." });
+    }
+
+    try {
+      const periodoResult = await pool.query(
+        "SELECT fecha_inicio, fecha_fin FROM periodos WHERE id = $1",
+        [periodo_id]
+      );
+      if (periodoResult.rows.length === 0) {
+        return res.status(404).json({ message: "Período no encontrado." });
+      }
+      const { fecha_inicio, fecha_fin } = periodoResult.rows[0];
+
+      const finalEndDate = new Date(fecha_fin);
+      finalEndDate.setDate(finalEndDate.getDate() + 1);
+
+      let params = [fecha_inicio, finalEndDate, periodo_id];
+      let userFilterClause = "";
+
+      if (!permissions.has("performance.read_all")) {
+        userFilterClause = `AND u.id = $4`;
+        params.push(userId);
+      } else {
+        const equipoIds = await obtenerIdsEquipo(req.user);
+        if (equipoIds) {
+          userFilterClause = `AND u.id = ANY($4::int[])`;
+          params.push(equipoIds);
+        }
+      }
+
+      const performanceQuery = `
+        SELECT
+            u.id,
+            u.codigo,
+            u.full_name,
+            COUNT(CASE WHEN a.status = 'Aprobado' THEN 1 ELSE NULL END) as total_fichas,
+            COALESCE(SUM(CASE WHEN a.status = 'Aprobado' THEN CAST(a.form_data->>'total' AS NUMERIC) ELSE 0 END), 0) as total_venta,
+            -- Obtenemos el objetivo directamente con un subquery
+            (SELECT objetivo_monto FROM objetivos_vendedores ov WHERE ov.vendedor_id = u.id AND ov.periodo_id = $3) as objetivo_monto
+        FROM
+            users u
+        LEFT JOIN
+            affiliations a ON u.id = a.user_id AND a.fecha_creacion >= $1 AND a.fecha_creacion < $2
+        WHERE
+            u.role = 'VENDEDOR'
+            ${userFilterClause}
+        GROUP BY
+            u.id, u.codigo, u.full_name
+        -- Los vendedores desactivados sólo aparecen si tuvieron fichas en el período
+        HAVING
+            u.active OR COUNT(a.id) > 0
+        ORDER BY
+            total_venta DESC;
+      `;
+
+      const result = await pool.query(performanceQuery, params);
+
+      const performanceData = result.rows.map((row) => {
+        const objetivo = parseFloat(row.objetivo_monto) || 0;
+        const venta = parseFloat(row.total_venta);
+
+        const avance_porcentaje =
+          objetivo > 0 ? ((venta / objetivo) * 100).toFixed(1) : 0;
+        const monto_faltante = Math.max(0, objetivo - venta);
+
+        return {
+          ...row,
+          avance_porcentaje: `${avance_porcentaje}%`,
+          monto_faltante: monto_faltante,
+        };
+      });
+
+      res.json(performanceData);
+    } catch (error) {
+      console.error("Error al obtener datos de performance:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// ENDPOINT PARA DETALLE DE PERFORMANCE DE VENDEDOR
+app.post(
+  "/api/performance/vendedor-detalle",
+  authenticateToken,
+  authorize("performance.read"),
+  async (req, res) => {
+    const { vendedorId, periodoIds } = req.body;
+    const { userId, permissions } = req.user;
+
+    if (!permissions.has("performance.read_all") && vendedorId !== userId) {
+      return res
+        .status(403)
+        .json({
+          message: "Acceso denegado: Solo puedes ver tu propia performance.",
+        });
+    }
+    if (
+      !vendedorId ||
+      !periodoIds ||
+      !Array.isArray(periodoIds) ||
+      periodoIds.length === 0
+    ) {
+      return res
+        .status(400)
+        .json({
+          message: "Se requiere un ID de vendedor y al menos un ID de período.",
+        });
+    }
+
+    try {
+      const equipoIds = await obtenerIdsEquipo(req.user);
+      if (equipoIds && !equipoIds.includes(Number(vendedorId))) {
+        return res.status(403).json({
+          message: "Acceso denegado: el vendedor no pertenece a tu equipo.",
+        });
+      }
+
+      const periodosResult = await pool.query(
+        `SELECT id, nombre, fecha_inicio, fecha_fin FROM periodos WHERE id = ANY($1::int[])`,
+        [periodoIds]
+      );
+      const periodos = periodosResult.rows;
+
+      const fichasQuery = `
+        SELECT 
+          CAST(form_data->>'total' AS NUMERIC) as total,
+          fecha_creacion,
+          -- Extraer el ID del período al que pertenece cada ficha
+          (SELECT id FROM periodos WHERE fecha_creacion >= fecha_inicio AND fecha_creacion < (fecha_fin + INTERVAL '1 day')) as periodo_id
+        FROM affiliations
+        WHERE user_id = $1 AND status = 'Aprobado'
+        AND EXISTS (
+          SELECT 1 FROM periodos WHERE id = ANY($2::int[]) AND fecha_creacion >= fecha_inicio AND fecha_creacion < (fecha_fin + INTERVAL '1 day')
+        )
+        ORDER BY fecha_creacion;
+      `;
+      const fichasResult = await pool.query(fichasQuery, [
+        vendedorId,
+        periodoIds,
+      ]);
+      const fichas = fichasResult.rows;
+
+      let responseData = {};
+
+      for (const periodo of periodos) {
+        const fichasDelPeriodo = fichas.filter(
+          (f) => f.periodo_id === periodo.id
+        );
+
+        const kpis = {
+          totalVenta: fichasDelPeriodo.reduce(
+            (sum, f) => sum + parseFloat(f.total),
+            0
+          ),
+          totalFichas: fichasDelPeriodo.length,
+          ticketPromedio:
+            fichasDelPeriodo.length > 0
+              ? fichasDelPeriodo.reduce(
+                  (sum, f) => sum + parseFloat(f.total),
+                  0
+                ) / fichasDelPeriodo.length
+              : 0,
+        };
+
+        const ventasPorDia = {};
+        const fichasPorDia = {};
+        for (
+          let d = new Date(periodo.fecha_inicio);
+          d <= periodo.fecha_fin;
+          d.setDate(d.getDate() + 1)
+        ) {
+          const dateString = d.toISOString().split("T")[0];
+          ventasPorDia[dateString] = 0;
+          fichasPorDia[dateString] = 0;
+        }
+        fichasDelPeriodo.forEach((f) => {
+          const dateString = new Date(f.fecha_creacion)
+            .toISOString()
+            .split("T")[0];
+          if (ventasPorDia[dateString] !== undefined) {
+            ventasPorDia[dateString] += parseFloat(f.total);
+            fichasPorDia[dateString] += 1;
+          }
+        });
+
+        const fichasPorDiaSemana = [0, 0, 0, 0, 0, 0, 0];
+        fichasDelPeriodo.forEach((f) => {
+          const dayOfWeek = new Date(f.fecha_creacion).getDay();
+          fichasPorDiaSemana[dayOfWeek] += 1;
+        });
+
+        responseData[`periodo_${periodo.id}`] = {
+          nombre: periodo.nombre,
+          kpis: kpis,
+          ventasPorDia: ventasPorDia,
+          fichasPorDia: fichasPorDia,
+          fichasPorDiaSemana: fichasPorDiaSemana,
+        };
+      }
+
+      res.json(responseData);
+    } catch (error) {
+      console.error("Error al obtener detalle de performance:", error);
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// --- DATOS MAESTROS ---
+
+// Endpoints de lectura
+app.get(
+  "/api/planes",
+  authenticateToken,
+  authorize("plan.read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query("SELECT * FROM planes ORDER BY label");
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.get(
+  "/api/empresas",
+  authenticateToken,
+  authorize("empresa.read"),
+  async (req, res) => {
+    try {
+      const result = await pool.query("SELECT * FROM empresas ORDER BY label");
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+// ABM de Planes
+app.post(
+  "/api/planes",
+  authenticateToken,
+  authorize("plan.write"),
+  async (req, res) => {
+    const {
+      label,
+      value,
+      tipo,
+      importe_grupo_familiar,
+      importe_individual,
+      importe_adherente,
+      titulo,
+    } = req.body;
+
+    if (
+      !label ||
+      !value ||
+      !tipo ||
+      !importe_grupo_familiar ||
+      !importe_individual ||
+      !importe_adherente ||
+      !titulo
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Todos los campos son obligatorios." });
+    }
+    try {
+      const newPlan = await pool.query(
+        `INSERT INTO planes (
+            label, value, tipo, 
+            importe_grupo_familiar, importe_individual, importe_adherente, titulo
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [
+          label,
+          value,
+          tipo,
+          importe_grupo_familiar,
+          importe_individual,
+          importe_adherente,
+          titulo,
+        ]
+      );
+      await registrarAuditoria(req, {
+        entidad: "plan",
+        entidadId: newPlan.rows[0].id,
+        accion: "crear",
+        despues: newPlan.rows[0],
+      });
+      res.status(201).json(newPlan.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ message: 'El "value" del plan ya existe.' });
+      }
+      res.status(500).json({ message: "Error al crear el plan." });
+    }
+  }
+);
+
+app.put(
+  "/api/planes/:id",
+  authenticateToken,
+  authorize("plan.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    const {
+      label,
+      value,
+      tipo,
+      importe_grupo_familiar,
+      importe_individual,
+      importe_adherente,
+      titulo,
+    } = req.body;
+
+    if (
+      !label ||
+      !value ||
+      !tipo ||
+      !importe_grupo_familiar ||
+      !importe_individual ||
+      !importe_adherente ||
+      !titulo
+    ) {
+      return res
+        .status(400)
+        .json({ message: "Todos los campos son obligatorios." });
+    }
+    try {
+      const antes = await obtenerFila("planes", id);
+      const updatedPlan = await pool.query(
+        `UPDATE planes 
+         SET label = $1, value = $2, tipo = $3, 
+             importe_grupo_familiar = $4, importe_individual = $5, 
+             importe_adherente = $6, titulo = $7 
+         WHERE id = $8 RETURNING *`,
+        [
+          label,
+          value,
+          tipo,
+          importe_grupo_familiar,
+          importe_individual,
+          importe_adherente,
+          titulo,
+          id,
+        ]
+      );
+      if (updatedPlan.rows.length === 0) {
+        return res.status(404).json({ message: "Plan no encontrado." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "plan",
+        entidadId: id,
+        accion: "editar",
+        antes: antes,
+        despues: updatedPlan.rows[0],
+      });
+      res.json(updatedPlan.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al actualizar el plan." });
+    }
+  }
+);
+
+app.delete(
+  "/api/planes/:id",
+  authenticateToken,
+  authorize("plan.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const antes = await obtenerFila("planes", id);
+      await pool.query("DELETE FROM planes WHERE id = $1", [id]);
+      await registrarAuditoria(req, {
+        entidad: "plan",
+        entidadId: id,
+        accion: "eliminar",
+        antes: antes,
+      });
+      res.status(204).send();
+    } catch (error) {
+      if (error.code === "23503") {
+        return res.status(409).json({
+          message:
+            "No se puede eliminar el plan porque está siendo utilizado por una o más afiliaciones.",
+        });
+      }
+      res.status(500).json({ message: "Error al eliminar el plan." });
+    }
+  }
+);
+
+// ABM de Empresas
+app.post(
+  "/api/empresas",
+  authenticateToken,
+  authorize("empresa.write"),
+  async (req, res) => {
+    const { label, value } = req.body;
+    if (!label || !value) {
+      return res
+        .status(400)
+        .json({ message: "Los campos label y value son obligatorios." });
+    }
+    try {
+      const newEmpresa = await pool.query(
+        "INSERT INTO empresas (label, value) VALUES ($1, $2) RETURNING *",
+        [label, value]
+      );
+      await registrarAuditoria(req, {
+        entidad: "empresa",
+        entidadId: newEmpresa.rows[0].id,
+        accion: "crear",
+        despues: newEmpresa.rows[0],
+      });
+      res.status(201).json(newEmpresa.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ message: 'El "value" de la empresa ya existe.' });
+      }
+      res.status(500).json({ message: "Error al crear la empresa." });
+    }
+  }
+);
+
+app.put(
+  "/api/empresas/:id",
+  authenticateToken,
+  authorize("empresa.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    const { label, value } = req.body;
+    if (!label || !value) {
+      return res
+        .status(400)
+        .json({ message: "Todos los campos son obligatorios." });
+    }
+    try {
+      const antes = await obtenerFila("empresas", id);
+      const updatedEmpresa = await pool.query(
+        "UPDATE empresas SET label = $1, value = $2 WHERE id = $3 RETURNING *",
+        [label, value, id]
+      );
+      if (updatedEmpresa.rows.length === 0) {
+        return res.status(404).json({ message: "Empresa no encontrada." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "empresa",
+        entidadId: id,
+        accion: "editar",
+        antes: antes,
+        despues: updatedEmpresa.rows[0],
+      });
+      res.json(updatedEmpresa.rows[0]);
+    } catch (error) {
+      res.status(500).json({ message: "Error al actualizar la empresa." });
+    }
+  }
+);
+
+app.delete(
+  "/api/empresas/:id",
+  authenticateToken,
+  authorize("empresa.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const usage = await pool.query(
+        "SELECT 1 FROM affiliations WHERE form_data ->> 'empresa' = (SELECT value FROM empresas WHERE id = $1) LIMIT 1",
+        [id]
+      );
+      if (usage.rows.length > 0) {
+        return res.status(409).json({
+          message: "No se puede eliminar la empresa porque está en uso.",
+        });
+      }
+      const antes = await obtenerFila("empresas", id);
+      await pool.query("DELETE FROM empresas WHERE id = $1", [id]);
+      await registrarAuditoria(req, {
+        entidad: "empresa",
+        entidadId: id,
+        accion: "eliminar",
+        antes: antes,
+      });
+      res.status(204).send();
+    } catch (error) {
+      res.status(500).json({ message: "Error al eliminar la empresa." });
+    }
+  }
+);
+
+// ABM de Documentos de fichas
+app.get(
+  "/api/tipos-documento",
+  authenticateToken,
+  authorize("affiliation.read", "documento.write"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM tipos_documento ORDER BY orden, label"
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.post(
+  "/api/tipos-documento",
+  authenticateToken,
+  authorize("documento.write"),
+  async (req, res) => {
+    const { label, value, orden = 0 } = req.body;
+    if (!label || !value) {
+      return res
+        .status(400)
+        .json({ message: "Los campos label y value son obligatorios." });
+    }
+    try {
+      const nuevo = await pool.query(
+        "INSERT INTO tipos_documento (value, label, orden) VALUES ($1, $2, $3) RETURNING *",
+        [value, label, orden]
+      );
+      await registrarAuditoria(req, {
+        entidad: "tipo_documento",
+        entidadId: value,
+        accion: "crear",
+        despues: nuevo.rows[0],
+      });
+      res.status(201).json(nuevo.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ message: 'El "value" del tipo de documento ya existe.' });
+      }
+      res.status(500).json({ message: "Error al crear el tipo de documento." });
+    }
+  }
+);
+
+app.delete(
+  "/api/tipos-documento/:value",
+  authenticateToken,
+  authorize("documento.write"),
+  async (req, res) => {
+    const { value } = req.params;
+    try {
+      const eliminado = await pool.query(
+        "DELETE FROM tipos_documento WHERE value = $1 RETURNING *",
+        [value]
+      );
+      if (eliminado.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ message: "Tipo de documento no encontrado." });
+      }
+      await registrarAuditoria(req, {
+        entidad: "tipo_documento",
+        entidadId: value,
+        accion: "eliminar",
+        antes: eliminado.rows[0],
+      });
+      res.status(204).send();
+    } catch (error) {
+      if (error.code === "23503") {
+        return res.status(409).json({
+          message:
+            "No se puede eliminar el tipo de documento porque hay fotos cargadas con ese tipo.",
+        });
+      }
+      res
+        .status(500)
+        .json({ message: "Error al eliminar el tipo de documento." });
+    }
+  }
+);
+
+// Documentos obligatorios para presentar una ficha. plan_tipo se compara con
+// el tipo del plan y medio_pago con el medio de pago de la ficha (basta con
+// que lo contenga, igual que al validar las secciones); NULL aplica a todos.
+app.get(
+  "/api/documentos-requeridos",
+  authenticateToken,
+  authorize("affiliation.read", "documento.write"),
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT dr.*, td.label
+         FROM documentos_requeridos dr
+         JOIN tipos_documento td ON td.value = dr.tipo_documento
+         ORDER BY td.orden, td.label, dr.plan_tipo NULLS FIRST, dr.medio_pago NULLS FIRST`
+      );
+      res.json(result.rows);
+    } catch (error) {
+      res.status(500).json({ message: "Error interno del servidor." });
+    }
+  }
+);
+
+app.post(
+  "/api/documentos-requeridos",
+  authenticateToken,
+  authorize("documento.write"),
+  async (req, res) => {
+    const { tipoDocumento, planTipo, medioPago } = req.body;
+    if (!tipoDocumento) {
+      return res
+        .status(400)
+        .json({ message: "El tipo de documento es obligatorio." });
+    }
+    try {
+      const nuevo = await pool.query(
+        `INSERT INTO documentos_requeridos (tipo_documento, plan_tipo, medio_pago)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [tipoDocumento, planTipo || null, medioPago || null]
+      );
+      await registrarAuditoria(req, {
+        entidad: "documento_requerido",
+        entidadId: nuevo.rows[0].id,
+        accion: "crear",
+        despues: nuevo.rows[0],
+      });
+      res.status(201).json(nuevo.rows[0]);
+    } catch (error) {
+      if (error.code === "23505") {
+        return res
+          .status(409)
+          .json({ message: "Ese documento ya es obligatorio en esos casos." });
+      }
+      if (error.code === "23503") {
+        return res
+          .status(400)
+          .json({ message: "El tipo de documento no existe." });
+      }
+      res
+        .status(500)
+        .json({ message: "Error al guardar el documento requerido." });
+    }
+  }
+);
+
+app.delete(
+  "/api/documentos-requeridos/:id",
+  authenticateToken,
+  authorize("documento.write"),
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const antes = await obtenerFila("documentos_requeridos", id);
+      if (!antes) {
+        return res
+          .status(404)
+          .json({ message: "Documento requerido no encontrado." });
+      }
+      await pool.query("DELETE FROM documentos_requeridos WHERE id = $1", [id]);
+      await registrarAuditoria(req, {
+        entidad: "documento_requerido",
+        entidadId: id,
+        accion: "eliminar",
+        antes: antes,
+      });
+      res.status(204).send();
+    } catch (error) {
+      res
+        .status(500)
+        .json({ message: "Error al eliminar el documento requerido." });
+    }
+  }
+);
+
+// 6. INICIAR EL SERVIDOR
+// -----------------------------------------------------------------------------
+// Los tests cargan la app sin levantar el servidor ni los lotes de PDF.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Servidor backend corriendo en el puerto ${PORT}`);
+    if (!PDF_VERIFICATION_SECRET) {
+      console.warn(
+        "Falta PDF_VERIFICATION_SECRET: los PDF se generan sin código de verificación."
+      );
+    }
+    reanudarLotesPdf();
+    setInterval(reanudarLotesPdf, PDF_BATCH_POLL_MS).unref();
+  });
+}
+
+module.exports = { app, pool };
+
+// ==========================================================
+// ===== FUNCIONES AUXILIARES =====
+// ==========================================================
+
+// CONVERSIÓN A MAYÚSCULAS
+function convertObjectStringsToUppercase(data) {
+  if (data === null || typeof data !== "object") {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((item) => convertObjectStringsToUppercase(item));
+  }
+
+  const newObj = {};
+  for (const key in data) {
+    if (Object.prototype.hasOwnProperty.call(data, key)) {
+      const value = data[key];
+
+      if (typeof value === "string") {
+        newObj[key] = value.toUpperCase();
+      } else {
+        newObj[key] = convertObjectStringsToUppercase(value);
+      }
+    }
+  }
+  return newObj;
+}
+
+// FILTROS DE FICHAS
+// Arma el WHERE del listado de fichas a partir del query string. Además del
+// alcance del usuario (propias o de su equipo) admite:
+// - filter: texto libre sobre titular, DNI, plan y vendedor.
+// - status: uno o varios estados (repetido o separados por coma).
+// - fechaCampo ("fecha_creacion" o "status_change_timestamp"), desde, hasta.
+// - plan, empresa, medioPago, vendedorId, motivo.
+// - integrante: DNI o nombre de cualquier persona de la ficha.
+// Las condiciones usan la tabla affiliations como "a" y users como "u".
+async function construirFiltrosAfiliaciones(
+  query,
+  user,
+  { omitirEstado = false } = {}
+) {
+  const whereClauses = [];
+  const params = [];
+  const agregar = (condicion, valor) => {
+    params.push(valor);
+    whereClauses.push(condicion.replace("?", () => `$${params.length}`));
+  };
+
+  if (!user.permissions.has("affiliation.read_all")) {
+    agregar("a.user_id = ?", user.userId);
+  } else {
+    const equipoIds = await obtenerIdsEquipo(user);
+    if (equipoIds) {
+      agregar("a.user_id = ANY(?::int[])", equipoIds);
+    }
+  }
+
+  if (query.filter) {
+    params.push(`%${query.filter}%`);
+    const n = `$${params.length}`;
+    whereClauses.push(
+      `(a.titular_nombre ILIKE ${n} OR a.titular_dni ILIKE ${n} OR a.plan ILIKE ${n} OR u.full_name ILIKE ${n})`
+    );
+  }
+
+  const estados = listaDeQuery(query.status);
+  if (estados.length > 0 && !omitirEstado) {
+    agregar("a.status = ANY(?::text[])", estados);
+  }
+
+  const campoFecha =
+    query.fechaCampo === "status_change_timestamp"
+      ? "a.status_change_timestamp"
+      : "a.fecha_creacion";
+  if (query.desde) {
+    agregar(`${campoFecha} >= ?`, query.desde);
+  }
+  if (query.hasta) {
+    const finalEndDate = new Date(query.hasta);
+    finalEndDate.setDate(finalEndDate.getDate() + 1);
+    agregar(`${campoFecha} < ?`, finalEndDate);
+  }
+
+  if (query.plan) {
+    agregar("a.plan = ?", query.plan);
+  }
+  if (query.empresa) {
+    agregar("a.form_data ->> 'empresa' = ?", query.empresa);
+  }
+  if (query.medioPago) {
+    agregar("a.form_data ->> 'medioPago' = ?", query.medioPago);
+  }
+  const vendedores = listaDeQuery(query.vendedorId)
+    .map((id) => parseInt(id, 10))
+    .filter((id) => !isNaN(id));
+  if (vendedores.length > 0) {
+    agregar("a.user_id = ANY(?::int[])", vendedores);
+  }
+  if (query.motivo) {
+    params.push(`%${query.motivo}%`);
+    const n = `$${params.length}`;
+    whereClauses.push(
+      `(a.observacion_motivo ILIKE ${n} OR a.rechazo_motivo ILIKE ${n})`
+    );
+  }
+
+  // Un valor numérico se busca como DNI en ficha_dnis (índice GIN); si no,
+  // por apellido o nombre de los integrantes.
+  if (query.integrante) {
+    const dni = String(query.integrante).replace(/\D/g, "").replace(/^0+/, "");
+    if (/^[\d.\s-]+$/.test(String(query.integrante).trim()) && dni) {
+      agregar("ficha_dnis(a.form_data) @> ARRAY[?::text]", dni);
+    } else {
+      agregar(
+        "ficha_integrantes_texto(a.form_data) ILIKE ?",
+        `%${query.integrante}%`
+      );
+    }
+  }
+
+  return { whereClauses, params };
+}
+
+// Valida desde y hasta antes de armar los filtros, para no mandar a la base
+// una fecha inválida. Devuelve un mensaje de error o null.
+function validarFechasFiltro(query) {
+  for (const [campo, nombre] of [
+    ["desde", "inicial"],
+    ["hasta", "final"],
+  ]) {
+    if (query[campo] && isNaN(new Date(query[campo]).getTime())) {
+      return `La fecha ${nombre} del filtro no es válida.`;
+    }
+  }
+  return null;
+}
+
+// Acepta un parámetro repetido (?status=A&status=B) o separado por comas.
+function listaDeQuery(valor) {
+  if (valor === undefined || valor === null || valor === "") return [];
+  return (Array.isArray(valor) ? valor : String(valor).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+// EXPORTACIÓN DE FICHAS
+// Convierte una ficha en una o más filas de la exportación. Con porIntegrante
+// se repiten los datos de la ficha en una fila por integrante.
+function filasExportFicha(row, columnas, porIntegrante) {
+  const formData = row.form_data || {};
+  const valor = (col, integrante) => {
+    if (col.startsWith("integrante.")) {
+      return integrante ? aTextoExport(integrante[col.slice(11)]) : null;
+    }
+    if (col in AFFILIATION_EXPORT_BASE_COLUMNS) {
+      return row[col];
+    }
+    return aTextoExport(formData[col]);
+  };
+
+  const integrantes = Array.isArray(formData.integrantesList)
+    ? formData.integrantesList
+    : [];
+  if (!porIntegrante || integrantes.length === 0) {
+    return [columnas.map((col) => valor(col, null))];
+  }
+  return integrantes.map((integrante) =>
+    columnas.map((col) => valor(col, integrante || {}))
+  );
+}
+
+// Espera a que el cliente consuma lo ya escrito antes de leer otro lote,
+// para no acumular la exportación en memoria si la conexión es lenta.
+function esperarDrenado(stream) {
+  if (!stream.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve) => {
+    const listo = () => {
+      stream.off("drain", listo);
+      stream.off("close", listo);
+      resolve();
+    };
+    stream.on("drain", listo);
+    stream.on("close", listo);
+  });
+}
+
+function aTextoExport(valor) {
+  if (valor === undefined || valor === null) return null;
+  return typeof valor === "object" ? JSON.stringify(valor) : valor;
+}
+
+// DUPLICADOS
+// Personas de la ficha identificadas por DNI, con el campo del que salen.
+// Debe normalizar igual que la función ficha_dnis de la base.
+function personasFicha(formData) {
+  const normalizar = (valor) =>
+    String(valor || "")
+      .replace(/\D/g, "")
+      .replace(/^0+/, "");
+  const personas = [
+    { campo: "dniTitular", dni: normalizar(formData.dniTitular) },
+    { campo: "dniConyuge", dni: normalizar(formData.dniConyuge) },
+  ];
+  if (Array.isArray(formData.integrantesList)) {
+    formData.integrantesList.forEach((integrante, index) => {
+      const cuil = String((integrante && integrante.cuitCuil) || "").replace(
+        /\D/g,
+        ""
+      );
+      if (cuil.length === 11) {
+        personas.push({
+          campo: `integrantesList[${index}].cuitCuil`,
+          dni: normalizar(cuil.slice(2, 10)),
+        });
+      }
+    });
+  }
+  return personas.filter((p) => p.dni);
+}
 
-    if (!startDate || !endDate) {
-      return res
-        .status(400)
-        .json({ message: "Se requiere un rango de fechas." });
+// Toma un advisory lock de la transacción por cada DNI de la ficha, para que
+// dos fichas con la misma persona no pasen a la vez el control de
+// duplicados. Los DNI se bloquean ordenados para no generar deadlocks.
+async function bloquearDnisFicha(client, formData) {
+  const dnis = [...new Set(personasFicha(formData).map((p) => p.dni))].sort();
+  for (const dni of dnis) {
+    await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [
+      `ficha_dni:${dni}`,
+    ]);
+  }
+}
+
+// Busca las personas de la ficha en otras fichas activas. Cada coincidencia
+// indica si bloquea la presentación (ver DUPLICATE_BLOCKING_STATUSES). No
+// incluye datos de la otra ficha: el detalle queda para el reporte de
+// duplicados, que exige ver fichas ajenas. Al crear o editar una ficha se
+// llama dentro de su transacción, después de bloquearDnisFicha.
+async function buscarDuplicados(formData, excluirId = null, db = pool) {
+  const personas = personasFicha(formData);
+  if (personas.length === 0) return [];
+
+  const result = await db.query(
+    `SELECT a.id, a.status, ficha_dnis(a.form_data) as dnis
+     FROM affiliations a
+     WHERE ficha_dnis(a.form_data) && $1::text[]
+       AND a.status <> ALL($2::text[])
+       AND ($3::int IS NULL OR a.id <> $3::int)`,
+    [personas.map((p) => p.dni), AFFILIATION_INACTIVE_STATUSES, excluirId]
+  );
+
+  const duplicados = [];
+  for (const persona of personas) {
+    for (const row of result.rows) {
+      if (row.dnis.includes(persona.dni)) {
+        duplicados.push({
+          campo: persona.campo,
+          dni: persona.dni,
+          afiliacionId: row.id,
+          status: row.status,
+          bloquea: DUPLICATE_BLOCKING_STATUSES.includes(row.status),
+        });
+      }
     }
+  }
+  return duplicados;
+}
 
-    try {
-      const finalEndDate = new Date(endDate);
-      finalEndDate.setDate(finalEndDate.getDate() + 1);
+function respuestaDuplicados(duplicados) {
+  return {
+    httpStatus: 409,
+    body: {
+      message:
+        "Hay personas de esta ficha que ya figuran en otra ficha activa.",
+      duplicados,
+    },
+  };
+}
 
-      let params = [startDate, finalEndDate];
-      let paramCounter = 3;
-      let whereClauses = [];
+// COMENTARIOS DE FICHAS
+// Normaliza el campo de form_data al que se refiere un comentario (por
+// ejemplo "cuilTitular" o "integrantesList[0].nombres"); null si no es válido.
+function campoComentario(campo) {
+  if (!campo) return null;
+  const texto = String(campo).trim();
+  return /^[A-Za-z0-9_]+(\[\d+\])?(\.[A-Za-z0-9_]+)?$/.test(texto) &&
+    texto.length <= 100
+    ? texto
+    : null;
+}
 
-      if (selectedVendor) {
-        whereClauses.push(`u.full_name = $${paramCounter++}`);
-        params.push(selectedVendor);
-      }
-      if (selectedPlan) {
-        whereClauses.push(`a.plan = $${paramCounter++}`);
-        params.push(selectedPlan);
-      }
-      if (selectedMedioPago) {
-        whereClauses.push(`a.form_data ->> 'medioPago' = $${paramCounter++}`);
-        params.push(selectedMedioPago);
-      }
-      if (selectedEmpresa) {
-        whereClauses.push(`a.form_data ->> 'empresa' = $${paramCounter++}`);
-        params.push(selectedEmpresa);
+// ESTADOS DE FICHAS
+// Devuelve la transición configurada entre dos estados (con la acción que
+// exige y si requiere motivo), o null si no está permitida.
+async function obtenerTransicion(desde, hacia) {
+  const result = await pool.query(
+    `SELECT permission, requires_motivo FROM affiliation_status_transitions
+     WHERE from_status = $1 AND to_status = $2`,
+    [desde, hacia]
+  );
+  return result.rows[0] || null;
+}
+
+async function registrarTransicion(
+  client,
+  { afiliacionId, desde, hacia, userId, motivo = null }
+) {
+  await client.query(
+    `INSERT INTO affiliation_status_history (affiliation_id, from_status, to_status, user_id, motivo)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [afiliacionId, desde, hacia, userId, motivo]
+  );
+}
+
+// VERSIONES DE FICHAS
+// Guarda el estado actual de la ficha como una nueva versión. Se llama dentro
+// de la transacción que modificó la ficha, con la fila ya bloqueada.
+async function guardarVersionAfiliacion(client, afiliacion, userId) {
+  await client.query(
+    `INSERT INTO affiliation_versions (affiliation_id, version, form_data, status, user_id)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4
+     FROM affiliation_versions WHERE affiliation_id = $1`,
+    [afiliacion.id, afiliacion.form_data, afiliacion.status, userId]
+  );
+}
+
+// Compara dos form_data campo a campo. Los objetos y listas anidados (por
+// ejemplo integrantesList) se recorren y se informan como
+// "integrantesList[0].nombres".
+function diferenciasFormData(antes, despues) {
+  const planoAntes = aplanarFormData(antes || {});
+  const planoDespues = aplanarFormData(despues || {});
+  const campos = new Set([
+    ...Object.keys(planoAntes),
+    ...Object.keys(planoDespues),
+  ]);
+  const cambios = [];
+  for (const campo of [...campos].sort()) {
+    const valorAntes = campo in planoAntes ? planoAntes[campo] : null;
+    const valorDespues = campo in planoDespues ? planoDespues[campo] : null;
+    if (JSON.stringify(valorAntes) !== JSON.stringify(valorDespues)) {
+      cambios.push({ campo, antes: valorAntes, despues: valorDespues });
+    }
+  }
+  return cambios;
+}
+
+function aplanarFormData(valor, prefijo = "", resultado = {}) {
+  if (Array.isArray(valor)) {
+    valor.forEach((item, index) =>
+      aplanarFormData(item, `${prefijo}[${index}]`, resultado)
+    );
+  } else if (valor !== null && typeof valor === "object") {
+    for (const [clave, item] of Object.entries(valor)) {
+      aplanarFormData(item, prefijo ? `${prefijo}.${clave}` : clave, resultado);
+    }
+  } else if (prefijo) {
+    resultado[prefijo] = valor;
+  }
+  return resultado;
+}
+
+// GUARDADO DE FICHAS
+// crearFicha y editarFicha concentran las reglas de guardado que comparten
+// las rutas de alta, edición y sincronización. Devuelven { httpStatus, body }
+// para que cada ruta decida cómo responder.
+async function crearFicha(
+  req,
+  {
+    formData,
+    latitud,
+    longitud,
+    accion,
+    clientUuid = null,
+    clientUpdatedAt = null,
+  }
+) {
+  const userId = req.user.userId;
+  const status = accion === "finalizar" ? "Presentado" : "Abierto";
+
+  const ficha = await prepararFicha(formData, {
+    estricto: status === "Presentado",
+  });
+  if (ficha.errores.length > 0) {
+    return {
+      httpStatus: 400,
+      body: {
+        message: "La ficha tiene datos inválidos.",
+        errores: ficha.errores,
+      },
+    };
+  }
+
+  // Una ficha nueva todavía no tiene fotos: si hay documentos obligatorios
+  // no se puede presentar al crearla. El cliente la guarda como borrador,
+  // sube las fotos y la finaliza desde la edición.
+  if (status === "Presentado") {
+    const { faltantes } = await checklistDocumentos(null, ficha.formData);
+    if (faltantes.length > 0) {
+      return respuestaDocumentosFaltantes(faltantes);
+    }
+  }
+
+  const { latitudDomicilio, longitudDomicilio } = formData;
+  const titular_nombre = `${formData.apellidoTitular || ""}, ${
+    formData.nombreTitular || ""
+  }`;
+
+  const client = await pool.connect();
+  let result;
+  let duplicados;
+  try {
+    await client.query("BEGIN");
+    await bloquearDnisFicha(client, ficha.formData);
+    duplicados = await buscarDuplicados(ficha.formData, null, client);
+    if (status === "Presentado" && duplicados.some((d) => d.bloquea)) {
+      await client.query("ROLLBACK");
+      return respuestaDuplicados(duplicados);
+    }
+    result = await client.query(
+      `INSERT INTO affiliations (
+          user_id, form_data, titular_nombre, titular_dni, plan, 
+          latitud, longitud, 
+          domicilio_latitud, domicilio_longitud,
+          status, pricing, client_uuid, client_updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *`,
+      [
+        userId,
+        ficha.formData,
+        titular_nombre,
+        formData.dniTitular,
+        formData.plan,
+        latitud,
+        longitud,
+        latitudDomicilio,
+        longitudDomicilio,
+        status,
+        ficha.pricing,
+        clientUuid,
+        clientUpdatedAt,
+      ]
+    );
+    await guardarVersionAfiliacion(client, result.rows[0], userId);
+    await registrarTransicion(client, {
+      afiliacionId: result.rows[0].id,
+      desde: null,
+      hacia: status,
+      userId,
+    });
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    // Dos envíos simultáneos del mismo clientUuid: gana el primero.
+    if (error.code === "23505" && clientUuid) {
+      const existente = await obtenerFichaPorClientUuid(clientUuid);
+      if (existente && existente.user_id === userId) {
+        return { httpStatus: 200, body: existente };
       }
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+  await registrarAuditoria(req, {
+    entidad: "afiliacion",
+    entidadId: result.rows[0].id,
+    accion: "crear",
+    despues: result.rows[0],
+  });
 
-      const affiliationsQuery = `
-            SELECT 
-                a.id, a.status, a.latitud, a.longitud, a.domicilio_latitud, a.domicilio_longitud, a.fecha_creacion, a.plan,
-                a.form_data ->> 'total' as total,
-                u.full_name as vendor_name
-            FROM affiliations a
-            JOIN users u ON a.user_id = u.id
-            WHERE a.fecha_creacion >= $1 AND a.fecha_creacion < $2
-            ${
-              whereClauses.length > 0 ? "AND " + whereClauses.join(" AND ") : ""
-            }
-        `;
+  return { httpStatus: 201, body: { ...result.rows[0], duplicados } };
+}
 
-      const affiliationsResult = await pool.query(affiliationsQuery, params);
-      const affiliations = affiliationsResult.rows;
+async function editarFicha(
+  req,
+  currentAffiliation,
+  { formData, accion, clientUpdatedAt = null }
+) {
+  const { userId } = req.user;
+  const id = currentAffiliation.id;
+
+  if (!formData || typeof formData !== "object") {
+    return {
+      httpStatus: 400,
+      body: { message: "Los datos de la ficha son obligatorios." },
+    };
+  }
 
-      const totalFichas = affiliations.length;
-      const fichasAprobadas = affiliations.filter(
-        (f) => f.status === "Aprobado"
-      ).length;
-      const fichasRechazadas = affiliations.filter(
-        (f) => f.status === "Rechazado"
-      ).length;
-      const fichasPendientes = affiliations.filter(
-        (f) => f.status === "Presentado"
-      ).length;
+  if (!["Abierto", "Observado"].includes(currentAffiliation.status)) {
+    return {
+      httpStatus: 409,
+      body: {
+        message: "Esta ficha ya fue presentada y no puede ser modificada.",
+      },
+    };
+  }
 
-      const ventasTotales = affiliations
-        .filter((f) => f.status === "Aprobado" && f.total)
-        .reduce((sum, f) => sum + parseFloat(f.total), 0);
+  if (currentAffiliation.user_id !== userId) {
+    return {
+      httpStatus: 403,
+      body: {
+        message: "Acceso denegado: No tienes permiso para editar esta ficha.",
+      },
+    };
+  }
 
-      const ventasPorVendedor = affiliations.reduce((acc, f) => {
-        if (f.status === "Aprobado" && f.vendor_name && f.total) {
-          if (!acc[f.vendor_name]) {
-            acc[f.vendor_name] = { totalAmount: 0, totalFichas: 0 };
-          }
-          acc[f.vendor_name].totalAmount += parseFloat(f.total);
-          acc[f.vendor_name].totalFichas += 1;
-        }
-        return acc;
-      }, {});
+  let newStatus;
+  if (accion === "finalizar") {
+    newStatus = "Presentado";
+  } else if (accion === "guardar") {
+    newStatus =
+      currentAffiliation.status === "Observado" ? "Observado" : "Abierto";
+  } else {
+    newStatus = currentAffiliation.status;
+  }
 
-      const topVendedores = Object.entries(ventasPorVendedor)
-        .sort(([, a], [, b]) => b.totalAmount - a.totalAmount)
-        .slice(0, 3)
-        .map(([name, data]) => ({
-          name: name,
-          totalAmount: Math.round(data.totalAmount),
-          totalFichas: data.totalFichas,
-        }));
+  if (newStatus !== currentAffiliation.status) {
+    const transicion = await obtenerTransicion(
+      currentAffiliation.status,
+      newStatus
+    );
+    if (!transicion || !req.user.permissions.has(transicion.permission)) {
+      return {
+        httpStatus: 403,
+        body: {
+          message: "Acceso denegado: no tienes los permisos necesarios.",
+        },
+      };
+    }
+  }
 
-      const planesVendidos = affiliations.reduce((acc, f) => {
-        if (f.status === "Aprobado" && f.plan) {
-          acc[f.plan] = (acc[f.plan] || 0) + 1;
-        }
-        return acc;
-      }, {});
+  const ficha = await prepararFicha(formData, {
+    estricto: newStatus === "Presentado",
+  });
+  if (ficha.errores.length > 0) {
+    return {
+      httpStatus: 400,
+      body: {
+        message: "La ficha tiene datos inválidos.",
+        errores: ficha.errores,
+      },
+    };
+  }
 
-      const topPlanes = Object.entries(planesVendidos)
-        .sort(([, a], [, b]) => b - a)
-        .slice(0, 3)
-        .map(([name, ventas]) => ({ name, ventas }));
-      const ventasPorDia = affiliations.reduce((acc, f) => {
-        if (f.status === "Aprobado") {
-          const dia = new Date(f.fecha_creacion).toISOString().split("T")[0];
-          acc[dia] = (acc[dia] || 0) + 1;
-        }
-        return acc;
-      }, {});
+  if (newStatus === "Presentado") {
+    const pendientes = await pool.query(
+      `SELECT id, campo, texto FROM afiliacion_comentarios
+       WHERE affiliation_id = $1 AND parent_id IS NULL AND resuelto_en IS NULL
+       ORDER BY id`,
+      [id]
+    );
+    if (pendientes.rows.length > 0) {
+      return {
+        httpStatus: 409,
+        body: {
+          message:
+            "Debes resolver los comentarios pendientes antes de presentar la ficha.",
+          comentarios: pendientes.rows,
+        },
+      };
+    }
 
-      const locations = affiliations
-        .map((f) => ({
-          id: f.id,
-          status: f.status,
-          venta: {
-            lat: f.latitud ? parseFloat(f.latitud) : null,
-            lng: f.longitud ? parseFloat(f.longitud) : null,
-          },
-          domicilio: {
-            lat: f.domicilio_latitud ? parseFloat(f.domicilio_latitud) : null,
-            lng: f.domicilio_longitud ? parseFloat(f.domicilio_longitud) : null,
-          },
-        }))
-        .filter(
-          (f) =>
-            (f.venta.lat && f.venta.lng) || (f.domicilio.lat && f.domicilio.lng)
-        );
+    const { faltantes } = await checklistDocumentos(id, ficha.formData);
+    if (faltantes.length > 0) {
+      return respuestaDocumentosFaltantes(faltantes);
+    }
+  }
 
-      const dashboardData = {
-        kpis: {
-          totalFichas,
-          fichasAprobadas,
-          fichasRechazadas,
-          fichasPendientes,
-          tasaAprobacion:
-            totalFichas > 0
-              ? ((fichasAprobadas / totalFichas) * 100).toFixed(1) + "%"
-              : "0%",
-          ventasTotales: ventasTotales,
-          ticketPromedio:
-            fichasAprobadas > 0 ? ventasTotales / fichasAprobadas : 0,
+  const client = await pool.connect();
+  let updatedAffiliation;
+  let firmasInvalidadas;
+  let duplicados;
+  try {
+    await client.query("BEGIN");
+    await bloquearDnisFicha(client, ficha.formData);
+    duplicados = await buscarDuplicados(ficha.formData, id, client);
+    if (newStatus === "Presentado" && duplicados.some((d) => d.bloquea)) {
+      await client.query("ROLLBACK");
+      return respuestaDuplicados(duplicados);
+    }
+    updatedAffiliation = await client.query(
+      `UPDATE affiliations 
+       SET form_data = $1, status = $2, titular_nombre = $3, titular_dni = $4, plan = $5, pricing = $7,
+           client_updated_at = COALESCE($8, client_updated_at)
+       WHERE id = $6 RETURNING *`,
+      [
+        ficha.formData,
+        newStatus,
+        `${formData.apellidoTitular || ""}, ${formData.nombreTitular || ""}`,
+        formData.dniTitular || null,
+        formData.plan || null,
+        id,
+        ficha.pricing,
+        clientUpdatedAt,
+      ]
+    );
+    await guardarVersionAfiliacion(client, updatedAffiliation.rows[0], userId);
+    // Una firma sólo vale para los datos que se firmaron.
+    firmasInvalidadas = await client.query(
+      `UPDATE afiliacion_firmas SET invalidada_en = NOW()
+       WHERE afiliacion_id = $1 AND invalidada_en IS NULL AND form_data_hash <> $2
+       RETURNING firmante`,
+      [id, hashFormData(updatedAffiliation.rows[0].form_data)]
+    );
+    if (newStatus !== currentAffiliation.status) {
+      await registrarTransicion(client, {
+        afiliacionId: id,
+        desde: currentAffiliation.status,
+        hacia: newStatus,
+        userId,
+      });
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+  await registrarAuditoria(req, {
+    entidad: "afiliacion",
+    entidadId: id,
+    accion: "editar",
+    antes: currentAffiliation,
+    despues: updatedAffiliation.rows[0],
+  });
 
-          topVendedores: topVendedores,
-          topPlanes: topPlanes,
+  return {
+    httpStatus: 200,
+    body: {
+      ...updatedAffiliation.rows[0],
+      duplicados,
+      firmasInvalidadas: firmasInvalidadas.rows.map((f) => f.firmante),
+    },
+  };
+}
+
+async function obtenerFichaPorClientUuid(clientUuid) {
+  const result = await pool.query(
+    "SELECT * FROM affiliations WHERE client_uuid = $1",
+    [clientUuid]
+  );
+  return result.rows[0] || null;
+}
+
+// SINCRONIZACIÓN DE FICHAS
+// Aplica una ficha del lote de sincronización. El resultado es uno de:
+// "creada", "actualizada", "sin_cambios" (reintento de algo ya aplicado o
+// versión más vieja que la del servidor), "conflicto" (la ficha cambió en el
+// servidor; se devuelve la versión del servidor), "rechazada" (no pasó las
+// validaciones) o "error".
+async function sincronizarFicha(req, item) {
+  const {
+    clientUuid,
+    formData,
+    accion,
+    latitud,
+    longitud,
+    clientUpdatedAt,
+    baseUpdatedAt,
+  } = item;
+  const { userId, permissions } = req.user;
+  const resultado = (tipo, extra = {}) => ({
+    clientUuid: clientUuid || null,
+    resultado: tipo,
+    ...extra,
+  });
+  const resumen = (ficha) => ({
+    id: ficha.id,
+    status: ficha.status,
+    updatedAt: ficha.updated_at,
+  });
+
+  if (!clientUuid || !UUID_REGEX.test(clientUuid)) {
+    return resultado("error", {
+      message: "El identificador de la ficha no es válido.",
+    });
+  }
+  const modificadaEn = new Date(clientUpdatedAt);
+  if (!clientUpdatedAt || isNaN(modificadaEn.getTime())) {
+    return resultado("error", {
+      message: "La fecha de modificación de la ficha no es válida.",
+    });
+  }
+  // baseUpdatedAt falta en una ficha nueva; si viene, tiene que ser válida
+  // para poder detectar conflictos.
+  const baseEn = baseUpdatedAt ? new Date(baseUpdatedAt) : null;
+  if (baseEn && isNaN(baseEn.getTime())) {
+    return resultado("error", {
+      message: "La fecha de la última sincronización no es válida.",
+    });
+  }
+
+  try {
+    const actual = await obtenerFichaPorClientUuid(clientUuid);
+
+    if (!actual) {
+      if (!permissions.has("affiliation.create")) {
+        return resultado("error", {
+          message: "Acceso denegado: no tienes los permisos necesarios.",
+        });
+      }
+      const { httpStatus, body } = await crearFicha(req, {
+        formData,
+        latitud,
+        longitud,
+        accion,
+        clientUuid,
+        clientUpdatedAt: modificadaEn,
+      });
+      if (httpStatus >= 400) {
+        return resultado("rechazada", body);
+      }
+      return resultado(httpStatus === 201 ? "creada" : "sin_cambios", {
+        ...resumen(body),
+        duplicados: body.duplicados,
+      });
+    }
+
+    if (actual.user_id !== userId) {
+      return resultado("error", {
+        message: "El identificador de la ficha ya está en uso.",
+      });
+    }
+    if (actual.client_updated_at && modificadaEn <= actual.client_updated_at) {
+      return resultado("sin_cambios", resumen(actual));
+    }
+    if (!baseEn || actual.updated_at.getTime() > baseEn.getTime()) {
+      return resultado("conflicto", {
+        ...resumen(actual),
+        message:
+          "La ficha se modificó en el servidor después de la última sincronización.",
+        ficha: actual,
+      });
+    }
+    if (!permissions.has("affiliation.edit")) {
+      return resultado("error", {
+        message: "Acceso denegado: no tienes los permisos necesarios.",
+      });
+    }
+
+    const { httpStatus, body } = await editarFicha(req, actual, {
+      formData,
+      accion,
+      clientUpdatedAt: modificadaEn,
+    });
+    if (httpStatus >= 400) {
+      return resultado("rechazada", body);
+    }
+    return resultado("actualizada", {
+      ...resumen(body),
+      duplicados: body.duplicados,
+    });
+  } catch (error) {
+    console.error("Error al sincronizar la ficha:", clientUuid, error);
+    return resultado("error", {
+      message: "Error interno al sincronizar la ficha.",
+    });
+  }
+}
+
+// DOCUMENTOS DE FICHAS
+// Checklist de documentos de una ficha: los tipos requeridos según el tipo de
+// plan y el medio de pago, más los tipos que tengan fotos cargadas.
+// afiliacionId es null para una ficha que todavía no existe.
+async function checklistDocumentos(afiliacionId, formData) {
+  const medioPago = normalizarTexto(formData.medioPago);
+  const requisitos = await pool.query(
+    `SELECT tipo_documento, medio_pago FROM documentos_requeridos
+     WHERE plan_tipo IS NULL
+        OR plan_tipo = (SELECT tipo FROM planes WHERE value = $1)`,
+    [formData.plan || null]
+  );
+  const requeridos = new Set(
+    requisitos.rows
+      .filter(
+        (r) =>
+          !r.medio_pago || medioPago.includes(normalizarTexto(r.medio_pago))
+      )
+      .map((r) => r.tipo_documento)
+  );
+
+  const tipos = await pool.query(
+    "SELECT value, label FROM tipos_documento ORDER BY orden, label"
+  );
+  const fotos = afiliacionId
+    ? (
+        await pool.query(
+          "SELECT id, tipo_documento FROM afiliacion_fotos WHERE afiliacion_id = $1",
+          [afiliacionId]
+        )
+      ).rows
+    : [];
+
+  const documentos = tipos.rows
+    .map((tipo) => ({
+      tipoDocumento: tipo.value,
+      label: tipo.label,
+      requerido: requeridos.has(tipo.value),
+      fotos: fotos
+        .filter((f) => f.tipo_documento === tipo.value)
+        .map((f) => f.id),
+    }))
+    .filter((d) => d.requerido || d.fotos.length > 0);
+
+  return {
+    documentos,
+    faltantes: documentos
+      .filter((d) => d.requerido && d.fotos.length === 0)
+      .map(({ tipoDocumento, label }) => ({ tipoDocumento, label })),
+  };
+}
+
+// Sube el archivo a la carpeta de la ficha en Cloudinary y devuelve su
+// public_id.
+function subirArchivoAfiliacion(afiliacionId, buffer) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: `afiliaciones/${afiliacionId}`,
+        public_id: `${Date.now()}`,
+        type: "authenticated",
+      },
+      (error, result) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve(result.public_id);
+      }
+    );
 
-          ventasPorDia,
-        },
-        locations,
-      };
+    uploadStream.end(buffer);
+  });
+}
 
-      res.json(dashboardData);
-    } catch (error) {
-      console.error("Error al obtener datos del dashboard:", error);
-      res.status(500).json({ message: "Error interno del servidor." });
-    }
+// El cambio en la base ya está hecho cuando se borra el archivo; si Cloudinary
+// falla, el archivo queda huérfano pero no se informa un error al usuario.
+async function eliminarArchivoCloudinary(publicId) {
+  try {
+    await cloudinary.uploader.destroy(publicId, {
+      type: "authenticated",
+      invalidate: true,
+    });
+  } catch (error) {
+    console.error(
+      "Error al eliminar el archivo de Cloudinary:",
+      publicId,
+      error
+    );
   }
-);
+}
 
-// ENDPOINT PARA PERFORMANCE DE VENDEDORES
-app.post(
-  "/api/performance",
-  authenticateToken,
-  authorize(["VENDEDOR", "SUPERVISOR", "GERENTE", "ADMINISTRADOR"]),
-  async (req, res) => {
-    const { periodo_id } = req.body;
-    const { userId, role } = req.user;
+// Respuesta de crearFicha y editarFicha cuando se finaliza sin los
+// documentos requeridos. No se guarda nada.
+function respuestaDocumentosFaltantes(faltantes) {
+  return {
+    httpStatus: 409,
+    body: {
+      message:
+        "Faltan documentos obligatorios para presentar la ficha. No se guardaron los cambios: guárdala como borrador, adjunta los documentos y vuelve a finalizarla.",
+      faltantes,
+    },
+  };
+}
 
-    if (!periodo_id) {
-      return res.status(400).json({ message: "Se requiere un período." });
+// Busca una foto de una ficha que todavía se puede modificar (Abierto u
+// Observado). Devuelve { foto } o { httpStatus, body } con el error.
+async function buscarFotoEditable(user, afiliacionId, fotoId) {
+  const result = await pool.query(
+    `SELECT f.*, a.user_id, a.status
+     FROM afiliacion_fotos f
+     JOIN affiliations a ON a.id = f.afiliacion_id
+     WHERE f.id = $1 AND f.afiliacion_id = $2`,
+    [fotoId, afiliacionId]
+  );
+  if (
+    result.rows.length === 0 ||
+    !(await puedeVerAfiliacion(user, result.rows[0].user_id))
+  ) {
+    return { httpStatus: 404, body: { message: "Foto no encontrada." } };
+  }
+  const { user_id, status, ...foto } = result.rows[0];
+  if (!["Abierto", "Observado"].includes(status)) {
+    return {
+      httpStatus: 409,
+      body: {
+        message:
+          "Esta ficha ya fue presentada y sus documentos no pueden ser modificados.",
+      },
+    };
+  }
+  return { foto };
+}
+
+// FIRMAS DE FICHAS
+// Valida la imagen de la firma, recibida como archivo o como data URL.
+// Devuelve { buffer, mimeType } o { error }.
+function leerImagenFirma(archivo, dataUrl) {
+  let buffer;
+  let mimeType;
+  if (archivo) {
+    buffer = archivo.buffer;
+    mimeType = archivo.mimetype;
+  } else if (typeof dataUrl === "string") {
+    const match = dataUrl.match(/^data:([\w/+.-]+);base64,(.*)$/s);
+    if (!match) {
+      return { error: "La imagen de la firma no es válida." };
     }
+    mimeType = match[1];
+    buffer = Buffer.from(match[2], "base64");
+  } else {
+    return { error: "Debes enviar la imagen de la firma." };
+  }
 
-    try {
-      const periodoResult = await pool.query(
-        "SELECT fecha_inicio, fecha_fin FROM periodos WHERE id = $1",
-        [periodo_id]
-      );
-      if (periodoResult.rows.length === 0) {
-        return res.status(404).json({ message: "Período no encontrado." });
-      }
-      const { fecha_inicio, fecha_fin } = periodoResult.rows[0];
+  if (buffer.length === 0 || buffer.length > SIGNATURE_MAX_BYTES) {
+    return {
+      error: `La firma debe pesar hasta ${Math.round(
+        SIGNATURE_MAX_BYTES / 1024
+      )} KB.`,
+    };
+  }
+  const esPng =
+    mimeType === "image/png" &&
+    buffer.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"));
+  const esSvg =
+    mimeType === "image/svg+xml" &&
+    /<svg[\s>]/i.test(buffer.toString("utf8")) &&
+    !/<script|\son\w+\s*=/i.test(buffer.toString("utf8"));
+  if (!esPng && !esSvg) {
+    return { error: "La firma debe ser una imagen PNG o SVG." };
+  }
+  return { buffer, mimeType };
+}
 
-      const finalEndDate = new Date(fecha_fin);
-      finalEndDate.setDate(finalEndDate.getDate() + 1);
+// Hash de form_data independiente del orden de las claves.
+function hashFormData(formData) {
+  const plano = aplanarFormData(formData || {});
+  const ordenado = Object.keys(plano)
+    .sort()
+    .map((clave) => [clave, plano[clave]]);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(ordenado))
+    .digest("hex");
+}
 
-      let params = [fecha_inicio, finalEndDate, periodo_id];
-      let userFilterClause = "";
+// Firmas vigentes de la ficha como data URL, por firmante. Se descartan las
+// que no corresponden al form_data actual aunque no se hayan invalidado.
+async function firmasVigentesFicha(ficha) {
+  const result = await pool.query(
+    `SELECT firmante, imagen, mime_type, form_data_hash, firmado_en
+     FROM afiliacion_firmas
+     WHERE afiliacion_id = $1 AND invalidada_en IS NULL`,
+    [ficha.id]
+  );
+  const hashActual = hashFormData(ficha.form_data);
+  const firmas = {};
+  for (const firma of result.rows) {
+    if (firma.form_data_hash !== hashActual) continue;
+    firmas[firma.firmante] = {
+      imagen: `data:${firma.mime_type};base64,${firma.imagen.toString(
+        "base64"
+      )}`,
+      fecha: firma.firmado_en.toLocaleString("es-AR"),
+    };
+  }
+  return firmas;
+}
 
-      if (role === "VENDEDOR") {
-        userFilterClause = `AND u.id = $4`;
-        params.push(userId);
-      }
+// VERIFICACIÓN DE PDF
+// HMAC de la ficha, su estado y su form_data.
+function digestVerificacionPdf(afiliacionId, status, formData) {
+  return crypto
+    .createHmac("sha256", PDF_VERIFICATION_SECRET)
+    .update(`${afiliacionId}:${status}:${hashFormData(formData)}`)
+    .digest("hex");
+}
 
-      const performanceQuery = `
-        SELECT
-            u.id,
-            u.codigo,
-            u.full_name,
-            COUNT(CASE WHEN a.status = 'Aprobado' THEN 1 ELSE NULL END) as total_fichas,
-            COALESCE(SUM(CASE WHEN a.status = 'Aprobado' THEN CAST(a.form_data->>'total' AS NUMERIC) ELSE 0 END), 0) as total_venta,
-            -- Obtenemos el objetivo directamente con un subquery
-            (SELECT objetivo_monto FROM objetivos_vendedores ov WHERE ov.vendedor_id = u.id AND ov.periodo_id = $3) as objetivo_monto
-        FROM
-            users u
-        LEFT JOIN
-            affiliations a ON u.id = a.user_id AND a.fecha_creacion >= $1 AND a.fecha_creacion < $2
-        WHERE
-            u.role = 'VENDEDOR'
-            ${userFilterClause}
-        GROUP BY
-            u.id, u.codigo, u.full_name
-        ORDER BY
-            total_venta DESC;
-      `;
+function digestsIguales(a, b) {
+  const bufferA = Buffer.from(a, "hex");
+  const bufferB = Buffer.from(b, "hex");
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
 
-      const result = await pool.query(performanceQuery, params);
+// Código de verificación del PDF de la ficha. Mientras la ficha no cambie
+// (ni sus datos ni su estado) se reutiliza el mismo código. Devuelve null si
+// no está configurado PDF_VERIFICATION_SECRET.
+async function registrarVerificacionPdf(ficha) {
+  if (!PDF_VERIFICATION_SECRET) return null;
+  const digest = digestVerificacionPdf(ficha.id, ficha.status, ficha.form_data);
+  const existente = await pool.query(
+    "SELECT codigo FROM pdf_verificaciones WHERE afiliacion_id = $1 AND digest = $2 LIMIT 1",
+    [ficha.id, digest]
+  );
+  let codigo;
+  if (existente.rows.length > 0) {
+    codigo = existente.rows[0].codigo;
+  } else {
+    codigo = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    await pool.query(
+      `INSERT INTO pdf_verificaciones (codigo, afiliacion_id, status, digest)
+       VALUES ($1, $2, $3, $4)`,
+      [codigo, ficha.id, ficha.status, digest]
+    );
+  }
+  return qrVerificacionPdf(formatearCodigoVerificacion(codigo));
+}
 
-      const performanceData = result.rows.map((row) => {
-        const objetivo = parseFloat(row.objetivo_monto) || 0;
-        const venta = parseFloat(row.total_venta);
+// { codigo, url, qr } para la plantilla; qr es una data URL PNG.
+async function qrVerificacionPdf(codigo) {
+  const url = `${PDF_VERIFY_URL}/${codigo}`;
+  return { codigo, url, qr: await QRCode.toDataURL(url, { margin: 0 }) };
+}
 
-        const avance_porcentaje =
-          objetivo > 0 ? ((venta / objetivo) * 100).toFixed(1) : 0;
-        const monto_faltante = Math.max(0, objetivo - venta);
+function formatearCodigoVerificacion(codigo) {
+  return `${codigo.slice(0, 5)}-${codigo.slice(5)}`;
+}
 
-        return {
-          ...row,
-          avance_porcentaje: `${avance_porcentaje}%`,
-          monto_faltante: monto_faltante,
-        };
-      });
+function normalizarCodigoVerificacion(texto) {
+  return String(texto || "")
+    .toUpperCase()
+    .replace(/[^A-Z2-7]/g, "");
+}
 
-      res.json(performanceData);
-    } catch (error) {
-      console.error("Error al obtener datos de performance:", error);
-      res.status(500).json({ message: "Error interno del servidor." });
-    }
+// GENERACIÓN DE PDF
+// La plantilla de la ficha y sus estilos se leen y compilan una sola vez. Si
+// la lectura falla, se vuelve a intentar en la próxima solicitud.
+let plantillaFicha = null;
+
+function obtenerPlantillaFicha() {
+  if (!plantillaFicha) {
+    const carga = Promise.all([
+      fs.readFile(path.join(__dirname, "templates", "afiliacion.hbs"), "utf8"),
+      fs.readFile(path.join(__dirname, "templates", "styles.css"), "utf8"),
+    ]).then(([templateHtml, cssContent]) => ({
+      template: handlebars.compile(templateHtml),
+      cssContent,
+    }));
+    carga.catch(() => {
+      if (plantillaFicha === carga) plantillaFicha = null;
+    });
+    plantillaFicha = carga;
   }
-);
+  return plantillaFicha;
+}
 
-// ENDPOINT PARA DETALLE DE PERFORMANCE DE VENDEDOR
-app.post(
-  "/api/performance/vendedor-detalle",
-  authenticateToken,
-  authorize(["SUPERVISOR", "GERENTE", "ADMINISTRADOR", "VENDEDOR"]),
-  async (req, res) => {
-    const { vendedorId, periodoIds } = req.body;
-    const { userId, role } = req.user;
+// Un único Chromium compartido por todas las solicitudes; se lanza con el
+// primer PDF. Cada PDF ocupa un turno (como mucho PDF_MAX_CONCURRENCY a la
+// vez) y usa una página del navegador, que al terminar queda libre para el
+// siguiente. Si Chromium se cae, el próximo PDF lanza uno nuevo.
+let pdfPool = {
+  navegador: null, // promesa del Browser actual
+  paginasLibres: [],
+  activos: 0,
+  cola: [],
+  renders: 0,
+  cierre: null,
+  generados: 0,
+  fallidos: 0,
+  rechazados: 0,
+  caidas: 0,
+  ultimoErrorEn: null,
+};
 
-    if (role === "VENDEDOR" && vendedorId !== userId) {
-      return res
-        .status(403)
-        .json({
-          message: "Acceso denegado: Solo puedes ver tu propia performance.",
-        });
-    }
-    if (
-      !vendedorId ||
-      !periodoIds ||
-      !Array.isArray(periodoIds) ||
-      periodoIds.length === 0
-    ) {
-      return res
-        .status(400)
-        .json({
-          message: "Se requiere un ID de vendedor y al menos un ID de período.",
+function obtenerNavegadorPdf() {
+  if (!pdfPool.navegador) {
+    const lanzamiento = puppeteer
+      .launch({
+        headless: "new",
+        args: [
+          "--no-sandbox",
+          "--disable-setuid-sandbox",
+          "--disable-dev-shm-usage",
+          "--disable-gpu",
+        ],
+      })
+      .then((browser) => {
+        browser.on("disconnected", () => {
+          // Un cierre pedido por cerrarNavegadorPdf ya lo sacó del pool.
+          if (pdfPool.navegador === lanzamiento) {
+            console.error("Chromium se cerró inesperadamente.");
+            pdfPool.navegador = null;
+            pdfPool.paginasLibres = [];
+            pdfPool.renders = 0;
+            pdfPool.caidas++;
+          }
         });
-    }
+        return browser;
+      });
+    lanzamiento.catch(() => {
+      if (pdfPool.navegador === lanzamiento) pdfPool.navegador = null;
+    });
+    pdfPool.navegador = lanzamiento;
+  }
+  return pdfPool.navegador;
+}
 
-    try {
-      const periodosResult = await pool.query(
-        `SELECT id, nombre, fecha_inicio, fecha_fin FROM periodos WHERE id = ANY($1::int[])`,
-        [periodoIds]
-      );
-      const periodos = periodosResult.rows;
+async function cerrarNavegadorPdf() {
+  const lanzamiento = pdfPool.navegador;
+  if (!lanzamiento) return;
+  pdfPool.navegador = null;
+  pdfPool.paginasLibres = [];
+  pdfPool.renders = 0;
+  try {
+    await (await lanzamiento).close();
+  } catch (error) {
+    console.error("Error al cerrar Chromium:", error);
+  }
+}
 
-      const fichasQuery = `
-        SELECT 
-          CAST(form_data->>'total' AS NUMERIC) as total,
-          fecha_creacion,
-          -- Extraer el ID del período al que pertenece cada ficha
-          (SELECT id FROM periodos WHERE fecha_creacion >= fecha_inicio AND fecha_creacion < (fecha_fin + INTERVAL '1 day')) as periodo_id
-        FROM affiliations
-        WHERE user_id = $1 AND status = 'Aprobado'
-        AND EXISTS (
-          SELECT 1 FROM periodos WHERE id = ANY($2::int[]) AND fecha_creacion >= fecha_inicio AND fecha_creacion < (fecha_fin + INTERVAL '1 day')
-        )
-        ORDER BY fecha_creacion;
-      `;
-      const fichasResult = await pool.query(fichasQuery, [
-        vendedorId,
-        periodoIds,
-      ]);
-      const fichas = fichasResult.rows;
+// Espera un turno libre. Con la cola llena, o si el turno no llega en
+// PDF_QUEUE_TIMEOUT_MS, falla con code "PDF_OCUPADO".
+function esperarTurnoPdf() {
+  clearTimeout(pdfPool.cierre);
+  if (pdfPool.activos < PDF_MAX_CONCURRENCY) {
+    pdfPool.activos++;
+    return Promise.resolve();
+  }
+  const ocupado = () => {
+    pdfPool.rechazados++;
+    return Object.assign(
+      new Error("Hay demasiados PDF en generación. Intenta nuevamente."),
+      { code: "PDF_OCUPADO" }
+    );
+  };
+  if (pdfPool.cola.length >= PDF_QUEUE_MAX) {
+    return Promise.reject(ocupado());
+  }
+  return new Promise((resolve, reject) => {
+    const turno = {
+      resolve,
+      vencimiento: setTimeout(() => {
+        pdfPool.cola.splice(pdfPool.cola.indexOf(turno), 1);
+        reject(ocupado());
+      }, PDF_QUEUE_TIMEOUT_MS),
+    };
+    pdfPool.cola.push(turno);
+  });
+}
 
-      let responseData = {};
+// Pasa el turno al primero de la cola. Sin nadie esperando, recicla Chromium
+// si ya generó PDF_BROWSER_MAX_RENDERS PDF o lo cierra tras
+// PDF_BROWSER_IDLE_MS sin uso.
+function liberarTurnoPdf() {
+  const siguiente = pdfPool.cola.shift();
+  if (siguiente) {
+    clearTimeout(siguiente.vencimiento);
+    siguiente.resolve();
+    return;
+  }
+  pdfPool.activos--;
+  if (pdfPool.activos > 0) return;
+  if (pdfPool.renders >= PDF_BROWSER_MAX_RENDERS) {
+    cerrarNavegadorPdf();
+    return;
+  }
+  pdfPool.cierre = setTimeout(() => {
+    if (pdfPool.activos === 0) cerrarNavegadorPdf();
+  }, PDF_BROWSER_IDLE_MS);
+  pdfPool.cierre.unref();
+}
 
-      for (const periodo of periodos) {
-        const fichasDelPeriodo = fichas.filter(
-          (f) => f.periodo_id === periodo.id
-        );
+async function renderizarPdf(html) {
+  const browser = await obtenerNavegadorPdf();
+  let page = pdfPool.paginasLibres.pop();
+  if (!page || page.isClosed() || page.browser() !== browser) {
+    page = await browser.newPage();
+  }
+  try {
+    await page.setContent(html, {
+      waitUntil: "networkidle0",
+      timeout: PDF_RENDER_TIMEOUT_MS,
+    });
+    const pdfBuffer = await page.pdf({
+      format: "A4",
+      printBackground: true,
+      margin: { top: "1mm", right: "1mm", bottom: "1mm", left: "1mm" },
+      timeout: PDF_RENDER_TIMEOUT_MS,
+    });
+    pdfPool.renders++;
+    pdfPool.paginasLibres.push(page);
+    return pdfBuffer;
+  } catch (error) {
+    page.close().catch(() => {});
+    error.navegadorCaido = !browser.connected;
+    throw error;
+  }
+}
 
-        const kpis = {
-          totalVenta: fichasDelPeriodo.reduce(
-            (sum, f) => sum + parseFloat(f.total),
-            0
-          ),
-          totalFichas: fichasDelPeriodo.length,
-          ticketPromedio:
-            fichasDelPeriodo.length > 0
-              ? fichasDelPeriodo.reduce(
-                  (sum, f) => sum + parseFloat(f.total),
-                  0
-                ) / fichasDelPeriodo.length
-              : 0,
-        };
+// Genera el PDF de un HTML usando el pool. Si Chromium se cae a mitad de
+// camino se reintenta una vez con uno nuevo.
+async function generarPdf(html) {
+  await esperarTurnoPdf();
+  try {
+    let pdfBuffer;
+    try {
+      pdfBuffer = await renderizarPdf(html);
+    } catch (error) {
+      if (!error.navegadorCaido) throw error;
+      pdfBuffer = await renderizarPdf(html);
+    }
+    pdfPool.generados++;
+    return pdfBuffer;
+  } catch (error) {
+    pdfPool.fallidos++;
+    pdfPool.ultimoErrorEn = new Date().toISOString();
+    throw error;
+  } finally {
+    liberarTurnoPdf();
+  }
+}
 
-        const ventasPorDia = {};
-        const fichasPorDia = {};
-        for (
-          let d = new Date(periodo.fecha_inicio);
-          d <= periodo.fecha_fin;
-          d.setDate(d.getDate() + 1)
-        ) {
-          const dateString = d.toISOString().split("T")[0];
-          ventasPorDia[dateString] = 0;
-          fichasPorDia[dateString] = 0;
-        }
-        fichasDelPeriodo.forEach((f) => {
-          const dateString = new Date(f.fecha_creacion)
-            .toISOString()
-            .split("T")[0];
-          if (ventasPorDia[dateString] !== undefined) {
-            ventasPorDia[dateString] += parseFloat(f.total);
-            fichasPorDia[dateString] += 1;
-          }
-        });
+function estadoPdf() {
+  return {
+    navegador: pdfPool.navegador ? "activo" : "detenido",
+    activos: pdfPool.activos,
+    enCola: pdfPool.cola.length,
+    maxConcurrencia: PDF_MAX_CONCURRENCY,
+    generados: pdfPool.generados,
+    fallidos: pdfPool.fallidos,
+    rechazados: pdfPool.rechazados,
+    caidas: pdfPool.caidas,
+    ultimoErrorEn: pdfPool.ultimoErrorEn,
+  };
+}
+
+// Fila de la ficha con los datos que usa la plantilla del PDF.
+async function obtenerFichaPdf(id) {
+  const result = await pool.query(
+    `SELECT 
+        a.*, 
+        p.titulo,
+        p.tipo, 
+        u.full_name as creatorUserName,
+        u.codigo as creatorUserCodigo
+       FROM affiliations a 
+       LEFT JOIN planes p ON a.form_data->>'plan' = p.value
+       LEFT JOIN users u ON a.user_id = u.id
+       WHERE a.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// HTML de la ficha y nombre del archivo. Sin plantilla explícita se usa la
+// que corresponde a la ficha (ver plantillaPdfDeFicha). Además de form_data,
+// la plantilla recibe firmaTitular y firmaResponsablePago ({ imagen, fecha }
+// o null) y verificacion ({ codigo, url, qr }, o null si no hay
+// PDF_VERIFICATION_SECRET). En una vista previa no se registra el código de
+// verificación.
+async function prepararPdfFicha(
+  ficha,
+  { plantilla = null, vistaPrevia = false } = {}
+) {
+  let affiliationData = { ...ficha.form_data, ...ficha };
+
+  affiliationData = convertObjectStringsToUppercase(affiliationData);
+
+  affiliationData.operacion = (affiliationData.operacion || "").toUpperCase();
+  if (affiliationData.integrantesList) {
+    affiliationData.integrantesList.forEach((p) => {
+      p.cuotaMensual = parseInt(p.cuotaMensual || 0);
+    });
+  }
+  affiliationData.total = parseInt(affiliationData.total || 0);
+  affiliationData.fechaGeneracion = new Date().toLocaleDateString("es-AR");
+
+  // Después de pasar a mayúsculas, para no alterar las data URL.
+  const firmas = ficha.id ? await firmasVigentesFicha(ficha) : {};
+  affiliationData.firmaTitular = firmas.titular || null;
+  affiliationData.firmaResponsablePago = firmas.responsablePago || null;
+  affiliationData.verificacion = vistaPrevia
+    ? await qrVerificacionPdf("XXXXX-XXXXX")
+    : await registrarVerificacionPdf(ficha);
+
+  const { template, cssContent } =
+    plantilla || (await plantillaPdfDeFicha(ficha));
+  return {
+    html: template({
+      ...affiliationData,
+      cssContent: cssContent,
+    }),
+    nombreArchivo: `solicitud-${affiliationData.solicitud || ficha.id}.pdf`,
+  };
+}
 
-        const fichasPorDiaSemana = [0, 0, 0, 0, 0, 0, 0];
-        fichasDelPeriodo.forEach((f) => {
-          const dayOfWeek = new Date(f.fecha_creacion).getDay();
-          fichasPorDiaSemana[dayOfWeek] += 1;
-        });
+// PLANTILLAS DE PDF
+// Las versiones no cambian una vez creadas, así que cada una se compila una
+// sola vez y queda en memoria.
+const plantillasPdfCompiladas = new Map();
 
-        responseData[`periodo_${periodo.id}`] = {
-          nombre: periodo.nombre,
-          kpis: kpis,
-          ventasPorDia: ventasPorDia,
-          fichasPorDia: fichasPorDia,
-          fichasPorDiaSemana: fichasPorDiaSemana,
-        };
-      }
+async function compilarVersionPlantillaPdf(versionId) {
+  const clave = String(versionId);
+  if (!plantillasPdfCompiladas.has(clave)) {
+    const result = await pool.query(
+      "SELECT html, css FROM pdf_plantilla_versiones WHERE id = $1",
+      [versionId]
+    );
+    if (result.rows.length === 0) return null;
+    plantillasPdfCompiladas.set(clave, {
+      template: handlebars.compile(result.rows[0].html),
+      cssContent: result.rows[0].css,
+    });
+  }
+  return plantillasPdfCompiladas.get(clave);
+}
 
-      res.json(responseData);
-    } catch (error) {
-      console.error("Error al obtener detalle de performance:", error);
-      res.status(500).json({ message: "Error interno del servidor." });
-    }
+// Versión vigente de la plantilla más específica para el tipo de plan y la
+// empresa, o null si no hay ninguna.
+async function seleccionarVersionPlantillaPdf(planTipo, empresa, db = pool) {
+  const result = await db.query(
+    `SELECT v.id
+     FROM pdf_plantillas p
+     JOIN pdf_plantilla_versiones v ON v.plantilla_id = p.id
+     WHERE (p.plan_tipo IS NULL OR p.plan_tipo = $1)
+       AND (p.empresa IS NULL OR p.empresa = $2)
+       AND v.vigente_desde <= NOW()
+     ORDER BY (p.plan_tipo IS NOT NULL AND p.empresa IS NOT NULL) DESC,
+              (p.empresa IS NOT NULL) DESC,
+              (p.plan_tipo IS NOT NULL) DESC,
+              v.vigente_desde DESC, v.version DESC
+     LIMIT 1`,
+    [planTipo || null, empresa || null]
+  );
+  return result.rows.length > 0 ? result.rows[0].id : null;
+}
+
+// Plantilla con la que se imprime la ficha: la versión fijada al aprobarla o,
+// si no tiene, la vigente para su tipo de plan y empresa. La migración 019
+// carga templates/afiliacion.hbs como plantilla general; el archivo sólo se
+// usa si la base todavía no tiene ninguna.
+async function plantillaPdfDeFicha(ficha) {
+  const versionId =
+    ficha.pdf_plantilla_version_id ||
+    (await seleccionarVersionPlantillaPdf(
+      ficha.tipo,
+      ficha.form_data && ficha.form_data.empresa
+    ));
+  if (versionId) {
+    const plantilla = await compilarVersionPlantillaPdf(versionId);
+    if (plantilla) return plantilla;
   }
-);
+  return obtenerPlantillaFicha();
+}
 
-// --- DATOS MAESTROS ---
+// La plantilla general (sin tipo de plan ni empresa) garantiza que siempre
+// haya una versión vigente para fijar al aprobar una ficha.
+function esPlantillaPdfGeneral(plantilla) {
+  return plantilla.plan_tipo === null && plantilla.empresa === null;
+}
 
-// Endpoints de lectura
-app.get("/api/planes", authenticateToken, async (req, res) => {
+// Devuelve el error de sintaxis de la plantilla, o null si compila.
+function validarPlantillaPdf(html) {
   try {
-    const result = await pool.query("SELECT * FROM planes ORDER BY label");
-    res.json(result.rows);
+    handlebars.precompile(html);
+    return null;
   } catch (error) {
-    res.status(500).json({ message: "Error interno del servidor." });
+    return error.message;
   }
-});
+}
+
+// Ficha de ejemplo para la vista previa de plantillas, con la misma forma que
+// devuelve obtenerFichaPdf.
+const PDF_TEMPLATE_SAMPLE = {
+  id: 0,
+  titulo: "Plan de ejemplo",
+  tipo: null,
+  creatorusername: "Vendedor de ejemplo",
+  creatorusercodigo: "0000",
+  form_data: {
+    solicitud: "0000",
+    operacion: "Alta",
+    plan: "EJEMPLO",
+    empresa: "Empresa de ejemplo",
+    medioPago: "Tarjeta de crédito",
+    tarjeta: "4111 1111 1111 1111",
+    vencimiento: "12/30",
+    apellidoTitular: "Pérez",
+    nombreTitular: "Juan",
+    dniTitular: "30123456",
+    cuilTitular: "20-30123456-3",
+    sexoTitular: "Masculino",
+    fechaNacimientoTitular: "1980-05-10",
+    edadTitular: 45,
+    estadoCivilTitular: "Casado",
+    nacionalidadTitular: "Argentina",
+    domicilioTitular: "Av. Siempre Viva 742",
+    barrioTitular: "Centro",
+    localidadTitular: "Salta",
+    provinciaTitular: "Salta",
+    cpTitular: "4400",
+    telefonoTitular: "3874000000",
+    emailTitular: "juan.perez@example.com",
+    integrantesList: [
+      {
+        apellidos: "Gómez",
+        nombres: "María",
+        vinculo: "Cónyuge",
+        sexo: "Femenino",
+        fechaNacimiento: "1982-08-20",
+        edad: 43,
+        cuitCuil: "27-28123456-5",
+        cuotaMensual: 0,
+      },
+    ],
+    total: 25000,
+  },
+};
 
-app.get("/api/empresas", authenticateToken, async (req, res) => {
+// LOTES DE PDF
+// Los lotes pendientes se procesan de a uno, y cada lote genera sus PDF de a
+// uno, así que un lote ocupa como mucho un turno del pool de Chromium y no
+// demora las impresiones individuales. Si llega un lote mientras se procesa
+// la cola, se vuelve a revisar al terminar para no dejarlo esperando.
+let procesandoLotesPdf = false;
+let lotesPdfPendientes = false;
+
+async function procesarLotesPdf() {
+  lotesPdfPendientes = true;
+  if (procesandoLotesPdf) return;
+  procesandoLotesPdf = true;
   try {
-    const result = await pool.query("SELECT * FROM empresas ORDER BY label");
-    res.json(result.rows);
+    while (lotesPdfPendientes) {
+      lotesPdfPendientes = false;
+      await procesarColaLotesPdf();
+    }
   } catch (error) {
-    res.status(500).json({ message: "Error interno del servidor." });
+    console.error("Error al procesar los lotes de PDF:", error);
+  } finally {
+    procesandoLotesPdf = false;
   }
-});
+}
 
-// ABM de Planes
-app.post(
-  "/api/planes",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const {
-      label,
-      value,
-      tipo,
-      importe_grupo_familiar,
-      importe_individual,
-      importe_adherente,
-      titulo,
-    } = req.body;
+async function procesarColaLotesPdf() {
+  for (;;) {
+    const tomado = await pool.query(
+      `UPDATE affiliation_pdf_batches
+       SET status = 'procesando', started_at = NOW(), heartbeat_at = NOW()
+       WHERE id = (
+         SELECT id FROM affiliation_pdf_batches
+         WHERE status = 'pendiente'
+         ORDER BY id LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`
+    );
+    if (tomado.rows.length === 0) return;
+    await procesarLotePdf(tomado.rows[0]);
+  }
+}
 
-    if (
-      !label ||
-      !value ||
-      !tipo ||
-      !importe_grupo_familiar ||
-      !importe_individual ||
-      !importe_adherente ||
-      !titulo
-    ) {
-      return res
-        .status(400)
-        .json({ message: "Todos los campos son obligatorios." });
+// Los lotes que quedaron a medias porque murió el proceso que los tomaba
+// (sin latido reciente) vuelven a la cola y se retoma el procesamiento. Los
+// que otra instancia sigue procesando no se tocan.
+async function reanudarLotesPdf() {
+  try {
+    await pool.query(
+      `UPDATE affiliation_pdf_batches
+       SET status = 'pendiente', processed = 0, errors = '[]',
+           started_at = NULL, heartbeat_at = NULL
+       WHERE status = 'procesando'
+         AND heartbeat_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+      [PDF_BATCH_STALE_MS]
+    );
+    await procesarLotesPdf();
+  } catch (error) {
+    console.error("Error al reanudar los lotes de PDF:", error);
+  }
+}
+
+// Cada PDF se agrega al resultado apenas se genera: en un ZIP, que se sube a
+// Cloudinary a medida que se comprime, o en el documento unido. Así el lote
+// no acumula los PDF de todas sus fichas en memoria.
+async function procesarLotePdf(lote) {
+  const errores = [];
+  const salida =
+    lote.format === "pdf" ? await crearSalidaPdf(lote) : crearSalidaZip(lote);
+  try {
+    let generados = 0;
+    for (const [index, afiliacionId] of lote.affiliation_ids.entries()) {
+      try {
+        const ficha = await obtenerFichaPdf(afiliacionId);
+        if (!ficha) {
+          throw new Error("La ficha ya no existe.");
+        }
+        const { html, nombreArchivo } = await prepararPdfFicha(ficha);
+        await salida.agregar(nombreArchivo, await generarPdfLote(html));
+        generados++;
+      } catch (error) {
+        errores.push({ affiliationId: afiliacionId, message: error.message });
+      }
+      await pool.query(
+        `UPDATE affiliation_pdf_batches
+         SET processed = $1, errors = $2, heartbeat_at = NOW()
+         WHERE id = $3`,
+        [index + 1, JSON.stringify(errores), lote.id]
+      );
+    }
+    if (generados === 0) {
+      throw new Error("No se pudo generar ninguna ficha del lote.");
     }
+
+    const public_id = await salida.terminar();
+
+    await pool.query(
+      `UPDATE affiliation_pdf_batches
+       SET status = 'completado', public_id = $1, finished_at = NOW()
+       WHERE id = $2`,
+      [public_id, lote.id]
+    );
+  } catch (error) {
+    console.error("Error al procesar el lote de PDF:", lote.id, error);
+    salida.cancelar();
+    errores.push({ affiliationId: null, message: error.message });
+    await pool.query(
+      `UPDATE affiliation_pdf_batches
+       SET status = 'error', errors = $1, finished_at = NOW()
+       WHERE id = $2`,
+      [JSON.stringify(errores), lote.id]
+    );
+  }
+}
+
+// Un lote no compite con las impresiones individuales por la cola: si está
+// llena, espera y vuelve a intentar.
+async function generarPdfLote(html) {
+  for (let intento = 1; ; intento++) {
     try {
-      const newPlan = await pool.query(
-        `INSERT INTO planes (
-            label, value, tipo, 
-            importe_grupo_familiar, importe_individual, importe_adherente, titulo
-         ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-        [
-          label,
-          value,
-          tipo,
-          importe_grupo_familiar,
-          importe_individual,
-          importe_adherente,
-          titulo,
-        ]
-      );
-      res.status(201).json(newPlan.rows[0]);
+      return await generarPdf(html);
     } catch (error) {
-      if (error.code === "23505") {
-        return res
-          .status(409)
-          .json({ message: 'El "value" del plan ya existe.' });
-      }
-      res.status(500).json({ message: "Error al crear el plan." });
+      if (error.code !== "PDF_OCUPADO" || intento >= 10) throw error;
+      await new Promise((resolve) => setTimeout(resolve, PDF_QUEUE_TIMEOUT_MS));
     }
   }
-);
+}
 
-app.put(
-  "/api/planes/:id",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    const {
-      label,
-      value,
-      tipo,
-      importe_grupo_familiar,
-      importe_individual,
-      importe_adherente,
-      titulo,
-    } = req.body;
+async function crearSalidaPdf(lote) {
+  const documento = await PDFDocument.create();
+  return {
+    async agregar(nombreArchivo, pdfBuffer) {
+      const origen = await PDFDocument.load(pdfBuffer);
+      const paginas = await documento.copyPages(
+        origen,
+        origen.getPageIndices()
+      );
+      paginas.forEach((pagina) => documento.addPage(pagina));
+    },
+    async terminar() {
+      const { uploadStream, subida } = abrirSubidaLote(lote);
+      uploadStream.end(Buffer.from(await documento.save()));
+      return subida;
+    },
+    cancelar() {},
+  };
+}
+
+function crearSalidaZip(lote) {
+  const { uploadStream, subida } = abrirSubidaLote(lote);
+  const zip = archiver("zip");
+  let fallo = null;
+  zip.on("error", (error) => {
+    fallo = error;
+  });
+  zip.pipe(uploadStream);
+  // Dos fichas con el mismo número de solicitud no se pisan en el ZIP.
+  const usados = new Set();
+  return {
+    async agregar(nombreArchivo, pdfBuffer) {
+      if (fallo) throw fallo;
+      let nombre = nombreArchivo;
+      for (let n = 2; usados.has(nombre); n++) {
+        nombre = nombreArchivo.replace(/\.pdf$/, `-${n}.pdf`);
+      }
+      usados.add(nombre);
+      // Se espera a que el ZIP consuma cada PDF para no encolarlos en memoria
+      // si la subida va más lenta que la generación.
+      const procesado = once(zip, "entry");
+      zip.append(pdfBuffer, { name: nombre });
+      await procesado;
+    },
+    async terminar() {
+      if (fallo) throw fallo;
+      await zip.finalize();
+      return subida;
+    },
+    // Se corta la subida sin cerrarla: cerrarla guardaría en Cloudinary un ZIP
+    // incompleto. La petición abierta se aborta sola por el timeout.
+    cancelar() {
+      zip.unpipe(uploadStream);
+      zip.abort();
+      uploadStream.destroy();
+    },
+  };
+}
+
+function abrirSubidaLote(lote) {
+  let uploadStream;
+  const subida = new Promise((resolve, reject) => {
+    uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder: "lotes-pdf",
+        public_id: `lote-${lote.id}.${lote.format}`,
+        resource_type: "raw",
+        type: "authenticated",
+        timeout: PDF_BATCH_UPLOAD_TIMEOUT_MS,
+      },
+      (error, result) => {
+        if (error) {
+          return reject(error);
+        }
+        resolve(result.public_id);
+      }
+    );
+  });
+  // Si el lote se cancela, el error de la subida ya no le interesa a nadie.
+  subida.catch(() => {});
+  return { uploadStream, subida };
+}
+
+async function obtenerLotePdf(id, userId) {
+  const result = await pool.query(
+    "SELECT * FROM affiliation_pdf_batches WHERE id = $1 AND user_id = $2",
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+function resumenLotePdf(lote) {
+  return {
+    id: lote.id,
+    format: lote.format,
+    status: lote.status,
+    total: lote.affiliation_ids.length,
+    processed: lote.processed,
+    errors: lote.errors,
+    createdAt: lote.created_at,
+    startedAt: lote.started_at,
+    finishedAt: lote.finished_at,
+  };
+}
+
+// PRECIOS DE FICHAS
+// Vínculos cubiertos por la cuota de grupo familiar del titular; el resto de
+// los integrantes paga la cuota de adherente.
+const VINCULOS_GRUPO_FAMILIAR = [
+  "conyuge",
+  "esposo",
+  "esposa",
+  "concubino",
+  "concubina",
+  "hijo",
+  "hija",
+];
+
+// Valida la ficha y reemplaza los importes que manda el cliente por los
+// calculados desde el plan. En una ficha que se presenta, un total distinto
+// del calculado se rechaza; en un borrador se corrige y queda registrado en
+// pricing.diferencias.
+async function prepararFicha(formData, { estricto }) {
+  const errores = await validarFormData(formData, { estricto });
+  if (errores.length > 0) {
+    return { errores, formData, pricing: null };
+  }
+  const pricing = await cotizarFicha(formData);
+  if (!pricing) {
+    return { errores, formData, pricing: null };
+  }
+  if (estricto && pricing.diferencias.length > 0) {
+    return { errores: pricing.diferencias, formData, pricing };
+  }
+
+  const fichaCotizada = { ...formData, total: pricing.total };
+  if (pricing.importeCuota !== null) {
+    fichaCotizada.importe = pricing.importeCuota;
+  }
+  if (
+    Array.isArray(formData.integrantesList) &&
+    pricing.tipo !== "PRENECESIDAD"
+  ) {
+    fichaCotizada.integrantesList = formData.integrantesList.map(
+      (integrante, index) => ({
+        ...integrante,
+        cuotaMensual: pricing.lineas[index + 1].cuota,
+      })
+    );
+  }
+  return { errores, formData: fichaCotizada, pricing };
+}
+
+// Calcula la cuota de cada integrante y el total con los importes actuales
+// del plan. En un plan de prenecesidad el total es el precio del plan
+// (importe_individual) y el importe de cada cuota, ese precio dividido en las
+// cuotas de la ficha. Devuelve null si la ficha todavía no tiene un plan
+// válido.
+async function cotizarFicha(formData) {
+  if (!tieneValor(formData.plan)) return null;
+  const result = await pool.query(
+    `SELECT value, tipo, importe_grupo_familiar, importe_individual, importe_adherente
+     FROM planes WHERE value = $1`,
+    [formData.plan]
+  );
+  if (result.rows.length === 0) return null;
+
+  const plan = result.rows[0];
+  const precios = {
+    grupoFamiliar: Number(plan.importe_grupo_familiar),
+    individual: Number(plan.importe_individual),
+    adherente: Number(plan.importe_adherente),
+  };
+  if (plan.tipo === "PRENECESIDAD") {
+    return cotizarPrenecesidad(formData, plan, precios);
+  }
+  const integrantes = Array.isArray(formData.integrantesList)
+    ? formData.integrantesList
+    : [];
+  const esGrupoFamiliar = integrantes.some((i) =>
+    VINCULOS_GRUPO_FAMILIAR.includes(normalizarTexto(i && i.vinculo))
+  );
+
+  const lineas = [
+    {
+      integrante: "titular",
+      concepto: esGrupoFamiliar ? "grupo_familiar" : "individual",
+      cuota: esGrupoFamiliar ? precios.grupoFamiliar : precios.individual,
+    },
+  ];
+  integrantes.forEach((integrante, index) => {
+    const vinculo = (integrante && integrante.vinculo) || null;
+    const cubierto = VINCULOS_GRUPO_FAMILIAR.includes(normalizarTexto(vinculo));
+    lineas.push({
+      integrante: index,
+      vinculo,
+      concepto: cubierto ? "grupo_familiar" : "adherente",
+      cuota: cubierto ? 0 : precios.adherente,
+    });
+  });
+  const total =
+    Math.round(lineas.reduce((acc, linea) => acc + linea.cuota, 0) * 100) / 100;
 
+  const diferencias = diferenciaImporte(formData.total, total, {
+    campo: "total",
+    nombre: "El total",
+  });
+  integrantes.forEach((integrante, index) => {
+    const informado = integrante && integrante.cuotaMensual;
     if (
-      !label ||
-      !value ||
-      !tipo ||
-      !importe_grupo_familiar ||
-      !importe_individual ||
-      !importe_adherente ||
-      !titulo
+      tieneValor(informado) &&
+      parsearImporte(informado) !== lineas[index + 1].cuota
     ) {
-      return res
-        .status(400)
-        .json({ message: "Todos los campos son obligatorios." });
+      diferencias.push({
+        campo: `integrantesList[${index}].cuotaMensual`,
+        mensaje: `La cuota informada (${informado}) no coincide con la calculada (${
+          lineas[index + 1].cuota
+        }).`,
+      });
     }
-    try {
-      const updatedPlan = await pool.query(
-        `UPDATE planes 
-         SET label = $1, value = $2, tipo = $3, 
-             importe_grupo_familiar = $4, importe_individual = $5, 
-             importe_adherente = $6, titulo = $7 
-         WHERE id = $8 RETURNING *`,
-        [
-          label,
-          value,
-          tipo,
-          importe_grupo_familiar,
-          importe_individual,
-          importe_adherente,
-          titulo,
-          id,
-        ]
-      );
-      if (updatedPlan.rows.length === 0) {
-        return res.status(404).json({ message: "Plan no encontrado." });
+  });
+
+  return {
+    plan: plan.value,
+    tipo: plan.tipo,
+    precios,
+    lineas,
+    total,
+    totalInformado: tieneValor(formData.total)
+      ? parsearImporte(formData.total)
+      : null,
+    cuotas: null,
+    importeCuota: null,
+    diferencias,
+    calculadoEn: new Date().toISOString(),
+  };
+}
+
+// Mientras la ficha no tenga un número de cuotas válido (un borrador) sólo se
+// calcula el total.
+function cotizarPrenecesidad(formData, plan, precios) {
+  const total = precios.individual;
+  const cuotas = /^\d+$/.test(String(formData.cuotas ?? "").trim())
+    ? parseInt(formData.cuotas, 10)
+    : 0;
+  const importeCuota =
+    cuotas > 0 ? Math.round((total / cuotas) * 100) / 100 : null;
+
+  const diferencias = diferenciaImporte(formData.total, total, {
+    campo: "total",
+    nombre: "El total",
+  });
+  if (importeCuota !== null) {
+    diferencias.push(
+      ...diferenciaImporte(formData.importe, importeCuota, {
+        campo: "importe",
+        nombre: "El importe de la cuota",
+      })
+    );
+  }
+
+  return {
+    plan: plan.value,
+    tipo: plan.tipo,
+    precios,
+    lineas: [
+      {
+        integrante: "titular",
+        concepto: "prenecesidad",
+        cuota: importeCuota,
+        cuotas: cuotas || null,
+      },
+    ],
+    total,
+    totalInformado: tieneValor(formData.total)
+      ? parsearImporte(formData.total)
+      : null,
+    cuotas: cuotas || null,
+    importeCuota,
+    diferencias,
+    calculadoEn: new Date().toISOString(),
+  };
+}
+
+// Compara un importe informado por el cliente con el calculado. Devuelve la
+// lista de diferencias (vacía o con una).
+function diferenciaImporte(informado, calculado, { campo, nombre }) {
+  if (!tieneValor(informado) || parsearImporte(informado) === calculado) {
+    return [];
+  }
+  return [
+    {
+      campo,
+      mensaje: `${nombre} informado (${informado}) no coincide con el calculado (${calculado}).`,
+    },
+  ];
+}
+
+// Convierte un importe a número redondeado a centavos. Acepta números y
+// textos con el formato local ("25.000,50", "$ 25.000") o con punto decimal
+// ("25000.50"). Devuelve NaN si no es un importe.
+function parsearImporte(valor) {
+  if (typeof valor === "number") {
+    return Math.round(valor * 100) / 100;
+  }
+  let texto = String(valor).replace(/[$\s]/g, "");
+  if (texto.includes(",")) {
+    // Coma decimal: los puntos son separadores de miles.
+    if (!/^-?\d{1,3}(\.\d{3})*,\d+$|^-?\d+,\d+$/.test(texto)) return NaN;
+    texto = texto.replace(/\./g, "").replace(",", ".");
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(texto)) {
+    texto = texto.replace(/\./g, "");
+  }
+  if (!/^-?\d+(\.\d+)?$/.test(texto)) return NaN;
+  return Math.round(Number(texto) * 100) / 100;
+}
+
+// VALIDACIÓN DE FICHAS
+// Esquema declarativo de form_data. Cada sección agrupa campos con su tipo;
+// fichaSeccionesRequeridas decide qué secciones son obligatorias para cada
+// ficha según el plan, la operación y el medio de pago.
+const FICHA_SECCIONES = {
+  general: {
+    operacion: { etiqueta: "La operación", requerido: true },
+    plan: { etiqueta: "El plan", requerido: true },
+    medioPago: { etiqueta: "El medio de pago", requerido: true },
+    total: { etiqueta: "El total", tipo: "importe" },
+  },
+  titular: {
+    apellidoTitular: { etiqueta: "El apellido del titular", requerido: true },
+    nombreTitular: { etiqueta: "El nombre del titular", requerido: true },
+    dniTitular: {
+      etiqueta: "El DNI del titular",
+      tipo: "dni",
+      requerido: true,
+    },
+    cuilTitular: {
+      etiqueta: "El CUIL del titular",
+      tipo: "cuil",
+      dni: "dniTitular",
+      requerido: true,
+    },
+    sexoTitular: { etiqueta: "El sexo del titular", requerido: true },
+    fechaNacimientoTitular: {
+      etiqueta: "La fecha de nacimiento del titular",
+      tipo: "fechaNacimiento",
+      edad: "edadTitular",
+      requerido: true,
+    },
+    domicilioTitular: { etiqueta: "El domicilio del titular", requerido: true },
+    localidadTitular: { etiqueta: "La localidad del titular", requerido: true },
+    provinciaTitular: { etiqueta: "La provincia del titular", requerido: true },
+    telefonoTitular: { etiqueta: "El teléfono del titular", requerido: true },
+    emailTitular: { etiqueta: "El email del titular", tipo: "email" },
+  },
+  responsablePago: {
+    apellidoResponsablePago: {
+      etiqueta: "El apellido del responsable de pago",
+      requerido: true,
+    },
+    nombreResponsablePago: {
+      etiqueta: "El nombre del responsable de pago",
+      requerido: true,
+    },
+    dniResponsablePago: {
+      etiqueta: "El DNI del responsable de pago",
+      tipo: "dni",
+      requerido: true,
+    },
+    cuilResponsablePago: {
+      etiqueta: "El CUIL del responsable de pago",
+      tipo: "cuil",
+      dni: "dniResponsablePago",
+      requerido: true,
+    },
+    fechaNacimientoResponsablePago: {
+      etiqueta: "La fecha de nacimiento del responsable de pago",
+      tipo: "fechaNacimiento",
+      edad: "edadResponsablePago",
+      edadMinima: 18,
+      requerido: true,
+    },
+    domicilioResponsablePago: {
+      etiqueta: "El domicilio del responsable de pago",
+      requerido: true,
+    },
+    telefonoResponsablePago: {
+      etiqueta: "El teléfono del responsable de pago",
+      requerido: true,
+    },
+    emailResponsablePago: {
+      etiqueta: "El email del responsable de pago",
+      tipo: "email",
+    },
+  },
+  conyuge: {
+    apellidoConyuge: { etiqueta: "El apellido del cónyuge", requerido: true },
+    nombreConyuge: { etiqueta: "El nombre del cónyuge", requerido: true },
+    dniConyuge: {
+      etiqueta: "El DNI del cónyuge",
+      tipo: "dni",
+      requerido: true,
+    },
+    cuilConyuge: {
+      etiqueta: "El CUIL del cónyuge",
+      tipo: "cuil",
+      dni: "dniConyuge",
+    },
+    fechaNacimientoConyuge: {
+      etiqueta: "La fecha de nacimiento del cónyuge",
+      tipo: "fechaNacimiento",
+      edad: "edadConyuge",
+      requerido: true,
+    },
+  },
+  beneficiario: {
+    apellidoBeneficiario: {
+      etiqueta: "El apellido del beneficiario",
+      requerido: true,
+    },
+    nombreBeneficiario: {
+      etiqueta: "El nombre del beneficiario",
+      requerido: true,
+    },
+    dniBeneficiario: {
+      etiqueta: "El DNI del beneficiario",
+      tipo: "dni",
+      requerido: true,
+    },
+    cuilBeneficiario: {
+      etiqueta: "El CUIL del beneficiario",
+      tipo: "cuil",
+      dni: "dniBeneficiario",
+    },
+    fechaNacimientoBeneficiario: {
+      etiqueta: "La fecha de nacimiento del beneficiario",
+      tipo: "fechaNacimiento",
+      edad: "edadBeneficiario",
+    },
+    vinculoBeneficiario: {
+      etiqueta: "El vínculo del beneficiario",
+      requerido: true,
+    },
+  },
+  debito: {
+    empresa: { etiqueta: "La empresa", requerido: true },
+    cbu: { etiqueta: "El CBU", tipo: "cbu", requerido: true },
+  },
+  tarjeta: {
+    empresa: { etiqueta: "La empresa", requerido: true },
+    tarjeta: {
+      etiqueta: "El número de tarjeta",
+      tipo: "tarjeta",
+      requerido: true,
+    },
+    vencimiento: {
+      etiqueta: "El vencimiento de la tarjeta",
+      tipo: "vencimiento",
+      requerido: true,
+    },
+  },
+  cobrador: {
+    domicilioPago: { etiqueta: "El domicilio de pago", requerido: true },
+    zonaPago: { etiqueta: "La zona de pago", requerido: true },
+  },
+  declaracionSalud: {
+    ...Object.fromEntries(
+      [1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16].map((n) => [
+        `ddjj${n}`,
+        {
+          etiqueta: `La respuesta ${n} de la declaración jurada`,
+          requerido: true,
+        },
+      ])
+    ),
+    pep: {
+      etiqueta: "La declaración de persona expuesta políticamente",
+      requerido: true,
+    },
+  },
+  prenecesidad: {
+    cuotas: {
+      etiqueta: "El número de cuotas",
+      tipo: "entero",
+      requerido: true,
+    },
+    importe: { etiqueta: "El importe", tipo: "importe", requerido: true },
+  },
+};
+
+// Campos de cada integrante del grupo familiar (integrantesList).
+const FICHA_INTEGRANTE = {
+  apellidos: { etiqueta: "El apellido", requerido: true },
+  nombres: { etiqueta: "El nombre", requerido: true },
+  fechaNacimiento: {
+    etiqueta: "La fecha de nacimiento",
+    tipo: "fechaNacimiento",
+    edad: "edad",
+    requerido: true,
+  },
+  cuitCuil: { etiqueta: "El CUIL", tipo: "cuil" },
+  vinculo: { etiqueta: "El vínculo", requerido: true },
+  cuotaMensual: { etiqueta: "La cuota mensual", tipo: "importe" },
+};
+
+// Las secciones opcionales del formulario (cónyuge, beneficiario) pasan a
+// ser obligatorias en cuanto se completa alguno de sus campos.
+function fichaSeccionesRequeridas(formData, planTipo) {
+  const secciones = ["general", "titular"];
+  const operacion = normalizarTexto(formData.operacion);
+  const medioPago = normalizarTexto(formData.medioPago);
+
+  if (planTipo === "PRENECESIDAD") {
+    secciones.push("prenecesidad");
+  } else {
+    secciones.push("declaracionSalud");
+  }
+
+  if (medioPago.includes("tarjeta")) {
+    secciones.push("tarjeta");
+  } else if (medioPago.includes("debito") || medioPago.includes("cbu")) {
+    secciones.push("debito");
+  } else if (medioPago.includes("cobrador") || medioPago.includes("efectivo")) {
+    secciones.push("cobrador");
+  }
+
+  // Un titular menor de edad, o una operación a nombre de un tercero,
+  // necesita un responsable de pago.
+  const edadTitular = calcularEdad(
+    parsearFecha(formData.fechaNacimientoTitular)
+  );
+  if (
+    operacion.includes("tercero") ||
+    (edadTitular !== null && edadTitular < 18)
+  ) {
+    secciones.push("responsablePago");
+  }
+
+  for (const seccion of ["responsablePago", "conyuge", "beneficiario"]) {
+    const completada = Object.keys(FICHA_SECCIONES[seccion]).some((campo) =>
+      tieneValor(formData[campo])
+    );
+    if (completada && !secciones.includes(seccion)) {
+      secciones.push(seccion);
+    }
+  }
+  return secciones;
+}
+
+// Valida form_data contra el esquema. Con estricto (accion "finalizar") se
+// exigen los campos obligatorios de las secciones que correspondan; en los
+// borradores sólo se valida el formato de lo que ya se cargó. Devuelve una
+// lista de { campo, mensaje }, vacía si la ficha es válida.
+async function validarFormData(formData, { estricto }) {
+  if (!formData || typeof formData !== "object" || Array.isArray(formData)) {
+    return [
+      { campo: "formData", mensaje: "Los datos de la ficha son obligatorios." },
+    ];
+  }
+
+  const errores = [];
+  let planTipo = null;
+  if (tieneValor(formData.plan)) {
+    const plan = await pool.query("SELECT tipo FROM planes WHERE value = $1", [
+      formData.plan,
+    ]);
+    if (plan.rows.length === 0) {
+      errores.push({ campo: "plan", mensaje: "El plan indicado no existe." });
+    } else {
+      planTipo = plan.rows[0].tipo;
+    }
+  }
+
+  const requeridas = estricto
+    ? fichaSeccionesRequeridas(formData, planTipo)
+    : [];
+  const validados = new Set();
+  for (const [seccion, campos] of Object.entries(FICHA_SECCIONES)) {
+    for (const [campo, regla] of Object.entries(campos)) {
+      // empresa aparece en más de una sección de pago.
+      const obligatorio = regla.requerido && requeridas.includes(seccion);
+      if (validados.has(campo) && !obligatorio) continue;
+      validados.add(campo);
+      const mensaje = validarCampoFicha(formData, campo, regla, obligatorio);
+      if (mensaje && !errores.some((e) => e.campo === campo)) {
+        errores.push({ campo, mensaje });
       }
-      res.json(updatedPlan.rows[0]);
-    } catch (error) {
-      res.status(500).json({ message: "Error al actualizar el plan." });
     }
   }
-);
 
-app.delete(
-  "/api/planes/:id",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    try {
-      await pool.query("DELETE FROM planes WHERE id = $1", [id]);
-      res.status(204).send();
-    } catch (error) {
-      if (error.code === "23503") {
-        return res.status(409).json({
-          message:
-            "No se puede eliminar el plan porque está siendo utilizado por una o más afiliaciones.",
-        });
+  if (
+    formData.integrantesList !== undefined &&
+    formData.integrantesList !== null
+  ) {
+    if (!Array.isArray(formData.integrantesList)) {
+      errores.push({
+        campo: "integrantesList",
+        mensaje: "Los integrantes deben ser una lista.",
+      });
+    } else {
+      formData.integrantesList.forEach((integrante, index) => {
+        for (const [campo, regla] of Object.entries(FICHA_INTEGRANTE)) {
+          const mensaje = validarCampoFicha(
+            integrante || {},
+            campo,
+            regla,
+            estricto && regla.requerido
+          );
+          if (mensaje) {
+            errores.push({
+              campo: `integrantesList[${index}].${campo}`,
+              mensaje,
+            });
+          }
+        }
+      });
+    }
+  }
+  return errores;
+}
+
+function validarCampoFicha(datos, campo, regla, obligatorio) {
+  const valor = datos[campo];
+  if (!tieneValor(valor)) {
+    return obligatorio
+      ? `Falta ${regla.etiqueta.charAt(0).toLowerCase()}${regla.etiqueta.slice(
+          1
+        )}.`
+      : null;
+  }
+  const texto = String(valor).trim();
+  const digitos = texto.replace(/[\s.-]/g, "");
+
+  switch (regla.tipo) {
+    case "dni":
+      return /^\d{7,8}$/.test(digitos)
+        ? null
+        : `${regla.etiqueta} debe tener 7 u 8 dígitos.`;
+    case "cuil":
+      if (!cuilValido(digitos)) {
+        return `${regla.etiqueta} no es válido.`;
       }
-      res.status(500).json({ message: "Error al eliminar el plan." });
+      if (
+        regla.dni &&
+        tieneValor(datos[regla.dni]) &&
+        digitos.slice(2, 10) !==
+          String(datos[regla.dni])
+            .replace(/[\s.-]/g, "")
+            .padStart(8, "0")
+      ) {
+        return `${regla.etiqueta} no coincide con el DNI.`;
+      }
+      return null;
+    case "cbu":
+      return cbuValido(digitos) ? null : `${regla.etiqueta} no es válido.`;
+    case "tarjeta":
+      return /^\d{13,19}$/.test(digitos) && luhnValido(digitos)
+        ? null
+        : `${regla.etiqueta} no es válido.`;
+    case "vencimiento": {
+      const match = texto.match(/^(\d{2})\/(\d{2}|\d{4})$/);
+      const mes = match ? parseInt(match[1], 10) : 0;
+      if (!match || mes < 1 || mes > 12) {
+        return `${regla.etiqueta} debe tener el formato MM/AA.`;
+      }
+      const anio = parseInt(match[2], 10) + (match[2].length === 2 ? 2000 : 0);
+      // La tarjeta vence el último día del mes indicado.
+      return new Date(anio, mes, 1) <= new Date()
+        ? "La tarjeta está vencida."
+        : null;
+    }
+    case "email":
+      return EMAIL_REGEX.test(texto) ? null : `${regla.etiqueta} no es válido.`;
+    case "entero":
+      return /^\d+$/.test(texto) && parseInt(texto, 10) > 0
+        ? null
+        : `${regla.etiqueta} debe ser un número entero positivo.`;
+    case "importe":
+      return isNaN(parsearImporte(texto)) || parsearImporte(texto) < 0
+        ? `${regla.etiqueta} debe ser un número mayor o igual a cero.`
+        : null;
+    case "fechaNacimiento": {
+      const fecha = parsearFecha(texto);
+      if (!fecha) {
+        return `${regla.etiqueta} no es una fecha válida.`;
+      }
+      const edad = calcularEdad(fecha);
+      if (edad < 0 || edad > 120) {
+        return `${regla.etiqueta} está fuera de rango.`;
+      }
+      if (regla.edadMinima && edad < regla.edadMinima) {
+        return `Debe tener al menos ${regla.edadMinima} años.`;
+      }
+      if (
+        regla.edad &&
+        tieneValor(datos[regla.edad]) &&
+        parseInt(datos[regla.edad], 10) !== edad
+      ) {
+        return `${regla.etiqueta} no coincide con la edad informada (${
+          datos[regla.edad]
+        }).`;
+      }
+      return null;
     }
+    default:
+      return null;
   }
-);
+}
 
-// ABM de Empresas
-app.post(
-  "/api/empresas",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { label, value } = req.body;
-    if (!label || !value) {
-      return res
-        .status(400)
-        .json({ message: "Los campos label y value son obligatorios." });
+function tieneValor(valor) {
+  return valor !== undefined && valor !== null && String(valor).trim() !== "";
+}
+
+function normalizarTexto(valor) {
+  return String(valor || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+// Acepta AAAA-MM-DD (input date) y DD/MM/AAAA.
+function parsearFecha(valor) {
+  if (!tieneValor(valor)) return null;
+  const texto = String(valor).trim();
+  let match = texto.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  let anio, mes, dia;
+  if (match) {
+    [, anio, mes, dia] = match.map(Number);
+  } else {
+    match = texto.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    [, dia, mes, anio] = match.map(Number);
+  }
+  const fecha = new Date(anio, mes - 1, dia);
+  return fecha.getFullYear() === anio &&
+    fecha.getMonth() === mes - 1 &&
+    fecha.getDate() === dia
+    ? fecha
+    : null;
+}
+
+function calcularEdad(fecha) {
+  if (!fecha) return null;
+  const hoy = new Date();
+  let edad = hoy.getFullYear() - fecha.getFullYear();
+  if (
+    hoy.getMonth() < fecha.getMonth() ||
+    (hoy.getMonth() === fecha.getMonth() && hoy.getDate() < fecha.getDate())
+  ) {
+    edad--;
+  }
+  return edad;
+}
+
+// CUIL/CUIT: 11 dígitos, prefijo válido y dígito verificador módulo 11.
+function cuilValido(digitos) {
+  if (!/^\d{11}$/.test(digitos)) return false;
+  if (
+    !["20", "23", "24", "27", "30", "33", "34"].includes(digitos.slice(0, 2))
+  ) {
+    return false;
+  }
+  const pesos = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const suma = pesos.reduce(
+    (acc, peso, i) => acc + peso * Number(digitos[i]),
+    0
+  );
+  let verificador = 11 - (suma % 11);
+  if (verificador === 11) verificador = 0;
+  if (verificador === 10) return false;
+  return verificador === Number(digitos[10]);
+}
+
+// CBU: 22 dígitos en dos bloques (banco/sucursal y cuenta), cada uno con su
+// dígito verificador.
+function cbuValido(digitos) {
+  if (!/^\d{22}$/.test(digitos)) return false;
+  const bloqueValido = (bloque) => {
+    const pesos = [3, 1, 7, 9];
+    const cuerpo = bloque.slice(0, -1);
+    let suma = 0;
+    for (let i = 0; i < cuerpo.length; i++) {
+      // Los pesos se aplican de derecha a izquierda: 3, 1, 7, 9, 3, ...
+      suma += Number(cuerpo[cuerpo.length - 1 - i]) * pesos[i % 4];
     }
-    try {
-      const newEmpresa = await pool.query(
-        "INSERT INTO empresas (label, value) VALUES ($1, $2) RETURNING *",
-        [label, value]
-      );
-      res.status(201).json(newEmpresa.rows[0]);
-    } catch (error) {
-      if (error.code === "23505") {
-        return res
-          .status(409)
-          .json({ message: 'El "value" de la empresa ya existe.' });
-      }
-      res.status(500).json({ message: "Error al crear la empresa." });
+    return (10 - (suma % 10)) % 10 === Number(bloque[bloque.length - 1]);
+  };
+  return bloqueValido(digitos.slice(0, 8)) && bloqueValido(digitos.slice(8));
+}
+
+function luhnValido(digitos) {
+  let suma = 0;
+  for (let i = 0; i < digitos.length; i++) {
+    let digito = Number(digitos[digitos.length - 1 - i]);
+    if (i % 2 === 1) {
+      digito *= 2;
+      if (digito > 9) digito -= 9;
     }
+    suma += digito;
   }
-);
+  return suma % 10 === 0;
+}
 
-app.put(
-  "/api/empresas/:id",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    const { label, value } = req.body;
-    if (!label || !value) {
-      return res
-        .status(400)
-        .json({ message: "Todos los campos son obligatorios." });
+// IMPORTACIÓN DE USUARIOS
+// Valida cada fila del CSV contra las reglas de alta de usuarios, contra el
+// resto del archivo y contra los usuarios existentes.
+async function validarFilasImportacion(registros) {
+  const filas = registros.map((registro, index) => ({
+    fila: index + 2, // la fila 1 es el encabezado
+    full_name: registro.full_name || "",
+    email: (registro.email || "").toLowerCase(),
+    codigo: registro.codigo || null,
+    role: (registro.role || "").toUpperCase(),
+    errores: [],
+  }));
+
+  const emails = filas.map((f) => f.email).filter(Boolean);
+  const codigos = filas.map((f) => f.codigo).filter(Boolean);
+  const [existentes, roles] = await Promise.all([
+    pool.query(
+      "SELECT email, codigo FROM users WHERE email = ANY($1::text[]) OR codigo = ANY($2::text[])",
+      [emails, codigos]
+    ),
+    pool.query("SELECT name FROM roles"),
+  ]);
+  const emailsExistentes = new Set(existentes.rows.map((r) => r.email));
+  const codigosExistentes = new Set(existentes.rows.map((r) => r.codigo));
+  const rolesValidos = new Set(roles.rows.map((r) => r.name));
+
+  const emailsVistos = new Map();
+  const codigosVistos = new Map();
+  for (const fila of filas) {
+    if (!fila.full_name) {
+      fila.errores.push("El nombre completo es obligatorio.");
     }
-    try {
-      const updatedEmpresa = await pool.query(
-        "UPDATE empresas SET label = $1, value = $2 WHERE id = $3 RETURNING *",
-        [label, value, id]
+    if (!fila.email) {
+      fila.errores.push("El correo electrónico es obligatorio.");
+    } else if (!EMAIL_REGEX.test(fila.email)) {
+      fila.errores.push("El correo electrónico no es válido.");
+    } else if (emailsExistentes.has(fila.email)) {
+      fila.errores.push("Ya existe un usuario con ese correo electrónico.");
+    } else if (emailsVistos.has(fila.email)) {
+      fila.errores.push(
+        `El correo electrónico está repetido en la fila ${emailsVistos.get(
+          fila.email
+        )}.`
       );
-      if (updatedEmpresa.rows.length === 0) {
-        return res.status(404).json({ message: "Empresa no encontrada." });
+    }
+    if (fila.codigo) {
+      if (codigosExistentes.has(fila.codigo)) {
+        fila.errores.push("Ya existe un usuario con ese código.");
+      } else if (codigosVistos.has(fila.codigo)) {
+        fila.errores.push(
+          `El código está repetido en la fila ${codigosVistos.get(
+            fila.codigo
+          )}.`
+        );
       }
-      res.json(updatedEmpresa.rows[0]);
-    } catch (error) {
-      res.status(500).json({ message: "Error al actualizar la empresa." });
+    }
+    if (!rolesValidos.has(fila.role)) {
+      fila.errores.push(`El rol "${fila.role}" no existe.`);
+    }
+
+    if (fila.email && !emailsVistos.has(fila.email)) {
+      emailsVistos.set(fila.email, fila.fila);
+    }
+    if (fila.codigo && !codigosVistos.has(fila.codigo)) {
+      codigosVistos.set(fila.codigo, fila.fila);
     }
   }
-);
+  return filas;
+}
 
-app.delete(
-  "/api/empresas/:id",
-  authenticateToken,
-  authorize(["ADMINISTRADOR"]),
-  async (req, res) => {
-    const { id } = req.params;
-    try {
-      const usage = await pool.query(
-        "SELECT 1 FROM affiliations WHERE form_data ->> 'empresa' = (SELECT value FROM empresas WHERE id = $1) LIMIT 1",
-        [id]
-      );
-      if (usage.rows.length > 0) {
-        return res.status(409).json({
-          message: "No se puede eliminar la empresa porque está en uso.",
-        });
+// CSV
+// Un texto que empieza con =, +, -, @, tabulador o retorno de carro se
+// prefija con ' para que la planilla no lo interprete como fórmula
+// (inyección de CSV).
+function filaCsv(valores) {
+  return valores
+    .map((valor) => {
+      if (valor === null || valor === undefined) return "";
+      let texto = valor instanceof Date ? valor.toISOString() : String(valor);
+      if (typeof valor === "string" && /^[=+\-@\t\r]/.test(texto)) {
+        texto = `'${texto}`;
       }
-      await pool.query("DELETE FROM empresas WHERE id = $1", [id]);
-      res.status(204).send();
-    } catch (error) {
-      res.status(500).json({ message: "Error al eliminar la empresa." });
+      return /[",\r\n;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    })
+    .join(",");
+}
+
+// AUDITORÍA
+// Campos que nunca se guardan en el registro de auditoría: credenciales y
+// secretos del segundo factor.
+const AUDIT_REDACTED_FIELDS = [
+  "password_hash",
+  "totp_secret",
+  "totp_pending_secret",
+  "totp_last_step",
+];
+
+function sinCamposSensibles(data) {
+  if (!data || typeof data !== "object") {
+    return data;
+  }
+  const copia = { ...data };
+  for (const campo of AUDIT_REDACTED_FIELDS) {
+    delete copia[campo];
+  }
+  return copia;
+}
+
+// Registra una operación de escritura. Si falla la escritura del registro
+// la operación ya realizada no se revierte: se informa en el log.
+async function registrarAuditoria(
+  req,
+  { entidad, entidadId, accion, antes = null, despues = null }
+) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log (actor_user_id, actor_api_key_id, entity, entity_id, action, before, after, ip)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        req.user ? req.user.userId : null,
+        req.user ? req.user.apiKeyId : null,
+        entidad,
+        entidadId == null ? null : String(entidadId),
+        accion,
+        sinCamposSensibles(antes),
+        sinCamposSensibles(despues),
+        req.ip,
+      ]
+    );
+  } catch (error) {
+    console.error("Error al registrar la auditoría:", error);
+  }
+}
+
+// Lee una fila por id para guardar su estado previo en la auditoría. El
+// nombre de la tabla siempre viene del código, nunca del request.
+async function obtenerFila(tabla, id) {
+  const result = await pool.query(`SELECT * FROM ${tabla} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function obtenerRol(name) {
+  const result = await pool.query(
+    `SELECT r.name, r.description, r.require_2fa, r.team_scoped, r.manager_role,
+            COALESCE(array_agg(rp.permission ORDER BY rp.permission)
+              FILTER (WHERE rp.permission IS NOT NULL), '{}') as permissions
+     FROM roles r
+     LEFT JOIN role_permissions rp ON rp.role = r.name
+     WHERE r.name = $1
+     GROUP BY r.name`,
+    [name]
+  );
+  return result.rows[0] || null;
+}
+
+// PERMISOS
+// La caché guarda los permisos de cada rol y su configuración de equipo
+// (team_scoped y manager_role).
+let permisosCache = { cargadoEn: 0, porRol: new Map(), roles: new Map() };
+
+async function cargarCachePermisos() {
+  if (Date.now() - permisosCache.cargadoEn <= PERMISSIONS_CACHE_TTL_MS) {
+    return;
+  }
+  const [permisos, roles] = await Promise.all([
+    pool.query("SELECT role, permission FROM role_permissions"),
+    pool.query("SELECT name, team_scoped, manager_role FROM roles"),
+  ]);
+  const porRol = new Map();
+  for (const row of permisos.rows) {
+    if (!porRol.has(row.role)) porRol.set(row.role, new Set());
+    porRol.get(row.role).add(row.permission);
+  }
+  permisosCache = {
+    cargadoEn: Date.now(),
+    porRol,
+    roles: new Map(roles.rows.map((row) => [row.name, row])),
+  };
+}
+
+async function obtenerPermisosRol(role) {
+  await cargarCachePermisos();
+  return permisosCache.porRol.get(role) || new Set();
+}
+
+async function obtenerConfigRol(role) {
+  await cargarCachePermisos();
+  return (
+    permisosCache.roles.get(role) || { team_scoped: false, manager_role: null }
+  );
+}
+
+function invalidarCachePermisos() {
+  permisosCache = { cargadoEn: 0, porRol: new Map(), roles: new Map() };
+}
+
+// Reemplaza los permisos de un rol dentro de la transacción del cliente.
+async function guardarPermisosRol(client, role, permissions) {
+  await client.query("DELETE FROM role_permissions WHERE role = $1", [role]);
+  if (permissions.length > 0) {
+    await client.query(
+      `INSERT INTO role_permissions (role, permission)
+       SELECT $1, unnest($2::text[])
+       ON CONFLICT DO NOTHING`,
+      [role, permissions]
+    );
+  }
+}
+
+// Indica si el usuario autenticado puede ver una ficha del vendedor indicado.
+async function puedeVerAfiliacion(user, ownerId) {
+  if (!user.permissions.has("affiliation.read_all")) {
+    return ownerId === user.userId;
+  }
+  const equipoIds = await obtenerIdsEquipo(user);
+  return !equipoIds || equipoIds.includes(ownerId);
+}
+
+// EQUIPOS
+// Devuelve los ids de los usuarios que el usuario autenticado puede ver
+// (él mismo y toda su estructura a cargo), o null si su rol no está
+// limitado a un equipo (roles.team_scoped).
+async function obtenerIdsEquipo(user) {
+  const { team_scoped } = await obtenerConfigRol(user.role);
+  if (!team_scoped) {
+    return null;
+  }
+  const result = await pool.query(
+    `WITH RECURSIVE equipo AS (
+       SELECT id FROM users WHERE id = $1
+       UNION
+       SELECT u.id FROM users u JOIN equipo e ON u.manager_id = e.id
+     )
+     SELECT id FROM equipo`,
+    [user.userId]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+// Valida que el responsable asignado tenga el rol esperado para el rol
+// del usuario (roles.manager_role). Devuelve un mensaje de error o null.
+async function validarManager(role, managerId) {
+  if (managerId === null || managerId === undefined) {
+    return null;
+  }
+  const { manager_role: expectedRole } = await obtenerConfigRol(role);
+  if (!expectedRole) {
+    return `El rol ${role} no puede tener un responsable asignado.`;
+  }
+  const result = await pool.query(
+    "SELECT role, active FROM users WHERE id = $1",
+    [managerId]
+  );
+  const manager = result.rows[0];
+  if (!manager || !manager.active) {
+    return "El responsable indicado no existe o está desactivado.";
+  }
+  if (manager.role !== expectedRole) {
+    return `El responsable de un ${role} debe tener el rol ${expectedRole}.`;
+  }
+  return null;
+}
+
+// Usuarios a cargo de userId cuyo rol no admite como responsable a un
+// usuario con el rol indicado. Devuelve sus ids.
+async function subordinadosIncompatibles(userId, role) {
+  const result = await pool.query(
+    "SELECT id, role FROM users WHERE manager_id = $1 ORDER BY id",
+    [userId]
+  );
+  const incompatibles = [];
+  for (const subordinado of result.rows) {
+    const { manager_role } = await obtenerConfigRol(subordinado.role);
+    if (manager_role !== role) {
+      incompatibles.push(subordinado.id);
     }
   }
-);
+  return incompatibles;
+}
 
-// 6. INICIAR EL SERVIDOR
-// -----------------------------------------------------------------------------
-app.listen(PORT, () => {
-  console.log(`🚀 Servidor backend corriendo en el puerto ${PORT}`);
-});
+// Valida el rol responsable indicado al crear o editar un rol. Devuelve un
+// mensaje de error o null.
+async function validarRolResponsable(managerRole) {
+  if (managerRole === null || managerRole === undefined) {
+    return null;
+  }
+  const result = await pool.query("SELECT 1 FROM roles WHERE name = $1", [
+    managerRole,
+  ]);
+  if (result.rows.length === 0) {
+    return "El rol responsable indicado no existe.";
+  }
+  return null;
+}
 
-// ==========================================================
-// ===== FUNCIONES AUXILIARES =====
-// ==========================================================
+// Id de un parámetro de ruta: un entero positivo dentro del rango de
+// INTEGER, o null si no lo es.
+function parsearIdRuta(valor) {
+  const id = /^\d+$/.test(valor) ? Number(valor) : NaN;
+  return id > 0 && id <= 2147483647 ? id : null;
+}
 
-// CONVERSIÓN A MAYÚSCULAS
-function convertObjectStringsToUppercase(data) {
-  if (data === null || typeof data !== "object") {
-    return data;
+// SESIONES Y TOKENS
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generarRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+}
+
+function firmarAccessToken(user, sessionId) {
+  return jwt.sign(
+    {
+      userId: user.id,
+      name: user.full_name,
+      email: user.email,
+      codigo: user.codigo,
+      role: user.role,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function crearRespuestaLogin(user, req) {
+  const { accessToken, refreshToken } = await crearSesion(user, req);
+  return {
+    token: accessToken,
+    refreshToken,
+    user: {
+      name: user.full_name,
+      email: user.email,
+      codigo: user.codigo,
+      role: user.role,
+      mustChangePassword: user.must_change_password,
+    },
+  };
+}
+
+async function crearSesion(user, req) {
+  const sessionId = crypto.randomUUID();
+  const refreshToken = generarRefreshToken(sessionId);
+  await pool.query(
+    `INSERT INTO sesiones_usuario (id, user_id, refresh_token_hash, expira_en, ip, user_agent)
+     VALUES ($1, $2, $3, NOW() + make_interval(days => $4), $5, $6)`,
+    [
+      sessionId,
+      user.id,
+      hashToken(refreshToken),
+      REFRESH_TOKEN_TTL_DIAS,
+      req.ip,
+      req.headers["user-agent"] || null,
+    ]
+  );
+  return {
+    accessToken: firmarAccessToken(user, sessionId),
+    refreshToken,
+  };
+}
+
+// API KEYS
+// Autentica una integración por API key. No hay usuario detrás: userId queda
+// en null y los permisos son exactamente los asignados a la clave.
+async function autenticarApiKey(key, req, res, next) {
+  try {
+    const result = await pool.query(
+      `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+       WHERE key_hash = $1 AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())
+       RETURNING id, name`,
+      [hashToken(key), req.ip]
+    );
+    if (result.rows.length === 0) {
+      return res.status(401).json({ message: "La API key no es válida." });
+    }
+    const apiKey = result.rows[0];
+    const permisos = await pool.query(
+      "SELECT permission FROM api_key_permissions WHERE api_key_id = $1",
+      [apiKey.id]
+    );
+    req.user = {
+      userId: null,
+      name: apiKey.name,
+      role: null,
+      apiKeyId: apiKey.id,
+      permissions: new Set(permisos.rows.map((row) => row.permission)),
+    };
+  } catch (error) {
+    console.error("Error al validar la API key:", error);
+    return res.status(500).json({ message: "Error interno del servidor." });
   }
+  next();
+}
 
-  if (Array.isArray(data)) {
-    return data.map((item) => convertObjectStringsToUppercase(item));
+// INTENTOS DE LOGIN
+async function registrarIntentoLogin({
+  email,
+  userId = null,
+  req,
+  exito = false,
+  motivo = null,
+}) {
+  try {
+    await pool.query(
+      "INSERT INTO intentos_login (email, user_id, ip, user_agent, exito, motivo) VALUES ($1, $2, $3, $4, $5, $6)",
+      [email, userId, req.ip, req.headers["user-agent"] || null, exito, motivo]
+    );
+  } catch (error) {
+    console.error("Error al registrar el intento de login:", error);
   }
+}
 
-  const newObj = {};
-  for (const key in data) {
-    if (Object.prototype.hasOwnProperty.call(data, key)) {
-      const value = data[key];
+// Suma un fallo al usuario y lo bloquea al llegar a LOGIN_MAX_FAILED. Si ya
+// cumplió un bloqueo anterior, la cuenta vuelve a empezar desde este fallo.
+async function registrarFalloLogin(userId) {
+  await pool.query(
+    `UPDATE users u
+     SET failed_login_count = f.fallos,
+         locked_until = CASE
+           WHEN f.fallos >= $2 THEN NOW() + make_interval(mins => $3)
+           WHEN u.locked_until < NOW() THEN NULL
+           ELSE u.locked_until
+         END
+     FROM (
+       SELECT id,
+              CASE WHEN locked_until < NOW() THEN 1
+                   ELSE failed_login_count + 1 END AS fallos
+       FROM users
+       WHERE id = $1
+     ) f
+     WHERE u.id = f.id`,
+    [userId, LOGIN_MAX_FAILED, LOGIN_LOCK_MINUTES]
+  );
+}
 
-      if (typeof value === "string") {
-        newObj[key] = value.toUpperCase();
-      } else {
-        newObj[key] = convertObjectStringsToUppercase(value);
-      }
+function esperar(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// SEGUNDO FACTOR (TOTP)
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
     }
   }
-  return newObj;
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(texto) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of texto.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generarCodigoTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binario % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// Devuelve el paso de tiempo que coincide con el código (tolerando un paso
+// de desfasaje del reloj) o null si no coincide ninguno.
+function verificarCodigoTotp(secret, code) {
+  const codigo = String(code).replace(/\s/g, "");
+  if (!/^\d+$/.test(codigo) || codigo.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const pasoActual = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const delta of [0, -1, 1]) {
+    const step = pasoActual + delta;
+    const esperado = generarCodigoTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(esperado), Buffer.from(codigo))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// Verifica un código TOTP del usuario y lo marca como usado para que no
+// pueda repetirse dentro de su ventana de validez.
+async function consumirCodigoTotp(user, code) {
+  const step = verificarCodigoTotp(descifrarSecreto(user.totp_secret), code);
+  if (step === null) {
+    return false;
+  }
+  const result = await pool.query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+     RETURNING id`,
+    [step, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+async function consumirCodigoRecuperacion(userId, recoveryCode) {
+  const normalizado = String(recoveryCode).replace(/[\s-]/g, "").toUpperCase();
+  const result = await pool.query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizado)]
+  );
+  return result.rows.length > 0;
+}
+
+// Reemplaza los códigos de recuperación del usuario y devuelve los nuevos
+// en claro; es la única vez que se pueden ver.
+async function generarCodigosRecuperacion(userId) {
+  const codigos = [];
+  for (let i = 0; i < TOTP_RECOVERY_CODES; i++) {
+    const codigo = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    codigos.push(`${codigo.slice(0, 5)}-${codigo.slice(5)}`);
+  }
+  await pool.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [
+    userId,
+  ]);
+  await pool.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, unnest($2::text[])`,
+    [userId, codigos.map((c) => hashToken(c.replace("-", "")))]
+  );
+  return codigos;
+}
+
+async function quitarSegundoFactor(userId) {
+  await pool.query(
+    `UPDATE users
+     SET totp_secret = NULL, totp_pending_secret = NULL,
+         totp_enabled_at = NULL, totp_last_step = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+  await pool.query("DELETE FROM user_recovery_codes WHERE user_id = $1", [
+    userId,
+  ]);
+}
+
+// Los secretos TOTP se guardan cifrados con AES-256-GCM.
+function claveCifrado() {
+  return crypto
+    .createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+}
+
+function cifrarSecreto(texto) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", claveCifrado(), iv);
+  const cifrado = Buffer.concat([cipher.update(texto, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), cifrado]
+    .map((b) => b.toString("base64"))
+    .join(":");
+}
+
+function descifrarSecreto(valor) {
+  const [iv, tag, cifrado] = valor
+    .split(":")
+    .map((parte) => Buffer.from(parte, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", claveCifrado(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(cifrado), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+// POLÍTICA DE CONTRASEÑAS
+function validarPassword(password) {
+  const errores = [];
+  if (
+    typeof password !== "string" ||
+    password.length < PASSWORD_POLICY.minLength
+  ) {
+    errores.push(
+      `Debe tener al menos ${PASSWORD_POLICY.minLength} caracteres.`
+    );
+    return errores;
+  }
+  if (PASSWORD_POLICY.requireUppercase && !/[A-Z]/.test(password)) {
+    errores.push("Debe incluir al menos una letra mayúscula.");
+  }
+  if (PASSWORD_POLICY.requireNumber && !/[0-9]/.test(password)) {
+    errores.push("Debe incluir al menos un número.");
+  }
+  if (PASSWORD_POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errores.push("Debe incluir al menos un símbolo.");
+  }
+  return errores;
+}
+
+// Genera una contraseña aleatoria que cumple la política vigente.
+function generarPasswordTemporal() {
+  const grupos = [
+    "ABCDEFGHJKLMNPQRSTUVWXYZ",
+    "abcdefghijkmnpqrstuvwxyz",
+    "23456789",
+    "!@#$%&*?",
+  ];
+  const todos = grupos.join("");
+  const caracteres = grupos.map((g) => g[crypto.randomInt(g.length)]);
+  const largo = Math.max(PASSWORD_POLICY.minLength, 12);
+  while (caracteres.length < largo) {
+    caracteres.push(todos[crypto.randomInt(todos.length)]);
+  }
+  for (let i = caracteres.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [caracteres[i], caracteres[j]] = [caracteres[j], caracteres[i]];
+  }
+  return caracteres.join("");
 }
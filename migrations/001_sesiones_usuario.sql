@@ -0,0 +1,18 @@
+-- Sesiones de usuario con refresh tokens rotativos.
+-- Cada login crea una sesión; el access token (JWT corto) lleva el id de la
+-- sesión en "sid" y deja de valer en cuanto la sesión se revoca.
+CREATE TABLE IF NOT EXISTS sesiones_usuario (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  creada_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ultimo_uso_en TIMESTAMPTZ,
+  expira_en TIMESTAMPTZ NOT NULL,
+  revocada_en TIMESTAMPTZ,
+  ip TEXT,
+  user_agent TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sesiones_usuario_user_id
+  ON sesiones_usuario (user_id)
+  WHERE revocada_en IS NULL;
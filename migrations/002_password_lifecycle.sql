@@ -0,0 +1,5 @@
+-- Ciclo de vida de contraseñas: cambio obligatorio en el próximo login
+-- (cuentas nuevas y blanqueos hechos por un administrador).
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;
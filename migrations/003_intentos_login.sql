@@ -0,0 +1,20 @@
+-- Registro de intentos de login y bloqueo temporal de cuentas.
+CREATE TABLE IF NOT EXISTS intentos_login (
+  id SERIAL PRIMARY KEY,
+  email TEXT,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ip TEXT,
+  user_agent TEXT,
+  exito BOOLEAN NOT NULL,
+  motivo TEXT,
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intentos_login_email_fecha
+  ON intentos_login (email, fecha);
+CREATE INDEX IF NOT EXISTS idx_intentos_login_ip_fecha
+  ON intentos_login (ip, fecha);
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
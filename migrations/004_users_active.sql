@@ -0,0 +1,4 @@
+-- Baja lógica de usuarios: se conservan fichas, firmas y performance.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS active BOOLEAN NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ;
@@ -0,0 +1,6 @@
+-- Equipos comerciales: cada vendedor reporta a un supervisor y cada
+-- supervisor a un gerente.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_manager_id ON users (manager_id);
@@ -0,0 +1,177 @@
+-- Matriz de permisos: las rutas exigen acciones con nombre (p. ej.
+-- "affiliation.approve") y cada rol tiene asignadas las acciones que puede
+-- realizar. La carga inicial reproduce los permisos que estaban fijos en el
+-- código.
+CREATE TABLE IF NOT EXISTS roles (
+  name TEXT PRIMARY KEY,
+  description TEXT,
+  is_system BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+  action TEXT PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  permission TEXT NOT NULL REFERENCES permissions(action) ON UPDATE CASCADE ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, description, is_system) VALUES
+  ('VENDEDOR', 'Carga y presenta fichas de afiliación', TRUE),
+  ('SUPERVISOR', 'Revisa las fichas de su equipo', TRUE),
+  ('GERENTE', 'Supervisa a los supervisores a su cargo', TRUE),
+  ('ADMINISTRADOR', 'Administración general del sistema', TRUE),
+  ('AUDITOR', 'Audita solicitudes de reintegro', TRUE),
+  ('TESORERIA', 'Abona reintegros autorizados', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO permissions (action, description) VALUES
+  ('circular.read', 'Ver circulares y el estado de sus firmas'),
+  ('circular.write', 'Crear y editar circulares'),
+  ('circular.sign', 'Ver y firmar las circulares propias'),
+  ('user.read', 'Ver usuarios'),
+  ('user.write', 'Crear y editar usuarios'),
+  ('user.deactivate', 'Desactivar y reactivar usuarios'),
+  ('user.reset_password', 'Blanquear contraseñas'),
+  ('user.unlock', 'Desbloquear cuentas bloqueadas por intentos fallidos'),
+  ('user.revoke_sessions', 'Revocar las sesiones de un usuario'),
+  ('login_attempt.read', 'Ver el historial de intentos de login'),
+  ('role.manage', 'Administrar roles y permisos'),
+  ('vendedor.list', 'Listar vendedores'),
+  ('periodo.read', 'Ver períodos'),
+  ('periodo.write', 'Crear períodos'),
+  ('objetivo.read', 'Ver objetivos de vendedores'),
+  ('objetivo.write', 'Asignar objetivos a vendedores'),
+  ('acuerdo.read', 'Ver acuerdos con empresas'),
+  ('acuerdo.write', 'Crear y editar acuerdos con empresas'),
+  ('pago_acuerdo.create', 'Registrar pagos de acuerdos'),
+  ('cuenta_corriente.read', 'Ver el estado de cuentas corrientes'),
+  ('reintegro.create', 'Crear solicitudes de reintegro y adjuntar fotos'),
+  ('reintegro.read', 'Ver solicitudes de reintegro'),
+  ('reintegro.audit', 'Autorizar o rechazar reintegros'),
+  ('reintegro.pay', 'Marcar reintegros como abonados'),
+  ('affiliation.read', 'Ver fichas de afiliación propias'),
+  ('affiliation.read_all', 'Ver fichas de afiliación de otros usuarios'),
+  ('affiliation.create', 'Cargar fichas de afiliación'),
+  ('affiliation.edit', 'Editar fichas de afiliación propias'),
+  ('affiliation.upload_photo', 'Adjuntar fotos a fichas de afiliación'),
+  ('affiliation.approve', 'Aprobar fichas presentadas'),
+  ('affiliation.observe', 'Observar fichas presentadas'),
+  ('affiliation.reject', 'Rechazar fichas presentadas'),
+  ('dashboard.read', 'Ver el dashboard'),
+  ('performance.read', 'Ver la performance propia'),
+  ('performance.read_all', 'Ver la performance de otros vendedores'),
+  ('plan.read', 'Ver planes'),
+  ('plan.write', 'Crear, editar y eliminar planes'),
+  ('empresa.read', 'Ver empresas'),
+  ('empresa.write', 'Crear, editar y eliminar empresas')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('VENDEDOR', 'circular.sign'),
+  ('VENDEDOR', 'periodo.read'),
+  ('VENDEDOR', 'affiliation.read'),
+  ('VENDEDOR', 'affiliation.create'),
+  ('VENDEDOR', 'affiliation.edit'),
+  ('VENDEDOR', 'affiliation.upload_photo'),
+  ('VENDEDOR', 'performance.read'),
+  ('VENDEDOR', 'plan.read'),
+  ('VENDEDOR', 'empresa.read'),
+
+  ('SUPERVISOR', 'circular.read'),
+  ('SUPERVISOR', 'circular.write'),
+  ('SUPERVISOR', 'circular.sign'),
+  ('SUPERVISOR', 'vendedor.list'),
+  ('SUPERVISOR', 'periodo.read'),
+  ('SUPERVISOR', 'pago_acuerdo.create'),
+  ('SUPERVISOR', 'cuenta_corriente.read'),
+  ('SUPERVISOR', 'affiliation.read'),
+  ('SUPERVISOR', 'affiliation.read_all'),
+  ('SUPERVISOR', 'affiliation.create'),
+  ('SUPERVISOR', 'affiliation.edit'),
+  ('SUPERVISOR', 'affiliation.upload_photo'),
+  ('SUPERVISOR', 'affiliation.approve'),
+  ('SUPERVISOR', 'affiliation.observe'),
+  ('SUPERVISOR', 'affiliation.reject'),
+  ('SUPERVISOR', 'dashboard.read'),
+  ('SUPERVISOR', 'performance.read'),
+  ('SUPERVISOR', 'performance.read_all'),
+  ('SUPERVISOR', 'plan.read'),
+  ('SUPERVISOR', 'empresa.read'),
+
+  ('GERENTE', 'circular.sign'),
+  ('GERENTE', 'vendedor.list'),
+  ('GERENTE', 'periodo.read'),
+  ('GERENTE', 'pago_acuerdo.create'),
+  ('GERENTE', 'cuenta_corriente.read'),
+  ('GERENTE', 'reintegro.create'),
+  ('GERENTE', 'reintegro.read'),
+  ('GERENTE', 'affiliation.read'),
+  ('GERENTE', 'affiliation.read_all'),
+  ('GERENTE', 'dashboard.read'),
+  ('GERENTE', 'performance.read'),
+  ('GERENTE', 'performance.read_all'),
+  ('GERENTE', 'plan.read'),
+  ('GERENTE', 'empresa.read'),
+
+  ('AUDITOR', 'circular.sign'),
+  ('AUDITOR', 'vendedor.list'),
+  ('AUDITOR', 'reintegro.create'),
+  ('AUDITOR', 'reintegro.read'),
+  ('AUDITOR', 'reintegro.audit'),
+  ('AUDITOR', 'affiliation.read'),
+  ('AUDITOR', 'affiliation.read_all'),
+  ('AUDITOR', 'plan.read'),
+  ('AUDITOR', 'empresa.read'),
+
+  ('TESORERIA', 'circular.sign'),
+  ('TESORERIA', 'reintegro.read'),
+  ('TESORERIA', 'reintegro.pay'),
+  ('TESORERIA', 'affiliation.read'),
+  ('TESORERIA', 'affiliation.read_all'),
+  ('TESORERIA', 'plan.read'),
+  ('TESORERIA', 'empresa.read')
+ON CONFLICT DO NOTHING;
+
+-- El administrador tiene todos los permisos salvo auditar y abonar
+-- reintegros, que siguen reservados a AUDITOR y TESORERIA.
+INSERT INTO role_permissions (role, permission)
+SELECT 'ADMINISTRADOR', action FROM permissions
+WHERE action NOT IN ('reintegro.audit', 'reintegro.pay')
+ON CONFLICT DO NOTHING;
+
+-- Equipos por rol: team_scoped limita lo que ve el rol a su estructura a
+-- cargo y manager_role es el rol que debe tener el responsable (manager_id)
+-- de sus usuarios. Los valores iniciales se cargan sólo al crear las
+-- columnas, para no pisar lo que se haya editado desde /api/roles.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'roles' AND column_name = 'team_scoped'
+  ) THEN
+    ALTER TABLE roles
+      ADD COLUMN team_scoped BOOLEAN NOT NULL DEFAULT FALSE,
+      ADD COLUMN manager_role TEXT
+        REFERENCES roles(name) ON UPDATE CASCADE ON DELETE SET NULL;
+    UPDATE roles SET team_scoped = TRUE
+    WHERE name IN ('SUPERVISOR', 'GERENTE');
+    UPDATE roles SET manager_role = 'SUPERVISOR' WHERE name = 'VENDEDOR';
+    UPDATE roles SET manager_role = 'GERENTE' WHERE name = 'SUPERVISOR';
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'users_role_fkey'
+  ) THEN
+    ALTER TABLE users
+      ADD CONSTRAINT users_role_fkey FOREIGN KEY (role)
+      REFERENCES roles(name) ON UPDATE CASCADE;
+  END IF;
+END $$;
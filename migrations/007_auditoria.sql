@@ -0,0 +1,25 @@
+-- Registro de auditoría de todas las operaciones de escritura.
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  actor_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  entity TEXT NOT NULL,
+  entity_id TEXT,
+  action TEXT NOT NULL,
+  before JSONB,
+  after JSONB,
+  ip TEXT,
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_fecha ON audit_log (fecha);
+
+INSERT INTO permissions (action, description) VALUES
+  ('audit.read', 'Consultar el registro de auditoría')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('ADMINISTRADOR', 'audit.read'),
+  ('AUDITOR', 'audit.read')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,31 @@
+-- Segundo factor TOTP. El secreto se guarda cifrado; mientras el usuario no
+-- confirma el alta queda en totp_pending_secret.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT,
+  ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id
+  ON user_recovery_codes (user_id);
+
+-- Política por rol: si require_2fa es verdadero, los usuarios del rol deben
+-- dar de alta el segundo factor antes de poder operar.
+ALTER TABLE roles
+  ADD COLUMN IF NOT EXISTS require_2fa BOOLEAN NOT NULL DEFAULT FALSE;
+
+INSERT INTO permissions (action, description) VALUES
+  ('user.reset_2fa', 'Quitar el segundo factor de un usuario')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('ADMINISTRADOR', 'user.reset_2fa')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,31 @@
+-- API keys para integraciones entre sistemas. Sólo se guarda el hash de la
+-- clave; key_prefix permite identificarla en listados sin exponerla.
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT
+);
+
+CREATE TABLE IF NOT EXISTS api_key_permissions (
+  api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+  permission TEXT NOT NULL REFERENCES permissions(action) ON DELETE CASCADE,
+  PRIMARY KEY (api_key_id, permission)
+);
+
+ALTER TABLE audit_log
+  ADD COLUMN IF NOT EXISTS actor_api_key_id INTEGER REFERENCES api_keys(id) ON DELETE SET NULL;
+
+INSERT INTO permissions (action, description) VALUES
+  ('apikey.manage', 'Crear y revocar API keys')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('ADMINISTRADOR', 'apikey.manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,21 @@
+-- Historial de versiones de las fichas: cada guardado deja una copia de
+-- form_data con su autor, para poder comparar lo que cambió entre envíos.
+CREATE TABLE IF NOT EXISTS affiliation_versions (
+  id SERIAL PRIMARY KEY,
+  affiliation_id INTEGER NOT NULL REFERENCES affiliations(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  form_data JSONB NOT NULL,
+  status TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  creada_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (affiliation_id, version)
+);
+
+-- Las fichas existentes arrancan con su estado actual como versión 1.
+INSERT INTO affiliation_versions (affiliation_id, version, form_data, status, user_id, creada_en)
+SELECT a.id, 1, a.form_data, a.status, a.user_id, a.fecha_creacion
+FROM affiliations a
+WHERE a.form_data IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM affiliation_versions v WHERE v.affiliation_id = a.id
+  );
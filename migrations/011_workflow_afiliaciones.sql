@@ -0,0 +1,62 @@
+-- Máquina de estados de las fichas. Cada transición permitida exige una
+-- acción de la matriz de permisos, así que qué rol puede mover una ficha de
+-- un estado a otro se configura desde /api/roles.
+INSERT INTO permissions (action, description) VALUES
+  ('affiliation.cancel', 'Anular fichas que todavía no fueron aprobadas'),
+  ('affiliation.terminate', 'Dar de baja afiliaciones aprobadas')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('VENDEDOR', 'affiliation.cancel'),
+  ('SUPERVISOR', 'affiliation.cancel'),
+  ('ADMINISTRADOR', 'affiliation.cancel'),
+  ('ADMINISTRADOR', 'affiliation.terminate')
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS affiliation_status_transitions (
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  permission TEXT NOT NULL REFERENCES permissions(action) ON UPDATE CASCADE,
+  requires_motivo BOOLEAN NOT NULL DEFAULT FALSE,
+  PRIMARY KEY (from_status, to_status)
+);
+
+INSERT INTO affiliation_status_transitions (from_status, to_status, permission, requires_motivo) VALUES
+  ('Abierto', 'Presentado', 'affiliation.edit', FALSE),
+  ('Observado', 'Presentado', 'affiliation.edit', FALSE),
+  ('Presentado', 'Aprobado', 'affiliation.approve', FALSE),
+  ('Presentado', 'Observado', 'affiliation.observe', TRUE),
+  ('Presentado', 'Rechazado', 'affiliation.reject', TRUE),
+  ('Abierto', 'Anulado', 'affiliation.cancel', TRUE),
+  ('Observado', 'Anulado', 'affiliation.cancel', TRUE),
+  ('Presentado', 'Anulado', 'affiliation.cancel', TRUE),
+  ('Aprobado', 'Baja', 'affiliation.terminate', TRUE)
+ON CONFLICT (from_status, to_status) DO NOTHING;
+
+-- Historial completo de cambios de estado (from_status es NULL en el alta).
+CREATE TABLE IF NOT EXISTS affiliation_status_history (
+  id SERIAL PRIMARY KEY,
+  affiliation_id INTEGER NOT NULL REFERENCES affiliations(id) ON DELETE CASCADE,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  motivo TEXT,
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_affiliation_status_history_affiliation
+  ON affiliation_status_history (affiliation_id, fecha);
+
+-- De las fichas existentes sólo se conoce el último cambio de estado.
+INSERT INTO affiliation_status_history (affiliation_id, from_status, to_status, user_id, motivo, fecha)
+SELECT a.id, 'Presentado', a.status, a.status_change_user_id,
+       CASE a.status
+         WHEN 'Rechazado' THEN a.rechazo_motivo
+         WHEN 'Observado' THEN a.observacion_motivo
+       END,
+       COALESCE(a.status_change_timestamp, NOW())
+FROM affiliations a
+WHERE a.status_change_user_id IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM affiliation_status_history h WHERE h.affiliation_id = a.id
+  );
@@ -0,0 +1,4 @@
+-- Desglose de precios calculado por el servidor al guardar cada ficha. Queda
+-- congelado con los importes del plan vigentes en ese momento.
+ALTER TABLE affiliations
+  ADD COLUMN IF NOT EXISTS pricing JSONB;
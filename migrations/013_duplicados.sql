@@ -0,0 +1,25 @@
+-- DNIs de todas las personas de una ficha: titular, cónyuge e integrantes
+-- (de los integrantes sólo se carga el CUIL, así que el DNI sale de ahí).
+-- Se normalizan sin puntos ni ceros a la izquierda para poder compararlos.
+CREATE OR REPLACE FUNCTION ficha_dnis(fd JSONB) RETURNS TEXT[]
+LANGUAGE SQL IMMUTABLE AS $$
+  SELECT COALESCE(array_agg(DISTINCT d.dni) FILTER (WHERE d.dni <> ''), '{}')
+  FROM (
+    SELECT ltrim(regexp_replace(COALESCE(fd->>'dniTitular', ''), '\D', '', 'g'), '0') AS dni
+    UNION ALL
+    SELECT ltrim(regexp_replace(COALESCE(fd->>'dniConyuge', ''), '\D', '', 'g'), '0')
+    UNION ALL
+    SELECT CASE
+             WHEN length(regexp_replace(COALESCE(i->>'cuitCuil', ''), '\D', '', 'g')) = 11
+             THEN ltrim(substr(regexp_replace(i->>'cuitCuil', '\D', '', 'g'), 3, 8), '0')
+             ELSE ''
+           END
+    FROM jsonb_array_elements(
+      CASE WHEN jsonb_typeof(fd->'integrantesList') = 'array'
+           THEN fd->'integrantesList' ELSE '[]'::jsonb END
+    ) i
+  ) d
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_affiliations_ficha_dnis
+  ON affiliations USING GIN (ficha_dnis(form_data));
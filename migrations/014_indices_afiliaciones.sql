@@ -0,0 +1,35 @@
+-- Índices para los filtros y la búsqueda del listado de fichas.
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Apellidos y nombres del cónyuge y de los integrantes de la ficha, en un
+-- solo texto para poder buscarlos con ILIKE. Se usa en un índice, así que
+-- sólo usa operadores inmutables (|| y coalesce en lugar de concat_ws).
+CREATE OR REPLACE FUNCTION ficha_integrantes_texto(fd JSONB) RETURNS TEXT
+LANGUAGE SQL IMMUTABLE AS $$
+  SELECT trim(
+    coalesce(fd->>'apellidoConyuge', '') || ' ' ||
+    coalesce(fd->>'nombreConyuge', '') || ' ' ||
+    coalesce(
+      (SELECT string_agg(
+                trim(coalesce(i->>'apellidos', '') || ' ' || coalesce(i->>'nombres', '')),
+                ' ')
+       FROM jsonb_array_elements(
+         CASE WHEN jsonb_typeof(fd->'integrantesList') = 'array'
+              THEN fd->'integrantesList' ELSE '[]'::jsonb END
+       ) i),
+      '')
+  )
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_affiliations_status ON affiliations (status);
+CREATE INDEX IF NOT EXISTS idx_affiliations_user_id ON affiliations (user_id);
+CREATE INDEX IF NOT EXISTS idx_affiliations_fecha_creacion ON affiliations (fecha_creacion);
+CREATE INDEX IF NOT EXISTS idx_affiliations_status_change_timestamp
+  ON affiliations (status_change_timestamp);
+CREATE INDEX IF NOT EXISTS idx_affiliations_plan ON affiliations (plan);
+CREATE INDEX IF NOT EXISTS idx_affiliations_empresa ON affiliations ((form_data->>'empresa'));
+CREATE INDEX IF NOT EXISTS idx_affiliations_medio_pago ON affiliations ((form_data->>'medioPago'));
+CREATE INDEX IF NOT EXISTS idx_affiliations_titular_nombre_trgm
+  ON affiliations USING GIN (titular_nombre gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_affiliations_integrantes_trgm
+  ON affiliations USING GIN (ficha_integrantes_texto(form_data) gin_trgm_ops);
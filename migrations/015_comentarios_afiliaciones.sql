@@ -0,0 +1,26 @@
+-- Hilos de comentarios sobre una ficha. Un comentario sin parent_id abre un
+-- hilo; las respuestas apuntan al comentario que lo abrió. campo indica, si
+-- corresponde, el campo de form_data al que se refiere el hilo.
+CREATE TABLE IF NOT EXISTS afiliacion_comentarios (
+  id SERIAL PRIMARY KEY,
+  affiliation_id INTEGER NOT NULL REFERENCES affiliations(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES afiliacion_comentarios(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  campo TEXT,
+  texto TEXT NOT NULL,
+  creado_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resuelto_en TIMESTAMPTZ,
+  resuelto_por_id INTEGER REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_afiliacion_comentarios_affiliation
+  ON afiliacion_comentarios (affiliation_id, id);
+
+-- Último comentario leído por cada usuario en cada ficha.
+CREATE TABLE IF NOT EXISTS afiliacion_comentarios_lecturas (
+  affiliation_id INTEGER NOT NULL REFERENCES affiliations(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  ultimo_leido_id INTEGER NOT NULL,
+  leido_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (affiliation_id, user_id)
+);
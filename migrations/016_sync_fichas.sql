@@ -0,0 +1,24 @@
+-- Sincronización de fichas cargadas sin conexión. client_uuid es la clave de
+-- idempotencia que genera el dispositivo; client_updated_at, la hora de la
+-- última modificación en el dispositivo; updated_at, la de la última
+-- modificación en el servidor (la mantiene el trigger).
+ALTER TABLE affiliations
+  ADD COLUMN IF NOT EXISTS client_uuid UUID,
+  ADD COLUMN IF NOT EXISTS client_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_affiliations_client_uuid
+  ON affiliations (client_uuid);
+
+CREATE OR REPLACE FUNCTION affiliations_set_updated_at() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_affiliations_updated_at ON affiliations;
+CREATE TRIGGER trg_affiliations_updated_at
+  BEFORE UPDATE ON affiliations
+  FOR EACH ROW EXECUTE FUNCTION affiliations_set_updated_at();
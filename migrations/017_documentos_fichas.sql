@@ -0,0 +1,46 @@
+-- Documentos de las fichas. tipos_documento es el catálogo de tipos con que se
+-- etiquetan las fotos; documentos_requeridos indica cuáles son obligatorios
+-- para presentar una ficha según el tipo de plan y el medio de pago (NULL en
+-- cualquiera de los dos: aplica a todos).
+CREATE TABLE IF NOT EXISTS tipos_documento (
+  value TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  orden INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS documentos_requeridos (
+  id SERIAL PRIMARY KEY,
+  tipo_documento TEXT NOT NULL REFERENCES tipos_documento(value) ON DELETE CASCADE,
+  plan_tipo TEXT,
+  medio_pago TEXT
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_documentos_requeridos_unico
+  ON documentos_requeridos (tipo_documento, COALESCE(plan_tipo, ''), COALESCE(medio_pago, ''));
+
+INSERT INTO tipos_documento (value, label, orden) VALUES
+  ('dni_frente', 'DNI (frente)', 1),
+  ('dni_dorso', 'DNI (dorso)', 2),
+  ('tarjeta', 'Tarjeta de pago', 3),
+  ('formulario_firmado', 'Formulario firmado', 4),
+  ('otro', 'Otro', 99)
+ON CONFLICT (value) DO NOTHING;
+
+INSERT INTO documentos_requeridos (tipo_documento, plan_tipo, medio_pago) VALUES
+  ('dni_frente', NULL, NULL),
+  ('dni_dorso', NULL, NULL),
+  ('formulario_firmado', NULL, NULL),
+  ('tarjeta', NULL, 'tarjeta')
+ON CONFLICT DO NOTHING;
+
+-- Las fotos existentes quedan como "otro".
+ALTER TABLE afiliacion_fotos
+  ADD COLUMN IF NOT EXISTS tipo_documento TEXT NOT NULL DEFAULT 'otro' REFERENCES tipos_documento(value);
+
+INSERT INTO permissions (action, description) VALUES
+  ('documento.write', 'Configurar los documentos requeridos de las fichas')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('ADMINISTRADOR', 'documento.write')
+ON CONFLICT DO NOTHING;
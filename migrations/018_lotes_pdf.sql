@@ -0,0 +1,26 @@
+-- Lotes de PDF: impresión de muchas fichas en un ZIP o en un único PDF. El
+-- servidor procesa los lotes pendientes en segundo plano; affiliation_ids
+-- guarda las fichas resueltas al crear el lote y public_id, el archivo
+-- resultante en Cloudinary.
+CREATE TABLE IF NOT EXISTS affiliation_pdf_batches (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  format TEXT NOT NULL CHECK (format IN ('zip', 'pdf')),
+  affiliation_ids INTEGER[] NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pendiente'
+    CHECK (status IN ('pendiente', 'procesando', 'completado', 'error')),
+  processed INTEGER NOT NULL DEFAULT 0,
+  errors JSONB NOT NULL DEFAULT '[]',
+  public_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  -- Se actualiza mientras el lote se procesa; un lote en proceso sin latido
+  -- reciente quedó abandonado y vuelve a la cola.
+  heartbeat_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_affiliation_pdf_batches_user
+  ON affiliation_pdf_batches (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_affiliation_pdf_batches_pendientes
+  ON affiliation_pdf_batches (id) WHERE status = 'pendiente';
@@ -0,0 +1,810 @@
+-- Plantillas del PDF de la ficha. Cada plantilla aplica a un tipo de plan y/o
+-- a una empresa (NULL: a todos) y tiene versiones inmutables con su HTML
+-- (Handlebars), su CSS y la fecha desde la que rigen.
+CREATE TABLE IF NOT EXISTS pdf_plantillas (
+  id SERIAL PRIMARY KEY,
+  nombre TEXT NOT NULL,
+  plan_tipo TEXT,
+  empresa TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdf_plantillas_alcance
+  ON pdf_plantillas (COALESCE(plan_tipo, ''), COALESCE(empresa, ''));
+
+CREATE TABLE IF NOT EXISTS pdf_plantilla_versiones (
+  id SERIAL PRIMARY KEY,
+  plantilla_id INTEGER NOT NULL REFERENCES pdf_plantillas(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  html TEXT NOT NULL,
+  css TEXT NOT NULL DEFAULT '',
+  vigente_desde TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (plantilla_id, version)
+);
+
+-- Versión con la que se aprobó la ficha; el PDF de una ficha aprobada se
+-- sigue generando con esa versión aunque después haya otras vigentes.
+ALTER TABLE affiliations
+  ADD COLUMN IF NOT EXISTS pdf_plantilla_version_id INTEGER REFERENCES pdf_plantilla_versiones(id);
+
+-- Plantilla general (sin tipo de plan ni empresa) con templates/afiliacion.hbs
+-- y templates/styles.css como versión 1, vigente desde siempre: así toda
+-- ficha aprobada queda fijada a una versión. No se puede eliminar.
+INSERT INTO pdf_plantillas (nombre)
+SELECT 'General'
+WHERE NOT EXISTS (
+  SELECT 1 FROM pdf_plantillas WHERE plan_tipo IS NULL AND empresa IS NULL
+);
+
+INSERT INTO pdf_plantilla_versiones (plantilla_id, version, html, css, vigente_desde)
+SELECT id, 1, $plantilla$<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <style>
+        {{{ cssContent }}}
+    </style>
+</head>
+<body>
+    <!-- PÁGINA 1 -->
+    <div id="pdf-page-1" class="pdf-page">
+        <!-- Encabezado -->
+        <div class="pdf-header">
+            <img src="https://res.cloudinary.com/dmr1j8icx/image/upload/v1758736090/logo_sepelios_evqtc1.png" style="height: 40px;" />
+            <div class="header-details">
+                <div><span class="data">{{ titulo }}</span></div>
+                <div><span class="data header-details-plan">{{ plan }}</span></div>
+                <div><span class="data">{{ operacion }}</span></div>
+            </div>
+            <img src="https://res.cloudinary.com/dmr1j8icx/image/upload/v1758736080/logo_salud_ytrnqd.png" style="height: 40px;" />
+        </div>
+        <div class="pdf-subheader">
+            <span><span class="label">N° de Solicitud: </span><span class="data">{{ solicitud }}</span></span>
+            <span><span class="label">N° de Afiliado: ..............................</span></span>
+            {{#if verificacion}}
+            <span class="pdf-verificacion"><img src="{{ verificacion.qr }}" /><span><span class="label">Verificación:</span><span class="data">{{ verificacion.codigo }}</span></span></span>
+            {{/if}}
+        </div>
+
+        <!-- DATOS DEL TITULAR -->
+        <div class="pdf-section">
+            <div class="pdf-section-title">DATOS DEL TITULAR</div>
+            <div class="pdf-data-fluid">
+                <span class="pdf-data-item"><span class="label">Apellidos y nombres:</span><span class="data">{{ apellidoTitular }}, {{ nombreTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">N° de documento:</span><span class="data">{{ dniTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Cuit/Cuil:</span><span class="data">{{ cuilTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Sexo:</span><span class="data">{{ sexoTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Fecha de nacimiento:</span><span class="data">{{ fechaNacimientoTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Edad:</span><span class="data">{{ edadTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Lugar de nacimiento:</span><span class="data">{{ lugarNacimientoTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Nacionalidad:</span><span class="data">{{ nacionalidadTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Estado civil:</span><span class="data">{{ estadoCivilTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Domicilio:</span><span class="data">{{ barrioTitular }}, {{ domicilioTitular }}, {{ localidadTitular }}, {{ provinciaTitular }} ({{ cpTitular }})</span></span>
+                <span class="pdf-data-item"><span class="label">Teléfono:</span><span class="data">{{ telefonoTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Email:</span><span class="data">{{ emailTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Actividad laboral:</span><span class="data">{{ actividadLaboralTitular }}</span></span>
+                <span class="pdf-data-item"><span class="label">Condición IVA:</span><span class="data">{{ condicionIVATitular }}</span></span>
+            </div>
+        </div>
+
+        <!-- DATOS DEL RESPONSABLE DE PAGO -->
+        {{#if dniResponsablePago}}
+        <div class="pdf-section">
+            <div class="pdf-section-title">DATOS DEL RESPONSABLE DE PAGO</div>
+            <div class="pdf-data-fluid">
+                <span class="pdf-data-item"><span class="label">Apellidos y nombres:</span><span class="data">{{ apellidoResponsablePago }}, {{ nombreResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">N° de documento:</span><span class="data">{{ dniResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Cuit/Cuil:</span><span class="data">{{ cuilResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Sexo:</span><span class="data">{{ sexoResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Fecha de nacimiento:</span><span class="data">{{ fechaNacimientoResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Edad:</span><span class="data">{{ edadResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Lugar de nacimiento:</span><span class="data">{{ lugarNacimientoResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Nacionalidad:</span><span class="data">{{ nacionalidadResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Estado civil:</span><span class="data">{{ estadoCivilResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Domicilio:</span><span class="data">{{ barrioResponsablePago }}, {{ domicilioResponsablePago }}, {{ localidadResponsablePago }} ({{ cpResponsablePago }})</span></span>
+                <span class="pdf-data-item"><span class="label">Teléfono:</span><span class="data">{{ telefonoResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Email:</span><span class="data">{{ emailResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Actividad laboral:</span><span class="data">{{ actividadLaboralResponsablePago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Condición IVA:</span><span class="data">{{ condicionIVAResponsablePago }}</span></span>
+            </div>
+        </div>
+        {{/if}}
+
+        <!-- DATOS DEL CÓNYUGE -->
+        {{#if dniConyuge}}
+        <div class="pdf-section">
+            <div class="pdf-section-title">DATOS DEL CÓNYUGE</div>
+            <div class="pdf-data-fluid">
+                <span class="pdf-data-item"><span class="label">Apellidos y nombres:</span><span class="data">{{ apellidoConyuge }}, {{ nombreConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">N° de documento:</span><span class="data">{{ dniConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Cuit/Cuil:</span><span class="data">{{ cuilConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Sexo:</span><span class="data">{{ sexoConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Fecha de nacimiento:</span><span class="data">{{ fechaNacimientoConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Edad:</span><span class="data">{{ edadConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Nacionalidad:</span><span class="data">{{ nacionalidadConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Teléfono:</span><span class="data">{{ telefonoConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Actividad laboral:</span><span class="data">{{ actividadLaboralConyuge }}</span></span>
+                <span class="pdf-data-item"><span class="label">Condición IVA:</span><span class="data">{{ condicionIVAConyuge }}</span></span>
+            </div>
+        </div>
+        {{/if}}
+
+        <!-- DATOS DEL PAGO -->
+        <div class="pdf-section">
+            <div class="pdf-section-title">DATOS DEL PAGO</div>
+            <div class="pdf-data-fluid">
+                <span class="pdf-data-item"><span class="label">Forma de pago:</span><span class="data">{{ formaPago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Acuerdo:</span><span class="data">{{ acuerdo }}</span></span>
+                <span class="pdf-data-item"><span class="label">Medio de pago:</span><span class="data">{{ medioPago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Empresa:</span><span class="data">{{ empresa }}</span></span>
+                <span class="pdf-data-item"><span class="label">CBU / N° Cuenta:</span><span class="data">{{ cbu }}</span></span>
+                <span class="pdf-data-item"><span class="label">N° de tarjeta:</span><span class="data">{{ tarjeta }}</span></span>
+                <span class="pdf-data-item"><span class="label">Vencimiento:</span><span class="data">{{ vencimiento }}</span></span>
+                <span class="pdf-data-item"><span class="label">Lugar de pago:</span><span class="data">{{ lugarPago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Domicilio de pago:</span><span class="data">{{ domicilioPago }}, {{ barrioPago }}</span></span>
+                <span class="pdf-data-item"><span class="label">Zona:</span><span class="data">{{ zonaPago }}</span></span>
+            </div>
+        </div>
+
+        <!-- BENEFICIARIO POR FALLECIMIENTO -->
+        {{#if dniBeneficiario}}
+        <div class="pdf-section">
+            <div class="pdf-section-title">BENEFICIARIO POR FALLECIMIENTO</div>
+            <div class="pdf-data-fluid">
+                <span class="pdf-data-item"><span class="label">Apellidos y Nombres:</span><span class="data">{{ apellidoBeneficiario }}, {{ nombreBeneficiario }}</span></span>
+                <span class="pdf-data-item"><span class="label">N° de documento:</span><span class="data">{{ dniBeneficiario }}</span></span>
+                <span class="pdf-data-item"><span class="label">Cuit/Cuil:</span><span class="data">{{ cuilBeneficiario }}</span></span>
+                <span class="pdf-data-item"><span class="label">Sexo:</span><span class="data">{{ sexoBeneficiario }}</span></span>
+                <span class="pdf-data-item"><span class="label">Fecha de nacimiento:</span><span class="data">{{ fechaNacimientoBeneficiario }}</span></span>
+                <span class="pdf-data-item"><span class="label">Edad:</span><span class="data">{{ edadBeneficiario }}</span></span>
+                <span class="pdf-data-item"><span class="label">Vínculo:</span><span class="data">{{ vinculoBeneficiario }}</span></span>
+            </div>
+        </div>
+        {{/if}}
+
+        <!-- DECLARACIÓN JURADA DE SALUD -->
+        {{#ifCond tipo '!=' 'PRENECESIDAD'}}
+        <div class="pdf-section" style="border: solid 1px #333;">
+            <div style="display: flex; justify-content: center; margin-top: 3px;">DECLARACIÓN JURADA DE SALUD</div>
+            <p class="pdf-data-fluid" style="font-size: 6.5pt; text-align: justify; margin-bottom: 5px;"><span class="pdf-data-item" style="white-space: normal;"><span class="label">El que suscribe la presente, declara bajo juramento que las respuestas que se consigan a continuación y sus ampliaciones y declaraciones, han sido completadas teniendo pleno conocimiento de que cualquier ocultamiento, falsedad o reticencia sobre su verdadero estado de salud o el de su grupo familiar, determinará que la afiliación sea nula.</span></span></p>
+            <div class="pdf-data-fluid" style="margin-top: 5px;">
+                <span class="pdf-data-item"><span class="label">1. ¿Se siente Ud. y su grupo familiar en buen estado de salud?</span><span class="data">{{ ddjj1 }}</span></span>
+                <span class="pdf-data-item"><span class="label">2. ¿Tiene Ud. y/o su grupo familiar alguna dificultad para el desempeño de sus tareas laborales habituales?</span><span class="data">{{ ddjj2 }}</span></span>
+                <span class="pdf-data-item"><span class="label">3. ¿Ha sido tratado Ud. y/o su grupo familiar alguna vez, o está actualmente en tratamiento por las siguientes enfermedades?</span></span>
+            </div>
+            
+            <div class="ddjj-grid-6x3">
+                <span class="pdf-data-item"><span class="label">a. Cardiovasculares</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj4 }}</span></span>
+                <span class="pdf-data-item"><span class="label">b. Broncopulmonares</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj5 }}</span></span>
+                <span class="pdf-data-item"><span class="label">c. Hipertensión</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj6 }}</span></span>
+                <span class="pdf-data-item"><span class="label">d. Diabetes</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj7 }}</span></span>
+                <span class="pdf-data-item"><span class="label">e. Malignas (Cáncer)</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj8 }}</span></span>
+                <span class="pdf-data-item"><span class="label">f. Inmunodeficiencia</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj9 }}</span></span>
+                <span class="pdf-data-item"><span class="label">g. Convulsiones</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj10 }}</span></span>
+                <span class="pdf-data-item"><span class="label">h. Mal de Chagas</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj11 }}</span></span>
+                <span class="pdf-data-item"><span class="label">i. Otras</span></span>
+                <span class="pdf-data-item"><span class="data">{{ ddjj12 }}</span></span>
+            </div>
+            <div class="pdf-data-fluid" style="margin-top: 5px;">
+                <span class="pdf-data-item"><span class="label">4. ¿Tiene Ud. y/o su grupo familiar algún defecto físico o discapacidad?</span><span class="data">{{ ddjj13 }}</span></span>
+                <span class="pdf-data-item"><span class="label">5. ¿Ha sido internado Ud. y/o su grupo familiar en los últimos 24 meses?</span><span class="data">{{ ddjj14 }}</span></span>
+                <span class="pdf-data-item"><span class="label">6. ¿Se le ha efectuado alguna operación a Ud. y/o su grupo familiar en los últimos 24 meses?</span><span class="data">{{ ddjj15 }}</span></span>
+                <span class="pdf-data-item"><span class="label">7. ¿Toma Ud. y/o su grupo familiar en forma regular alguna medicación?</span><span class="data">{{ ddjj16 }}</span></span>
+                <span class="pdf-data-item"><span class="label"  style="font-size: 6.5pt;">En caso de respuesta afirmativa a las preguntas 2, 3, 4, 5, 6 y 7, o negativa a la 1; aclare en el anexo el integrante/s por qué (diagnóstico), cuándo ocurrió (fechas), dónde (Hospital o Clínica), nombre del médico que atendió, nombre del medicamento y dosis diaria.</span><span class="data"> Cantidad de anexos presentados: {{ anexo }}</span></span>
+                <span class="pdf-data-item" style="font-size: 6.5pt; font-weight: bold; color: black;">Disposiciones Fundamentales</span>
+                <span class="pdf-data-item" style="font-size: 6.5pt;"><span class="label">Declaro y certifico que los datos consignados con respecto a mi estado de salud y del grupo familiar son exactos.</span>
+                <span class="pdf-data-item" style="font-size: 6.5pt;"><span class="label">RETICENCIA O FALSA DECLARACIÓN art. 5° (sección 2) Ley 17.418. Toda declaración falsa o toda reticencia de circunstancias conocidas por el contratante o los asegurados, aún hechas de buena fe, que a juicio de los peritos hubiese impedido el contrato o modificado sus condiciones si la compañía hubiese conocido el verdadero estado de riesgo, hace nulo el contrato y los certificados según el caso.</span></span>
+                <span class="pdf-data-item" style="font-size: 6.5pt; font-weight: bold; color: black;">Declaración Jurada sobre persona expuesta políticamente: Resolución UIF N° 52/2012:</span>
+                <span class="pdf-data-item" style="font-size: 6.5pt;"><span class="label">Quien suscribe la presente declara bajo juramento que los datos consignados en la presente son correctos, completos y fiel expresión de la verdad y que <span class="data">{{ pep }}</span></span>me encuentro incluido y/o alcanzado dentro de la Nómina de Funciones/ Funcionarios de Personas Expuestas Políticamente. Declaro bajo juramento la licitud de los fondos relacionados a esta operación en cumplimiento de la R 230/2011 de la UIF.</span>
+            </div>
+        </div>
+        {{/ifCond}}
+
+        <!-- INTEGRANTES -->
+        {{#ifCond tipo '!=' 'PRENECESIDAD'}}
+        <div class="pdf-section">
+            <div class="pdf-section-title">Integrantes del Grupo Familiar</div>
+            <table class="pdf-table-compact">
+                <thead><tr><th>Apellidos y Nombres</th><th>Sexo</th><th>Fecha de nac.</th><th>Edad</th><th>Cuit/Cuil</th><th>Vínculo</th><th>Cuota Mensual</th></tr></thead>
+                <tbody>
+                    {{#each integrantesList}}
+                    <tr>
+                        <td>{{ this.apellidos }}, {{ this.nombres }}</td>
+                        <td>{{ this.sexo }}</td>
+                        <td>{{ this.fechaNacimiento }}</td>
+                        <td>{{ this.edad }}</td>
+                        <td>{{ this.cuitCuil }}</td>
+                        <td>{{ this.vinculo }}</td>
+                        <td>$ {{ this.cuotaMensual }}</td>
+                    </tr>
+                    {{/each}}
+                    {{#unless integrantesList}}
+                    <tr><td colspan="7" style="text-align: center; color: #888;">- Sin integrantes en el grupo familiar -</td></tr>
+                    {{/unless}}
+                </tbody>
+            </table>
+        </div>
+        <p class="total-line"><span class="label">Total Mensual: </span><span class="data">$ {{ total }}</span></p>
+        {{/ifCond}}
+
+
+        <!-- CONDICIONES GENERALES PRENECESIDAD -->
+        {{#ifCond tipo '===' 'PRENECESIDAD'}}
+        <div class="pdf-section" style="border: solid 1px #333; padding-left: 7px; padding-right: 7px;">
+          <div style="display: flex; justify-content: center; margin-top: 3px;"><b class="data-cell-bold">CONDICIONES GENERALES</b></div>
+          <p  class="label" style="margin-left: 5px;"><b class="data-cell-bold">1 - NOMINACIÓN DEL SERVICIO</b></p>
+          <p  class="small-text" style="margin-left: 10px;">El servicio contratado es transferible, cubriendo a la persona determinada.</p>
+          <p  class="small-text" style="margin-left: 10px;">En caso de producirse el fallecimiento de la persona determinada antes de la cancelación, los importantes abonados serán acreditados al pago del servicio elegido en el momento del siniestro, pudiendo abonar el saldo restante, con una financiación de hasta 10 cuotas.</p>
+          <p  class="label" style="margin-left: 5px;"><b class="data-cell-bold">2 - ELEMENTOS QUE INTEGRAN EL SERVICIO</b></p>
+          <p  class="small-text" style="margin-left: 10px;">Los elementos que integran el servicio se brindarán de acuerdo a la disponibilidad, pudiendo optarse por algún mejoramiento del servicio.</p>
+          <p  class="label" style="margin-left: 5px;"><b class="data-cell-bold">3 - FORMA DE PAGO</b></p>
+          <p  class="small-text" style="margin-left: 10px;">El monto del plan elegido podrá ser abonado con una financiación del plan Prenecesidad hasta 60 cuotas mensuales consecutivas, plan Parcela hasta 24 cuotas mensuales consecutivas. Plan Cremación hasta 20 cuotas mensuales consecutivas, las cuales deberán ser pagadas mensualmente en nuestras oficinas.</p>
+          <p  class="label" style="margin-left: 5px;"><b class="data-cell-bold">4 - AJUSTE DE CUOTA</b></p>
+          <p  class="small-text" style="margin-left: 10px;">Las cuotas podrán sufrir ajustes por parte de la Empresa, las que se realizarán de acuerdo a las variaciones que sufra el precio del servicio fúnebre contratado.</p>
+        </div>
+        <div style="display: flex; justify-content:center;">
+          <p class="total-line"><span class="label"><b class="data-cell-bold">Nº de cuotas:</b> </span><span class="data"><b class="data-cell-bold"> {{ cuotas }}</b></span></p>
+          <p class="total-line"><span class="label" style="margin-left: 40px;"><b class="data-cell-bold">importe:</b> </span><span class="data"><b class="data-cell-bold">$ {{ importe }}</b></span></p>
+        </div>
+        <br>
+        <br>
+        <div class="pdf-section-title">AUTORIZACIÓN DÉBITO AUTOMÁTICO SISTEMA DE TARJETA DE CRÉDITO</div>
+        <p class="small-text">Nombre y Apellido <b class="data-cell-bold">{{ nombreResponsablePago }}, {{ apellidoResponsablePago }}</b> en mi carácter de socio adherente al sistema <b class="data-cell-bold">{{ empresa }}</b> CBU o N° de cuenta: <b class="data-cell-bold">{{ cbu }}</b> Vto. <b class="data-cell-bold">{{ vencimiento }}</b> autorizo a incluir en mi resumen mensual y dentro de la cuenta de pago mínimo, el importe de la cuenta o factura mensual en concepto de pago del servicio prestado por PIEVE igualmente manifiesto que <b class="data-cell-bold">{{ empresa }}</b> no se responsabiliza por el cumplimiento de las obligaciones asumidas por <b class="data-cell-bold">{{ empresa }}</b> siendo totalmente extraño a la relación entablada con beneficiario de débito. Tratándose de servicios prestados por terceros, renuncio expresamente a reclamar a <b class="data-cell-bold">{{ empresa }}</b> suma alguna de dinero por cualquier concepto de la falta o deficiente atención de los servicios. También se me ha informado que la presente autorización podrá ser revocada temporal o definitivamente, debiendo en tal caso notificar a ADMINISTRACIÓN PIEVE que se debe abstener de efectuar el débito correspondiente pendiente a las 72hs. antes de la fecha de cierre del resumen mensual. Los sistemas de cobro débito automático en caja de ahorro, cuenta corriente o tarjeta de crédito, descuento por planilla de sueldo, etc. Son servicios complementarios al cliente que no liberan a éste la responsabilidad de tal control y de la efectivización de los pagos en las oficinas de la empresa dentro de los plazos establecidos de manera que no se produzcan involuntariamente atrasos en sus pagos de primas que generen la pérdida de vigencia correspondiente.</p>
+        {{#if firmaResponsablePago}}
+        <div class="pdf-signature-block">
+            <span class="data pdf-signature-line"><img class="pdf-signature-img" src="{{ firmaResponsablePago.imagen }}">Firma del responsable de pago</span>
+        </div>
+        {{/if}}
+        {{/ifCond}}
+
+        
+        <!-- Footer -->
+        <div class="pdf-line-footer">                                              
+            <span><span class="label">Promotor:</span><span class="data">{{ creatorusercodigo }} - {{ generadoPor }}</span></span>
+            <span><span class="label">Salta,</span><span class="data">{{ fechaGeneracion }}</span></span>
+            <span class="data pdf-signature-line">{{#if firmaTitular}}<img class="pdf-signature-img" src="{{ firmaTitular.imagen }}">{{/if}}Firma y aclaración del titular o resp.</span>
+        </div> 
+        <div class="pdf-footer">SOLICITUD SUJETA A APROBACIÓN</div>                                         
+    </div>
+
+    <!-- PÁGINA 2 -->
+
+<div id="pdf-page-2" class="pdf-page" style="page-break-before: always;">
+{{#ifCond tipo '!=' 'PRENECESIDAD'}}
+    <div class="pdf-section-title">CONDICIONES GENERALES</div>
+    <div class="two-columns">
+        <div class="column">
+            <p>- Carroza fúnebre.</p>
+            <p>- Carroza porta coronas (en caso de haber más de 4 (cuatro) coronas).</p>
+            <p>- 2 (dos) Autos de acompañamiento.</p>
+            <p>- Ataúd París Superior.</p>
+            <p>- Sala velatorio.</p>
+            <p>- Servicio de buffet en sala.</p>
+            <p>- Instalación de capilla ardiente a domicilio.</p>
+            <p>- Pack de buffet domiciliario.</p>
+            <p>- Cobertura a nivel nacional.</p>
+            <p>- Traslado desde cualquier punto del país a su domicilio declarado en la Provincia de Salta.</p>
+        </div>
+        <div class="column">
+            <p>- Servicio de Tanatopraxia en Salta Capital.</p>
+            <p>- Servicio de Tanatoestética en la provincia de Salta.</p>
+            <p>- Parcela a perpetuidad en Cementerio Parque que incluye apertura, placa, florero y mantenimiento por un año, en Salta en cementerio Parque Santa Teresita o Servicio de Cremación con provisión de urna o nicho hasta 5 años en cementerio municipal.</p>
+            <p>- Pago de impuestos y sellado.</p>
+            <p>- Esquela necrológica de 50 palabras con foto o 3 pases radiales.</p>
+            <p>- Misa sin cargo en capilla propia.</p>
+            <p>- Asesor fúnebre las 24 hs.</p>
+            <p>- Subsidio de gasto de Luto $10.000, por fallecimiento de cualquier integrante del grupo familiar.</p>
+        </div>
+    </div>
+    <p class="small-text"><b>IMPORTANTE:</b> El servicio deberá ser requerido exclusivamente en la Empresa Pieve S.A. El servicio de sepelios que brinda es completo, no contemplándose reintegros por el NO uso parcial o total del mismo. El servicio queda sujeto a usos y costumbres de la zona y a la disponibilidad técnica y geográfica. Cuando el plan contemple un límite de edad hasta 25 años para hijos, pagarán a partir de esa edad como adherentes (dentro del mismo plan). Vigencia por débito automático, banco o empresa al primer débito, por accidente. De 0 a 65 años - 90 días con la cuota al día. De 66 a 70 años - 180 días con la cuota al día. Los sistemas de cobro a domicilio, débito automático en caja de ahorro, cuenta corriente o tarjeta de crédito, descuento por planilla de sueldo, etc. son servicios complementarios al cliente que no liberan a éste de la responsabilidad de tal control y de la efectivización de sus pagos en las oficinas de la empresa dentro de los plazos establecidos de manera que no se produzcan involuntariamente atrasos en sus pagos de primas que generen la pérdida de la vigencia correspondiente. Confiero mandato para contratar seguro sepelio, vida, salud, accidente personales, transplante de órganos o pólizas colectivas emitidas por Pieve Seguros S.A. y/o Instituto de Salta Seguros de Vida S.A.</p>
+    
+    <div class="pdf-section-title">BENEFICIOS SIN COSTO</div>
+    <div class="sub-title">SEGURO DE TRANSPLANTE</div>
+    <p class="small-text">Comprobado el transplante de órganos humanos como única alternativa terapéutica para el titular, se abonará al momento o con posterioridad al acto quirúrgico, la suma indemnizatoria. Exclusión a los 70 años.</p>
+    <div style="text-align: center; font-weight: bold; font-size: 7pt; border-top: solid 1px #888; border-left: solid 1px #888; border-right: solid 1px #888;">Capitales Asegurados</div>
+    <table class="benefits-table">
+        <tr><td>Médula Ósea.......$280.000</td><td>Corazón - Pulmón.......$200.000</td><td>Hepático..........$200.000</td><td>Riñón..............$80.000</td></tr>
+        <tr><td>Corazón...........$200.000</td><td>Pulmón - Bipulmón......$200.000</td><td>Páncreas..........$200.000</td><td>Córneas............$20.000</td></tr>
+    </table>
+    
+    <div class="sub-title" style="margin-top: 4px;">SALUD - VÁLIDO PARA PLANES: PIEVE, PIEVE 6, NIVEL 1 Y NIVEL 7</div>
+       <div class="two-columns">
+        <div class="column  small-text">
+          <p>CONSULTAS</p>
+          <p>3 (tres) por mes por grupo familiar a valores</p>
+          <p>diferenciados en estas especialidades:</p>
+          <p>Cardiología</p>
+          <p>Clínica Médica</p>
+          <p>Dermatología</p>
+          <p>Garganta, Nariz y Oído</p>
+          <p>Ginecología y Obstetricia</p>
+          <p>Neurología</p>
+          <p>Oftalmología</p>
+          <p>Pediatría</p>
+          <p>Urología</p>          
+        </div>
+        <div class="column small-text">
+          <p>PRÁCTICAS DE LABORATORIO</p>        
+          <p>5 determinaciones por mes y por grupo familiar (s/cargo) de:</p>        
+          <p>Hemograma</p>        
+          <p>Eritrosedimentación</p>        
+          <p>Glucemia</p>        
+          <p>Urea</p>        
+          <p>Orina completa</p>        
+          <br>
+          <p>OFTALMOLOGÍA</p>
+          <p>1 (una) práctica de rutina por mes por grupo familiar (s/cargo) consistente en: Fondo de ojo</p>       
+        </div>
+        <div class="column small-text">
+          <p>RADIOLOGÍA</p>
+          <p>2 (dos) placas por mes y por grupo familiar (s/cargo) de miembro superior o inferior o tórax o senosparanasales</p>
+          <br>
+          <p>ECOGRAFÍAS</p>        
+          <p>1 (una) ecografía por mes y por grupo familiar (s/cargo):</p>        
+          <p>Ginecológica, Abdominal ó Heparobiliar</p>        
+          <p>Ginecoobstetricia (3 durante todo el embarazo)</p>
+        </div>
+        <div class="column small-text">
+          <p>CARDIOLOGÍA</p>
+          <p>1 (una) práctica por mes por grupo de:</p>
+          <p>1 ECG y ECV por mes</p>
+          <br>
+          <p>CARENCIAS</p>
+          <p>2º pago: consultas, farmacia, odontología, médico a domicilio.</p>
+          <p>3º pago: prácticas</p>
+          <p>Las prácticas de diagnóstico no incluidas en el sistema serán abonadas a valores diferenciados.</p>
+        </div>
+    </div>
+
+    <div class="sub-title" style="margin-top: 4px;">COBERTURA ODONTOLÓGICA INTEGRAL</div>
+      <p class="small-text">Hasta 9 valores prestaciones mensuales a valores diferenciados.</p>
+      <div class="two-columns">
+        <div class="column  small-text">
+          <p>Consultas</p>
+          <p>Examen, Diagnóstico, Fichado</p>
+          <p>Endodoncia</p>
+        </div>
+        <div class="column small-text">
+          <p>Prótesis</p>
+          <p>Prevención</p>
+          <p>Odontopediatría</p>       
+        </div>
+        <div class="column small-text">
+          <p>Periodoncia</p>
+          <p>Radiología</p>
+          <p>Cirugía</p>
+        </div>
+        <div class="column small-text">
+          <p>Operatoria Dental</p>
+        </div>
+    </div>
+    <p class="small-text">URGENCIAS ODONTOLÓGICAS (*) - Con medicamentos de urgencia (analgesicos-calmantes) las 24 hs los 365 días del año (s/c).</p>
+
+    
+    <div class="sub-title" style="margin-top: 4px; display: flex; justify-content: space-between;">
+      <div>FARMACIA</div>
+      <div style="margin-right: 4px; font-weight:lighter">Farmacia Pieve 24: Caseros y 20 de febrero. Tel. (0387) 4221500 y San Juan 687 - Tel. (0387) 4214843</div>
+    </div>
+      <p class="small-text" style="font-weight: bold;">SIN VADEMÉCUM</p>
+      <div class="two-columns">
+        <div class="column small-text">
+          <p><span style="font-weight: bold;">50%</span> de dto. en medicamentos genéricos recetados. Hasta 9 medicamentos mensuales.</p>
+          <p>-Vigencia al 1º débito por blanco, empresa o tarjeta. -Vigencia segundo pago en oficina,domicilio, Pago Fácil y Rapipago.</p>
+          <p><span style="font-weight: bold;">35%</span> de dto. en medicamentos con nombre comercial recetados. Hasta 9 medicamentos mensuales.</p>
+        </div>
+        <div class="column small-text">
+          <p>-Vigencia al 1º débito por blanco, empresa o tarjeta. -Vigencia segundo pago en oficina, domicilio, Pago Fácil y Rapipago.</p>
+          <p><span style="font-weight: bold;">30%</span> de dto. en medicamentos genéricos, sin receta, sin límite (inmediato)</p>
+          <p><span style="font-weight: bold;">20%</span> de dto. en medicamentos con nombre comercial, sin receta, sin límite (inmediato)</p>
+        </div>
+    </div>
+    <p class="small-text"><span style="font-weight: bold;">DOBLE DESCUENTO DE FARMACIAS:</span> en caso de que su obra social posea acuerdo con nuestra farmacia, el descuentos se hará sobre saldo. (*)</p>
+
+    <div class="sub-title" style="margin-top: 4px; display: flex; justify-content: space-between;">
+      <div>ÓPTICA</div>
+      <div style="margin-right: 4px; font-weight:lighter">Alberdi 245 - Tel. (0387)4217775</div>
+    </div>
+    <p class="small-text">Con un descuento hasta un 40% en anteojos recetados. 20% en anteojos para el sol, líquidos y accesorios. Solo en Salta Capital.</p>
+    
+        <div class="sub-title" style="margin-top: 4px;">EL MÉDICO EN SU CASA: 0810-888 3226</div>
+        <p class="small-text">Pieve Salud S.A. brinda a través de ECCO 0810-888 326 con coberturas en EMERGENCIAS.</p>
+        <p class="small-text">Esos instantes en que la vida corre peligro y se necesitan respuestas inmediatas. -Médicos a domicilio (consulta a valores preferenciales sin reintegro). Solo para Salta Capital.</p>
+        <p class="small-text">(*) Sujeto a disponibilidad geográfica.</p>
+    <br>
+    <br>
+    <br>
+    <br>
+    <div style="display: flex; justify-content: end;">
+      <span class="data pdf-signature-line">{{#if firmaTitular}}<img class="pdf-signature-img" src="{{ firmaTitular.imagen }}">{{/if}}Firma y aclaración del titular o resp.</span>
+    </div>
+        
+    <div class="pdf-section-title" style="margin-top: 10px;">AUTORIZACIÓN DÉBITO AUTOMÁTICO</div>
+    <p class="small-text">
+        Nombre Y Apellido <b class="data-cell-bold">{{ apellidoResponsablePago }}, {{ nombreResponsablePago }}</b> en mi carácter de adherente al sistema <b class="data-cell-bold">{{ empresa }}</b> Cuenta N° <b class="data-cell-bold">{{ cbu }}</b> N° de tarjeta <b class="data-cell-bold">{{ tarjeta }}</b> Vto. <b class="data-cell-bold">{{ vencimiento }}</b> autorizo a incluir en mi resumen mensual y dentro de la cuenta de pago mínimo, el importe de la cuenta o factura mensual en concepto de pago de servicios de SEPELIO prestado por Pieve Salud S.A.
+        Igualmente manifiesto que <b class="data-cell-bold">{{ empresa }}</b> no se responsabiliza por el cumplimiento de las obligaciones asumidas por siendo totalmente extraño por cualquier concepto por la falta o deficiente atención de los servicios. También se me ha informado que la presente autorización podrá ser revocada temporal o definitivamente, debiendo en tal caso notificar a ADMINISTRACIÓN PIEVE S.A.
+    </p>
+    {{#if firmaResponsablePago}}
+    <div class="pdf-signature-block">
+        <span class="data pdf-signature-line"><img class="pdf-signature-img" src="{{ firmaResponsablePago.imagen }}">Firma del responsable de pago</span>
+    </div>
+    {{/if}}
+    {{/ifCond}}
+
+    {{#ifCond tipo '===' 'PRENECESIDAD'}}
+
+    <div class="two-columns">
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">ADMINISTRACIÓN CENTRAL</p>
+          <p style="font-size: 7px;">San Luis 545</p>
+          <p style="font-size: 7px;">(0387) 4314591</p>
+          <p style="font-size: 7px;">Salta Capital</p>
+        </div>
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">SUCURSALES</p>
+          <p style="font-size: 7px; font-weight: bold;">Orán</p>
+          <p style="font-size: 7px;">9 de Julio 770</p>
+          <p style="font-size: 7px;">(03878) 423221</p>
+          <p style="font-size: 7px; font-weight: bold;">Pichanal</p>
+          <p style="font-size: 7px;">Sarmiento 797</p>
+        </div>
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">Tartagal</p>
+          <p style="font-size: 7px;">Belgrano 371</p>
+          <p style="font-size: 7px;">(03873) 422161</p>
+          <p style="font-size: 7px; font-weight: bold;">Gral. Güemes</p>
+          <p style="font-size: 7px;">Rivadavia 545</p>
+          <p style="font-size: 7px;">(0387) 4912664</p>
+        </div>
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">Embarcación</p>
+          <p style="font-size: 7px;">Mza 10 casa 1 Bº Patrón Costas</p>
+          <p style="font-size: 7px;">(03878) 15326995</p>
+          <p style="font-size: 7px; font-weight: bold;">Colonia Santa Rosa</p>
+          <p style="font-size: 7px;">Av. Manero 470</p>
+        </div>
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">Metán</p>
+          <p style="font-size: 7px;">Salta N° 1</p>
+          <p style="font-size: 7px;">Tel. (03876) 422986</p>
+          <p style="font-size: 7px; font-weight: bold;">Rosario de Lerma</p>
+          <p style="font-size: 7px;">San Martín 114</p>
+          <p style="font-size: 7px;">(0387) 493218</p>
+        </div>
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">Rosario de la frontera</p>
+          <p style="font-size: 7px;">San Martín 104</p>
+          <p style="font-size: 7px;">(03876) 483898</p>
+          <p style="font-size: 7px; font-weight: bold;">J.V. González</p>
+          <p style="font-size: 7px;">Sarmiento 96</p>
+          <p style="font-size: 7px;">(03877) 421975</p>
+        </div>
+        <div class="column">
+          <p style="font-size: 7px; font-weight: bold;">Cafayate</p>
+          <p style="font-size: 7px;">Int. Brachieri 160</p>
+          <p style="font-size: 7px;">(03868) 4932189</p>
+          <p style="font-size: 7px; font-weight: bold;">San Antonio de los Cobres</p>
+          <p style="font-size: 7px;">Caseros esq. Islas Malvinas</p>
+          <p style="font-size: 7px;">(0387) 4909064</p>
+        </div>
+    </div>
+    <div class="pdf-section-title" style="margin-top: 10px; display: flex; justify-content: center; font-size: 12px; border: 1px solid #777;">PLAN CONCIENCIA DE PRENECESIDAD, PARCELA Y CREMACIÓN</div>
+    <div class="pdf-section-title" style="margin-top: 4px; display: flex; justify-content: center; border: 1px solid #777;">PLAN “A”</div>
+    <div class="small-text1" style="border: 1px solid #777; padding-left: 6px; margin-top: -5px;">
+      <p >- Ataúd redondo tapa lisa.</p>
+      <p>- Flota de primer nivel.</p>
+      <p>- Carroza fúnebre</p>
+      <p>- Carroza porta coronas</p>
+      <p>- 2 (dos) Coches de duelo</p>
+      <p>- Sala velatorio diferencial.</p>
+      <p>- Servicio de buffet las 24hs.</p>
+      <p>- Parcela a perpetuidad en Cementerio Parque 1 (un) año de mantenimiento pago o servicio de cremación con provisión de urna.</p>
+      <p>- Tanatopraxia.</p>
+      <p>- Esquela.</p>
+      <p>- Trámites en Registro Civil</p>
+    </div>
+    <div class="pdf-section-title" style="margin-top: 4px; display: flex; justify-content: center; border: 1px solid #777;">PLAN “B”</div>
+    <div class="small-text1" style="border: 1px solid #777; padding-left: 6px; margin-top: -5px;">
+      <p>- Ataúd París especial o cruz tallada</p>
+      <p>- Flota de primer nivel.</p>
+      <p>- Carroza fúnebre.</p>
+      <p>- Carroza porta coronas</p>
+      <p>- 2 (dos) Coche de duelo.</p>
+      <p>- Sala velatorio diferencial.</p>
+      <p>- Servicio de buffet las 24hs.</p>
+      <p>- Parcela a perpetuidad en Cementerio Parque 1 (un) año de mantenimiento pago o servicio de cremación con provisión de urna.</p>
+      <p>- Tanatopraxia.</p>
+      <p>- Esquela.</p>
+      <p>- Trámites en Registro Civil</p>
+    </div>
+    <div class="pdf-section-title" style="margin-top: 4px; display: flex; justify-content: center; border: 1px solid #777;">PLAN “C”</div>
+    <div class="small-text1" style="border: 1px solid #777; padding-left: 6px; margin-top: -5px;">
+      <P>- Ataúd Paris Arito.</P>
+      <P>- Flota.</P>
+      <P>- Carroza fúnebre.</P>
+      <P>- Carroza porta coronas.</P>
+      <P>- 2 (dos) Coche de duelo.</P>
+      <P>- Sale velatorio diferencial.</P>
+      <P>- Servicio de buffet las 24 hs.</P>
+      <P>- Parcela a perpetuidad en Cementerio Parque o servicio de cremación con provisión de urna.</P>
+      <P>- Esquela</P>
+      <P>- Trámites en Registro Civil</P>
+    </div>
+    <div class="pdf-section-title" style="margin-top: 4px; display: flex; justify-content: center; border: 1px solid #777;">PLAN “D”</div>
+    <div class="small-text1" style="border: 1px solid #777; padding-left: 6px; margin-top: -5px;">
+      <P>-Ataúd Bóveda tapa lisa.</P>
+      <P>-Carroza fúnebre.</P>
+      <P>-Carroza porta coronas.</P>
+      <P>- 2 (dos) Coche de duelo.</P>
+      <P>-Sala velatorio normal.</P>
+      <P>-Servicio de buffet.</P>
+      <P>-Esquela.</P>
+      <P>- Trámites en Registro. Civil.</P>
+      <P>- Nicho arrendado por 2 (dos) años en cementerio municipal.</P>
+    </div>
+    <div class="pdf-section-title" style="margin-top: 4px; display: flex; justify-content: center; border: 1px solid #777;">PLAN “E”</div>
+    <div class="small-text1" style="border: 1px solid #777; padding-left: 6px; margin-top: -5px;">
+      <P>- Ataúd Borla.</P>
+      <P>- Carroza fúnebre.</P>
+      <P>- Carroza porta coronas</P>
+      <P>- 1 (un) Coche de duelo.</P>
+      <P>- Capilla ardiente en el domicilio.</P>
+      <P>- Trámites en Registro Civil.</P>
+      <P>- Nicho arrendado por 2 (dos) años en cementerio municipal.</P>
+    </div>
+    <div class="pdf-section-title" style="margin-top: 4px; display: flex; justify-content: center; border: 1px solid #777;">CREMACIÓN</div>
+    <div class="small-text1" style="border: 1px solid #777; padding-left: 6px; margin-top: -5px;">
+      <P>- Traslado del cuerpo en carroza fúnebre o furgón sanitario al predio de cremación, ubicado en cementerio Parque Solares de San Pablo. Localidad El Bordo a 3 km de la Ciudad de Gral. Güemes.</P>
+      <P>- Urna cineraria.</P>
+      <P>- Traslado de la urna con los restos cinerarios a la ciudad de Salta.</P>
+    </div>
+  <p class="small-text"><span style="font-weight: bold;">AJUSTE DE CUOTA: </span>Las cuotas podrán sufrir ajustes por parte de la Empresa, las que se realizarán de acuerdo a las variaciones que sufra el precio del servicio fúnebre contratado.
+</p>
+
+    {{/ifCond}}
+
+    <!-- Footer -->
+    <div class="pdf-line-footer">                                              
+          <span><span class="label">Promotor:</span><span class="data">{{ creatorusercodigo }} - {{ generadoPor }}</span></span>
+          <span><span class="label">Salta,</span><span class="data">{{ fechaGeneracion }}</span></span>
+          <span class="data pdf-signature-line">{{#if firmaTitular}}<img class="pdf-signature-img" src="{{ firmaTitular.imagen }}">{{/if}}Firma y aclaración del titular o resp.</span>
+    </div> 
+    <div class="pdf-footer">SOLICITUD SUJETA A APROBACIÓN</div>   
+
+</div>
+
+</div>
+</body>
+</html>$plantilla$, $plantilla$/* ESTILOS PDF */
+body {
+  font-family: Arial, Helvetica, sans-serif;
+  color: #000;
+  font-size: 8pt;
+}
+.pdf-page {
+  width: 210mm;
+  min-height: 297mm;
+  padding-top: 1mm;
+  padding-right: 6mm;
+  padding-left: 3mm;
+  padding-bottom: 2mm;
+  box-sizing: border-box;
+  position: relative;
+}
+.pdf-header {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  padding-bottom: 5px;
+  border-bottom: 2px solid #777;
+}
+.header-details {
+  text-align: center;
+}
+.header-details div {
+  font-size: 10pt;
+  color: #222;
+  line-height: 1.2;
+  font-weight: bold;
+}
+.header-details-plan {
+  font-size: 12pt;
+}
+.pdf-subheader {
+  display: flex;
+  justify-content: space-between;
+  font-size: 8pt;
+  padding: 3px 0;
+  margin-top: 5px;
+  margin-bottom: 5px;
+  color: #333;
+}
+.pdf-verificacion {
+  display: flex;
+  align-items: center;
+  gap: 4px;
+}
+.pdf-verificacion img {
+  height: 14mm;
+  width: 14mm;
+}
+.pdf-section {
+  margin-bottom: 8px;
+}
+.pdf-section-title {
+  color: white;
+  background-color: #999;
+  font-weight: 700;
+  font-size: 8pt;
+  text-align: left;
+  padding: 1px 6px;
+  margin-bottom: 4px;
+  border-radius: 4px;
+}
+.pdf-data-fluid {
+  font-size: 7pt;
+  line-height: 1.5;
+  color: #444;
+  padding-left: 6px;
+}
+.pdf-data-item {
+  display: inline-block;
+  margin-right: 12px;
+  padding-bottom: 2px;
+}
+.pdf-data-item .label {
+  font-weight: normal;
+  color: #444;
+  margin-right: 4px;
+}
+.pdf-data-item .data {
+  font-weight: bold;
+  color: black;
+}
+.pdf-table-compact {
+  width: 100%;
+  border-collapse: collapse;
+  font-size: 6pt;
+}
+.pdf-table-compact th,
+.pdf-table-compact td {
+  padding: 3px;
+  text-align: left;
+  border-bottom: 1px solid #e0e0e0;
+}
+.pdf-table-compact thead {
+  color: #444;
+  font-size: 6pt;
+  font-weight: 700;
+}
+.ddjj-grid-6x3 {
+  display: grid;
+  grid-template-columns: repeat(6, 1fr);
+  gap: 4px 12px;
+  font-size: 5.5pt;
+  border: 1px solid #e0e0e0;
+  padding-left: 10px;
+  padding-top: 3px;
+  margin: 5px;
+}
+.total-line {
+  font-size: 11pt;
+  margin-top: 15px;
+  text-align: right;
+}
+.pdf-line-footer {
+  position: absolute;
+  left: 2mm;
+  right: 3mm;
+  bottom: 6mm;
+  display: flex;
+  justify-content: space-between;
+  font-size: 7.5pt;
+  color: #555;
+}
+.pdf-signature-line {
+  position: relative;
+  width: 30%;
+  border-top: 1px dotted #333;
+  text-align: center;
+  padding-top: 2px;
+}
+.pdf-signature-img {
+  position: absolute;
+  bottom: 100%;
+  left: 10%;
+  width: 80%;
+  height: 12mm;
+  object-fit: contain;
+}
+.pdf-signature-block {
+  display: flex;
+  justify-content: end;
+  margin-top: 14mm;
+}
+.pdf-footer {
+  position: absolute;
+  left: 1mm;
+  right: 3mm;
+  bottom: 2mm;
+  color: white;
+  background-color: #777;
+  text-align: center;
+  font-size: 7pt;
+  font-weight: bold;
+  padding: 2px;
+}
+
+/* PÁGINA 2 */
+
+.two-columns {
+    display: flex;
+    justify-content: space-between;
+    gap: 15px; 
+}
+.column {
+    width: 48%; 
+}
+.column p {
+    font-size: 7pt;
+    margin: 2px 0;
+    text-align: justify;
+}
+.sub-title {
+    font-weight: bold;
+    padding-left: 3px;
+    margin-top: -3px;
+    border: 1px solid #000;
+    font-size: 7.5pt;
+}
+.benefits-table {
+    width: 100%;
+    font-size: 6.5pt;
+    border-collapse: collapse;
+    border: solid 1px #888;
+    margin-bottom: 6px;
+}
+.benefits-table td {
+    padding: 2px 4px;
+
+}
+.small-text { 
+  font-size: 6.5pt;
+  text-align: justify;
+  line-height: 1.2;
+  margin: 3px 0;
+}
+.small-text1 { 
+  font-size: 6.5pt;
+  line-height: 0.7;
+}$plantilla$, '-infinity'
+FROM pdf_plantillas
+WHERE plan_tipo IS NULL AND empresa IS NULL
+ON CONFLICT (plantilla_id, version) DO NOTHING;
+
+-- Las fichas aprobadas antes de esta migración quedan con la versión 1.
+UPDATE affiliations
+SET pdf_plantilla_version_id = (
+  SELECT v.id
+  FROM pdf_plantilla_versiones v
+  JOIN pdf_plantillas p ON p.id = v.plantilla_id
+  WHERE p.plan_tipo IS NULL AND p.empresa IS NULL AND v.version = 1
+)
+WHERE status = 'Aprobado' AND pdf_plantilla_version_id IS NULL;
+
+INSERT INTO permissions (action, description) VALUES
+  ('plantilla.manage', 'Administrar las plantillas del PDF de las fichas')
+ON CONFLICT (action) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('ADMINISTRADOR', 'plantilla.manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,22 @@
+-- Firmas manuscritas del titular y del responsable de pago. La imagen se
+-- guarda en la base para poder incrustarla en el PDF sin depender de
+-- Cloudinary. form_data_hash es el hash de form_data al firmar: si la ficha
+-- se edita después, la firma queda invalidada (invalidada_en).
+CREATE TABLE IF NOT EXISTS afiliacion_firmas (
+  id SERIAL PRIMARY KEY,
+  afiliacion_id INTEGER NOT NULL REFERENCES affiliations(id) ON DELETE CASCADE,
+  firmante TEXT NOT NULL CHECK (firmante IN ('titular', 'responsablePago')),
+  imagen BYTEA NOT NULL,
+  mime_type TEXT NOT NULL,
+  form_data_hash TEXT NOT NULL,
+  latitud NUMERIC,
+  longitud NUMERIC,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  firmado_en TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  invalidada_en TIMESTAMPTZ
+);
+
+-- Sólo una firma vigente por firmante.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_afiliacion_firmas_vigente
+  ON afiliacion_firmas (afiliacion_id, firmante)
+  WHERE invalidada_en IS NULL;
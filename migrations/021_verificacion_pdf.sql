@@ -0,0 +1,25 @@
+-- Códigos de verificación impresos en los PDF de las fichas. digest es un
+-- HMAC de la ficha, su estado y su form_data al generar el PDF; el endpoint
+-- público de verificación lo recalcula para saber si el documento sigue
+-- reflejando la ficha.
+CREATE TABLE IF NOT EXISTS pdf_verificaciones (
+  codigo TEXT PRIMARY KEY,
+  afiliacion_id INTEGER NOT NULL REFERENCES affiliations(id) ON DELETE CASCADE,
+  status TEXT NOT NULL,
+  digest TEXT NOT NULL,
+  emitido_en TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdf_verificaciones_afiliacion
+  ON pdf_verificaciones (afiliacion_id, digest);
+
+-- Consultas de códigos inexistentes, para limitar por IP la enumeración de
+-- códigos en el endpoint público.
+CREATE TABLE IF NOT EXISTS intentos_verificacion (
+  id SERIAL PRIMARY KEY,
+  ip TEXT,
+  fecha TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_intentos_verificacion_ip_fecha
+  ON intentos_verificacion (ip, fecha);
@@ -0,0 +1,98 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+function apiKeyValida(permisos) {
+  responder(/UPDATE api_keys SET last_used_at/, [
+    { id: 5, name: "Integración" },
+  ]);
+  responder(
+    /FROM api_key_permissions WHERE api_key_id/,
+    permisos.map((permission) => ({ permission }))
+  );
+}
+
+test("crea una API key con permisos que el creador tiene", async () => {
+  responder(/INSERT INTO api_keys/, (params) => [
+    { id: 5, name: params[0], key_prefix: params[1] },
+  ]);
+
+  const res = await pedir("POST", "/api/api-keys", {
+    token: 1,
+    body: { name: "Integración", permissions: ["affiliation.read"] },
+  });
+
+  assert.strictEqual(res.status, 201);
+  assert.match(res.body.key, /^fdk_/);
+  const [permisos] = consultasQue(/INSERT INTO api_key_permissions/);
+  assert.deepStrictEqual(permisos.params, [5, ["affiliation.read"]]);
+});
+
+test("no deja otorgar permisos que el creador no tiene", async () => {
+  const res = await pedir("POST", "/api/api-keys", {
+    token: 1,
+    body: {
+      name: "Integración",
+      permissions: ["affiliation.read", "reintegro.pay"],
+    },
+  });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(
+    res.body.message,
+    "No puedes otorgar permisos que no tienes: reintegro.pay."
+  );
+  assert.strictEqual(consultasQue(/INSERT INTO api_keys/).length, 0);
+});
+
+test("sin apikey.manage no se pueden crear API keys", async () => {
+  const res = await pedir("POST", "/api/api-keys", {
+    token: 20,
+    body: { name: "Integración", permissions: ["affiliation.read"] },
+  });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(consultasQue(/INSERT INTO api_keys/).length, 0);
+});
+
+test("una API key no puede crear otras API keys", async () => {
+  apiKeyValida(["apikey.manage", "affiliation.read"]);
+
+  const res = await pedir("POST", "/api/api-keys", {
+    token: "fdk_clave",
+    body: { name: "Otra", permissions: ["affiliation.read"] },
+  });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(
+    res.body.message,
+    "Esta operación requiere iniciar sesión con un usuario."
+  );
+  assert.strictEqual(consultasQue(/INSERT INTO api_keys/).length, 0);
+});
+
+test("una API key usa sólo sus propios permisos", async () => {
+  apiKeyValida(["affiliation.read"]);
+
+  const res = await pedir("GET", "/api/roles", { token: "fdk_clave" });
+
+  assert.strictEqual(res.status, 403);
+});
+
+test("una API key revocada o inexistente no autentica", async () => {
+  const res = await pedir("GET", "/api/roles", { token: "fdk_clave" });
+
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(res.body.message, "La API key no es válida.");
+});
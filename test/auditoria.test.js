@@ -0,0 +1,56 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+test("la auditoría de un usuario no guarda credenciales ni secretos TOTP", async () => {
+  responder(/SELECT \* FROM users WHERE id/, [
+    {
+      id: 20,
+      full_name: "Vendedor",
+      email: "vendedor@example.com",
+      role: "VENDEDOR",
+      password_hash: "$2a$10$hash",
+      totp_secret: "secreto",
+      totp_pending_secret: "pendiente",
+      totp_last_step: 123,
+      totp_enabled_at: "2026-01-01T00:00:00Z",
+    },
+  ]);
+  responder(/UPDATE users\s+SET full_name/, (params) => [
+    { id: 20, full_name: params[0], email: params[1], role: params[3] },
+  ]);
+
+  const res = await pedir("PUT", "/api/users/20", {
+    token: 1,
+    body: {
+      full_name: "Vendedor Editado",
+      email: "vendedor@example.com",
+      role: "VENDEDOR",
+    },
+  });
+
+  assert.strictEqual(res.status, 200);
+  const [auditoria] = consultasQue(/INSERT INTO audit_log/);
+  const antes = auditoria.params[5];
+  assert.strictEqual(antes.full_name, "Vendedor");
+  assert.strictEqual(antes.totp_enabled_at, "2026-01-01T00:00:00Z");
+  for (const campo of [
+    "password_hash",
+    "totp_secret",
+    "totp_pending_secret",
+    "totp_last_step",
+  ]) {
+    assert.ok(!(campo in antes), `${campo} no debe auditarse`);
+  }
+});
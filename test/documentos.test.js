@@ -0,0 +1,181 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+  responderPlanes,
+  fichaPrenecesidad,
+} = require("./helpers");
+
+const FICHA = fichaPrenecesidad();
+const DNI_FRENTE = { tipoDocumento: "DNI_FRENTE", label: "DNI (frente)" };
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+// Documentos requeridos y fotos cargadas de la ficha.
+function configurar({ requeridos = ["DNI_FRENTE"], fotos = [] } = {}) {
+  responderPlanes();
+  responder(
+    /FROM documentos_requeridos/,
+    requeridos.map((tipo_documento) => ({ tipo_documento, medio_pago: null }))
+  );
+  responder(/FROM tipos_documento/, [
+    { value: DNI_FRENTE.tipoDocumento, label: DNI_FRENTE.label },
+  ]);
+  responder(/FROM afiliacion_fotos WHERE afiliacion_id/, fotos);
+}
+
+function insertarFicha() {
+  responder(/INSERT INTO affiliations \(/, (params) => [
+    { id: 8, user_id: params[0], form_data: params[1], status: params[9] },
+  ]);
+}
+
+function fichaAbierta() {
+  responder(/SELECT \* FROM affiliations WHERE id = \$1/, [
+    { id: 7, user_id: 20, status: "Abierto", form_data: FICHA },
+  ]);
+  responder(/FROM affiliation_status_transitions/, [
+    { permission: "affiliation.edit", requires_motivo: false },
+  ]);
+}
+
+test("una ficha nueva no se puede finalizar sin sus documentos", async () => {
+  configurar();
+  insertarFicha();
+
+  const res = await pedir("POST", "/api/submit-ficha", {
+    token: 20,
+    body: { formData: FICHA, accion: "finalizar" },
+  });
+
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.body.faltantes, [DNI_FRENTE]);
+  assert.match(res.body.message, /guárdala como borrador/);
+  assert.strictEqual(consultasQue(/INSERT INTO affiliations \(/).length, 0);
+});
+
+test("una ficha nueva sin documentos se puede guardar como borrador", async () => {
+  configurar();
+  insertarFicha();
+
+  const res = await pedir("POST", "/api/submit-ficha", {
+    token: 20,
+    body: { formData: FICHA, accion: "guardar" },
+  });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.status, "Abierto");
+});
+
+test("una ficha nueva sin documentos requeridos se presenta", async () => {
+  configurar({ requeridos: [] });
+  insertarFicha();
+
+  const res = await pedir("POST", "/api/submit-ficha", {
+    token: 20,
+    body: { formData: FICHA, accion: "finalizar" },
+  });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.status, "Presentado");
+});
+
+test("finalizar una ficha existente sin sus documentos no la modifica", async () => {
+  configurar();
+  fichaAbierta();
+
+  const res = await pedir("PUT", "/api/affiliations/7", {
+    token: 20,
+    body: { formData: FICHA, accion: "finalizar" },
+  });
+
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.body.faltantes, [DNI_FRENTE]);
+  assert.match(res.body.message, /No se guardaron los cambios/);
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
+
+test("con las fotos cargadas la ficha existente se presenta", async () => {
+  configurar({ fotos: [{ id: 3, tipo_documento: "DNI_FRENTE" }] });
+  fichaAbierta();
+  responder(/UPDATE affiliations\s+SET form_data/, (params) => [
+    { id: 7, user_id: 20, form_data: params[0], status: params[1] },
+  ]);
+
+  const res = await pedir("PUT", "/api/affiliations/7", {
+    token: 20,
+    body: { formData: FICHA, accion: "finalizar" },
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.status, "Presentado");
+});
+
+test("borrar un documento requerido inexistente responde 404", async () => {
+  const res = await pedir("DELETE", "/api/documentos-requeridos/99", {
+    token: 1,
+  });
+
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.message, "Documento requerido no encontrado.");
+  assert.strictEqual(
+    consultasQue(/DELETE FROM documentos_requeridos/).length,
+    0
+  );
+});
+
+test("borrar un documento requerido existente responde 204", async () => {
+  responder(/SELECT \* FROM documentos_requeridos WHERE id/, [
+    { id: 4, tipo_documento: "DNI_FRENTE" },
+  ]);
+
+  const res = await pedir("DELETE", "/api/documentos-requeridos/4", {
+    token: 1,
+  });
+
+  assert.strictEqual(res.status, 204);
+  const [borrado] = consultasQue(/DELETE FROM documentos_requeridos/);
+  assert.deepStrictEqual(borrado.params, ["4"]);
+});
+
+test("una foto ya cargada se puede etiquetar sin volver a subirla", async () => {
+  responder(/FROM afiliacion_fotos f\s+JOIN affiliations a/, [
+    {
+      id: 3,
+      public_id: "fichas/7/foto",
+      tipo_documento: "otro",
+      user_id: 20,
+      status: "Abierto",
+    },
+  ]);
+  responder(/UPDATE afiliacion_fotos/, (params) => [
+    { id: 3, public_id: "fichas/7/foto", tipo_documento: params[2] },
+  ]);
+
+  const res = await pedir("PUT", "/api/affiliations/7/fotos/3", {
+    token: 20,
+    body: { tipoDocumento: "dni_frente" },
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.tipo_documento, "dni_frente");
+  const [update] = consultasQue(/UPDATE afiliacion_fotos/);
+  assert.deepStrictEqual(update.params, [null, null, "dni_frente", "3"]);
+});
+
+test("editar una foto sin archivo ni etiqueta responde 400", async () => {
+  const res = await pedir("PUT", "/api/affiliations/7/fotos/3", {
+    token: 20,
+    body: {},
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(consultasQue(/UPDATE afiliacion_fotos/).length, 0);
+});
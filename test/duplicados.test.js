@@ -0,0 +1,102 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+  responderPlanes,
+  fichaPrenecesidad,
+} = require("./helpers");
+
+const FICHA = fichaPrenecesidad({
+  dniConyuge: "28111222",
+  apellidoConyuge: "Gomez",
+  nombreConyuge: "Ana",
+  fechaNacimientoConyuge: "1982-02-01",
+});
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(() => {
+  reiniciarBase();
+  responderPlanes();
+  responder(/INSERT INTO affiliations \(/, (params) => [
+    { id: 8, user_id: params[0], form_data: params[1], status: params[9] },
+  ]);
+});
+
+// Otra ficha con el titular de FICHA.
+function otraFichaCon(status) {
+  responder(/WHERE ficha_dnis\(a\.form_data\) &&/, [
+    { id: 3, status, dnis: ["30123456"] },
+  ]);
+}
+
+function posicion(patron) {
+  return consultasQue(/./).findIndex(({ sql }) => patron.test(sql));
+}
+
+function crear(accion) {
+  return pedir("POST", "/api/submit-ficha", {
+    token: 20,
+    body: { formData: FICHA, accion },
+  });
+}
+
+test("los duplicados se buscan dentro de la transacción, con los DNI bloqueados", async () => {
+  otraFichaCon("Abierto");
+
+  const res = await crear("finalizar");
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.duplicados[0].afiliacionId, 3);
+  const bloqueos = consultasQue(/pg_advisory_xact_lock/);
+  assert.deepStrictEqual(
+    bloqueos.map((b) => b.params[0]),
+    ["ficha_dni:28111222", "ficha_dni:30123456"]
+  );
+  const begin = posicion(/^BEGIN/);
+  const bloqueo = posicion(/pg_advisory_xact_lock/);
+  const busqueda = posicion(/ficha_dnis\(a\.form_data\) &&/);
+  assert.ok(begin < bloqueo && bloqueo < busqueda);
+  assert.ok(busqueda < posicion(/INSERT INTO affiliations \(/));
+});
+
+test("un duplicado que bloquea cancela la transacción sin crear la ficha", async () => {
+  otraFichaCon("Presentado");
+
+  const res = await crear("finalizar");
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(
+    res.body.message,
+    "Hay personas de esta ficha que ya figuran en otra ficha activa."
+  );
+  assert.strictEqual(res.body.duplicados[0].bloquea, true);
+  assert.strictEqual(consultasQue(/INSERT INTO affiliations \(/).length, 0);
+  assert.strictEqual(consultasQue(/^ROLLBACK/).length, 1);
+});
+
+test("editar una ficha también busca duplicados con los DNI bloqueados", async () => {
+  responder(/SELECT \* FROM affiliations WHERE id = \$1/, [
+    { id: 7, user_id: 20, status: "Abierto", form_data: FICHA },
+  ]);
+  responder(/FROM affiliation_status_transitions/, [
+    { permission: "affiliation.edit", requires_motivo: false },
+  ]);
+  otraFichaCon("Aprobado");
+
+  const res = await pedir("PUT", "/api/affiliations/7", {
+    token: 20,
+    body: { formData: FICHA, accion: "finalizar" },
+  });
+
+  assert.strictEqual(res.status, 409);
+  const [busqueda] = consultasQue(/ficha_dnis\(a\.form_data\) &&/);
+  assert.strictEqual(busqueda.params[2], 7);
+  assert.ok(posicion(/pg_advisory_xact_lock/) < posicion(/ficha_dnis\(a/));
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
@@ -0,0 +1,166 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+// Transiciones configuradas en la migración 011 que usan los tests.
+const TRANSICIONES = {
+  "Presentado>Aprobado": {
+    permission: "affiliation.approve",
+    requires_motivo: false,
+  },
+  "Presentado>Observado": {
+    permission: "affiliation.observe",
+    requires_motivo: true,
+  },
+  "Presentado>Anulado": {
+    permission: "affiliation.cancel",
+    requires_motivo: true,
+  },
+};
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(() => {
+  reiniciarBase();
+  responder(/FROM affiliation_status_transitions/, (params) => {
+    const transicion = TRANSICIONES[`${params[0]}>${params[1]}`];
+    return transicion ? [transicion] : [];
+  });
+  // El supervisor (10) tiene a cargo al vendedor (20).
+  responder(/WITH RECURSIVE equipo/, [{ id: 10 }, { id: 20 }]);
+});
+
+function fichaEnEstado(status) {
+  responder(/SELECT a\.status, a\.user_id/, [
+    { status, user_id: 20, empresa: null, plan_tipo: "SEPELIO" },
+  ]);
+}
+
+// El UPDATE sólo devuelve la fila si la ficha sigue en el estado leído.
+function actualizarSiSigueEn(status) {
+  responder(/UPDATE affiliations\s+SET\s+status = \$1/, (params) =>
+    params[4] === status
+      ? [
+          {
+            status: params[0],
+            status_change_timestamp: "2026-03-10T12:00:00Z",
+            rechazo_motivo: null,
+            observacion_motivo: params[0] === "Observado" ? params[3] : null,
+          },
+        ]
+      : []
+  );
+}
+
+function cambiarEstado(body) {
+  return pedir("PUT", "/api/affiliations/7/status", { token: 10, body });
+}
+
+test("aprueba una ficha presentada", async () => {
+  fichaEnEstado("Presentado");
+  actualizarSiSigueEn("Presentado");
+
+  const res = await cambiarEstado({ newStatus: "Aprobado" });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.newStatus, "Aprobado");
+  const [historial] = consultasQue(/INSERT INTO affiliation_status_history/);
+  assert.deepStrictEqual(historial.params.slice(1, 4), [
+    "Presentado",
+    "Aprobado",
+    10,
+  ]);
+});
+
+test("una transición que no está configurada responde 409", async () => {
+  fichaEnEstado("Abierto");
+
+  const res = await cambiarEstado({ newStatus: "Aprobado" });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(
+    res.body.message,
+    "Una ficha en estado 'Abierto' no puede pasar a 'Aprobado'."
+  );
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
+
+test("cada transición exige su propio permiso", async () => {
+  fichaEnEstado("Presentado");
+  actualizarSiSigueEn("Presentado");
+
+  const res = await cambiarEstado({
+    newStatus: "Anulado",
+    motivo: "Pedido del cliente",
+  });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
+
+test("una transición que requiere motivo no avanza sin él", async () => {
+  fichaEnEstado("Presentado");
+  actualizarSiSigueEn("Presentado");
+
+  const res = await cambiarEstado({ newStatus: "Observado", motivo: "  " });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "El motivo es obligatorio para esta acción."
+  );
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
+
+test("observar con motivo abre un comentario para el vendedor", async () => {
+  fichaEnEstado("Presentado");
+  actualizarSiSigueEn("Presentado");
+
+  const res = await cambiarEstado({
+    newStatus: "Observado",
+    motivo: "Falta la firma",
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.observacionMotivo, "Falta la firma");
+  const [comentario] = consultasQue(/INSERT INTO afiliacion_comentarios/);
+  assert.strictEqual(comentario.params[3], "Falta la firma");
+});
+
+test("la presentación no pasa por esta ruta", async () => {
+  const res = await cambiarEstado({ newStatus: "Presentado" });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "Para presentar una ficha debes finalizarla desde su edición."
+  );
+  assert.strictEqual(consultasQue(/FROM affiliations/).length, 0);
+});
+
+test("no pisa un cambio de estado concurrente", async () => {
+  fichaEnEstado("Presentado");
+  // Otro usuario la observó entre la lectura y el UPDATE.
+  actualizarSiSigueEn("Observado");
+
+  const res = await cambiarEstado({ newStatus: "Aprobado" });
+
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(
+    res.body.message,
+    "La ficha cambió de estado mientras tanto. Vuelve a cargarla."
+  );
+  const [update] = consultasQue(/UPDATE affiliations/);
+  assert.strictEqual(update.params[4], "Presentado");
+  assert.strictEqual(
+    consultasQue(/INSERT INTO affiliation_status_history/).length,
+    0
+  );
+});
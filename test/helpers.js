@@ -0,0 +1,268 @@
+// Utilidades de los tests de rutas. La app se levanta en un puerto libre con
+// una base simulada: cada test registra las respuestas de las consultas que
+// le interesan (por expresión regular sobre el SQL) y el resto devuelve cero
+// filas. Todas las consultas quedan registradas para poder revisarlas.
+process.env.JWT_SECRET = "jwt-de-prueba";
+process.env.PDF_VERIFICATION_SECRET ??= "verificacion-de-prueba";
+
+const jwt = require("jsonwebtoken");
+const { app, pool } = require("../index");
+
+// Permisos y configuración de equipo de los roles que usan los tests, como
+// los cargan las migraciones.
+const ROLES = {
+  VENDEDOR: {
+    permisos: [
+      "affiliation.read",
+      "affiliation.create",
+      "affiliation.edit",
+      "affiliation.upload_photo",
+    ],
+    team_scoped: false,
+    manager_role: "SUPERVISOR",
+  },
+  SUPERVISOR: {
+    permisos: [
+      "affiliation.read",
+      "affiliation.read_all",
+      "affiliation.create",
+      "affiliation.edit",
+      "affiliation.approve",
+      "affiliation.observe",
+      "affiliation.reject",
+    ],
+    team_scoped: true,
+    manager_role: "GERENTE",
+  },
+  GERENTE: {
+    permisos: ["affiliation.read", "affiliation.read_all"],
+    team_scoped: true,
+    manager_role: null,
+  },
+  ADMINISTRADOR: {
+    permisos: [
+      "affiliation.read",
+      "affiliation.read_all",
+      "user.write",
+      "user.revoke_sessions",
+      "role.manage",
+      "apikey.manage",
+      "documento.write",
+    ],
+    team_scoped: false,
+    manager_role: null,
+  },
+};
+
+const USUARIOS = {
+  1: { id: 1, full_name: "Admin", role: "ADMINISTRADOR" },
+  10: { id: 10, full_name: "Supervisor", role: "SUPERVISOR" },
+  20: { id: 20, full_name: "Vendedor", role: "VENDEDOR" },
+};
+
+let respuestas = [];
+let consultas = [];
+
+async function query(texto, params = []) {
+  const sql = typeof texto === "string" ? texto : texto.text;
+  consultas.push({ sql, params });
+  for (const { patron, respuesta } of respuestas) {
+    if (patron.test(sql)) {
+      const resultado =
+        typeof respuesta === "function"
+          ? await respuesta(params, sql)
+          : respuesta;
+      if (resultado instanceof Error) throw resultado;
+      const rows = Array.isArray(resultado) ? resultado : resultado.rows;
+      return { rows, rowCount: rows.length };
+    }
+  }
+  return { rows: [], rowCount: 0 };
+}
+
+pool.query = query;
+pool.connect = async () => ({ query, release() {} });
+
+// Respuestas fijas: la sesión de los usuarios de prueba y la matriz de
+// permisos.
+function respuestasBase() {
+  return [
+    {
+      patron: /FROM sesiones_usuario s/,
+      respuesta: (params) => {
+        const usuario = USUARIOS[params[1]];
+        return usuario ? [{ ...usuario, active: true }] : [];
+      },
+    },
+    {
+      patron: /SELECT role, permission FROM role_permissions/,
+      respuesta: () =>
+        Object.entries(ROLES).flatMap(([role, { permisos }]) =>
+          permisos.map((permission) => ({ role, permission }))
+        ),
+    },
+    {
+      patron: /SELECT name, team_scoped, manager_role FROM roles/,
+      respuesta: () =>
+        Object.entries(ROLES).map(([name, { team_scoped, manager_role }]) => ({
+          name,
+          team_scoped,
+          manager_role,
+        })),
+    },
+  ];
+}
+
+// Borra las respuestas y consultas del test anterior.
+function reiniciarBase() {
+  respuestas = respuestasBase();
+  consultas = [];
+}
+
+// Las respuestas agregadas tienen prioridad sobre las fijas.
+function responder(patron, respuesta) {
+  respuestas.unshift({ patron, respuesta });
+}
+
+function consultasQue(patron) {
+  return consultas.filter(({ sql }) => patron.test(sql));
+}
+
+function tokenDe(userId) {
+  return jwt.sign({ userId, sid: 1 }, process.env.JWT_SECRET);
+}
+
+// Planes de prueba: uno de sepelio con grupo familiar y adherentes, y uno de
+// prenecesidad cuyo precio se financia en cuotas.
+const PLANES = {
+  SEP1: {
+    value: "SEP1",
+    tipo: "SEPELIO",
+    importe_grupo_familiar: "20000",
+    importe_individual: "12000",
+    importe_adherente: "5000",
+  },
+  PRE1: {
+    value: "PRE1",
+    tipo: "PRENECESIDAD",
+    importe_grupo_familiar: "0",
+    importe_individual: "12000",
+    importe_adherente: "0",
+  },
+};
+
+function responderPlanes() {
+  responder(/^SELECT tipo FROM planes WHERE value/, (params) =>
+    PLANES[params[0]] ? [{ tipo: PLANES[params[0]].tipo }] : []
+  );
+  responder(/^SELECT value, tipo, importe_grupo_familiar/, (params) =>
+    PLANES[params[0]] ? [PLANES[params[0]]] : []
+  );
+}
+
+// Fichas completas, pagadas por cobrador: pasan la validación estricta.
+const FICHA_BASE = {
+  operacion: "Alta",
+  medioPago: "Cobrador",
+  apellidoTitular: "Perez",
+  nombreTitular: "Juan",
+  dniTitular: "30123456",
+  cuilTitular: "20301234563",
+  sexoTitular: "M",
+  fechaNacimientoTitular: "1980-05-10",
+  domicilioTitular: "Calle 1",
+  localidadTitular: "Córdoba",
+  provinciaTitular: "Córdoba",
+  telefonoTitular: "3510000000",
+  domicilioPago: "Calle 1",
+  zonaPago: "Centro",
+};
+
+function fichaPrenecesidad(extra = {}) {
+  return {
+    ...FICHA_BASE,
+    plan: "PRE1",
+    cuotas: "12",
+    importe: "1000",
+    ...extra,
+  };
+}
+
+function fichaSepelio(extra = {}) {
+  const declaracion = {};
+  for (const n of [1, 2, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]) {
+    declaracion[`ddjj${n}`] = "No";
+  }
+  return {
+    ...FICHA_BASE,
+    ...declaracion,
+    pep: "No",
+    plan: "SEP1",
+    ...extra,
+  };
+}
+
+function integrante(vinculo, extra = {}) {
+  return {
+    apellidos: "Perez",
+    nombres: vinculo,
+    fechaNacimiento: "1990-01-15",
+    vinculo,
+    ...extra,
+  };
+}
+
+let servidor;
+let baseUrl;
+
+async function iniciarServidor() {
+  reiniciarBase();
+  await new Promise((resolve) => {
+    servidor = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${servidor.address().port}`;
+}
+
+function detenerServidor() {
+  return new Promise((resolve) => servidor.close(resolve));
+}
+
+// Hace un request a la app. token puede ser un id de usuario de prueba o un
+// valor de Authorization ya armado (por ejemplo, una API key).
+async function pedir(metodo, ruta, { token, body } = {}) {
+  const headers = {};
+  if (token !== undefined) {
+    headers.Authorization = `Bearer ${
+      typeof token === "number" ? tokenDe(token) : token
+    }`;
+  }
+  if (body !== undefined) {
+    headers["Content-Type"] = "application/json";
+  }
+  const respuesta = await fetch(baseUrl + ruta, {
+    method: metodo,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const esJson = /json/.test(respuesta.headers.get("content-type"));
+  return {
+    status: respuesta.status,
+    headers: respuesta.headers,
+    body: esJson ? await respuesta.json() : await respuesta.text(),
+  };
+}
+
+module.exports = {
+  USUARIOS,
+  PLANES,
+  responderPlanes,
+  fichaPrenecesidad,
+  fichaSepelio,
+  integrante,
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+};
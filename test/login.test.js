@@ -0,0 +1,134 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const bcrypt = require("bcryptjs");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  pedir,
+} = require("./helpers");
+
+const PASSWORD = "Secreta123";
+const usuario = {
+  id: 20,
+  email: "vendedor@example.com",
+  full_name: "Vendedor",
+  role: "VENDEDOR",
+  active: true,
+  password_hash: bcrypt.hashSync(PASSWORD, 4),
+  failed_login_count: 0,
+  locked_until: null,
+};
+
+const CREDENCIALES_INVALIDAS = "Credenciales inválidas.";
+const CUENTA_BLOQUEADA =
+  "La cuenta está bloqueada temporalmente por intentos fallidos. Intenta más tarde o contacta a un administrador.";
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+function fallosRecientes(porIp, porEmail = 0) {
+  responder(/FROM intentos_login/, [
+    { por_ip: String(porIp), por_email: String(porEmail) },
+  ]);
+}
+
+// Cuenta del usuario que cambia con cada login como lo haría en la base:
+// cada fallo suma uno (o vuelve a uno si el bloqueo anterior venció) y al
+// llegar al máximo la cuenta queda bloqueada los minutos indicados.
+function cuentaSimulada(estado = {}) {
+  const cuenta = { ...usuario, ...estado };
+  responder(/SELECT \* FROM users WHERE email/, () => [{ ...cuenta }]);
+  responder(/SET failed_login_count = f\.fallos/, ([, maximo, minutos]) => {
+    const vencido = cuenta.locked_until && cuenta.locked_until < new Date();
+    cuenta.failed_login_count = vencido ? 1 : cuenta.failed_login_count + 1;
+    if (cuenta.failed_login_count >= maximo) {
+      cuenta.locked_until = new Date(Date.now() + minutos * 60 * 1000);
+    } else if (vencido) {
+      cuenta.locked_until = null;
+    }
+    return [];
+  });
+  responder(/SET failed_login_count = 0, locked_until = NULL/, () => {
+    cuenta.failed_login_count = 0;
+    cuenta.locked_until = null;
+    return [];
+  });
+  return cuenta;
+}
+
+function login(password) {
+  return pedir("POST", "/api/login", {
+    body: { email: usuario.email, password },
+  });
+}
+
+test("limita por IP después de demasiados fallos", async () => {
+  fallosRecientes(20);
+  cuentaSimulada();
+
+  const res = await login(PASSWORD);
+
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(res.headers.get("retry-after"), String(15 * 60));
+  assert.strictEqual(
+    res.body.message,
+    "Demasiados intentos fallidos. Intenta nuevamente más tarde."
+  );
+});
+
+test("cinco contraseñas incorrectas bloquean la cuenta", async () => {
+  fallosRecientes(0);
+  cuentaSimulada();
+
+  for (let i = 0; i < 5; i++) {
+    const res = await login("Incorrecta1");
+    assert.strictEqual(res.status, 401);
+    assert.strictEqual(res.body.message, CREDENCIALES_INVALIDAS);
+  }
+
+  const res = await login(PASSWORD);
+  assert.strictEqual(res.status, 423);
+  assert.strictEqual(res.body.message, CUENTA_BLOQUEADA);
+  const minutos = (new Date(res.body.lockedUntil) - Date.now()) / 60000;
+  assert.ok(minutos > 14 && minutos <= 15);
+});
+
+test("una cuenta bloqueada no entra ni con la contraseña correcta", async () => {
+  fallosRecientes(0);
+  const bloqueadaHasta = new Date(Date.now() + 10 * 60 * 1000);
+  cuentaSimulada({ failed_login_count: 5, locked_until: bloqueadaHasta });
+
+  const res = await login(PASSWORD);
+
+  assert.strictEqual(res.status, 423);
+  assert.strictEqual(res.body.lockedUntil, bloqueadaHasta.toISOString());
+});
+
+test("cuando el bloqueo vence, un fallo vuelve a contar desde uno", async () => {
+  fallosRecientes(0);
+  const cuenta = cuentaSimulada({
+    failed_login_count: 5,
+    locked_until: new Date(Date.now() - 60 * 1000),
+  });
+
+  const fallo = await login("Incorrecta1");
+  assert.strictEqual(fallo.status, 401);
+  assert.strictEqual(fallo.body.message, CREDENCIALES_INVALIDAS);
+  assert.strictEqual(cuenta.failed_login_count, 1);
+
+  const res = await login(PASSWORD);
+  assert.strictEqual(res.status, 200);
+});
+
+test("un login correcto limpia el contador de fallos", async () => {
+  fallosRecientes(0, 1);
+  const cuenta = cuentaSimulada({ failed_login_count: 3 });
+
+  const res = await login(PASSWORD);
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(cuenta.failed_login_count, 0);
+});
@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+function listadoVacio() {
+  responder(/SELECT COUNT\(\*\) FROM affiliations/, [{ count: "0" }]);
+}
+
+test("una ruta rechaza al rol que no tiene el permiso", async () => {
+  const res = await pedir("GET", "/api/roles", { token: 20 });
+
+  assert.strictEqual(res.status, 403);
+  assert.strictEqual(consultasQue(/FROM roles r/).length, 0);
+});
+
+test("un request sin token no pasa", async () => {
+  const res = await pedir("GET", "/api/roles");
+
+  assert.strictEqual(res.status, 401);
+});
+
+test("un rol con team_scoped sólo ve las fichas de su equipo", async () => {
+  listadoVacio();
+  responder(/WITH RECURSIVE equipo/, [{ id: 10 }, { id: 20 }]);
+
+  const res = await pedir("GET", "/api/affiliations", { token: 10 });
+
+  assert.strictEqual(res.status, 200);
+  const [conteo] = consultasQue(/SELECT COUNT\(\*\) FROM affiliations/);
+  assert.match(conteo.sql, /a\.user_id = ANY\(\$1::int\[\]\)/);
+  assert.deepStrictEqual(conteo.params, [[10, 20]]);
+});
+
+test("un rol sin team_scoped con read_all ve todas las fichas", async () => {
+  listadoVacio();
+
+  const res = await pedir("GET", "/api/affiliations", { token: 1 });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(consultasQue(/WITH RECURSIVE equipo/).length, 0);
+  const [conteo] = consultasQue(/SELECT COUNT\(\*\) FROM affiliations/);
+  assert.deepStrictEqual(conteo.params, []);
+});
+
+test("un rol sin read_all sólo ve sus propias fichas", async () => {
+  listadoVacio();
+
+  const res = await pedir("GET", "/api/affiliations", { token: 20 });
+
+  assert.strictEqual(res.status, 200);
+  const [conteo] = consultasQue(/SELECT COUNT\(\*\) FROM affiliations/);
+  assert.match(conteo.sql, /a\.user_id = \$1/);
+  assert.deepStrictEqual(conteo.params, [20]);
+});
+
+test("el responsable de un usuario debe tener el manager_role de su rol", async () => {
+  responder(/SELECT role, active FROM users WHERE id/, [
+    { role: "GERENTE", active: true },
+  ]);
+
+  const res = await pedir("POST", "/api/users", {
+    token: 1,
+    body: {
+      full_name: "Nuevo Vendedor",
+      email: "nuevo@example.com",
+      password: "Secreta123",
+      role: "VENDEDOR",
+      manager_id: 30,
+    },
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "El responsable de un VENDEDOR debe tener el rol SUPERVISOR."
+  );
+  assert.strictEqual(consultasQue(/INSERT INTO users/).length, 0);
+});
+
+test("un rol sin manager_role no admite responsable", async () => {
+  const res = await pedir("POST", "/api/users", {
+    token: 1,
+    body: {
+      full_name: "Nuevo Gerente",
+      email: "gerente@example.com",
+      password: "Secreta123",
+      role: "GERENTE",
+      manager_id: 1,
+    },
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "El rol GERENTE no puede tener un responsable asignado."
+  );
+});
+
+test("crear un rol con un manager_role inexistente se rechaza", async () => {
+  const res = await pedir("POST", "/api/roles", {
+    token: 1,
+    body: { name: "coordinador", permissions: [], manager_role: "NO_EXISTE" },
+  });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "El rol responsable indicado no existe."
+  );
+  assert.strictEqual(consultasQue(/INSERT INTO roles/).length, 0);
+});
+
+test("crear un rol guarda team_scoped y manager_role", async () => {
+  responder(/SELECT 1 FROM roles WHERE name/, [{ "?column?": 1 }]);
+
+  const res = await pedir("POST", "/api/roles", {
+    token: 1,
+    body: {
+      name: "coordinador",
+      permissions: [],
+      team_scoped: true,
+      manager_role: "GERENTE",
+    },
+  });
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.name, "COORDINADOR");
+  const [insert] = consultasQue(/INSERT INTO roles/);
+  assert.deepStrictEqual(insert.params, [
+    "COORDINADOR",
+    undefined,
+    false,
+    true,
+    "GERENTE",
+  ]);
+});
@@ -0,0 +1,156 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+  responderPlanes,
+  fichaPrenecesidad,
+  fichaSepelio,
+  integrante,
+} = require("./helpers");
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(() => {
+  reiniciarBase();
+  responderPlanes();
+  responder(/INSERT INTO affiliations \(/, (params) => [
+    { id: 8, user_id: params[0], form_data: params[1], status: params[9] },
+  ]);
+});
+
+// Envía una ficha nueva y devuelve la respuesta junto con lo que se guardó.
+async function enviar(formData, accion = "finalizar") {
+  const res = await pedir("POST", "/api/submit-ficha", {
+    token: 20,
+    body: { formData, accion },
+  });
+  const [insert] = consultasQue(/INSERT INTO affiliations \(/);
+  return {
+    res,
+    formData: insert && insert.params[1],
+    pricing: insert && insert.params[10],
+  };
+}
+
+test("con cónyuge o hijos el titular paga el grupo familiar", async () => {
+  const { res, formData, pricing } = await enviar(
+    fichaSepelio({
+      integrantesList: [
+        integrante("Esposa"),
+        integrante("Hijo"),
+        integrante("Madre"),
+      ],
+    })
+  );
+
+  assert.strictEqual(res.status, 201);
+  assert.deepStrictEqual(
+    pricing.lineas.map((l) => [l.concepto, l.cuota]),
+    [
+      ["grupo_familiar", 20000],
+      ["grupo_familiar", 0],
+      ["grupo_familiar", 0],
+      ["adherente", 5000],
+    ]
+  );
+  assert.strictEqual(formData.total, 25000);
+  assert.deepStrictEqual(
+    formData.integrantesList.map((i) => i.cuotaMensual),
+    [0, 0, 5000]
+  );
+});
+
+test("sin grupo familiar el titular paga el individual y los adherentes aparte", async () => {
+  const { res, pricing } = await enviar(
+    fichaSepelio({ integrantesList: [integrante("Padre")] })
+  );
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(pricing.lineas[0].concepto, "individual");
+  assert.strictEqual(pricing.total, 17000);
+});
+
+test("en prenecesidad el precio del plan se divide en las cuotas", async () => {
+  const { res, formData, pricing } = await enviar(
+    fichaPrenecesidad({ cuotas: "12", importe: "1000" })
+  );
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(pricing.total, 12000);
+  assert.strictEqual(pricing.cuotas, 12);
+  assert.strictEqual(pricing.importeCuota, 1000);
+  assert.strictEqual(formData.importe, 1000);
+});
+
+test("una ficha de prenecesidad con un importe de cuota distinto no se presenta", async () => {
+  const { res } = await enviar(
+    fichaPrenecesidad({ cuotas: "6", importe: "1000" })
+  );
+
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(
+    res.body.errores.map((e) => e.campo),
+    ["importe"]
+  );
+  assert.strictEqual(consultasQue(/INSERT INTO affiliations \(/).length, 0);
+});
+
+test("un borrador de prenecesidad guarda el importe de cuota calculado", async () => {
+  const { res, formData, pricing } = await enviar(
+    fichaPrenecesidad({ cuotas: "12", importe: "900" }),
+    "guardar"
+  );
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(formData.importe, 1000);
+  assert.deepStrictEqual(
+    pricing.diferencias.map((d) => d.campo),
+    ["importe"]
+  );
+});
+
+test("un total con formato local coincide con el calculado", async () => {
+  const { res, pricing } = await enviar(
+    fichaSepelio({
+      integrantesList: [integrante("Hijo"), integrante("Madre")],
+      total: "25.000,00",
+    })
+  );
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(pricing.totalInformado, 25000);
+  assert.deepStrictEqual(pricing.diferencias, []);
+});
+
+test("una ficha que se presenta con un total distinto se rechaza", async () => {
+  const { res } = await enviar(
+    fichaSepelio({ integrantesList: [integrante("Hijo")], total: "15000" })
+  );
+
+  assert.strictEqual(res.status, 400);
+  assert.deepStrictEqual(
+    res.body.errores.map((e) => e.campo),
+    ["total"]
+  );
+  assert.strictEqual(consultasQue(/INSERT INTO affiliations \(/).length, 0);
+});
+
+test("un borrador con un total distinto se guarda con el total calculado", async () => {
+  const { res, formData, pricing } = await enviar(
+    fichaSepelio({ integrantesList: [integrante("Hijo")], total: "15000" }),
+    "guardar"
+  );
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(formData.total, 20000);
+  assert.strictEqual(pricing.totalInformado, 15000);
+  assert.deepStrictEqual(
+    pricing.diferencias.map((d) => d.campo),
+    ["total"]
+  );
+});
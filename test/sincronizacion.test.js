@@ -0,0 +1,139 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+const CLIENT_UUID = "7d0c6a52-4a8e-4b8e-9f51-2f3c1c4d5e6f";
+const ACTUALIZADA_EN = new Date("2026-03-10T12:00:00Z");
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+function fichaEnServidor(extra = {}) {
+  responder(/FROM affiliations WHERE client_uuid/, [
+    {
+      id: 7,
+      user_id: 20,
+      status: "Observado",
+      form_data: { apellidoTitular: "PEREZ" },
+      updated_at: ACTUALIZADA_EN,
+      client_updated_at: new Date("2026-03-09T12:00:00Z"),
+      ...extra,
+    },
+  ]);
+}
+
+async function sincronizar(ficha) {
+  const res = await pedir("POST", "/api/affiliations/sync", {
+    token: 20,
+    body: {
+      fichas: [
+        {
+          clientUuid: CLIENT_UUID,
+          formData: { apellidoTitular: "Perez" },
+          accion: "guardar",
+          clientUpdatedAt: "2026-03-11T12:00:00Z",
+          ...ficha,
+        },
+      ],
+    },
+  });
+  assert.strictEqual(res.status, 200);
+  return res.body.resultados[0];
+}
+
+test("rechaza un baseUpdatedAt que no es una fecha", async () => {
+  fichaEnServidor();
+
+  const resultado = await sincronizar({ baseUpdatedAt: "ayer" });
+
+  assert.strictEqual(resultado.resultado, "error");
+  assert.strictEqual(
+    resultado.message,
+    "La fecha de la última sincronización no es válida."
+  );
+  assert.strictEqual(consultasQue(/FROM affiliations WHERE/).length, 0);
+});
+
+test("rechaza un clientUpdatedAt que no es una fecha", async () => {
+  const resultado = await sincronizar({ clientUpdatedAt: "nunca" });
+
+  assert.strictEqual(resultado.resultado, "error");
+  assert.strictEqual(
+    resultado.message,
+    "La fecha de modificación de la ficha no es válida."
+  );
+});
+
+test("informa un conflicto si la ficha cambió después de baseUpdatedAt", async () => {
+  fichaEnServidor();
+
+  const resultado = await sincronizar({
+    baseUpdatedAt: "2026-03-10T11:00:00Z",
+  });
+
+  assert.strictEqual(resultado.resultado, "conflicto");
+  assert.strictEqual(resultado.id, 7);
+  assert.strictEqual(resultado.ficha.status, "Observado");
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
+
+test("sin baseUpdatedAt, una ficha existente se informa como conflicto", async () => {
+  fichaEnServidor();
+
+  const resultado = await sincronizar({});
+
+  assert.strictEqual(resultado.resultado, "conflicto");
+  assert.strictEqual(consultasQue(/UPDATE affiliations/).length, 0);
+});
+
+test("un reintento con una versión ya aplicada no cambia nada", async () => {
+  fichaEnServidor();
+
+  const resultado = await sincronizar({
+    clientUpdatedAt: "2026-03-09T12:00:00Z",
+    baseUpdatedAt: ACTUALIZADA_EN.toISOString(),
+  });
+
+  assert.strictEqual(resultado.resultado, "sin_cambios");
+});
+
+test("no pisa una ficha de otro usuario con el mismo clientUuid", async () => {
+  fichaEnServidor({ user_id: 99 });
+
+  const resultado = await sincronizar({
+    baseUpdatedAt: ACTUALIZADA_EN.toISOString(),
+  });
+
+  assert.strictEqual(resultado.resultado, "error");
+  assert.strictEqual(
+    resultado.message,
+    "El identificador de la ficha ya está en uso."
+  );
+});
+
+test("crea la ficha si el clientUuid es nuevo", async () => {
+  responder(/INSERT INTO affiliations \(/, (params) => [
+    {
+      id: 8,
+      user_id: params[0],
+      status: params[9],
+      updated_at: ACTUALIZADA_EN,
+    },
+  ]);
+
+  const resultado = await sincronizar({});
+
+  assert.strictEqual(resultado.resultado, "creada");
+  assert.strictEqual(resultado.id, 8);
+  assert.strictEqual(resultado.status, "Abierto");
+  const [insert] = consultasQue(/INSERT INTO affiliations \(/);
+  assert.strictEqual(insert.params[11], CLIENT_UUID);
+});
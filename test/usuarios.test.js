@@ -0,0 +1,124 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+// Estructura: el gerente 30 tiene a cargo al supervisor 10, que tiene a cargo
+// al vendedor 20.
+const USUARIOS = {
+  10: { id: 10, role: "SUPERVISOR", manager_id: 30, active: true },
+  20: { id: 20, role: "VENDEDOR", manager_id: 10, active: true },
+  30: { id: 30, role: "GERENTE", manager_id: null, active: true },
+};
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(() => {
+  reiniciarBase();
+  responder(/SELECT \* FROM users WHERE id/, (params) =>
+    USUARIOS[params[0]] ? [USUARIOS[params[0]]] : []
+  );
+  responder(/SELECT role, active FROM users WHERE id/, (params) =>
+    USUARIOS[params[0]] ? [USUARIOS[params[0]]] : []
+  );
+  responder(/SELECT id, role FROM users WHERE manager_id/, (params) =>
+    Object.values(USUARIOS).filter((u) => String(u.manager_id) === params[0])
+  );
+  responder(/FROM roles r\s+LEFT JOIN role_permissions/, (params) =>
+    ["VENDEDOR", "SUPERVISOR", "GERENTE", "ADMINISTRADOR"].includes(params[0])
+      ? [{ name: params[0] }]
+      : []
+  );
+  responder(/UPDATE users\s+SET full_name/, (params) => [
+    { id: Number(params[7]), role: params[3] },
+  ]);
+});
+
+function editar(id, cambios) {
+  return pedir("PUT", `/api/users/${id}`, {
+    token: 1,
+    body: { full_name: "Usuario", email: "usuario@example.com", ...cambios },
+  });
+}
+
+test("cambiar el rol exige que el responsable actual sirva para el rol nuevo", async () => {
+  const res = await editar(20, { role: "SUPERVISOR" });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(
+    res.body.message,
+    "El responsable de un SUPERVISOR debe tener el rol GERENTE. Indica un nuevo responsable o quítalo."
+  );
+  assert.strictEqual(consultasQue(/UPDATE users/).length, 0);
+});
+
+test("cambiar el rol junto con un responsable válido", async () => {
+  const res = await editar(20, { role: "SUPERVISOR", manager_id: 30 });
+
+  assert.strictEqual(res.status, 200);
+  const [update] = consultasQue(/UPDATE users\s+SET full_name/);
+  assert.deepStrictEqual(update.params.slice(5, 7), [true, 30]);
+});
+
+test("no cambia el rol de un usuario con subordinados que no pueden depender de él", async () => {
+  const res = await editar(10, { role: "GERENTE", manager_id: null });
+
+  assert.strictEqual(res.status, 409);
+  assert.deepStrictEqual(res.body.subordinados, [20]);
+  assert.strictEqual(consultasQue(/UPDATE users/).length, 0);
+});
+
+test("sin cambio de rol no se revisan los subordinados", async () => {
+  const res = await editar(10, { role: "SUPERVISOR" });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(consultasQue(/WHERE manager_id = \$1/).length, 0);
+});
+
+test("un rol inexistente responde 400", async () => {
+  const res = await editar(20, { role: "CAJERO" });
+
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.message, "El rol indicado no existe.");
+});
+
+test("editar un usuario inexistente responde 404", async () => {
+  const res = await editar(99, { role: "VENDEDOR" });
+
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(consultasQue(/UPDATE users/).length, 0);
+});
+
+test("revocar las sesiones de un id que no es un número responde 400", async () => {
+  for (const id of ["abc", "1.5", "-3", "0", "99999999999"]) {
+    const res = await pedir("POST", `/api/users/${id}/revoke-sessions`, {
+      token: 1,
+    });
+
+    assert.strictEqual(res.status, 400, id);
+    assert.strictEqual(
+      res.body.message,
+      "El identificador del usuario no es válido."
+    );
+  }
+  assert.strictEqual(consultasQue(/UPDATE sesiones_usuario/).length, 0);
+});
+
+test("revoca las sesiones activas del usuario", async () => {
+  responder(/UPDATE sesiones_usuario SET revocada_en/, [{}, {}]);
+
+  const res = await pedir("POST", "/api/users/20/revoke-sessions", {
+    token: 1,
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.sesionesRevocadas, 2);
+  const [update] = consultasQue(/UPDATE sesiones_usuario/);
+  assert.deepStrictEqual(update.params, [20]);
+});
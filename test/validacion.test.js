@@ -0,0 +1,170 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  responder,
+  consultasQue,
+  pedir,
+  responderPlanes,
+  fichaPrenecesidad,
+  fichaSepelio,
+} = require("./helpers");
+
+const CBU_VALIDO = "2850590940090418135201";
+const TARJETA_VALIDA = "4111111111111111";
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(() => {
+  reiniciarBase();
+  responderPlanes();
+  responder(/INSERT INTO affiliations \(/, (params) => [
+    { id: 8, user_id: params[0], form_data: params[1], status: params[9] },
+  ]);
+});
+
+async function enviar(formData, accion = "finalizar") {
+  return pedir("POST", "/api/submit-ficha", {
+    token: 20,
+    body: { formData, accion },
+  });
+}
+
+// Campos con error de una respuesta 400.
+function camposConError(res) {
+  assert.strictEqual(res.status, 400);
+  return res.body.errores.map((e) => e.campo);
+}
+
+function sinCampos(ficha, campos) {
+  const copia = { ...ficha };
+  for (const campo of campos) delete copia[campo];
+  return copia;
+}
+
+test("una ficha completa se presenta", async () => {
+  const res = await enviar(fichaSepelio());
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.status, "Presentado");
+});
+
+test("fuera de prenecesidad se exige la declaración jurada", async () => {
+  const campos = camposConError(
+    await enviar(sinCampos(fichaSepelio(), ["ddjj4", "pep"]))
+  );
+
+  assert.deepStrictEqual(campos, ["ddjj4", "pep"]);
+});
+
+test("en prenecesidad se exigen las cuotas y no la declaración jurada", async () => {
+  const campos = camposConError(
+    await enviar(sinCampos(fichaPrenecesidad(), ["cuotas"]))
+  );
+
+  assert.deepStrictEqual(campos, ["cuotas"]);
+});
+
+test("el medio de pago define qué sección de pago se exige", async () => {
+  const tarjeta = camposConError(
+    await enviar(
+      sinCampos(fichaSepelio({ medioPago: "Tarjeta de crédito" }), [
+        "domicilioPago",
+        "zonaPago",
+      ])
+    )
+  );
+  assert.deepStrictEqual(tarjeta, ["empresa", "tarjeta", "vencimiento"]);
+
+  const debito = camposConError(
+    await enviar(fichaSepelio({ medioPago: "Débito automático" }))
+  );
+  assert.deepStrictEqual(debito, ["empresa", "cbu"]);
+});
+
+test("un titular menor de edad necesita un responsable de pago", async () => {
+  const campos = camposConError(
+    await enviar(fichaSepelio({ fechaNacimientoTitular: "2015-03-01" }))
+  );
+
+  assert.ok(campos.includes("apellidoResponsablePago"));
+  assert.ok(campos.includes("dniResponsablePago"));
+  assert.ok(!campos.includes("emailResponsablePago"));
+});
+
+test("un cónyuge empezado se tiene que completar", async () => {
+  const campos = camposConError(
+    await enviar(fichaSepelio({ apellidoConyuge: "Gomez" }))
+  );
+
+  assert.deepStrictEqual(campos, [
+    "nombreConyuge",
+    "dniConyuge",
+    "fechaNacimientoConyuge",
+  ]);
+});
+
+test("valida el dígito verificador y el DNI del CUIL", async () => {
+  assert.deepStrictEqual(
+    camposConError(await enviar(fichaSepelio({ cuilTitular: "20301234564" }))),
+    ["cuilTitular"]
+  );
+
+  const res = await enviar(fichaSepelio({ cuilTitular: "20-30123456-3" }));
+  assert.strictEqual(res.status, 201);
+
+  const otroDni = await enviar(fichaSepelio({ dniTitular: "30123457" }));
+  assert.match(otroDni.body.errores[0].mensaje, /no coincide con el DNI/);
+});
+
+test("valida los dígitos verificadores del CBU", async () => {
+  const ficha = (cbu) =>
+    fichaSepelio({ medioPago: "Débito automático", empresa: "Banco", cbu });
+
+  assert.strictEqual((await enviar(ficha(CBU_VALIDO))).status, 201);
+  assert.deepStrictEqual(
+    camposConError(await enviar(ficha("2850590940090418135202"))),
+    ["cbu"]
+  );
+});
+
+test("valida el número y el vencimiento de la tarjeta", async () => {
+  const ficha = (tarjeta, vencimiento = "12/99") =>
+    fichaSepelio({
+      medioPago: "Tarjeta de crédito",
+      empresa: "Visa",
+      tarjeta,
+      vencimiento,
+    });
+
+  assert.strictEqual((await enviar(ficha(TARJETA_VALIDA))).status, 201);
+  assert.deepStrictEqual(
+    camposConError(await enviar(ficha("4111111111111112"))),
+    ["tarjeta"]
+  );
+
+  const vencida = await enviar(ficha(TARJETA_VALIDA, "01/20"));
+  assert.strictEqual(
+    vencida.body.errores[0].mensaje,
+    "La tarjeta está vencida."
+  );
+});
+
+test("un borrador puede tener campos obligatorios vacíos", async () => {
+  const res = await enviar({ apellidoTitular: "Perez" }, "guardar");
+
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.status, "Abierto");
+});
+
+test("un borrador no puede tener datos con formato inválido", async () => {
+  const res = await enviar(
+    { apellidoTitular: "Perez", cuilTitular: "20301234564", cbu: "123" },
+    "guardar"
+  );
+
+  assert.deepStrictEqual(camposConError(res), ["cuilTitular", "cbu"]);
+  assert.strictEqual(consultasQue(/INSERT INTO affiliations \(/).length, 0);
+});
@@ -0,0 +1,34 @@
+// Sin PDF_VERIFICATION_SECRET la app arranca igual y sólo la verificación de
+// documentos queda deshabilitada.
+process.env.PDF_VERIFICATION_SECRET = "";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert");
+const {
+  iniciarServidor,
+  detenerServidor,
+  reiniciarBase,
+  consultasQue,
+  pedir,
+} = require("./helpers");
+
+before(iniciarServidor);
+after(detenerServidor);
+beforeEach(reiniciarBase);
+
+test("sin clave de verificación /api/verify responde 503", async () => {
+  const res = await pedir("GET", "/api/verify/ABCDE-FGHIJ");
+
+  assert.strictEqual(res.status, 503);
+  assert.strictEqual(
+    res.body.message,
+    "La verificación de documentos no está disponible."
+  );
+  assert.strictEqual(consultasQue(/pdf_verificaciones/).length, 0);
+});
+
+test("sin clave de verificación el resto de la API funciona", async () => {
+  const res = await pedir("GET", "/api/health");
+
+  assert.strictEqual(res.status, 200);
+});